@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+//@ts-check
+/**
+ * @fileoverview Executable of the music-md command line, see cli/index.js
+ */
+
+import { run } from "../cli/index.js";
+
+process.exitCode = await run(process.argv.slice(2));
@@ -0,0 +1,117 @@
+//@ts-check
+/**
+ * @fileoverview Expands the input patterns of the command line into markdown files
+ */
+
+import { readdir, stat } from "fs/promises";
+import { resolve, sep } from "path";
+
+/**
+ * Matches the characters that make a pattern a glob
+ */
+const GLOB_CHARACTERS = /[*?{]/;
+
+/**
+ * Matches paths inside hidden directories or `node_modules`, and hidden files
+ */
+const HIDDEN = /(^|\/)(\.|node_modules(\/|$))/;
+
+/**
+ * Expands input patterns, for shells that pass them unexpanded (or when they
+ * are quoted). `*` and `?` match within a path segment, `**` across segments
+ * and `{a,b}` either alternative; hidden files and `node_modules` are only
+ * searched when the pattern names them. Paths without glob characters are
+ * kept as they are, to be reported if they cannot be read.
+ * @param {string[]} patterns - Paths and glob patterns, relative to cwd
+ * @param {string} cwd - Directory the patterns are relative to
+ * @returns {Promise<string[]>} Absolute paths, each pattern's matches sorted, without duplicates
+ * @throws {Error} When a glob pattern matches no file
+ */
+export async function expandInputs(patterns, cwd) {
+  /** @type {Set<string>} */
+  const files = new Set();
+  for (const pattern of patterns) {
+    if (!GLOB_CHARACTERS.test(pattern)) {
+      files.add(resolve(cwd, pattern));
+      continue;
+    }
+
+    const segments = pattern.split(/[\\/]/);
+    const firstGlob = segments.findIndex((segment) =>
+      GLOB_CHARACTERS.test(segment),
+    );
+    const base = resolve(cwd, segments.slice(0, firstGlob).join("/") || ".");
+    const glob = segments.slice(firstGlob).join("/");
+    const matcher = globToRegExp(glob);
+    const searchHidden = HIDDEN.test(glob);
+
+    /** @type {string[]} */
+    let entries;
+    try {
+      entries = await readdir(base, { recursive: true });
+    } catch {
+      entries = [];
+    }
+    const matches = [];
+    for (const entry of entries.sort()) {
+      const relativePath = entry.split(sep).join("/");
+      if (
+        !matcher.test(relativePath) ||
+        (!searchHidden && HIDDEN.test(relativePath))
+      ) {
+        continue;
+      }
+      const path = resolve(base, entry);
+      if ((await stat(path)).isFile()) {
+        matches.push(path);
+      }
+    }
+    if (matches.length === 0) {
+      throw new Error(`No files match "${pattern}"`);
+    }
+    matches.forEach((path) => files.add(path));
+  }
+  return [...files];
+}
+
+/**
+ * Converts a glob pattern to a regular expression over `/`-separated paths
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Expression matching the whole path
+ */
+export function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // `**/` also matches no directory at all
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        source += "\\{";
+        continue;
+      }
+      const alternatives = pattern.slice(i + 1, end).split(",");
+      source += `(?:${alternatives.map(escapeRegExp).join("|")})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * @param {string} text - Literal text
+ * @returns {string} The text escaped for a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
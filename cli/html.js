@@ -0,0 +1,163 @@
+//@ts-check
+/**
+ * @fileoverview Standalone HTML pages and PDF files from rendered markdown
+ */
+
+import { toString } from "mdast-util-to-string";
+import { EXIT, visit } from "unist-util-visit";
+
+/**
+ * Styles of the page: readable text, diagrams scaled to the column, chord
+ * diagrams on a grid and error boxes
+ */
+const STYLES = `
+body {
+  font-family: Arial, sans-serif;
+  max-width: 800px;
+  margin: 0 auto;
+  padding: 20px;
+  line-height: 1.6;
+}
+svg {
+  max-width: 100%;
+  height: auto;
+}
+.chord-container {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+  gap: 20px;
+  align-items: start;
+}
+.lilypond-error,
+.svguitar-error,
+.fretboard-error {
+  background-color: #ffebee;
+  color: #c62828;
+  padding: 10px;
+  border-left: 4px solid #f44336;
+  margin: 10px 0;
+}
+.lilypond-page,
+.lilypond-system,
+.chord-item,
+.fretboard {
+  break-inside: avoid;
+}
+pre {
+  background-color: #f5f5f5;
+  padding: 15px;
+  overflow-x: auto;
+}
+@media print {
+  body {
+    max-width: none;
+    padding: 0;
+  }
+}`;
+
+/**
+ * Page number at the bottom of each PDF page
+ */
+const PDF_FOOTER = `<div style="width: 100%; font-size: 9px; text-align: center; color: #666"><span class="pageNumber"></span> / <span class="totalPages"></span></div>`;
+
+/**
+ * Local copy of the html-midi-player bundle loaded by pages with a MIDI
+ * player, so that they work offline
+ */
+export const DEFAULT_MIDI_PLAYER_SCRIPT = "midi-player.js";
+
+/**
+ * Wraps rendered markdown in a standalone HTML page, loading the MIDI player
+ * script when the page has a player
+ * @param {{ title: string, body: string, midiPlayerScript?: string }} page - Page title, rendered markdown and URL of the MIDI player script, left out when not given
+ * @returns {string} HTML document
+ */
+export function htmlDocument({ title, body, midiPlayerScript }) {
+  const script =
+    midiPlayerScript && body.includes("<midi-player")
+      ? `\n<script src="${escapeHtml(midiPlayerScript)}"></script>`
+      : "";
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}
+</style>${script}
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Finds the title of a markdown document: its first level 1 heading, or else
+ * the file name
+ * @param {import("mdast").Root} tree - Markdown syntax tree
+ * @param {string} fallback - Title when the document has no heading
+ * @returns {string} Title
+ */
+export function documentTitle(tree, fallback) {
+  let title = "";
+  visit(tree, "heading", (node) => {
+    if (node.depth === 1) {
+      title = toString(node).trim();
+      return EXIT;
+    }
+  });
+  return title || fallback;
+}
+
+/**
+ * Tells URLs (`https://…`, `//…`, `data:…`) from file paths
+ * @param {string} reference - URL or path
+ * @returns {boolean} True for a URL
+ */
+export function isUrl(reference) {
+  return /^(?:[a-z][a-z\d+.-]+:|\/\/)/i.test(reference);
+}
+
+/**
+ * Prints an HTML page to an A4 PDF with page numbers
+ * @param {string} html - HTML document
+ * @param {string} path - PDF file to write
+ * @param {import("../plugins/remark-svguitar/browser-manager.js").BrowserManager} browsers - Browsers to print with
+ * @returns {Promise<void>}
+ */
+export async function printPdf(html, path, browsers) {
+  const { browser, release } = await browsers.acquire();
+  try {
+    const page = await browser.newPage();
+    try {
+      await page.setContent(html, { waitUntil: "load" });
+      await page.pdf({
+        path,
+        format: "A4",
+        printBackground: true,
+        displayHeaderFooter: true,
+        headerTemplate: "<span></span>",
+        footerTemplate: PDF_FOOTER,
+        margin: { top: "15mm", right: "15mm", bottom: "20mm", left: "15mm" },
+      });
+    } finally {
+      await page.close();
+    }
+  } finally {
+    release();
+  }
+}
+
+/**
+ * @param {string} text - Text to escape
+ * @returns {string} Text safe in HTML
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
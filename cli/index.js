@@ -0,0 +1,355 @@
+//@ts-check
+/**
+ * @fileoverview The music-md command: renders markdown files with music notation to HTML or PDF
+ */
+
+import { access, mkdir, readFile, writeFile } from "fs/promises";
+import { basename, dirname, extname, join, relative, resolve, sep } from "path";
+import { remark } from "remark";
+import remarkFrontmatter from "remark-frontmatter";
+import remarkHtml from "remark-html";
+import remarkLilypond, {
+  createLilyPondCache,
+} from "../plugins/remark-lilypond/index.js";
+import remarkSvguitar, {
+  createBrowserManager,
+} from "../plugins/remark-svguitar/index.js";
+import remarkFretboard from "../plugins/remark-fretboard/index.js";
+import { parseChordData } from "../plugins/remark-svguitar/data-formats.js";
+import { expandInputs } from "./glob.js";
+import {
+  DEFAULT_MIDI_PLAYER_SCRIPT,
+  documentTitle,
+  htmlDocument,
+  isUrl,
+  printPdf,
+} from "./html.js";
+import { OUTPUT_FORMATS, USAGE, parseCommandLine } from "./options.js";
+
+/**
+ * Exit code of a run whose documents rendered without errors
+ */
+export const EXIT_OK = 0;
+
+/**
+ * Exit code of a run where a block or a file failed to render
+ */
+export const EXIT_RENDER_ERROR = 1;
+
+/**
+ * Exit code of an invalid command line
+ */
+export const EXIT_USAGE = 2;
+
+/**
+ * @typedef {Object} RunContext
+ * @property {string} [cwd=process.cwd()] - Directory the paths of the command line are relative to
+ * @property {{ write: (text: string) => any }} [stdout=process.stdout] - Receives the files written
+ * @property {{ write: (text: string) => any }} [stderr=process.stderr] - Receives errors and warnings
+ */
+
+/**
+ * @typedef {Object} BuildTarget
+ * @property {string} input - Absolute path of the markdown file
+ * @property {string} output - Absolute path of the file to write
+ * @property {"html" | "pdf"} format - Format of the output
+ */
+
+/**
+ * Runs the music-md command line. Every file is rendered even when another
+ * fails; browsers launched for chord diagrams or PDF are closed before
+ * returning.
+ * @param {string[]} args - Arguments after the program name
+ * @param {RunContext} [context={}] - Working directory and output streams
+ * @returns {Promise<number>} Exit code: EXIT_OK, EXIT_RENDER_ERROR or EXIT_USAGE
+ */
+export async function run(args, context = {}) {
+  const {
+    cwd = process.cwd(),
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = context;
+
+  /** @type {import("./options.js").CommandLine} */
+  let commandLine;
+  /** @type {BuildTarget[]} */
+  let targets;
+  /** @type {import("../plugins/remark-svguitar/browser-manager.js").BrowserManager} */
+  let browsers;
+  /** @type {ReturnType<typeof remark>[]} */
+  let processors;
+  /** @type {string | null} */
+  let midiPlayerScript;
+  try {
+    commandLine = parseCommandLine(args);
+    if (commandLine.help) {
+      stdout.write(USAGE);
+      return EXIT_OK;
+    }
+    if (commandLine.version) {
+      stdout.write(`${await readVersion()}\n`);
+      return EXIT_OK;
+    }
+    if (commandLine.command !== "build") {
+      throw new Error(
+        commandLine.command === undefined
+          ? "Missing command"
+          : `Unknown command "${commandLine.command}"`,
+      );
+    }
+    if (commandLine.inputs.length === 0) {
+      throw new Error("No input files");
+    }
+    targets = planTargets(
+      await expandInputs(commandLine.inputs, cwd),
+      commandLine,
+      cwd,
+    );
+    browsers = createBrowserManager({
+      puppeteerOptions: commandLine.svguitar.puppeteerOptions,
+    });
+    const createProcessor = await createProcessorFactory(
+      commandLine,
+      cwd,
+      browsers,
+    );
+    // MIDI files are linked relative to each page; plugins check their
+    // options when a processor is frozen
+    processors = targets.map(({ output }) => createProcessor(output));
+    midiPlayerScript = await locateMidiPlayerScript(
+      commandLine.midiPlayerScript || DEFAULT_MIDI_PLAYER_SCRIPT,
+      cwd,
+    );
+  } catch (error) {
+    stderr.write(
+      `music-md: ${error.message}\nRun "music-md --help" for usage.\n`,
+    );
+    return EXIT_USAGE;
+  }
+
+  let failed = false;
+  let warnedMissingPlayer = false;
+  try {
+    for (const [i, { input, output, format }] of targets.entries()) {
+      const processor = processors[i];
+      const path = relative(cwd, input);
+      try {
+        const markdown = await readFile(input, "utf8");
+        const file = await processor.process({ path, cwd, value: markdown });
+        for (const message of file.messages) {
+          stderr.write(
+            `${message.fatal ? "error" : "warning"}: ${String(message)}\n`,
+          );
+          failed = failed || Boolean(message.fatal);
+        }
+
+        const body = String(file);
+        // A PDF cannot play MIDI, so only HTML pages load the player
+        const hasPlayer = format === "html" && body.includes("<midi-player");
+        if (hasPlayer && midiPlayerScript === null && !warnedMissingPlayer) {
+          stderr.write(
+            `warning: MIDI player script "${commandLine.midiPlayerScript || DEFAULT_MIDI_PLAYER_SCRIPT}" not found; pages only link their MIDI files\n`,
+          );
+          warnedMissingPlayer = true;
+        }
+        const html = htmlDocument({
+          title: documentTitle(
+            processor.parse(markdown),
+            basename(input, extname(input)),
+          ),
+          body,
+          midiPlayerScript:
+            hasPlayer && midiPlayerScript !== null
+              ? scriptSource(midiPlayerScript, output)
+              : undefined,
+        });
+        await mkdir(dirname(output), { recursive: true });
+        if (format === "pdf") {
+          await printPdf(html, output, browsers);
+        } else {
+          await writeFile(output, html, "utf8");
+        }
+        stdout.write(`${path} -> ${relative(cwd, output)}\n`);
+      } catch (error) {
+        stderr.write(`error: ${path}: ${error.message}\n`);
+        failed = true;
+      }
+    }
+  } finally {
+    // One browser draws the chord diagrams of every file and prints the PDF
+    await browsers.dispose();
+  }
+  return failed ? EXIT_RENDER_ERROR : EXIT_OK;
+}
+
+/**
+ * Decides where each input is written. A single input may be given an output
+ * file; otherwise the output is a directory, or each file is written next to
+ * its input, in the format chosen with `--to`.
+ * @param {string[]} inputs - Absolute paths of the markdown files
+ * @param {import("./options.js").CommandLine} commandLine - Command line
+ * @param {string} cwd - Directory the output path is relative to
+ * @returns {BuildTarget[]} Input, output and format of each file
+ * @throws {Error} When an output file is given for several inputs, or inputs would overwrite each other
+ */
+export function planTargets(inputs, commandLine, cwd) {
+  const { output, to } = commandLine;
+  const outputFormat = output ? extname(output).slice(1).toLowerCase() : "";
+  if (output && OUTPUT_FORMATS.includes(outputFormat)) {
+    if (inputs.length > 1) {
+      throw new Error(
+        `Output "${output}" is a file, but ${inputs.length} files are built; give a directory instead`,
+      );
+    }
+    if (to !== undefined && to !== outputFormat) {
+      throw new Error(`Output "${output}" is not ${to}`);
+    }
+    return [
+      {
+        input: inputs[0],
+        output: resolve(cwd, output),
+        format: /** @type {"html" | "pdf"} */ (outputFormat),
+      },
+    ];
+  }
+
+  const format = to || "html";
+  const targets = inputs.map((input) => {
+    const name = `${basename(input, extname(input))}.${format}`;
+    return {
+      input,
+      output: output ? resolve(cwd, output, name) : join(dirname(input), name),
+      format,
+    };
+  });
+  const outputs = targets.map((target) => target.output);
+  const clash = outputs.find((path, index) => outputs.indexOf(path) !== index);
+  if (clash) {
+    throw new Error(
+      `Several inputs would be written to "${relative(cwd, clash)}"`,
+    );
+  }
+  return targets;
+}
+
+/**
+ * Reads the option files, then creates the remark processor of each page. Paths of the command line are resolved
+ * against `cwd`, and MIDI files written to `--midi-dir` are linked relative to
+ * the page unless `--midi-url` is given.
+ * @param {import("./options.js").CommandLine} commandLine - Command line
+ * @param {string} cwd - Directory the paths of the command line are relative to
+ * @param {import("../plugins/remark-svguitar/browser-manager.js").BrowserManager} browsers - Browsers drawing the chord diagrams of every page
+ * @returns {Promise<(output: string) => ReturnType<typeof remark>>} Creates the frozen processor of the page written to an absolute path
+ * @throws {Error} When an option file cannot be read
+ */
+async function createProcessorFactory(commandLine, cwd, browsers) {
+  const { chordDictionary, svguitarConfig } = commandLine.files;
+  const svguitarOptions = {
+    ...commandLine.svguitar,
+    browserManager: browsers,
+    ...(chordDictionary
+      ? { chordDictionary: await readOptionFile(chordDictionary, cwd) }
+      : {}),
+    ...(svguitarConfig
+      ? { SVGuitarConfig: await readOptionFile(svguitarConfig, cwd) }
+      : {}),
+  };
+  const { cache, midiDir, midiUrl } = commandLine.lilypond;
+  // The command line only gives the cache directory
+  const cacheOptions = /** @type {{ dir: string } | undefined} */ (cache);
+  const midiPath = midiDir && resolve(cwd, midiDir);
+  const lilypondOptions = {
+    ...commandLine.lilypond,
+    // Pages share the cache, pruned after each one
+    ...(cacheOptions
+      ? {
+          cache: createLilyPondCache({ dir: resolve(cwd, cacheOptions.dir) }),
+        }
+      : {}),
+    ...(midiPath ? { midiDir: midiPath } : {}),
+  };
+
+  /**
+   * @param {string} output - Absolute path of the page
+   * @returns {ReturnType<typeof remark>} Frozen processor
+   */
+  const createProcessor = (output) =>
+    /** @type {any} */ (
+      remark()
+        // YAML front matter may define chords, and is left out of the page
+        .use(remarkFrontmatter, ["yaml"])
+        .use(remarkLilypond, {
+          ...lilypondOptions,
+          ...(midiPath && midiUrl === undefined
+            ? {
+                midiUrl: relative(dirname(output), midiPath)
+                  .split(sep)
+                  .join("/"),
+              }
+            : {}),
+        })
+        .use(remarkSvguitar, svguitarOptions)
+        .use(remarkFretboard, commandLine.fretboard)
+        // Allow raw HTML, which carries the rendered notation
+        .use(remarkHtml, { sanitize: false })
+        .freeze()
+    );
+  return createProcessor;
+}
+
+/**
+ * Finds the MIDI player script: URLs are kept as they are, local files must
+ * exist
+ * @param {string} script - URL or path given on the command line
+ * @param {string} cwd - Directory the path is relative to
+ * @returns {Promise<string | null>} URL, absolute path, or null when the file is missing
+ */
+async function locateMidiPlayerScript(script, cwd) {
+  if (isUrl(script)) {
+    return script;
+  }
+  const path = resolve(cwd, script);
+  try {
+    await access(path);
+    return path;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} script - URL or absolute path of the MIDI player script
+ * @param {string} output - Absolute path of the page
+ * @returns {string} URL of the script from the page
+ */
+function scriptSource(script, output) {
+  return isUrl(script)
+    ? script
+    : relative(dirname(output), script).split(sep).join("/");
+}
+
+/**
+ * Reads an option file as YAML (.yaml or .yml) or JSON5
+ * @param {string} path - File path
+ * @param {string} cwd - Directory the path is relative to
+ * @returns {Promise<any>} File content
+ */
+async function readOptionFile(path, cwd) {
+  const text = await readFile(resolve(cwd, path), "utf8");
+  const format = /\.ya?ml$/i.test(path) ? "yaml" : "json5";
+  try {
+    return parseChordData(text, format).data;
+  } catch (error) {
+    throw new Error(
+      `Invalid ${format.toUpperCase()} in "${path}": ${error.message}`,
+    );
+  }
+}
+
+/**
+ * @returns {Promise<string>} Version of the package
+ */
+async function readVersion() {
+  const packageFile = new URL("../package.json", import.meta.url);
+  return JSON.parse(await readFile(packageFile, "utf8")).version;
+}
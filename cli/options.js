@@ -0,0 +1,237 @@
+//@ts-check
+/**
+ * @fileoverview Command line arguments of music-md, mapped to the options of the remark plugins
+ */
+
+import { parseArgs } from "util";
+
+/**
+ * @typedef {Object} CommandLine
+ * @property {boolean} help - Print the usage and exit
+ * @property {boolean} version - Print the version and exit
+ * @property {string | undefined} command - Command to run, "build"
+ * @property {string[]} inputs - Markdown files or glob patterns
+ * @property {string} [output] - Output file, or directory for several inputs
+ * @property {"html" | "pdf"} [to] - Output format when the output is not a file name
+ * @property {string} [midiPlayerScript] - URL of the MIDI player script, or local file referenced relative to each page
+ * @property {import("../plugins/remark-lilypond/index.js").LilyPondOptions} lilypond - Options of remark-lilypond
+ * @property {import("../plugins/remark-svguitar/index.js").SVGuitarOptions} svguitar - Options of remark-svguitar, without the files read by the command
+ * @property {import("../plugins/remark-fretboard/index.js").FretboardOptions} fretboard - Options of remark-fretboard
+ * @property {{ chordDictionary?: string, svguitarConfig?: string }} files - Option files, read as JSON5 or YAML
+ */
+
+/**
+ * Output formats, chosen by the extension of the output file or with `--to`
+ */
+export const OUTPUT_FORMATS = ["html", "pdf"];
+
+/**
+ * Options understood by util.parseArgs
+ * @type {NonNullable<import("util").ParseArgsConfig["options"]>}
+ */
+const OPTIONS = {
+  output: { type: "string", short: "o" },
+  to: { type: "string" },
+  help: { type: "boolean", short: "h" },
+  version: { type: "boolean", short: "v" },
+  // Every plugin
+  "error-inline": { type: "boolean" },
+  "skip-on-missing": { type: "boolean" },
+  instrument: { type: "string" },
+  tuning: { type: "string" },
+  // remark-lilypond
+  "lilypond-binary": { type: "string" },
+  "no-compact": { type: "boolean" },
+  "compact-padding": { type: "string" },
+  concurrency: { type: "string" },
+  cache: { type: "string" },
+  midi: { type: "boolean" },
+  "midi-dir": { type: "string" },
+  "midi-url": { type: "string" },
+  "no-midi-player": { type: "boolean" },
+  "midi-player-script": { type: "string" },
+  "split-systems": { type: "boolean" },
+  preamble: { type: "string" },
+  "preamble-file": { type: "string" },
+  "include-path": { type: "string", short: "I", multiple: true },
+  safe: { type: "boolean" },
+  timeout: { type: "string" },
+  // remark-svguitar
+  renderer: { type: "string" },
+  "chord-format": { type: "string" },
+  "left-handed": { type: "boolean" },
+  orientation: { type: "string" },
+  "chord-dictionary": { type: "string" },
+  "svguitar-config": { type: "string" },
+  "puppeteer-options": { type: "string" },
+  // remark-fretboard
+  labels: { type: "string" },
+};
+
+/**
+ * Usage shown by `music-md --help`
+ */
+export const USAGE = `Usage: music-md build <files or globs...> [options]
+
+Renders markdown with music notation to HTML or PDF.
+
+Output:
+  -o, --output <path>          Output file (.html or .pdf), or directory for several inputs
+      --to <html|pdf>          Format written next to the inputs or into the output directory (default: html)
+
+Every plugin:
+      --error-inline           Show rendering errors in the document
+      --skip-on-missing        Leave blocks as they are when LilyPond or the browser is missing
+      --instrument <name>      Instrument of chord and fretboard diagrams, e.g. ukulele
+      --tuning <notes>         Tuning of chord and fretboard diagrams, e.g. DADGAD
+
+LilyPond:
+      --lilypond-binary <path> LilyPond executable (default: lilypond)
+      --no-compact             Keep the tagline and the whitespace of the page
+      --compact-padding <n>    Space kept around cropped scores, in staff spaces
+      --concurrency <n>        LilyPond processes running at once
+      --cache <dir>            Reuse the SVG of unchanged blocks, stored in this directory
+      --midi                   Produce MIDI for every block
+      --midi-dir <dir>         Write MIDI files to this directory instead of embedding them
+      --midi-url <url>         URL prefix of the MIDI files written to --midi-dir
+      --no-midi-player         Only link MIDI files, without a player
+      --midi-player-script <path> Script of the MIDI player in HTML pages, a local file or a URL (default: midi-player.js)
+      --split-systems          One SVG per system instead of one per page
+      --preamble <code>        LilyPond source prepended to every block
+      --preamble-file <path>   File prepended to every block
+  -I, --include-path <dir>     Directory searched for \\include files; repeatable
+      --safe                   Reject unsafe LilyPond input
+      --timeout <ms>           Stop LilyPond after this long per block
+
+SVGuitar:
+      --renderer <name>        puppeteer (default) or dom, which needs no browser
+      --chord-format <format>  Syntax of chord data: auto, json, json5 or yaml
+      --left-handed            Mirror chord diagrams
+      --orientation <name>     vertical or horizontal chord diagrams
+      --chord-dictionary <path> JSON5 or YAML file of chords for chords blocks
+      --svguitar-config <path> JSON5 or YAML file of SVGuitar settings
+      --puppeteer-options <json> Options of puppeteer.launch(), also used to print PDF
+
+Fretboard:
+      --labels <kind>          Text in fretboard notes: note, interval or none
+
+  -h, --help                   Show this help
+  -v, --version                Show the version
+`;
+
+/**
+ * Reads the command line
+ * @param {string[]} args - Arguments after the program name
+ * @returns {CommandLine} Command, inputs and plugin options
+ * @throws {Error} When an option is unknown, misses its value or has an invalid one
+ */
+export function parseCommandLine(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const string = (name) => /** @type {string | undefined} */ (values[name]);
+  const flag = (name) => (values[name] ? true : undefined);
+  const number = (name) => {
+    const value = string(name);
+    if (value === undefined) {
+      return undefined;
+    }
+    const parsed = Number(value);
+    if (value.trim() === "" || !Number.isFinite(parsed) || parsed < 0) {
+      throw new Error(
+        `Option "--${name}" expects a non-negative number, got "${value}"`,
+      );
+    }
+    return parsed;
+  };
+
+  const to = string("to");
+  if (to !== undefined && !OUTPUT_FORMATS.includes(to)) {
+    throw new Error(
+      `Option "--to" expects one of ${OUTPUT_FORMATS.join(", ")}, got "${to}"`,
+    );
+  }
+  let puppeteerOptions;
+  if (values["puppeteer-options"] !== undefined) {
+    try {
+      puppeteerOptions = JSON.parse(string("puppeteer-options"));
+    } catch (error) {
+      throw new Error(
+        `Option "--puppeteer-options" expects JSON: ${error.message}`,
+      );
+    }
+  }
+
+  const [command, ...inputs] = positionals;
+  const shared = {
+    errorInline: flag("error-inline"),
+    skipOnMissing: flag("skip-on-missing"),
+  };
+  const strings = {
+    instrument: string("instrument"),
+    tuning: string("tuning"),
+  };
+  return {
+    help: Boolean(values.help),
+    version: Boolean(values.version),
+    command,
+    inputs,
+    output: string("output"),
+    to: /** @type {"html" | "pdf" | undefined} */ (to),
+    midiPlayerScript: string("midi-player-script"),
+    lilypond: withoutUndefined({
+      ...shared,
+      binaryPath: string("lilypond-binary"),
+      compact: values["no-compact"] ? false : undefined,
+      compactPadding: number("compact-padding"),
+      concurrency: number("concurrency"),
+      cache: values.cache !== undefined ? { dir: string("cache") } : undefined,
+      midi: flag("midi"),
+      midiDir: string("midi-dir"),
+      midiUrl: string("midi-url"),
+      midiPlayer: values["no-midi-player"] ? false : undefined,
+      splitSystems: flag("split-systems"),
+      preamble: string("preamble"),
+      preambleFile: string("preamble-file"),
+      includePaths: /** @type {string[] | undefined} */ (
+        values["include-path"]
+      ),
+      safe: flag("safe"),
+      timeout: number("timeout"),
+    }),
+    svguitar: withoutUndefined({
+      ...shared,
+      ...strings,
+      renderer: /** @type {any} */ (string("renderer")),
+      format: /** @type {any} */ (string("chord-format")),
+      leftHanded: flag("left-handed"),
+      orientation: /** @type {any} */ (string("orientation")),
+      puppeteerOptions,
+    }),
+    fretboard: withoutUndefined({
+      errorInline: shared.errorInline,
+      ...strings,
+      labels: /** @type {any} */ (string("labels")),
+    }),
+    files: withoutUndefined({
+      chordDictionary: string("chord-dictionary"),
+      svguitarConfig: string("svguitar-config"),
+    }),
+  };
+}
+
+/**
+ * Drops the options left unset, so that the plugins apply their defaults
+ * @template {Record<string, any>} T
+ * @param {T} options - Options, some undefined
+ * @returns {T} The options that are set
+ */
+function withoutUndefined(options) {
+  return /** @type {T} */ (
+    Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined),
+    )
+  );
+}
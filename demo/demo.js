@@ -38,7 +38,15 @@ async function runDemo() {
     // Process the markdown
     console.log("🎵 Processing LilyPond blocks...");
     console.log("🎸 Processing SVGuitar blocks...");
-    const result = await processor.process(markdownContent);
+    const result = await processor.process({
+      path: "demo/example.md",
+      value: markdownContent,
+    });
+
+    // Rendering problems are reported on the file with their position
+    for (const message of result.messages) {
+      console.warn(`${message.fatal ? "✗" : "⚠️ "} ${String(message)}`);
+    }
 
     // Create HTML output
     const htmlOutput = `<!DOCTYPE html>
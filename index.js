@@ -3,16 +3,23 @@
  * @fileoverview Main entry point for music-md package exposing remark plugins
  */
 
-import remarkLilypond from "./plugins/remark-lilypond/index.js";
+import remarkLilypond, {
+  createLilyPondCache,
+} from "./plugins/remark-lilypond/index.js";
+import remarkFretboard from "./plugins/remark-fretboard/index.js";
 import remarkSvguitar, {
   closeBrowser,
+  createBrowserManager,
 } from "./plugins/remark-svguitar/index.js";
 
 /**
  * Remark plugin for converting LilyPond code blocks to inline SVG
  * @type {import("./plugins/remark-lilypond/index.js").default}
  */
-export { default as remarkLilypond } from "./plugins/remark-lilypond/index.js";
+export {
+  default as remarkLilypond,
+  createLilyPondCache,
+} from "./plugins/remark-lilypond/index.js";
 
 /**
  * Remark plugin for converting SVGuitar code blocks to inline SVG
@@ -21,13 +28,23 @@ export { default as remarkLilypond } from "./plugins/remark-lilypond/index.js";
 export {
   default as remarkSvguitar,
   closeBrowser,
+  createBrowserManager,
 } from "./plugins/remark-svguitar/index.js";
 
 /**
- * Default export containing both plugins
+ * Remark plugin for converting fretboard code blocks to inline SVG
+ * @type {import("./plugins/remark-fretboard/index.js").default}
+ */
+export { default as remarkFretboard } from "./plugins/remark-fretboard/index.js";
+
+/**
+ * Default export containing the plugins and their helpers
  */
 export default {
   remarkLilypond,
   remarkSvguitar,
+  remarkFretboard,
   closeBrowser,
+  createBrowserManager,
+  createLilyPondCache,
 };
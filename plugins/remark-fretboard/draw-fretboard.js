@@ -0,0 +1,166 @@
+//@ts-check
+/**
+ * @fileoverview Draws a horizontal guitar neck with highlighted notes as an SVG string
+ */
+
+/**
+ * @typedef {Object} FretboardNote
+ * @property {number} string - String number, 1 being the highest
+ * @property {number} fret - Fret, 0 for the open string
+ * @property {string} label - Text in the marker, empty for none
+ * @property {boolean} root - Drawn with the root color
+ */
+
+/**
+ * @typedef {Object} FretboardStyle
+ * @property {string} color - Neck lines and text
+ * @property {string} noteColor - Fill of the note markers
+ * @property {string} rootColor - Fill of the root markers
+ * @property {string} fontFamily - Font of every text
+ */
+
+/**
+ * @typedef {Object} FretboardDrawing
+ * @property {string[]} tuning - Open string names, from the lowest string
+ * @property {[number, number]} frets - First and last fret shown; 0 shows the nut and open strings
+ * @property {FretboardNote[]} notes - Notes to highlight
+ * @property {string} [title] - Text above the neck
+ * @property {number} [width] - Width in pixels, the height follows the aspect ratio
+ * @property {FretboardStyle} style - Colors and font
+ */
+
+const FRET_WIDTH = 56;
+const STRING_SPACING = 24;
+const NOTE_RADIUS = 10;
+const LABEL_WIDTH = 32;
+const OPEN_WIDTH = 28;
+
+/**
+ * Frets marked with one inlay dot; the twelfth fret has two
+ */
+const INLAY_FRETS = [3, 5, 7, 9];
+
+/**
+ * Draws the neck between two frets: strings from the highest at the top, the
+ * nut when the range starts at 0, inlays, fret numbers below, and a marker per note
+ * @param {FretboardDrawing} drawing - What to draw
+ * @returns {string} SVG element
+ */
+export function drawFretboard({ tuning, frets, notes, title, width, style }) {
+  const [first, last] = frets;
+  const stringCount = tuning.length;
+  // Open notes sit left of the nut, fretted notes in the middle of their fret
+  const firstCell = Math.max(first, 1);
+  const cellCount = last - firstCell + 1;
+  const neckLeft = LABEL_WIDTH + (first === 0 ? OPEN_WIDTH : 0);
+  const neckRight = neckLeft + cellCount * FRET_WIDTH;
+  const top = title ? 44 : 16;
+  const bottom = top + (stringCount - 1) * STRING_SPACING;
+  const viewWidth = neckRight + 12;
+  const viewHeight = bottom + 32;
+
+  const stringY = (string) => top + (string - 1) * STRING_SPACING;
+  const fretX = (fret) =>
+    fret === 0
+      ? neckLeft - OPEN_WIDTH / 2
+      : neckLeft + (fret - firstCell + 0.5) * FRET_WIDTH;
+  const text = (x, y, content, attributes = "") =>
+    `<text x="${x}" y="${y}" fill="${style.color}" font-family="${escapeXml(style.fontFamily)}"${attributes}>${escapeXml(content)}</text>`;
+
+  const parts = [];
+  if (title) {
+    parts.push(
+      text(viewWidth / 2, 24, title, ' font-size="16" text-anchor="middle"'),
+    );
+  }
+
+  // Inlays behind the strings
+  const middle = (top + bottom) / 2;
+  for (let fret = firstCell; fret <= last; fret++) {
+    const dots = INLAY_FRETS.includes(fret % 12)
+      ? [middle]
+      : fret % 12 === 0
+        ? [
+            top + (bottom - top) / 4 + STRING_SPACING / 4,
+            bottom - (bottom - top) / 4 - STRING_SPACING / 4,
+          ]
+        : [];
+    for (const y of dots) {
+      parts.push(
+        `<circle class="fretboard-inlay" cx="${fretX(fret)}" cy="${round(y)}" r="5" fill="${style.color}" fill-opacity="0.15"/>`,
+      );
+    }
+  }
+
+  // Strings, labelled with their open note
+  for (let string = 1; string <= stringCount; string++) {
+    const y = stringY(string);
+    parts.push(
+      `<line x1="${neckLeft}" y1="${y}" x2="${neckRight}" y2="${y}" stroke="${style.color}" stroke-width="1"/>`,
+      text(
+        LABEL_WIDTH - 8,
+        y + 4,
+        tuning[stringCount - string],
+        ' font-size="12" text-anchor="end"',
+      ),
+    );
+  }
+
+  // Frets, the nut drawn thicker, and their numbers
+  for (let cell = 0; cell <= cellCount; cell++) {
+    const x = neckLeft + cell * FRET_WIDTH;
+    const nut = cell === 0 && first === 0;
+    parts.push(
+      `<line x1="${x}" y1="${top}" x2="${x}" y2="${bottom}" stroke="${style.color}" stroke-width="${nut ? 4 : 1}"/>`,
+    );
+    if (cell < cellCount) {
+      parts.push(
+        text(
+          fretX(firstCell + cell),
+          bottom + 24,
+          String(firstCell + cell),
+          ' font-size="11" text-anchor="middle"',
+        ),
+      );
+    }
+  }
+
+  for (const { string, fret, label, root } of notes) {
+    const x = fretX(fret);
+    const y = stringY(string);
+    parts.push(
+      `<circle class="${root ? "fretboard-root" : "fretboard-note"}" cx="${x}" cy="${y}" r="${NOTE_RADIUS}" fill="${root ? style.rootColor : style.noteColor}"/>`,
+    );
+    if (label) {
+      parts.push(
+        `<text x="${x}" y="${y + 4}" fill="#fff" font-family="${escapeXml(style.fontFamily)}" font-size="${label.length > 2 ? 8 : 10}" text-anchor="middle">${escapeXml(label)}</text>`,
+      );
+    }
+  }
+
+  const size = width
+    ? ` width="${width}" height="${round((width * viewHeight) / viewWidth)}"`
+    : ` width="${viewWidth}" height="${viewHeight}"`;
+  return `<svg class="fretboard" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${viewWidth} ${viewHeight}"${size}>${parts.join("")}</svg>`;
+}
+
+/**
+ * @param {number} value - Coordinate
+ * @returns {number} Value rounded to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escapes text for SVG content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
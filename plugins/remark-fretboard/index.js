@@ -0,0 +1,497 @@
+//@ts-check
+/**
+ * @fileoverview Remark plugin for converting fretboard code blocks to inline SVG
+ * diagrams of scales, arpeggios and shapes across the neck
+ */
+
+import { visit } from "unist-util-visit";
+import { parseBlockOptions } from "../shared/meta.js";
+import { offsetPlace, report } from "../shared/messages.js";
+import { isValidTuning, pitchClass } from "../shared/notes.js";
+import {
+  DATA_FORMATS,
+  detectFormat,
+  parseChordData,
+} from "../remark-svguitar/data-formats.js";
+import { INSTRUMENTS, resolveStrings } from "../remark-svguitar/instruments.js";
+import { drawFretboard } from "./draw-fretboard.js";
+import { intervalName, noteName, parseScale, prefersFlats } from "./scales.js";
+
+export { SCALES } from "./scales.js";
+
+/**
+ * @typedef {Object} FretboardOptions
+ * @property {boolean} [errorInline=false] - Whether to display errors inline or only report them
+ * @property {string} [instrument] - Instrument setting the strings and their labels, e.g. "bass" (see INSTRUMENTS of remark-svguitar)
+ * @property {string} [tuning] - Tuning from the lowest string, e.g. "DADGAD"; wins over instrument
+ * @property {"note" | "interval" | "none"} [labels="note"] - Text in the note markers: note names, degrees from the root, or nothing
+ * @property {"auto" | "json" | "json5" | "yaml"} [format="auto"] - Syntax of the block content
+ * @property {string} [color="#000"] - Color of the neck and texts
+ * @property {string} [noteColor="#333"] - Fill of the note markers
+ * @property {string} [rootColor="#c62828"] - Fill of the root markers
+ * @property {string} [fontFamily="Arial, sans-serif"] - Font of every text
+ */
+
+/**
+ * @typedef {Object} FretboardBlockOptions
+ * @property {boolean} [errorInline] - Overrides the plugin-level errorInline for this block
+ * @property {number} [width] - Width in pixels of the diagram
+ * @property {string} [title] - Replaces the title of the diagram
+ */
+
+/**
+ * Content of a fretboard block: a scale, or positions placed by hand
+ * @typedef {Object} FretboardSpec
+ * @property {string} [scale] - Root and scale, e.g. "A minor pentatonic" or "G7 arpeggio"
+ * @property {(number | string)[][]} [positions] - Notes as [string, fret] or [string, fret, label], string 1 being the highest
+ * @property {string} [root] - Root of the positions, marked and used for interval labels
+ * @property {[number, number]} [frets] - First and last fret shown, [0, 12] for a scale by default
+ * @property {string} [title] - Text above the neck, the scale by default
+ */
+
+/**
+ * Options that can be overridden per block in the code fence meta string
+ * @type {Record<string, import("../shared/meta.js").MetaOptionType>}
+ */
+const BLOCK_OPTIONS = {
+  errorInline: "boolean",
+  width: "number",
+  title: "string",
+  tuning: "string",
+  instrument: "string",
+  labels: "string",
+  format: "string",
+  color: "string",
+  noteColor: "string",
+  rootColor: "string",
+  fontFamily: "string",
+};
+
+const PLUGIN_NAME = "remark-fretboard";
+
+const LABELS = ["note", "interval", "none"];
+
+const SPEC_FIELDS = ["scale", "positions", "root", "frets", "title"];
+
+/**
+ * Highest fret a diagram can show
+ */
+const MAX_FRET = 24;
+
+/**
+ * Frets shown around positions placed by hand, at least
+ */
+const MIN_SPAN = 4;
+
+/**
+ * Remark plugin to transform fretboard code blocks into inline SVG diagrams
+ * @param {FretboardOptions} [options={}] - Plugin configuration options
+ * @returns {(tree: import('unist').Node, file?: import('vfile').VFile) => void} Unified transformer
+ */
+function remarkFretboard(options = {}) {
+  const {
+    errorInline: defaultErrorInline = false,
+    instrument: defaultInstrument,
+    tuning: defaultTuning,
+    labels: defaultLabels = "note",
+    format: defaultFormat = "auto",
+    color = "#000",
+    noteColor = "#333",
+    rootColor = "#c62828",
+    fontFamily = "Arial, sans-serif",
+  } = options;
+
+  if (defaultInstrument !== undefined && !INSTRUMENTS[defaultInstrument]) {
+    throw new Error(
+      `Unknown instrument "${defaultInstrument}". Expected one of: ${Object.keys(INSTRUMENTS).join(", ")}`,
+    );
+  }
+  if (defaultTuning !== undefined && !isValidTuning(defaultTuning)) {
+    throw new Error(
+      `Invalid tuning "${defaultTuning}". Expected note names such as "DADGAD"`,
+    );
+  }
+  if (!LABELS.includes(defaultLabels)) {
+    throw new Error(
+      `Unknown fretboard labels "${defaultLabels}". Expected one of: ${LABELS.join(", ")}`,
+    );
+  }
+  if (!DATA_FORMATS.includes(defaultFormat)) {
+    throw new Error(
+      `Unknown fretboard format "${defaultFormat}". Expected one of: ${DATA_FORMATS.join(", ")}`,
+    );
+  }
+
+  /**
+   * Transformer function that processes the AST
+   * @param {Object} tree - The AST tree
+   * @param {import('vfile').VFile} [file] - The processed file, receiving error and warning messages
+   * @returns {void}
+   */
+  return function transformer(tree, file) {
+    visit(
+      tree,
+      "code",
+      /** @type {any} */ (
+        (node, index, parent) => {
+          if (node.lang !== "fretboard") {
+            return;
+          }
+          const {
+            errorInline = defaultErrorInline,
+            width,
+            title,
+            tuning,
+            instrument,
+            labels = defaultLabels,
+            format = defaultFormat,
+            ...style
+          } = resolveBlockOptions(node, file);
+
+          // Where the failure is reported; narrowed down to the syntax error or offending value
+          let errorPlace = node.position;
+          let ruleId = "invalid-fretboard";
+          try {
+            const strings =
+              resolveStrings(
+                tuning || instrument
+                  ? { tuning, instrument }
+                  : { tuning: defaultTuning, instrument: defaultInstrument },
+              ) || resolveStrings({ instrument: "guitar" });
+
+            // A bare line is a scale name, anything else is a JSON5 or YAML spec
+            const dataFormat =
+              format === "auto" ? detectFormat(node.value) : format;
+            let spec;
+            let locate = null;
+            if (dataFormat === "frets") {
+              spec = { scale: node.value.trim() };
+            } else {
+              try {
+                ({ data: spec, locate } = parseChordData(
+                  node.value,
+                  dataFormat,
+                ));
+              } catch (parseError) {
+                if (parseError.offset !== undefined) {
+                  errorPlace =
+                    offsetPlace(node, parseError.offset) || errorPlace;
+                }
+                ruleId =
+                  dataFormat === "yaml" ? "invalid-yaml" : "invalid-json";
+                const syntax =
+                  dataFormat === "yaml"
+                    ? "YAML"
+                    : format === "json5"
+                      ? "JSON5"
+                      : "JSON";
+                throw new Error(
+                  `Invalid ${syntax} in fretboard block: ${parseError.message}`,
+                );
+              }
+            }
+
+            let drawing;
+            try {
+              drawing = layoutFretboard(spec, strings.tuning, labels);
+            } catch (error) {
+              const offset = error.path && locate?.(error.path);
+              if (offset !== undefined) {
+                errorPlace = offsetPlace(node, offset) || errorPlace;
+              }
+              throw error;
+            }
+
+            parent.children[index] = {
+              type: "html",
+              value: drawFretboard({
+                ...drawing,
+                title: title ?? drawing.title,
+                width,
+                style: { color, noteColor, rootColor, fontFamily, ...style },
+              }),
+            };
+          } catch (error) {
+            report(file, error.message, {
+              place: errorPlace,
+              source: PLUGIN_NAME,
+              ruleId,
+              fatal: true,
+              cause: error,
+            });
+            if (errorInline) {
+              parent.children[index] = {
+                type: "html",
+                value: `<div class="fretboard-error">
+    <strong>Fretboard Error:</strong><br>
+    <pre>${escapeHtml(error.message)}</pre>
+  </div>`,
+              };
+            }
+          }
+        }
+      ),
+    );
+  };
+}
+
+/**
+ * Works out the notes, fret range and title of a fretboard spec
+ * @param {unknown} spec - Parsed block content
+ * @param {string[]} tuning - Open string names, from the lowest string
+ * @param {"note" | "interval" | "none"} labels - Text in the note markers
+ * @returns {Omit<import("./draw-fretboard.js").FretboardDrawing, "style" | "width">} What to draw
+ * @throws {Error & { path?: (string | number)[] }} When the spec is invalid, with the path of the offending value
+ */
+export function layoutFretboard(spec, tuning, labels) {
+  const fail = (message, path) => {
+    throw Object.assign(new Error(message), { path });
+  };
+  if (typeof spec !== "object" || spec === null || Array.isArray(spec)) {
+    fail(
+      'Fretboard blocks expect a scale such as "A minor pentatonic", or an object with "scale" or "positions"',
+      [],
+    );
+  }
+  const { scale, positions, root, frets, title } = /** @type {any} */ (spec);
+  const unknown = Object.keys(spec).find(
+    (field) => !SPEC_FIELDS.includes(field),
+  );
+  if (unknown !== undefined) {
+    fail(
+      `Unknown field "${unknown}", expected one of: ${SPEC_FIELDS.join(", ")}`,
+      [unknown],
+    );
+  }
+  if ((scale === undefined) === (positions === undefined)) {
+    fail('Fretboard blocks need either "scale" or "positions"', []);
+  }
+  if (title !== undefined && typeof title !== "string") {
+    fail('"title" must be a string', ["title"]);
+  }
+
+  const range = frets === undefined ? null : checkRange(frets, fail);
+  const openPitches = [...tuning].reverse().map(pitchClass);
+  /**
+   * @param {number} pitch - Pitch class of the note
+   * @param {boolean} flats - Spell black keys with flats
+   * @param {string} interval - Degree from the root, empty when there is no root
+   * @returns {string} Text in the marker
+   */
+  const label = (pitch, flats, interval) =>
+    labels === "none"
+      ? ""
+      : labels === "interval" && interval
+        ? interval
+        : noteName(pitch, flats);
+
+  if (scale !== undefined) {
+    if (typeof scale !== "string") {
+      fail('"scale" must be a string such as "A minor pentatonic"', ["scale"]);
+    }
+    let parsed;
+    try {
+      parsed = parseScale(scale);
+    } catch (error) {
+      fail(error.message, ["scale"]);
+    }
+    const [first, last] = range || [0, 12];
+    const notes = [];
+    openPitches.forEach((open, stringIndex) => {
+      for (let fret = first; fret <= last; fret++) {
+        const pitch = (open + fret) % 12;
+        const note = parsed.notes.find(
+          (scaleNote) => scaleNote.pitch === pitch,
+        );
+        if (note) {
+          notes.push({
+            string: stringIndex + 1,
+            fret,
+            label: label(pitch, parsed.flats, note.interval),
+            root: pitch === parsed.root,
+          });
+        }
+      }
+    });
+    return {
+      tuning,
+      frets: [first, last],
+      notes,
+      title: title ?? scale.trim(),
+    };
+  }
+
+  if (!Array.isArray(positions) || positions.length === 0) {
+    fail('"positions" must be a list of [string, fret]', ["positions"]);
+  }
+  const rootPitch = root === undefined ? null : pitchClass(root);
+  if (root !== undefined && rootPitch === null) {
+    fail(
+      `"root" must be a note name such as "A" or "F#", got ${JSON.stringify(root)}`,
+      ["root"],
+    );
+  }
+  const flats = rootPitch !== null && prefersFlats(root, rootPitch);
+  const notes = positions.map((position, index) => {
+    const [string, fret, text] = Array.isArray(position) ? position : [];
+    if (
+      !Array.isArray(position) ||
+      position.length < 2 ||
+      position.length > 3 ||
+      !Number.isInteger(string) ||
+      !Number.isInteger(fret) ||
+      (text !== undefined && typeof text !== "string")
+    ) {
+      fail(
+        `Position ${index + 1} must be [string, fret] or [string, fret, label], got ${JSON.stringify(position)}`,
+        ["positions", index],
+      );
+    }
+    if (string < 1 || string > tuning.length) {
+      fail(
+        `Position ${index + 1} is on string ${string}, but the neck has ${tuning.length} strings`,
+        ["positions", index, 0],
+      );
+    }
+    if (
+      fret < 0 ||
+      fret > MAX_FRET ||
+      (range && (fret < range[0] || fret > range[1]))
+    ) {
+      fail(
+        range
+          ? `Position ${index + 1} is at fret ${fret}, outside frets ${range[0]} to ${range[1]}`
+          : `Position ${index + 1} is at fret ${fret}, expected 0 to ${MAX_FRET}`,
+        ["positions", index, 1],
+      );
+    }
+    const pitch = (openPitches[string - 1] + fret) % 12;
+    return {
+      string,
+      fret,
+      label:
+        text ??
+        label(
+          pitch,
+          flats,
+          rootPitch === null ? "" : intervalName(pitch, rootPitch),
+        ),
+      root: pitch === rootPitch,
+    };
+  });
+
+  return {
+    tuning,
+    frets: range || positionsRange(notes),
+    notes,
+    title,
+  };
+}
+
+/**
+ * Checks a fret range written in a spec
+ * @param {unknown} frets - The "frets" field
+ * @param {(message: string, path: (string | number)[]) => never} fail - Throws a located error
+ * @returns {[number, number]} First and last fret
+ */
+function checkRange(frets, fail) {
+  if (
+    !Array.isArray(frets) ||
+    frets.length !== 2 ||
+    !frets.every(Number.isInteger) ||
+    frets[0] < 0 ||
+    frets[1] > MAX_FRET ||
+    frets[1] < Math.max(frets[0], 1)
+  ) {
+    fail(
+      `"frets" must be [first, last] with 0 <= first <= last <= ${MAX_FRET}, got ${JSON.stringify(frets)}`,
+      ["frets"],
+    );
+  }
+  return /** @type {[number, number]} */ (frets);
+}
+
+/**
+ * Chooses the frets shown around positions placed by hand: from the nut when
+ * they fit in the first MIN_SPAN frets, and at least MIN_SPAN frets wide
+ * @param {{ fret: number }[]} notes - Placed notes
+ * @returns {[number, number]} First and last fret
+ */
+function positionsRange(notes) {
+  const fretted = notes.map(({ fret }) => fret);
+  const lowest = Math.min(...fretted, MAX_FRET);
+  const first = Math.max(...fretted) <= MIN_SPAN ? 0 : lowest;
+  const last = Math.min(
+    Math.max(...fretted, first + MIN_SPAN - (first === 0 ? 0 : 1)),
+    MAX_FRET,
+  );
+  return [first, last];
+}
+
+/**
+ * Reads the per-block options from a code node's meta string, warning about invalid ones
+ * @param {{ meta?: string | null, position?: import('unist').Position }} node - The code node
+ * @param {import('vfile').VFile} [file] - The processed file
+ * @returns {FretboardBlockOptions & Record<string, any>} Valid per-block options
+ */
+function resolveBlockOptions(node, file) {
+  const { options, warnings } = parseBlockOptions(
+    node.meta,
+    BLOCK_OPTIONS,
+    "fretboard",
+  );
+
+  /** @type {[string, (value: string) => boolean, string][]} */
+  const checks = [
+    [
+      "instrument",
+      (value) => Boolean(INSTRUMENTS[value]),
+      `one of ${Object.keys(INSTRUMENTS).join(", ")}`,
+    ],
+    ["tuning", isValidTuning, 'note names such as "DADGAD"'],
+    [
+      "labels",
+      (value) => LABELS.includes(value),
+      `one of ${LABELS.join(", ")}`,
+    ],
+    [
+      "format",
+      (value) => DATA_FORMATS.includes(value),
+      `one of ${DATA_FORMATS.join(", ")}`,
+    ],
+  ];
+  for (const [key, isValid, expected] of checks) {
+    if (typeof options[key] === "string" && !isValid(options[key])) {
+      warnings.push(
+        `Option "${key}" in fretboard block expects ${expected}, got ${JSON.stringify(options[key])}`,
+      );
+      delete options[key];
+    }
+  }
+
+  for (const warning of warnings) {
+    report(file, warning, {
+      place: node.position,
+      source: PLUGIN_NAME,
+      ruleId: "block-options",
+    });
+  }
+
+  return options;
+}
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+export default remarkFretboard;
@@ -0,0 +1,197 @@
+//@ts-check
+/**
+ * @fileoverview Scales, arpeggios and note spelling for fretboard diagrams
+ */
+
+import { pitchClass } from "../shared/notes.js";
+
+/**
+ * @typedef {Object} Scale
+ * @property {string[]} intervals - Degrees from the root, e.g. ["1", "b3", "4", "5", "b7"]
+ * @property {number} major - Semitones from the root to the tonic of the relative major, which decides between sharps and flats
+ */
+
+/**
+ * @typedef {Object} ScaleNote
+ * @property {number} pitch - Pitch class, 0 for C
+ * @property {string} interval - Degree from the root, "R" for the root itself
+ */
+
+const SHARP_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+const FLAT_NAMES = [
+  "C",
+  "Db",
+  "D",
+  "Eb",
+  "E",
+  "F",
+  "Gb",
+  "G",
+  "Ab",
+  "A",
+  "Bb",
+  "B",
+];
+
+/**
+ * Major keys written with flats: F, Bb, Eb, Ab and Db
+ */
+const FLAT_MAJOR_KEYS = [5, 10, 3, 8, 1];
+
+/**
+ * Semitones above the root of each degree
+ * @type {Record<string, number>}
+ */
+const INTERVAL_SEMITONES = {
+  1: 0,
+  b2: 1,
+  2: 2,
+  "#2": 3,
+  b3: 3,
+  3: 4,
+  4: 5,
+  "#4": 6,
+  b5: 6,
+  5: 7,
+  "#5": 8,
+  b6: 8,
+  6: 9,
+  bb7: 9,
+  b7: 10,
+  7: 11,
+};
+
+/**
+ * Scales and arpeggios by name, as written after the root: "A minor pentatonic", "G7 arpeggio"
+ * @type {Readonly<Record<string, Scale>>}
+ */
+export const SCALES = Object.freeze({
+  major: { intervals: ["1", "2", "3", "4", "5", "6", "7"], major: 0 },
+  minor: { intervals: ["1", "2", "b3", "4", "5", "b6", "b7"], major: 3 },
+  "harmonic minor": {
+    intervals: ["1", "2", "b3", "4", "5", "b6", "7"],
+    major: 3,
+  },
+  "melodic minor": {
+    intervals: ["1", "2", "b3", "4", "5", "6", "7"],
+    major: 3,
+  },
+  dorian: { intervals: ["1", "2", "b3", "4", "5", "6", "b7"], major: 10 },
+  phrygian: { intervals: ["1", "b2", "b3", "4", "5", "b6", "b7"], major: 8 },
+  lydian: { intervals: ["1", "2", "3", "#4", "5", "6", "7"], major: 7 },
+  mixolydian: { intervals: ["1", "2", "3", "4", "5", "6", "b7"], major: 5 },
+  locrian: { intervals: ["1", "b2", "b3", "4", "b5", "b6", "b7"], major: 1 },
+  "major pentatonic": { intervals: ["1", "2", "3", "5", "6"], major: 0 },
+  "minor pentatonic": { intervals: ["1", "b3", "4", "5", "b7"], major: 3 },
+  blues: { intervals: ["1", "b3", "4", "b5", "5", "b7"], major: 3 },
+  "major arpeggio": { intervals: ["1", "3", "5"], major: 0 },
+  "minor arpeggio": { intervals: ["1", "b3", "5"], major: 3 },
+  "7 arpeggio": { intervals: ["1", "3", "5", "b7"], major: 5 },
+  "maj7 arpeggio": { intervals: ["1", "3", "5", "7"], major: 0 },
+  "m7 arpeggio": { intervals: ["1", "b3", "5", "b7"], major: 3 },
+  "m7b5 arpeggio": { intervals: ["1", "b3", "b5", "b7"], major: 1 },
+  "dim7 arpeggio": { intervals: ["1", "b3", "b5", "bb7"], major: 3 },
+});
+
+/**
+ * Other ways of writing scale names
+ * @type {Record<string, string>}
+ */
+const SCALE_ALIASES = {
+  ionian: "major",
+  aeolian: "minor",
+  "natural minor": "minor",
+  "pentatonic major": "major pentatonic",
+  "pentatonic minor": "minor pentatonic",
+  pentatonic: "major pentatonic",
+  "dominant 7 arpeggio": "7 arpeggio",
+  "m arpeggio": "minor arpeggio",
+  "min7 arpeggio": "m7 arpeggio",
+  "half-diminished arpeggio": "m7b5 arpeggio",
+};
+
+/**
+ * Names a pitch class
+ * @param {number} pitch - Pitch class
+ * @param {boolean} flats - Spell black keys with flats
+ * @returns {string} Note name
+ */
+export function noteName(pitch, flats) {
+  return (flats ? FLAT_NAMES : SHARP_NAMES)[pitch];
+}
+
+/**
+ * Reads a scale such as "A minor pentatonic", "Bb blues" or "E7 arpeggio"
+ * @param {string} spec - Root followed by a scale name
+ * @returns {{ root: number, flats: boolean, notes: ScaleNote[] }} Root pitch class, spelling and notes of the scale
+ * @throws {Error} When the root or the scale name is unknown
+ */
+export function parseScale(spec) {
+  const match = /^\s*([A-G](?:#|b|♯|♭)?)\s*(.*?)\s*$/.exec(spec);
+  if (!match) {
+    throw new Error(
+      `Scale "${spec}" must start with its root, e.g. "A minor pentatonic"`,
+    );
+  }
+  const [, rootName, rest] = match;
+  const name = rest.toLowerCase().replace(/\s+/g, " ");
+  const scale = SCALES[SCALE_ALIASES[name] || name];
+  if (!scale) {
+    throw new Error(
+      `Unknown scale "${rest}". Expected one of: ${Object.keys(SCALES).join(", ")}`,
+    );
+  }
+
+  const root = /** @type {number} */ (pitchClass(rootName));
+  return {
+    root,
+    flats: prefersFlats(rootName, (root + scale.major) % 12),
+    notes: scale.intervals.map((interval) => ({
+      pitch: (root + INTERVAL_SEMITONES[interval]) % 12,
+      interval: interval === "1" ? "R" : interval,
+    })),
+  };
+}
+
+/**
+ * Names the degree of a note above a root, for notes placed by hand
+ * @param {number} pitch - Pitch class of the note
+ * @param {number} root - Pitch class of the root
+ * @returns {string} Degree such as "R", "b3" or "5"
+ */
+export function intervalName(pitch, root) {
+  const semitones = (pitch - root + 12) % 12;
+  return semitones === 0
+    ? "R"
+    : ["b2", "2", "b3", "3", "4", "b5", "5", "b6", "6", "b7", "7"][
+        semitones - 1
+      ];
+}
+
+/**
+ * Decides how to spell the notes of a key: as its root is written, or else
+ * like the key signature of its relative major
+ * @param {string} rootName - Root as written
+ * @param {number} relativeMajor - Pitch class of the relative major tonic
+ * @returns {boolean} True for flats
+ */
+export function prefersFlats(rootName, relativeMajor) {
+  if (/[#♯]/.test(rootName)) {
+    return false;
+  }
+  return /.[b♭]/.test(rootName) || FLAT_MAJOR_KEYS.includes(relativeMajor);
+}
@@ -0,0 +1,393 @@
+//@ts-check
+/**
+ * @fileoverview Converts plain-text guitar tablature (`e|---0---3---|`) to a LilyPond TabStaff
+ */
+
+import { isValidTuning, parseTuning, pitchClass } from "../shared/notes.js";
+
+/**
+ * @typedef {Object} TabNote
+ * @property {number} string - String number, 1 being the highest
+ * @property {number} fret - Fret, 0 for the open string
+ * @property {number} column - Column in the system, after the string labels
+ * @property {boolean} dead - Muted note written `x`
+ * @property {string} [link] - Technique leading to the next note on the string: "h", "p", "r", "/" or "\\"
+ * @property {string} [from] - Technique leading to this note from the previous one on the string
+ * @property {number} [bend] - Semitones the note is bent up
+ */
+
+/**
+ * @typedef {Object} TabSystem
+ * @property {TabNote[]} notes - Notes of every string
+ * @property {Map<number, string>} bars - Bar lines by column: "|" or "||"
+ * @property {string[]} labels - String labels as written, from the highest string
+ */
+
+/**
+ * Open string pitches, as MIDI note numbers from the lowest string, of the
+ * usual instrument for each number of strings; tunings written in a tab are
+ * placed in the octave closest to these
+ * @type {Record<number, number[]>}
+ */
+const REFERENCE_TUNINGS = {
+  4: [28, 33, 38, 43],
+  5: [23, 28, 33, 38, 43],
+  6: [40, 45, 50, 55, 59, 64],
+  7: [35, 40, 45, 50, 55, 59, 64],
+};
+
+/**
+ * LilyPond note names of the pitch classes, in the default Dutch names
+ */
+const LILYPOND_NAMES = [
+  "c",
+  "cis",
+  "d",
+  "dis",
+  "e",
+  "f",
+  "fis",
+  "g",
+  "gis",
+  "a",
+  "ais",
+  "b",
+];
+
+/**
+ * Matches a string line: optional note name label, then the first bar line
+ * or dash. The rest of the line is read by parseLine.
+ */
+const TAB_LINE = /^(\s*)(?:([A-Ga-g](?:#|b|♯|♭)?)\s*)?(\|?)(?=[-|\d])/;
+
+/**
+ * Converts ASCII tablature to LilyPond source. Each group of consecutive string
+ * lines is a system; other lines (titles, chord names, blank lines) separate
+ * systems and are not engraved. Notes have no rhythm: every column holding
+ * notes is one event, as in the text.
+ * @param {string} text - Block content
+ * @param {{ tuning?: string }} [settings] - Open strings from the lowest, replacing the labels of the tab
+ * @returns {string} LilyPond source of a TabStaff
+ * @throws {Error & { offset: number }} When the tab cannot be read, with the offset of the problem in the text
+ */
+export function asciiTabToLilyPond(text, { tuning } = {}) {
+  const systems = parseTab(text);
+  const stringCount = systems[0].labels.length;
+
+  // Labels name the open strings from the highest; an explicit tuning wins,
+  // and unlabelled tabs are for the usual instrument with as many strings
+  const labels = systems[0].labels;
+  let openPitches;
+  if (tuning) {
+    const names = parseTuning(tuning);
+    if (names.length !== stringCount) {
+      throw Object.assign(
+        new Error(
+          `Tuning "${tuning}" has ${names.length} strings, but the tab has ${stringCount}`,
+        ),
+        { offset: 0 },
+      );
+    }
+    openPitches = tuningPitches(names);
+  } else if (labels.every((label) => !label)) {
+    openPitches = REFERENCE_TUNINGS[stringCount] || null;
+  } else if (labels.some((label) => !label)) {
+    throw Object.assign(
+      new Error(
+        'Label every string of the tab with its note, as in "e|", or none of them',
+      ),
+      { offset: 0 },
+    );
+  } else {
+    openPitches = tuningPitches([...labels].reverse());
+  }
+  if (!openPitches) {
+    throw Object.assign(
+      new Error(`Tabs need 4 to 7 strings, got ${stringCount}`),
+      { offset: 0 },
+    );
+  }
+
+  const music = systems.map((system) =>
+    systemMusic(system, openPitches).join(" "),
+  );
+  const strings = openPitches.map(lilypondPitch).join(" ");
+  return `\\new TabStaff \\with {
+  stringTunings = \\stringTuning <${strings}>
+  \\omit TimeSignature
+} {
+  \\cadenzaOn
+  ${music.join("\n  \\break\n  ")}
+}
+`;
+}
+
+/**
+ * Checks a tuning option for tab blocks
+ * @param {string} tuning - Open strings from the lowest, e.g. "DADGAD" or "B E A D G B E"
+ * @returns {boolean} True if it names 4 to 7 strings and nothing else
+ */
+export function isValidTabTuning(tuning) {
+  return (
+    isValidTuning(tuning) &&
+    REFERENCE_TUNINGS[parseTuning(tuning).length] !== undefined
+  );
+}
+
+/**
+ * Splits a tab into systems of string lines and reads their notes
+ * @param {string} text - Block content
+ * @returns {TabSystem[]} Systems, top to bottom
+ * @throws {Error & { offset: number }} When the tab cannot be read
+ */
+function parseTab(text) {
+  /** @type {{ content: string, offset: number, label: string }[][]} */
+  const groups = [];
+  let group = null;
+  let lineOffset = 0;
+  for (const line of text.split("\n")) {
+    const match = TAB_LINE.exec(line);
+    if (match && line.includes("-")) {
+      const prefix = match[0].length;
+      if (!group) {
+        group = [];
+        groups.push(group);
+      }
+      group.push({
+        content: line.slice(prefix).trimEnd(),
+        offset: lineOffset + prefix,
+        label: match[2] || "",
+      });
+    } else {
+      group = null;
+    }
+    lineOffset += line.length + 1;
+  }
+
+  if (groups.length === 0) {
+    throw Object.assign(
+      new Error('No tab found: string lines look like "e|---0---3---|"'),
+      { offset: 0 },
+    );
+  }
+
+  return groups.map((lines) => {
+    if (lines.length !== groups[0].length) {
+      throw Object.assign(
+        new Error(
+          `Every system needs the same number of strings: found ${lines.length} lines, expected ${groups[0].length}`,
+        ),
+        { offset: lines[0].offset },
+      );
+    }
+    /** @type {TabSystem} */
+    const system = {
+      notes: [],
+      bars: new Map(),
+      labels: lines.map(({ label }) => label),
+    };
+    lines.forEach((line, index) => parseLine(line, index + 1, system));
+    system.notes.sort((a, b) => a.column - b.column || a.string - b.string);
+    return system;
+  });
+}
+
+/**
+ * Reads the notes, techniques and bar lines of one string
+ * @param {{ content: string, offset: number }} line - Text after the label and first bar line
+ * @param {number} string - String number, 1 being the highest
+ * @param {TabSystem} system - System receiving the notes and bar lines
+ * @returns {void}
+ * @throws {Error & { offset: number }} At the first symbol that cannot be read
+ */
+function parseLine({ content, offset }, string, system) {
+  const fail = (message, column) => {
+    throw Object.assign(new Error(message), { offset: offset + column });
+  };
+
+  /** @type {TabNote | null} */
+  let last = null;
+  // Techniques are written right after the note they start from
+  let lastEnd = -1;
+  // Column of a technique still waiting for the note it leads to
+  let linkColumn = -1;
+  let column = 0;
+  while (column < content.length) {
+    const symbol = content[column];
+    const digits = /^\d+/.exec(content.slice(column));
+    if (digits) {
+      const note = {
+        string,
+        fret: Number(digits[0]),
+        column,
+        dead: false,
+        ...(linkColumn === -1 ? {} : { from: last.link }),
+      };
+      system.notes.push(note);
+      last = note;
+      linkColumn = -1;
+      column += digits[0].length;
+      lastEnd = column;
+      continue;
+    }
+
+    if (symbol === "x" || symbol === "X") {
+      if (linkColumn !== -1) {
+        fail(`"${content[linkColumn]}" must lead to a fret`, linkColumn);
+      }
+      last = { string, fret: 0, column, dead: true };
+      system.notes.push(last);
+    } else if ("hp/\\r".includes(symbol)) {
+      if (!last || last.dead || column !== lastEnd) {
+        fail(`"${symbol}" must directly follow a fretted note`, column);
+      }
+      if (symbol === "r" && last.bend === undefined) {
+        fail('"r" releases a bend and must follow one, as in "7b9r7"', column);
+      }
+      last.link = symbol;
+      linkColumn = column;
+    } else if (symbol === "b") {
+      if (!last || last.dead || column !== lastEnd) {
+        fail('"b" must directly follow a fretted note', column);
+      }
+      // The fret bent to, optionally in parentheses; a whole tone when omitted
+      const target = /^b\(?(\d+)\)?/.exec(content.slice(column));
+      const bend = target ? Number(target[1]) - last.fret : 2;
+      if (bend <= 0) {
+        fail(
+          `Bend from fret ${last.fret} to fret ${target[1]} must go up`,
+          column,
+        );
+      }
+      last.bend = bend;
+      column += target ? target[0].length : 1;
+      lastEnd = column;
+      continue;
+    } else if (symbol === "|") {
+      if (linkColumn !== -1) {
+        fail(`"${content[linkColumn]}" must lead to a fret`, linkColumn);
+      }
+      const double = content[column + 1] === "|";
+      if (system.bars.get(column) !== "||") {
+        system.bars.set(column, double ? "||" : "|");
+      }
+      column += double ? 2 : 1;
+      continue;
+    } else if (symbol !== "-" && symbol !== " ") {
+      fail(
+        `Unsupported tab symbol "${symbol}": expected frets, x, h, p, b, r, /, \\, - or |`,
+        column,
+      );
+    }
+    column++;
+  }
+
+  if (linkColumn !== -1) {
+    fail(`"${content[linkColumn]}" must lead to a fret`, linkColumn);
+  }
+}
+
+/**
+ * Writes the events and bar lines of a system as LilyPond music. Hammer-ons,
+ * pull-offs and releases are slurred, slides are glissandos and bends rise
+ * after their note.
+ * @param {TabSystem} system - The system
+ * @param {number[]} openPitches - MIDI note numbers of the open strings, from the lowest
+ * @returns {string[]} LilyPond events
+ */
+function systemMusic({ notes, bars }, openPitches) {
+  const stringCount = openPitches.length;
+  /** @type {Map<number, TabNote[]>} */
+  const events = new Map();
+  for (const note of notes) {
+    events.set(note.column, [...(events.get(note.column) || []), note]);
+  }
+
+  const barColumns = [...bars.keys()].sort((a, b) => a - b);
+  const music = [];
+  let slurOpen = false;
+  let nextBar = 0;
+  /** @param {number} column - Bar lines left of this column are written */
+  const writeBars = (column) => {
+    while (nextBar < barColumns.length && barColumns[nextBar] < column) {
+      // Strings disagreeing by a column still make a single bar line
+      const bar = `\\bar "${bars.get(barColumns[nextBar])}"`;
+      if (!music[music.length - 1]?.startsWith("\\bar")) {
+        music.push(bar);
+      } else if (bar.length > music[music.length - 1].length) {
+        music[music.length - 1] = bar;
+      }
+      nextBar++;
+    }
+  };
+  /** @param {string | undefined} technique - Technique between two notes */
+  const isSlurred = (technique) =>
+    technique !== undefined && "hpr".includes(technique);
+
+  for (const [column, chord] of events) {
+    writeBars(column);
+    const pitches = chord.map(({ string, fret, dead }) => {
+      const pitch = `${lilypondPitch(openPitches[stringCount - string] + fret)}\\${string}`;
+      return dead ? `\\deadNote ${pitch}` : pitch;
+    });
+    let event = `<${pitches.join(" ")}>8`;
+
+    const bend = Math.max(0, ...chord.map((note) => note.bend || 0));
+    if (bend > 0) {
+      event += `\\bendAfter #+${bend * 2}`;
+    }
+    // One slur spans a chain of hammer-ons and pull-offs, up to its last note
+    const continues = chord.some(({ link }) => isSlurred(link));
+    if (continues && !slurOpen) {
+      event += "(";
+      slurOpen = true;
+    } else if (
+      slurOpen &&
+      !continues &&
+      chord.some(({ from }) => isSlurred(from))
+    ) {
+      event += ")";
+      slurOpen = false;
+    }
+    if (chord.some(({ link }) => link === "/" || link === "\\")) {
+      event += "\\glissando";
+    }
+    music.push(event);
+  }
+  writeBars(Infinity);
+  return music;
+}
+
+/**
+ * Places a tuning in the octaves of the usual instrument with as many strings
+ * @param {string[]} names - Open string names, from the lowest
+ * @returns {number[] | null} MIDI note numbers, or null for an unusual number of strings
+ */
+function tuningPitches(names) {
+  const reference = REFERENCE_TUNINGS[names.length];
+  if (!reference) {
+    return null;
+  }
+  return names.map((name, index) => {
+    // Labels of the highest string are often lower case, as in "e|"
+    const pitch = /** @type {number} */ (
+      pitchClass(name[0].toUpperCase() + name.slice(1))
+    );
+    // The nearest pitch with that name, a tritone away at most
+    const distance = ((((pitch - reference[index]) % 12) + 18) % 12) - 6;
+    return reference[index] + distance;
+  });
+}
+
+/**
+ * Writes a MIDI note number as a LilyPond pitch in absolute octave notation
+ * @param {number} midi - MIDI note number, 48 for LilyPond's `c`
+ * @returns {string} Pitch such as "e," or "fis'"
+ */
+function lilypondPitch(midi) {
+  const octave = Math.floor(midi / 12) - 4;
+  return (
+    LILYPOND_NAMES[midi % 12] +
+    (octave > 0 ? "'".repeat(octave) : ",".repeat(-octave))
+  );
+}
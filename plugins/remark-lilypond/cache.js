@@ -0,0 +1,207 @@
+//@ts-check
+/**
+ * @fileoverview Content-addressed on-disk cache for rendered LilyPond output
+ */
+
+import { createHash } from "crypto";
+import {
+  mkdir,
+  readFile,
+  readdir,
+  rename,
+  rm,
+  stat,
+  utimes,
+  writeFile,
+} from "fs/promises";
+import { join, resolve } from "path";
+
+/**
+ * @typedef {Object} LilyPondCacheOptions
+ * @property {string} [dir='node_modules/.cache/music-md/lilypond'] - Directory holding cache entries
+ * @property {number} [maxEntries=500] - Maximum number of entries kept after pruning
+ * @property {number} [maxAge=Infinity] - Maximum age in milliseconds since an entry was last used
+ */
+
+/**
+ * @typedef {Object} LilyPondCache
+ * @property {string} dir - Absolute path of the cache directory
+ * @property {(key: string) => Promise<string | null>} get - Read an entry, or null when missing
+ * @property {(key: string, value: string) => Promise<void>} set - Store an entry
+ * @property {(key: string) => Promise<void>} invalidate - Remove a single entry
+ * @property {(source: string) => Promise<void>} invalidateSource - Remove every entry rendered from a block source, whatever its options
+ * @property {() => Promise<void>} clear - Remove every entry
+ * @property {() => Promise<void>} prune - Evict stale entries and enforce maxEntries
+ */
+
+const DEFAULT_CACHE_DIR = join(
+  "node_modules",
+  ".cache",
+  "music-md",
+  "lilypond",
+);
+const ENTRY_EXTENSION = ".cache";
+// Length of the source digest that prefixes block entry keys
+const SOURCE_DIGEST_LENGTH = 16;
+
+/**
+ * Computes a stable cache key from the given parts
+ * @param {...any} parts - Values identifying the rendered output (source, version, options)
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+export function cacheKey(...parts) {
+  const hash = createHash("sha256");
+  for (const part of parts) {
+    hash.update(typeof part === "string" ? part : stableStringify(part));
+    hash.update("\0");
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Computes the key of a rendered block: a digest of the block source as
+ * written, followed by the cache key of everything else the output depends
+ * on, so that every render of a source can be invalidated together
+ * @param {string} source - Block content, or the content of the score file it references
+ * @param {...any} parts - Values identifying the rendered output (final source, version, options)
+ * @returns {string} Key usable with LilyPondCache
+ */
+export function blockCacheKey(source, ...parts) {
+  return `${sourceDigest(source)}-${cacheKey(...parts)}`;
+}
+
+/**
+ * Creates a cache storing one file per entry in a directory.
+ * Entries are touched on read so that eviction removes the least recently used first.
+ * @param {LilyPondCacheOptions} [options={}] - Cache configuration
+ * @returns {LilyPondCache} Cache instance
+ */
+export function createLilyPondCache(options = {}) {
+  const {
+    dir = DEFAULT_CACHE_DIR,
+    maxEntries = 500,
+    maxAge = Infinity,
+  } = options;
+  const cacheDir = resolve(dir);
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {string} Entry path
+   */
+  const entryPath = (key) => join(cacheDir, `${key}${ENTRY_EXTENSION}`);
+
+  return {
+    dir: cacheDir,
+
+    async get(key) {
+      const path = entryPath(key);
+      try {
+        const value = await readFile(path, "utf8");
+        const now = new Date();
+        await utimes(path, now, now).catch(() => {});
+        return value;
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async set(key, value) {
+      await mkdir(cacheDir, { recursive: true });
+      // Write to a temporary file first so concurrent readers never see partial entries
+      const tmpPath = `${entryPath(key)}.${process.pid}.${Date.now()}.tmp`;
+      await writeFile(tmpPath, value, "utf8");
+      await rename(tmpPath, entryPath(key));
+    },
+
+    async invalidate(key) {
+      await rm(entryPath(key), { force: true });
+    },
+
+    async invalidateSource(source) {
+      const prefix = `${sourceDigest(source)}-`;
+      let names;
+      try {
+        names = await readdir(cacheDir);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return;
+        }
+        throw error;
+      }
+      await Promise.all(
+        names
+          .filter(
+            (name) => name.startsWith(prefix) && name.endsWith(ENTRY_EXTENSION),
+          )
+          .map((name) => rm(join(cacheDir, name), { force: true })),
+      );
+    },
+
+    async clear() {
+      await rm(cacheDir, { recursive: true, force: true });
+    },
+
+    async prune() {
+      let names;
+      try {
+        names = await readdir(cacheDir);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return;
+        }
+        throw error;
+      }
+
+      const entries = [];
+      for (const name of names) {
+        if (!name.endsWith(ENTRY_EXTENSION)) {
+          continue;
+        }
+        const path = join(cacheDir, name);
+        try {
+          const { mtimeMs } = await stat(path);
+          entries.push({ path, mtimeMs });
+        } catch (error) {
+          // Entry removed by a concurrent prune
+        }
+      }
+
+      // Most recently used first
+      entries.sort((a, b) => b.mtimeMs - a.mtimeMs);
+      const now = Date.now();
+      const stale = entries.filter(
+        (entry, index) => index >= maxEntries || now - entry.mtimeMs > maxAge,
+      );
+      await Promise.all(stale.map(({ path }) => rm(path, { force: true })));
+    },
+  };
+}
+
+/**
+ * @param {string} source - Block source
+ * @returns {string} Short hex digest identifying the source
+ */
+function sourceDigest(source) {
+  return cacheKey(source).slice(0, SOURCE_DIGEST_LENGTH);
+}
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal options hash equally
+ * @param {any} value - Value to serialize
+ * @returns {string} Deterministic JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
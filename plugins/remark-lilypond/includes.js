@@ -0,0 +1,77 @@
+//@ts-check
+/**
+ * @fileoverview Resolves the files pulled in by `\include` so that cached renders
+ * are invalidated when a shared include file changes
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, isAbsolute, join } from "path";
+import { createHash } from "crypto";
+
+/**
+ * Matches `\include "file.ily"`, capturing the file name
+ */
+const INCLUDE_PATTERN = /\\include\s+"((?:[^"\\]|\\.)*)"/g;
+
+/**
+ * @typedef {Object} ResolvedInclude
+ * @property {string} path - Absolute path of the included file
+ * @property {string} content - File content
+ */
+
+/**
+ * Finds every file included by a LilyPond source, following nested includes.
+ * Names are looked up like LilyPond does: relative to the including file first,
+ * then in each include directory. Names that cannot be found are left for
+ * LilyPond to report.
+ * @param {string} source - LilyPond source
+ * @param {string[]} includePaths - Absolute include directories, in lookup order
+ * @returns {Promise<ResolvedInclude[]>} Included files in the order they were found
+ */
+export async function resolveIncludes(source, includePaths) {
+  /** @type {ResolvedInclude[]} */
+  const found = [];
+  const seen = new Set();
+
+  /**
+   * @param {string} text - Source to scan
+   * @param {string[]} searchPaths - Directories to look in
+   * @returns {Promise<void>}
+   */
+  const scan = async (text, searchPaths) => {
+    for (const [, name] of text.matchAll(INCLUDE_PATTERN)) {
+      const candidates = isAbsolute(name)
+        ? [name]
+        : searchPaths.map((dir) => join(dir, name));
+
+      for (const candidate of candidates) {
+        if (seen.has(candidate)) {
+          break;
+        }
+        const content = await readFile(candidate, "utf8").catch(() => null);
+        if (content !== null) {
+          seen.add(candidate);
+          found.push({ path: candidate, content });
+          await scan(content, [dirname(candidate), ...includePaths]);
+          break;
+        }
+      }
+    }
+  };
+
+  await scan(source, includePaths);
+  return found;
+}
+
+/**
+ * Computes a digest of the included files, used as part of the cache key
+ * @param {ResolvedInclude[]} includes - Resolved includes
+ * @returns {string} Hex digest, identical for identical include sets
+ */
+export function includesDigest(includes) {
+  const hash = createHash("sha256");
+  for (const { path, content } of includes) {
+    hash.update(path).update("\0").update(content).update("\0");
+  }
+  return hash.digest("hex");
+}
@@ -3,8 +3,91 @@
  * @fileoverview Remark plugin for converting LilyPond code blocks to inline SVG
  */
 
-import { visit } from "unist-util-visit";
-import { render } from "lilynode";
+import { SKIP, visit } from "unist-util-visit";
+import { execFile } from "child_process";
+import { createHash } from "crypto";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { basename, dirname, join, relative, resolve, sep } from "path";
+import { promisify } from "util";
+import os from "os";
+import { blockCacheKey, createLilyPondCache } from "./cache.js";
+import { renderLilyPond } from "./lilypond.js";
+import { getContentBounds } from "./svg-bbox.js";
+import { includesDigest, resolveIncludes } from "./includes.js";
+import { findUnsafeConstruct, isSafePath } from "./safety.js";
+import { asciiTabToLilyPond, isValidTabTuning } from "./ascii-tab.js";
+import { parseBlockOptions } from "../shared/meta.js";
+import { report } from "../shared/messages.js";
+import { createIdNamespacer, namespaceSvgIds } from "../shared/svg-ids.js";
+
+export { createLilyPondCache } from "./cache.js";
+
+const execFileAsync = promisify(execFile);
+
+/** @type {Map<string, Promise<string | null>>} */
+const versionCache = new Map();
+
+/**
+ * Options that can be overridden per block in the code fence meta string
+ * @type {Record<string, import("../shared/meta.js").MetaOptionType>}
+ */
+const BLOCK_OPTIONS = {
+  errorInline: "boolean",
+  compact: "boolean",
+  compactPadding: "number",
+  transpose: "string",
+  caption: "string",
+  src: "string",
+  midi: "boolean",
+  splitSystems: "boolean",
+  timeout: "number",
+};
+
+/**
+ * Options that can be overridden per block in the fence meta string of tab blocks
+ * @type {Record<string, import("../shared/meta.js").MetaOptionType>}
+ */
+const TAB_BLOCK_OPTIONS = {
+  errorInline: "boolean",
+  compact: "boolean",
+  compactPadding: "number",
+  caption: "string",
+  midi: "boolean",
+  timeout: "number",
+  tuning: "string",
+};
+
+/**
+ * Matches a LilyPond pitch in Dutch (default) note names, e.g. `c`, `bes,`, `fis''`
+ */
+const PITCH = "[a-g][a-z]*[,']*";
+const TRANSPOSE_PATTERN = new RegExp(`^(${PITCH})\\s+(${PITCH})$`);
+
+/**
+ * Matches LilyPond diagnostics such as `/tmp/x.ly:3:5: error: unknown escaped string`
+ */
+const DIAGNOSTIC_PATTERN =
+  /^(.*?):(\d+):(\d+): (error|warning|fatal error|programming error): (.*)$/gm;
+
+const PLUGIN_NAME = "remark-lilypond";
+
+/**
+ * Makes every score produce MIDI as well as notation, for blocks flagged `midi` that have no `\midi` block.
+ * A score that only has `\midi` loses its default layout, so a layout is added back where missing.
+ */
+const MIDI_HOOK = `#(define (music-md-add-midi score)
+  (let ((defs (ly:score-output-defs score)))
+    (if (not (any (lambda (def) (ly:output-def-lookup def 'is-layout #f)) defs))
+        (ly:score-add-output-def! score (ly:output-def-clone $defaultlayout)))
+    (if (not (any (lambda (def) (ly:output-def-lookup def 'is-midi #f)) defs))
+        (ly:score-add-output-def! score (ly:output-def-clone $defaultmidi)))
+    score))
+#(define toplevel-score-handler
+  (let ((handler toplevel-score-handler))
+    (lambda (score . rest) (apply handler (music-md-add-midi score) rest))))
+#(define toplevel-music-handler
+  (lambda (music . rest) (collect-scores-for-book (music-md-add-midi (scorify-music music)))))
+`;
 
 /**
  * @typedef {Object} LilyPondOptions
@@ -12,37 +95,116 @@ import { render } from "lilynode";
  * @property {boolean} [errorInline=false] - Whether to display errors inline or log to console
  * @property {boolean} [skipOnMissing=false] - Skip processing if LilyPond is not available
  * @property {boolean} [compact=true] - Remove tagline and crop whitespace from SVG output
+ * @property {number} [compactPadding=1] - Space kept around the cropped content, in SVG user units (staff spaces)
+ * @property {number} [concurrency=os.availableParallelism()] - Maximum number of LilyPond processes running at once
+ * @property {boolean | import("./cache.js").LilyPondCacheOptions | import("./cache.js").LilyPondCache} [cache=false] - Reuse rendered SVG for unchanged blocks; pass options or a cache created with createLilyPondCache()
+ * @property {boolean} [midi=false] - Produce MIDI for every block, not only those containing \midi or flagged `midi`
+ * @property {string} [midiDir] - Write MIDI files to this directory, relative to the file's cwd, instead of embedding them as data URIs
+ * @property {string} [midiUrl] - URL prefix used to link MIDI files written to midiDir (defaults to midiDir relative to the markdown file, for pages written next to it)
+ * @property {boolean} [midiPlayer=true] - Add a <midi-player> element next to the download link
+ * @property {boolean} [splitSystems=false] - Emit one SVG per system instead of one per page, so pagination can break between systems
+ * @property {string} [preamble] - LilyPond source prepended to every block, e.g. shared \paper, \layout and macro definitions
+ * @property {string} [preambleFile] - File whose content is prepended to every block, after `preamble`
+ * @property {string[]} [includePaths=[]] - Directories searched for `\include` files, after the markdown file's directory
+ * @property {boolean} [safe=false] - For untrusted input: run LilyPond with -dsafe and reject dangerous Scheme, absolute and `..` paths
+ * @property {number} [timeout=0] - Kill LilyPond after this many milliseconds per block (0 for no limit)
+ */
+
+/**
+ * @typedef {Object} LilyPondBlockOptions
+ * @property {boolean} [errorInline] - Overrides the plugin-level errorInline for this block
+ * @property {boolean} [compact] - Overrides the plugin-level compact for this block
+ * @property {number} [compactPadding] - Overrides the plugin-level compactPadding for this block
+ * @property {string} [transpose] - Transpose top-level music from one pitch to another, e.g. "c d"
+ * @property {string} [caption] - Wrap the rendered SVG in a figure with this caption
+ * @property {string} [src] - Render this .ly file, relative to the markdown file, instead of the block content
+ * @property {boolean} [midi] - Produce MIDI for this block and attach it next to the SVG
+ * @property {boolean} [splitSystems] - Overrides the plugin-level splitSystems for this block
+ * @property {number} [timeout] - Overrides the plugin-level timeout for this block; in safe mode it can only be shortened
+ * @property {string} [tuning] - Open strings of a tab block from the lowest, e.g. "DADGAD", replacing the labels of the tab
  */
 
 /**
  * Remark plugin to transform LilyPond code blocks into inline SVG images.
  * @param {LilyPondOptions} [options={}] - Plugin configuration options
- * @returns {(tree: import('unist').Node) => Promise<void>} Unified transformer
+ * @returns {(tree: import('unist').Node, file?: import('vfile').VFile) => Promise<void>} Unified transformer
  */
 function remarkLilypond(options = {}) {
   const {
     binaryPath = "lilypond",
-    errorInline = false,
+    errorInline: defaultErrorInline = false,
     skipOnMissing = false,
-    compact = true,
+    compact: defaultCompact = true,
+    compactPadding: defaultCompactPadding = 1,
+    cache = false,
+    concurrency = defaultConcurrency(),
+    midi: defaultMidi = false,
+    midiDir,
+    midiUrl,
+    midiPlayer = true,
+    splitSystems: defaultSplitSystems = false,
+    preamble = "",
+    preambleFile,
+    includePaths = [],
+    safe = false,
+    timeout: defaultTimeout = 0,
   } = options;
+  const svgCache = resolveCache(cache);
 
   /**
    * Transformer function that processes the AST
    * @param {import('unist').Node & { children?: any[] }} tree - The AST tree
+   * @param {import('vfile').VFile} [file] - The processed file, receiving error and warning messages
    * @returns {Promise<void>}
    */
-  return async function transformer(tree) {
+  return async function transformer(tree, file) {
     const codeBlocks = [];
+    // Named in document order, as blocks render concurrently
+    const idNamespace = createIdNamespacer("lilypond");
 
-    // Collect all lilypond code blocks
+    // Collect lilypond and tab code blocks and images referencing .ly files
     visit(
       tree,
-      "code",
       /** @type {any} */ (
         (node, index, parent) => {
-          if (/** @type {any} */ (node).lang === "lilypond") {
-            codeBlocks.push({ node, index, parent });
+          if (
+            node.type === "code" &&
+            (node.lang === "lilypond" || node.lang === "tab")
+          ) {
+            codeBlocks.push({
+              node,
+              index,
+              parent,
+              namespace: idNamespace(
+                `${node.lang} ${node.meta || ""}\n${node.value}`,
+              ),
+            });
+          } else if (
+            node.type === "paragraph" &&
+            node.children.length === 1 &&
+            isScoreImage(node.children[0])
+          ) {
+            // An image alone in its paragraph is replaced like a fenced block
+            const image = node.children[0];
+            codeBlocks.push({
+              node,
+              index,
+              parent,
+              image,
+              namespace: idNamespace(image.url),
+            });
+            return SKIP;
+          } else if (isScoreImage(node)) {
+            // A score cannot sit inside a paragraph of running text
+            report(
+              file,
+              `Score image "${node.url}" is inside running text; put it in a paragraph of its own to render it`,
+              {
+                place: node.position,
+                source: PLUGIN_NAME,
+                ruleId: "inline-score",
+              },
+            );
           }
         }
       ),
@@ -53,27 +215,222 @@ function remarkLilypond(options = {}) {
       return;
     }
 
-    // Process each code block asynchronously
-    for (const { node, index, parent } of codeBlocks) {
-      try {
-        // Prepare LilyPond code with optional header modifications
-        let lilypondCode = node.value;
-        if (compact) {
-          // Remove tagline and margins, use ragged-right for natural width
-          lilypondCode = `\\paper {\n            indent = 0\n            ragged-right = ##t\n            right-margin = 0\n            left-margin = 0\n          }\n\\header { tagline = "" }\n${lilypondCode}`;
-        }
+    // House style and include lookup are shared by every block of the document
+    const cwd = file?.cwd ?? process.cwd();
+    const sharedPreamble = await loadPreamble(
+      preamble,
+      preambleFile && resolve(cwd, preambleFile),
+    );
+    const documentDir = file?.path ? dirname(resolve(cwd, file.path)) : cwd;
+    const searchPaths = [
+      ...(file?.path ? [documentDir] : []),
+      ...(preambleFile ? [dirname(resolve(cwd, preambleFile))] : []),
+      ...includePaths.map((dir) => resolve(cwd, dir)),
+    ];
+    const midiPath = midiDir && resolve(cwd, midiDir);
+    const midiLink =
+      midiUrl ??
+      (midiPath && relative(documentDir, midiPath).split(sep).join("/"));
 
-        const svgBuffer = await render(lilypondCode, {
-          format: "svg",
-          binaryPath,
+    // The version is part of the cache key: upgrading LilyPond must not serve stale output
+    const version = svgCache ? await getLilyPondVersion(binaryPath) : null;
+    let cacheWritten = false;
+
+    // Once LilyPond is known to be missing, blocks that have not started yet are skipped
+    let lilypondMissing = false;
+
+    /**
+     * Renders a single code block or score image and replaces it in its parent
+     * @param {{ node: any, index: number, parent: any, image?: any, namespace: string }} block - The collected block
+     * @returns {Promise<void>}
+     */
+    const processBlock = async ({ node, index, parent, image, namespace }) => {
+      if (skipOnMissing && lilypondMissing) {
+        return;
+      }
+
+      /** @type {LilyPondBlockOptions} */
+      const blockOptions = image
+        ? { src: image.url, caption: image.title || undefined }
+        : resolveBlockOptions(node, file);
+      const {
+        errorInline,
+        compact,
+        compactPadding,
+        transpose,
+        caption,
+        src,
+        midi,
+        splitSystems,
+        timeout: blockTimeout,
+        tuning,
+      } = {
+        errorInline: defaultErrorInline,
+        compact: defaultCompact,
+        compactPadding: defaultCompactPadding,
+        midi: defaultMidi,
+        splitSystems: defaultSplitSystems,
+        ...blockOptions,
+      };
+      // Untrusted documents must not lift the limit set by the site
+      const timeout =
+        safe && defaultTimeout > 0
+          ? Math.min(blockTimeout || defaultTimeout, defaultTimeout)
+          : (blockTimeout ?? defaultTimeout);
+
+      /**
+       * Reports input refused in safe mode and keeps it from rendering
+       * @param {string} reason - What was rejected
+       * @returns {void}
+       */
+      const rejectUnsafe = (reason) => {
+        report(file, reason, {
+          place: node.position,
+          source: PLUGIN_NAME,
+          ruleId: "unsafe-input",
+          fatal: true,
         });
+        if (errorInline) {
+          parent.children[index] = {
+            type: "html",
+            value: `<div class="lilypond-error">
+                <strong>LilyPond Input Rejected:</strong> ${escapeHtml(reason)}
+              </div>`,
+          };
+        }
+      };
 
-        // Convert buffer to string
-        let svgContent = svgBuffer.toString("utf8");
+      // External scores are read relative to the markdown file, and their
+      // own includes relative to the score
+      let code = node.value;
+      let blockSearchPaths = searchPaths;
+      if (src) {
+        if (safe && !isSafePath(src)) {
+          rejectUnsafe(
+            `External score "${src}" is not allowed in safe mode: only paths inside the document directory can be rendered`,
+          );
+          return;
+        }
+        const sourcePath = resolve(documentDir, src);
+        try {
+          code = await readFile(sourcePath, "utf8");
+        } catch (error) {
+          reportMissingSource(file, error, node, src, skipOnMissing);
+          if (errorInline && !skipOnMissing) {
+            parent.children[index] = {
+              type: "html",
+              value: `<div class="lilypond-error">
+                <strong>LilyPond Source Not Found:</strong> ${escapeHtml(src)}
+              </div>`,
+            };
+          }
+          return;
+        }
+        blockSearchPaths = [dirname(sourcePath), ...searchPaths];
+      }
+
+      // Entries are grouped by the source as written, for invalidateSource()
+      const blockSource = code;
+
+      // Tabs are engraved from the LilyPond source they convert to
+      const tab = !image && node.lang === "tab";
+      if (tab) {
+        try {
+          code = asciiTabToLilyPond(code, { tuning });
+        } catch (error) {
+          const blockLines = node.value.slice(0, error.offset).split("\n");
+          report(file, error.message, {
+            place: mapSourcePosition(
+              node,
+              blockLines.length,
+              blockLines[blockLines.length - 1].length,
+              0,
+            ),
+            source: PLUGIN_NAME,
+            ruleId: "invalid-tab",
+            fatal: true,
+            cause: error,
+          });
+          if (errorInline) {
+            parent.children[index] = {
+              type: "html",
+              value: `<div class="lilypond-error">
+                <strong>Invalid Tab:</strong><br>
+                <pre>${escapeHtml(error.message)}</pre>
+              </div>`,
+            };
+          }
+          return;
+        }
+      }
+
+      const unsafeConstruct = safe
+        ? await findUnsafeInput(code, blockSearchPaths, documentDir)
+        : null;
+      if (unsafeConstruct) {
+        rejectUnsafe(unsafeConstruct);
+        return;
+      }
+      const hasMidiBlock = /\\midi\b/.test(code);
+
+      // Prepare LilyPond code with optional header modifications
+      const { lilypondCode, prefixLines } = buildSource(code, {
+        preamble: sharedPreamble,
+        compact,
+        transpose,
+        midi: midi && !hasMidiBlock,
+        splitSystems,
+      });
+
+      try {
+        // Included files are hashed too, so editing a shared .ily re-renders its users
+        const key = version
+          ? blockCacheKey(blockSource, lilypondCode, version, {
+              compact,
+              includes: includesDigest(
+                await resolveIncludes(lilypondCode, blockSearchPaths),
+              ),
+            })
+          : null;
+        let result = key
+          ? await readCachedResult(svgCache, key, file, node)
+          : null;
+
+        if (result === null) {
+          result = await renderLilyPond(lilypondCode, {
+            binaryPath,
+            includePaths: blockSearchPaths,
+            safe,
+            timeout,
+          });
+
+          if (key) {
+            cacheWritten =
+              (await writeCachedResult(svgCache, key, result, file, node)) ||
+              cacheWritten;
+          }
+        }
 
         // Post-process SVG if compact mode is enabled
-        if (compact) {
-          svgContent = compactSvg(svgContent);
+        const pages = compact
+          ? result.pages.map((page) => compactSvg(page, compactPadding))
+          : result.pages;
+        // Ids derived from the block's source keep the output the same on every run, and unique in the page
+        let svgContent = namespaceSvgIds(
+          joinPages(pages, splitSystems),
+          namespace,
+        );
+
+        if ((midi || hasMidiBlock) && result.midi.length > 0) {
+          svgContent += await createMidiHtml(result.midi, {
+            midiDir: midiPath,
+            midiUrl: midiLink,
+            midiPlayer,
+          });
+        }
+
+        if (caption) {
+          svgContent = `<figure class="lilypond-figure">${svgContent}<figcaption>${escapeHtml(caption)}</figcaption></figure>`;
         }
 
         // Replace the code block with an image node containing inline SVG
@@ -82,16 +439,33 @@ function remarkLilypond(options = {}) {
           value: svgContent,
         };
       } catch (error) {
-        const errorMessage = parseLilyPondError(error.message);
-        console.error("🎵 LilyPond compilation error:", errorMessage);
-
         if (skipOnMissing && isLilyPondNotFound(error)) {
-          console.warn(
-            `⚠️  LilyPond executable '${binaryPath}' not found. Skipping LilyPond blocks.`,
-          );
+          // Warn once even when several blocks were in flight
+          if (!lilypondMissing) {
+            report(
+              file,
+              `LilyPond executable '${binaryPath}' not found. Skipping LilyPond blocks.`,
+              {
+                place: node.position,
+                source: PLUGIN_NAME,
+                ruleId: "lilypond-missing",
+                cause: error,
+              },
+            );
+          }
+          lilypondMissing = true;
           return;
         }
 
+        const errorMessage = reportRenderError(
+          file,
+          error,
+          node,
+          prefixLines,
+          src,
+          tab,
+        );
+
         if (errorInline) {
           // Replace with error message
           const errorHtml = isLilyPondNotFound(error)
@@ -99,7 +473,11 @@ function remarkLilypond(options = {}) {
                 <strong>LilyPond Not Found:</strong> Please install LilyPond to render musical notation.<br>
                 <small>Install from <a href="https://lilypond.org/download.html" target="_blank">lilypond.org</a> or use your package manager.</small>
               </div>`
-            : `<div class="lilypond-error">
+            : isLilyPondTimeout(error)
+              ? `<div class="lilypond-error">
+                <strong>LilyPond Timed Out:</strong> ${escapeHtml(error.message)}
+              </div>`
+              : `<div class="lilypond-error">
                 <strong>LilyPond Compilation Error:</strong><br>
                 <pre>${escapeHtml(errorMessage)}</pre>
               </div>`;
@@ -111,16 +489,494 @@ function remarkLilypond(options = {}) {
         }
         // If not inline, keep the original code block and log error
       }
+    };
+
+    // Each block replaces only its own slot, so the output order does not
+    // depend on which LilyPond process finishes first
+    await mapWithConcurrency(codeBlocks, concurrency, processBlock);
+
+    if (cacheWritten) {
+      await svgCache.prune().catch((error) => {
+        report(file, `Failed to prune LilyPond cache: ${error.message}`, {
+          source: PLUGIN_NAME,
+          ruleId: "cache-error",
+          cause: error,
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Reads the per-block options from a code node's meta string, warning about invalid ones
+ * @param {{ lang?: string | null, meta?: string | null, position?: import('unist').Position }} node - The code node
+ * @param {import('vfile').VFile} [file] - The processed file
+ * @returns {LilyPondBlockOptions} Valid per-block options
+ */
+function resolveBlockOptions(node, file) {
+  const tab = node.lang === "tab";
+  const { options, warnings } = parseBlockOptions(
+    node.meta,
+    tab ? TAB_BLOCK_OPTIONS : BLOCK_OPTIONS,
+    tab ? "tab" : "lilypond",
+  );
+
+  if (
+    typeof options.transpose === "string" &&
+    !TRANSPOSE_PATTERN.test(options.transpose.trim())
+  ) {
+    warnings.push(
+      `Option "transpose" in lilypond block expects two pitches such as "c d", got ${JSON.stringify(options.transpose)}`,
+    );
+    delete options.transpose;
+  }
+  if (
+    typeof options.timeout === "number" &&
+    !(Number.isFinite(options.timeout) && options.timeout >= 0)
+  ) {
+    warnings.push(
+      `Option "timeout" in ${node.lang} block expects a non-negative number of milliseconds, got ${options.timeout}`,
+    );
+    delete options.timeout;
+  }
+  if (typeof options.tuning === "string" && !isValidTabTuning(options.tuning)) {
+    warnings.push(
+      `Option "tuning" in tab block expects 4 to 7 note names such as "DADGAD", got ${JSON.stringify(options.tuning)}`,
+    );
+    delete options.tuning;
+  }
+
+  for (const warning of warnings) {
+    report(file, warning, {
+      place: node.position,
+      source: PLUGIN_NAME,
+      ruleId: "block-options",
+    });
+  }
+
+  return options;
+}
+
+/**
+ * Reads the preamble shared by every block from the inline option and the preamble file
+ * @param {string} preamble - Inline preamble source
+ * @param {string | undefined} preambleFile - Absolute path of the preamble file
+ * @returns {Promise<string>} Combined preamble, ending with a newline unless empty
+ */
+async function loadPreamble(preamble, preambleFile) {
+  const parts = [preamble];
+  if (preambleFile) {
+    try {
+      parts.push(await readFile(preambleFile, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Cannot read LilyPond preamble file '${preambleFile}': ${error.message}`,
+      );
+    }
+  }
+  return parts
+    .filter(Boolean)
+    .map((part) => (part.endsWith("\n") ? part : `${part}\n`))
+    .join("");
+}
+
+/**
+ * Builds the source passed to LilyPond from the block content
+ * @param {string} code - The code block content
+ * @param {{ preamble?: string, compact?: boolean, transpose?: string, midi?: boolean, splitSystems?: boolean }} settings - Block settings
+ * @returns {{ lilypondCode: string, prefixLines: number }} Final source and the number of lines prepended to the block content
+ */
+function buildSource(
+  code,
+  { preamble = "", compact, transpose, midi, splitSystems },
+) {
+  let prefix = "";
+  if (compact) {
+    // Remove tagline and margins, use ragged-right for natural width
+    prefix += `\\paper {\n            indent = 0\n            ragged-right = ##t\n            right-margin = 0\n            left-margin = 0\n          }\n\\header { tagline = "" }\n`;
+  }
+  if (splitSystems) {
+    // One system per page: LilyPond does the splitting, each page is one SVG
+    prefix += `\\paper { systems-per-page = 1 }\n`;
+  }
+  // After the compact settings, so house style can override them
+  prefix += preamble;
+  if (transpose) {
+    prefix += transposeHook(transpose);
+  }
+  if (midi) {
+    prefix += MIDI_HOOK;
+  }
+  return {
+    lilypondCode: `${prefix}${code}`,
+    prefixLines: prefix.split("\n").length - 1,
+  };
+}
+
+/**
+ * Creates a hook transposing every top-level music expression of the snippet
+ * @param {string} transpose - Source and target pitch, e.g. "c d"
+ * @returns {string} LilyPond line to prepend to the source
+ */
+function transposeHook(transpose) {
+  const [, from, to] = transpose.trim().match(TRANSPOSE_PATTERN);
+  return `#(set! toplevel-music-functions (cons (lambda (music . rest) #{ \\transpose ${from} ${to} $music #}) toplevel-music-functions))\n`;
+}
+
+/**
+ * Checks whether a markdown node is an image referencing a LilyPond file
+ * @param {any} node - The mdast node
+ * @returns {boolean} True for images such as `![Sonata](./scores/sonata.ly)`
+ */
+function isScoreImage(node) {
+  return node.type === "image" && /\.ly$/i.test(node.url);
+}
+
+/**
+ * Reports an external score that could not be read
+ * @param {import('vfile').VFile | undefined} file - The processed file
+ * @param {Error} error - The read error
+ * @param {{ position?: import('unist').Position }} node - The referencing node
+ * @param {string} src - The path as written in the markdown file
+ * @param {boolean} skipOnMissing - Report a warning instead of an error
+ * @returns {void}
+ */
+function reportMissingSource(file, error, node, src, skipOnMissing) {
+  const reason =
+    "code" in error && error.code === "ENOENT"
+      ? `LilyPond source file '${src}' not found`
+      : `Cannot read LilyPond source file '${src}': ${error.message}`;
+  report(file, skipOnMissing ? `${reason}. Skipping.` : reason, {
+    place: node.position,
+    source: PLUGIN_NAME,
+    ruleId: "missing-source",
+    fatal: !skipOnMissing,
+    cause: error,
+  });
+}
+
+/**
+ * Reports a failed render on the file, one message per LilyPond diagnostic.
+ * The reasons leave out the temporary directory LilyPond ran in, and lines
+ * point into the markdown file, so that they can be shown in the page too.
+ * @param {import('vfile').VFile | undefined} file - The processed file
+ * @param {Error} error - The render error
+ * @param {{ position?: import('unist').Position }} node - The code node
+ * @param {number} prefixLines - Number of lines prepended to the block content
+ * @param {string} [src] - Path of the external score the block was read from
+ * @param {boolean} [generated=false] - Whether the score was generated from the block, as for tabs, so its lines are not the block's
+ * @returns {string} The reported problems, one per line, prefixed with their line and column in the markdown file when known
+ */
+function reportRenderError(
+  file,
+  error,
+  node,
+  prefixLines,
+  src,
+  generated = false,
+) {
+  if (isLilyPondNotFound(error)) {
+    const reason = parseLilyPondError(error.message);
+    report(file, reason, {
+      place: node.position,
+      source: PLUGIN_NAME,
+      ruleId: "lilypond-missing",
+      fatal: true,
+      cause: error,
+    });
+    return reason;
+  }
+
+  if (isLilyPondTimeout(error)) {
+    report(file, error.message, {
+      place: node.position,
+      source: PLUGIN_NAME,
+      ruleId: "timeout",
+      fatal: true,
+      cause: error,
+    });
+    return error.message;
+  }
+
+  const diagnostics = [...error.message.matchAll(DIAGNOSTIC_PATTERN)];
+  if (diagnostics.length === 0) {
+    const reason = parseLilyPondError(error.message);
+    report(file, reason, {
+      place: node.position,
+      source: PLUGIN_NAME,
+      ruleId: "compile-error",
+      fatal: true,
+      cause: error,
+    });
+    return reason;
+  }
+
+  const lines = [];
+  for (const [, source, line, column, severity, text] of diagnostics) {
+    const inScore = basename(source) === "score.ly";
+    const scoreLine = Number(line) - prefixLines;
+    // Problems inside external scores and included files cannot be mapped
+    // into the markdown file, so they are reported on the block with their location
+    let reason = text;
+    if (!inScore) {
+      reason = `${source}:${line}:${column}: ${text}`;
+    } else if (src && scoreLine >= 1) {
+      reason = `${src}:${scoreLine}:${column}: ${text}`;
     }
+    const place =
+      inScore && !src && !generated
+        ? mapSourcePosition(node, Number(line), Number(column), prefixLines)
+        : node.position;
+    report(file, reason, {
+      place,
+      source: PLUGIN_NAME,
+      ruleId: severity === "warning" ? "compile-warning" : "compile-error",
+      fatal: severity !== "warning",
+      cause: error,
+    });
+    const point = /** @type {import('unist').Point | undefined} */ (
+      place && "start" in place ? place.start : place
+    );
+    lines.push(
+      point
+        ? `${point.line}:${point.column}: ${severity}: ${reason}`
+        : `${severity}: ${reason}`,
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Maps a position in the LilyPond source back to the markdown file
+ * @param {{ position?: import('unist').Position }} node - The code node
+ * @param {number} line - 1-based line in the LilyPond source
+ * @param {number} column - 0-based column in the LilyPond source
+ * @param {number} prefixLines - Number of lines prepended to the block content
+ * @returns {import('unist').Position | import('unist').Point | undefined} Place in the markdown file
+ */
+function mapSourcePosition(node, line, column, prefixLines) {
+  const blockLine = line - prefixLines;
+  // Problems inside the generated preamble are reported on the whole block
+  if (!node.position || blockLine < 1) {
+    return node.position;
+  }
+  // The content starts on the line after the opening fence, indented like the fence
+  return {
+    line: node.position.start.line + blockLine,
+    column: node.position.start.column + column,
   };
 }
 
 /**
- * Compacts an SVG by removing attribution and cropping whitespace
+ * Combines the SVG pages of a score, keeping a single page as a bare SVG
+ * @param {string[]} pages - SVG documents, one per page or system
+ * @param {boolean} splitSystems - Whether each page holds a single system
+ * @returns {string} HTML for the whole score
+ */
+function joinPages(pages, splitSystems) {
+  if (pages.length === 1) {
+    return pages[0];
+  }
+  // Pagination (e.g. printing to PDF) may break between pages but never inside one
+  const className = splitSystems ? "lilypond-system" : "lilypond-page";
+  const items = pages.map(
+    (page) =>
+      `<div class="${className}" style="break-inside: avoid; page-break-inside: avoid">${page}</div>`,
+  );
+  return `<div class="lilypond-score">${items.join("")}</div>`;
+}
+
+/**
+ * Creates the download link and player for the MIDI files of a block
+ * @param {Buffer[]} midiFiles - MIDI files produced by LilyPond
+ * @param {{ midiDir?: string, midiUrl?: string, midiPlayer: boolean }} settings - MIDI output settings, with midiDir absolute
+ * @returns {Promise<string>} HTML to place after the SVG
+ */
+async function createMidiHtml(midiFiles, { midiDir, midiUrl, midiPlayer }) {
+  const items = [];
+  for (const data of midiFiles) {
+    let href;
+    let name = "score.midi";
+    if (midiDir) {
+      // Content-addressed names: rebuilding an unchanged score rewrites the same file
+      name = `${createHash("sha256").update(data).digest("hex").slice(0, 16)}.midi`;
+      await mkdir(midiDir, { recursive: true });
+      await writeFile(join(midiDir, name), data);
+      // An empty URL links files next to the page
+      href = midiUrl ? `${midiUrl.replace(/\/+$/, "")}/${name}` : name;
+    } else {
+      href = `data:audio/midi;base64,${data.toString("base64")}`;
+    }
+
+    const player = midiPlayer
+      ? `<midi-player src="${escapeHtml(href)}"></midi-player>`
+      : "";
+    items.push(
+      `${player}<a class="lilypond-midi-download" href="${escapeHtml(href)}" download="${name}">Download MIDI</a>`,
+    );
+  }
+  return `<div class="lilypond-midi">${items.join("")}</div>`;
+}
+
+/**
+ * Runs an async function over items with at most `limit` calls pending at once
+ * @template T
+ * @param {T[]} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {(item: T) => Promise<void>} fn - Function applied to each item
+ * @returns {Promise<void>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  };
+  const workerCount = Math.max(
+    1,
+    Math.min(Math.floor(limit) || 1, items.length),
+  );
+  await Promise.all(Array.from({ length: workerCount }, worker));
+}
+
+/**
+ * Gets the default number of parallel LilyPond processes
+ * @returns {number} Number of available CPUs
+ */
+function defaultConcurrency() {
+  return typeof os.availableParallelism === "function"
+    ? os.availableParallelism()
+    : os.cpus().length || 1;
+}
+
+/**
+ * Checks a block for input refused in safe mode, including every file it
+ * pulls in with `\include`, however deeply nested
+ * @param {string} code - LilyPond source of the block
+ * @param {string[]} searchPaths - Include directories of the block
+ * @param {string} documentDir - Directory included files are named relative to
+ * @returns {Promise<string | null>} Description of the problem, or null if the block is allowed
+ */
+async function findUnsafeInput(code, searchPaths, documentDir) {
+  const problem = findUnsafeConstruct(code);
+  if (problem) {
+    return problem;
+  }
+  for (const { path, content } of await resolveIncludes(code, searchPaths)) {
+    const included = findUnsafeConstruct(content);
+    if (included) {
+      return `${included} (in included file "${relative(documentDir, path)}")`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalizes the cache option into a cache instance
+ * @param {LilyPondOptions["cache"]} cache - The cache option
+ * @returns {import("./cache.js").LilyPondCache | null} Cache instance, or null when disabled
+ */
+function resolveCache(cache) {
+  if (!cache) {
+    return null;
+  }
+  if (cache === true) {
+    return createLilyPondCache();
+  }
+  if ("get" in cache && typeof cache.get === "function") {
+    return /** @type {import("./cache.js").LilyPondCache} */ (cache);
+  }
+  return createLilyPondCache(
+    /** @type {import("./cache.js").LilyPondCacheOptions} */ (cache),
+  );
+}
+
+/**
+ * Reads a cached render result, treating cache failures as a miss
+ * @param {import("./cache.js").LilyPondCache} svgCache - Cache instance
+ * @param {string} key - Cache key
+ * @param {import('vfile').VFile | undefined} file - The processed file, warned about cache failures
+ * @param {{ position?: import('unist').Position }} node - The rendered block
+ * @returns {Promise<import("./lilypond.js").RenderResult | null>} Cached result, or null
+ */
+async function readCachedResult(svgCache, key, file, node) {
+  try {
+    const entry = await svgCache.get(key);
+    if (entry === null) {
+      return null;
+    }
+    const { pages, midi } = JSON.parse(entry);
+    return {
+      pages,
+      midi: midi.map((data) => Buffer.from(data, "base64")),
+    };
+  } catch (error) {
+    report(file, `Failed to read LilyPond cache: ${error.message}`, {
+      place: node.position,
+      source: PLUGIN_NAME,
+      ruleId: "cache-error",
+      cause: error,
+    });
+    return null;
+  }
+}
+
+/**
+ * Writes a render result to the cache, warning instead of failing the block on cache errors
+ * @param {import("./cache.js").LilyPondCache} svgCache - Cache instance
+ * @param {string} key - Cache key
+ * @param {import("./lilypond.js").RenderResult} result - Render result to store
+ * @param {import('vfile').VFile | undefined} file - The processed file, warned about cache failures
+ * @param {{ position?: import('unist').Position }} node - The rendered block
+ * @returns {Promise<boolean>} True if the entry was written
+ */
+async function writeCachedResult(svgCache, key, result, file, node) {
+  try {
+    await svgCache.set(
+      key,
+      JSON.stringify({
+        pages: result.pages,
+        midi: result.midi.map((data) => data.toString("base64")),
+      }),
+    );
+    return true;
+  } catch (error) {
+    report(file, `Failed to write LilyPond cache: ${error.message}`, {
+      place: node.position,
+      source: PLUGIN_NAME,
+      ruleId: "cache-error",
+      cause: error,
+    });
+    return false;
+  }
+}
+
+/**
+ * Gets the version reported by a LilyPond executable, memoized per binary path
+ * @param {string} binaryPath - Path to the LilyPond executable
+ * @returns {Promise<string | null>} Version line, or null if LilyPond cannot be run
+ */
+function getLilyPondVersion(binaryPath) {
+  if (!versionCache.has(binaryPath)) {
+    versionCache.set(
+      binaryPath,
+      execFileAsync(binaryPath, ["--version"]).then(
+        ({ stdout }) => stdout.split("\n")[0].trim(),
+        () => null,
+      ),
+    );
+  }
+  return versionCache.get(binaryPath);
+}
+
+/**
+ * Compacts an SVG by removing attribution and cropping the viewBox to the painted content
  * @param {string} svgContent - The original SVG content
+ * @param {number} padding - Space kept around the content, in SVG user units
  * @returns {string} The compacted SVG content
  */
-function compactSvg(svgContent) {
+function compactSvg(svgContent, padding) {
   // Remove LilyPond attribution elements
   // Remove <a> tags with lilypond.org links
   svgContent = svgContent.replace(
@@ -140,97 +996,51 @@ function compactSvg(svgContent) {
     "",
   );
 
-  // Try to crop whitespace by analyzing the content bounds
-  const svgMatch = svgContent.match(/<svg[^>]*viewBox="([^"]*)"[^>]*>/);
-  if (svgMatch) {
-    const viewBox = svgMatch[1].split(/\s+/).map(parseFloat);
-    if (viewBox.length === 4) {
-      const [x, y, width, height] = viewBox;
-
-      // Find actual content bounds by analyzing SVG elements
-      let minX = Infinity,
-        maxX = -Infinity,
-        minY = Infinity,
-        maxY = -Infinity;
-
-      // Parse transform translate values
-      const transforms = [
-        ...svgContent.matchAll(/transform="translate\(([^)]+)\)"/g),
-      ];
-      for (const match of transforms) {
-        const coords = match[1].split(",").map((s) => parseFloat(s.trim()));
-        if (coords.length >= 2) {
-          minX = Math.min(minX, coords[0]);
-          maxX = Math.max(maxX, coords[0]);
-          minY = Math.min(minY, coords[1]);
-          maxY = Math.max(maxY, coords[1]);
-        }
-      }
+  const bounds = getContentBounds(svgContent);
+  if (!bounds) {
+    return svgContent;
+  }
 
-      // Parse line elements to find actual content width
-      const lines = [...svgContent.matchAll(/<line[^>]*x2="([^"]*)"[^>]*>/g)];
-      for (const match of lines) {
-        const x2 = parseFloat(match[1]);
-        if (!isNaN(x2)) {
-          maxX = Math.max(maxX, x2);
-        }
-      }
+  const x = bounds.minX - padding;
+  const y = bounds.minY - padding;
+  const width = bounds.maxX - bounds.minX + 2 * padding;
+  const height = bounds.maxY - bounds.minY + 2 * padding;
+  const viewBox = [x, y, width, height].map(formatNumber).join(" ");
 
-      // Parse rect elements for their width extent
-      const rects = [
-        ...svgContent.matchAll(
-          /<rect[^>]*x="([^"]*)"[^>]*width="([^"]*)"[^>]*>/g,
-        ),
-      ];
-      for (const match of rects) {
-        const x = parseFloat(match[1]) || 0;
-        const width = parseFloat(match[2]) || 0;
-        maxX = Math.max(maxX, x + width);
-      }
+  // Replace or add the viewBox on the root element only
+  svgContent = /<svg\b[^>]*\bviewBox="/.test(svgContent)
+    ? svgContent.replace(/(<svg\b[^>]*\bviewBox=")[^"]*(")/, `$1${viewBox}$2`)
+    : svgContent.replace(/<svg\b/, `<svg viewBox="${viewBox}"`);
 
-      // Parse path elements within g transforms to estimate bounds
-      const pathGroups = [
-        ...svgContent.matchAll(
-          /<g transform="translate\(([^)]+)\)"[^>]*>[\s\S]*?<path[^>]*>/g,
-        ),
-      ];
-      for (const match of pathGroups) {
-        const coords = match[1].split(",").map((s) => parseFloat(s.trim()));
-        if (coords.length >= 2) {
-          // Estimate path width based on typical note widths (rough heuristic)
-          maxX = Math.max(maxX, coords[0] + 2);
-        }
-      }
+  // Scale to the available width and keep the height proportional to the content
+  svgContent = svgContent.replace(
+    /(<svg\b[^>]*?\s)width="[^"]*"/,
+    `$1width="100%"`,
+  );
+  svgContent = svgContent.replace(
+    /(<svg\b[^>]*?\s)height="[^"]*"/,
+    `$1height="${height.toFixed(2)}"`,
+  );
 
-      if (minX < Infinity && minY < Infinity && maxX > -Infinity) {
-        // Add some padding around the content
-        const padding = 5;
-        const contentX = Math.max(0, minX - padding);
-        const contentY = Math.max(0, minY - padding);
-        const contentWidth = maxX - minX + 2 * padding;
-        const contentHeight = maxY - minY + 2 * padding;
-
-        // Update the viewBox and dimensions
-        const newViewBox = `${contentX} ${contentY} ${contentWidth} ${contentHeight}`;
-        svgContent = svgContent.replace(
-          /(<svg[^>]*viewBox=")[^"]*(")/,
-          `$1${newViewBox}$2`,
-        );
+  return svgContent;
+}
 
-        // Update width to 100% and height to match content proportionally
-        svgContent = svgContent.replace(
-          /(<svg[^>]*)width="[^"]*"/,
-          `$1width="100%"`,
-        );
-        svgContent = svgContent.replace(
-          /(<svg[^>]*)height="[^"]*"/,
-          `$1height="${contentHeight.toFixed(2)}"`,
-        );
-      }
-    }
-  }
+/**
+ * Formats a coordinate without floating point noise
+ * @param {number} value - Coordinate
+ * @returns {string} Value rounded to four decimals
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 10000) / 10000);
+}
 
-  return svgContent;
+/**
+ * Checks if the error indicates LilyPond was killed for exceeding the timeout
+ * @param {Error} error - The error object
+ * @returns {boolean} True if LilyPond timed out
+ */
+function isLilyPondTimeout(error) {
+  return "code" in error && error.code === "ETIMEDOUT";
 }
 
 /**
@@ -0,0 +1,132 @@
+//@ts-check
+/**
+ * @fileoverview Runs the LilyPond executable and collects every file it produces
+ */
+
+import { execFile } from "child_process";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {string} [binaryPath='lilypond'] - Path to the LilyPond executable
+ * @property {string[]} [includePaths=[]] - Directories searched for `\include` files, passed as `-I`
+ * @property {boolean} [safe=false] - Run LilyPond with `-dsafe`, restricting what embedded Scheme can do
+ * @property {number} [timeout=0] - Kill LilyPond after this many milliseconds (0 for no limit)
+ */
+
+/**
+ * @typedef {Object} RenderResult
+ * @property {string[]} pages - SVG documents, one per page
+ * @property {Buffer[]} midi - MIDI files, one per score containing a \midi block
+ */
+
+/**
+ * Matches the files LilyPond writes for an output basename of `score`:
+ * `score.svg` for a single page or `score-1.svg`, `score-2.svg`… for several,
+ * and `score.midi`, `score-1.midi`… for each score with MIDI output
+ */
+const OUTPUT_PATTERN = /^score(?:-(\d+))?\.(svg|midi?)$/;
+
+/**
+ * Compiles LilyPond source to SVG, collecting every page and MIDI file produced.
+ * LilyPond runs in a temporary directory that is removed afterwards.
+ * @param {string} source - LilyPond source code
+ * @param {RenderOptions} [options={}] - Render options
+ * @returns {Promise<RenderResult>} Rendered pages and MIDI files
+ */
+export async function renderLilyPond(source, options = {}) {
+  const {
+    binaryPath = "lilypond",
+    includePaths = [],
+    safe = false,
+    timeout = 0,
+  } = options;
+  const dir = await mkdtemp(join(tmpdir(), "music-md-"));
+
+  try {
+    const input = join(dir, "score.ly");
+    await writeFile(input, source, "utf8");
+
+    await runLilyPond(
+      binaryPath,
+      [
+        "-dbackend=svg",
+        "-dno-point-and-click",
+        ...(safe ? ["-dsafe"] : []),
+        "--loglevel=WARN",
+        ...includePaths.flatMap((includeDir) => ["-I", includeDir]),
+        "--output",
+        join(dir, "score"),
+        input,
+      ],
+      dir,
+      timeout,
+    );
+
+    const outputs = (await readdir(dir))
+      .map((name) => ({ name, match: name.match(OUTPUT_PATTERN) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => Number(a.match[1] || 0) - Number(b.match[1] || 0));
+
+    const pages = [];
+    const midi = [];
+    for (const { name, match } of outputs) {
+      if (match[2] === "svg") {
+        pages.push(await readFile(join(dir, name), "utf8"));
+      } else {
+        midi.push(await readFile(join(dir, name)));
+      }
+    }
+
+    if (pages.length === 0) {
+      throw new Error("LilyPond produced no SVG output");
+    }
+
+    return { pages, midi };
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Runs LilyPond, rejecting with its diagnostics when it fails
+ * @param {string} binaryPath - Path to the LilyPond executable
+ * @param {string[]} args - Command line arguments
+ * @param {string} cwd - Working directory
+ * @param {number} timeout - Milliseconds before the process is killed, 0 for no limit
+ * @returns {Promise<void>}
+ */
+function runLilyPond(binaryPath, args, cwd, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      binaryPath,
+      args,
+      { cwd, maxBuffer: 16 * 1024 * 1024, timeout, killSignal: "SIGKILL" },
+      (error, stdout, stderr) => {
+        if (!error) {
+          resolve();
+          return;
+        }
+
+        // execFile kills the process on timeout and reports the signal
+        if (timeout > 0 && error.killed && error.signal === "SIGKILL") {
+          reject(
+            Object.assign(new Error(`LilyPond timed out after ${timeout} ms`), {
+              code: "ETIMEDOUT",
+            }),
+          );
+          return;
+        }
+
+        // Spawn failures (e.g. ENOENT) carry no LilyPond output
+        const failure = new Error(stderr.trim() || error.message);
+        if ("code" in error) {
+          Object.assign(failure, { code: error.code });
+        }
+        reject(failure);
+      },
+    );
+  });
+}
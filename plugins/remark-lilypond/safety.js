@@ -0,0 +1,319 @@
+//@ts-check
+/**
+ * @fileoverview Rejects LilyPond input that could reach outside the score in safe mode
+ */
+
+import { isAbsolute } from "path";
+
+/**
+ * Scheme procedures that embedded expressions may call in safe mode. They
+ * only compute values, so a name built at runtime (with `string->symbol` or
+ * `module-ref`) can never be called: only calls written literally are allowed.
+ */
+const ALLOWED_PROCEDURES = new Set([
+  "set-global-staff-size",
+  "set-default-paper-size",
+  "set-paper-size",
+  "ly:make-moment",
+  "ly:make-pitch",
+  "ly:make-duration",
+  "make-dynamic-script",
+  "rgb-color",
+  "x11-color",
+  "list",
+  "cons",
+  "+",
+  "-",
+  "*",
+  "/",
+]);
+
+/**
+ * Scheme procedures giving access to the file system, processes, the
+ * environment or the evaluator, refused even as values passed to a music
+ * function (`\applyContext #system`)
+ */
+const DANGEROUS_PROCEDURES = new Set([
+  "ly:system",
+  "ly:gulp-file",
+  "ly:parse-file",
+  "ly:parse-string-expression",
+  "ly:parser-include-string",
+  "system",
+  "system*",
+  "primitive-load",
+  "load",
+  "load-from-path",
+  "eval",
+  "eval-string",
+  "primitive-eval",
+  "local-eval",
+  "the-environment",
+  "open",
+  "open-file",
+  "open-input-file",
+  "open-output-file",
+  "open-input-pipe",
+  "open-output-pipe",
+  "open-pipe",
+  "call-with-input-file",
+  "call-with-output-file",
+  "with-input-from-file",
+  "with-output-to-file",
+  "delete-file",
+  "rename-file",
+  "mkdir",
+  "rmdir",
+  "chdir",
+  "getenv",
+  "setenv",
+  "putenv",
+  "exit",
+  "primitive-exit",
+  "kill",
+  "fork",
+  "execl",
+  "execlp",
+  "execle",
+  "dup2",
+  "string->symbol",
+  "module-ref",
+  "module-define!",
+  "resolve-module",
+  "current-module",
+  "use-modules",
+]);
+
+/**
+ * Matches `\include "name"`
+ */
+const INCLUDE_PATTERN = /\\include\s+"((?:[^"\\]|\\.)*)"/g;
+
+/**
+ * Characters ending a Scheme atom
+ */
+const DELIMITERS = /[\s()[\]";']/;
+
+/**
+ * @typedef {{ type: "atom", text: string } | { type: "string" } | { type: "data" } | { type: "list", items: SchemeDatum[] }} SchemeDatum
+ */
+
+/**
+ * Finds the first construct that safe mode does not allow in a score:
+ * embedded Scheme (`#…` or `$…`) other than literal values and calls of a
+ * few harmless procedures, embedded LilyPond in Scheme (`#{ … #}`), and
+ * includes or external files outside the document (absolute paths or `..`).
+ * @param {string} source - LilyPond source written by the document author
+ * @returns {string | null} Description of the problem, or null if the source is allowed
+ */
+export function findUnsafeConstruct(source) {
+  const scheme = findUnsafeScheme(source);
+  if (scheme) {
+    return scheme;
+  }
+
+  for (const [, name] of source.matchAll(INCLUDE_PATTERN)) {
+    if (!isSafePath(name)) {
+      return `\\include "${name}" is not allowed in safe mode: only paths inside the document directory can be included`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks that a path stays inside the directory it is resolved against
+ * @param {string} path - Relative path as written in the document
+ * @returns {boolean} False for absolute paths and paths climbing out with `..`
+ */
+export function isSafePath(path) {
+  return !isAbsolute(path) && !path.split(/[\\/]/).includes("..");
+}
+
+/**
+ * Reads every Scheme expression embedded in LilyPond source, skipping
+ * LilyPond comments and strings, and checks it against the allowed calls
+ * @param {string} source - LilyPond source
+ * @returns {string | null} Description of the first problem, or null
+ */
+function findUnsafeScheme(source) {
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "%") {
+      const end =
+        source[i + 1] === "{"
+          ? source.indexOf("%}", i + 2) + 1
+          : source.indexOf("\n", i);
+      i = end <= 0 ? source.length : end;
+    } else if (char === '"') {
+      i = skipString(source, i);
+    } else if (char === "#" || char === "$") {
+      const next = source[i + 1];
+      if (next === undefined || /\s/.test(next)) {
+        continue;
+      }
+      if (next === "{") {
+        return "Embedded LilyPond (#{ … #}) is not allowed in safe mode";
+      }
+      try {
+        const { datum, end } = readDatum(source, i + 1);
+        const problem = checkExpression(datum);
+        if (problem) {
+          return problem;
+        }
+        i = end - 1;
+      } catch (error) {
+        return `${error.message} in safe mode`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks an embedded expression: values, quoted data and calls of allowed
+ * procedures whose arguments are checked the same way
+ * @param {SchemeDatum} datum - Expression read from the source
+ * @returns {string | null} Description of the problem, or null
+ */
+function checkExpression(datum) {
+  if (datum.type === "atom") {
+    return DANGEROUS_PROCEDURES.has(datum.text)
+      ? `Scheme procedure '${datum.text}' is not allowed in safe mode`
+      : null;
+  }
+  if (datum.type !== "list") {
+    return null;
+  }
+
+  const [head, ...args] = datum.items;
+  if (!head || head.type !== "atom") {
+    return "Scheme expressions other than calls of named procedures are not allowed in safe mode";
+  }
+  if (!ALLOWED_PROCEDURES.has(head.text)) {
+    return `Scheme procedure '${head.text}' is not allowed in safe mode`;
+  }
+  for (const arg of args) {
+    const problem = checkExpression(arg);
+    if (problem) {
+      return problem;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads one Scheme datum
+ * @param {string} source - Source text
+ * @param {number} start - Index to read from
+ * @returns {{ datum: SchemeDatum, end: number }} Datum and the index after it
+ * @throws {Error} On syntax that is refused (quasiquote, `#{`, block comments…) or unterminated
+ */
+function readDatum(source, start) {
+  let i = start;
+  // Whitespace and line comments between list items
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+    } else if (source[i] === ";") {
+      const newline = source.indexOf("\n", i);
+      i = newline === -1 ? source.length : newline;
+    } else {
+      break;
+    }
+  }
+
+  const char = source[i];
+  if (char === undefined) {
+    throw new Error("Unterminated Scheme expression is not allowed");
+  }
+  if (char === "(" || char === "[") {
+    return readList(source, i);
+  }
+  if (char === ")" || char === "]") {
+    throw new Error(`Unexpected '${char}' in Scheme expression is not allowed`);
+  }
+  if (char === '"') {
+    return { datum: { type: "string" }, end: skipString(source, i) + 1 };
+  }
+  if (char === "'") {
+    // Quoted data is never evaluated
+    return { datum: { type: "data" }, end: readDatum(source, i + 1).end };
+  }
+  if (char === "`" || char === ",") {
+    throw new Error("Scheme quasiquote is not allowed");
+  }
+  if (char === "#") {
+    const next = source[i + 1];
+    if (next === "(") {
+      // Vector literal
+      return { datum: { type: "data" }, end: readList(source, i + 1).end };
+    }
+    if (next === "\\") {
+      return { datum: { type: "data" }, end: readAtom(source, i + 3).end };
+    }
+    if (next === undefined || !/[tf:]/.test(next)) {
+      throw new Error(`Scheme syntax '#${next || ""}' is not allowed`);
+    }
+  }
+  return readAtom(source, i);
+}
+
+/**
+ * Reads a parenthesized list
+ * @param {string} source - Source text
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {{ datum: SchemeDatum, end: number }} List and the index after it
+ */
+function readList(source, start) {
+  const close = source[start] === "[" ? "]" : ")";
+  /** @type {SchemeDatum[]} */
+  const items = [];
+  let i = start + 1;
+  for (;;) {
+    while (/\s/.test(source[i] || "")) {
+      i++;
+    }
+    if (source[i] === ";") {
+      const newline = source.indexOf("\n", i);
+      i = newline === -1 ? source.length : newline;
+      continue;
+    }
+    if (source[i] === close) {
+      return { datum: { type: "list", items }, end: i + 1 };
+    }
+    const { datum, end } = readDatum(source, i);
+    items.push(datum);
+    i = end;
+  }
+}
+
+/**
+ * Reads a symbol, number, boolean or keyword
+ * @param {string} source - Source text
+ * @param {number} start - Index of the first character
+ * @returns {{ datum: SchemeDatum, end: number }} Atom and the index after it
+ */
+function readAtom(source, start) {
+  let end = start;
+  while (end < source.length && !DELIMITERS.test(source[end])) {
+    end++;
+  }
+  return { datum: { type: "atom", text: source.slice(start, end) }, end };
+}
+
+/**
+ * @param {string} source - Source text
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index of the closing quote, or the end of the source
+ */
+function skipString(source, start) {
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === "\\") {
+      i++;
+    } else if (source[i] === '"') {
+      return i;
+    }
+  }
+  return source.length;
+}
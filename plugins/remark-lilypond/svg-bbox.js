@@ -0,0 +1,817 @@
+//@ts-check
+/**
+ * @fileoverview Computes the bounding box of SVG content by parsing the document
+ * and measuring paths, shapes and text through their nested transforms
+ */
+
+/**
+ * @typedef {Object} SvgElement
+ * @property {string} name - Tag name
+ * @property {Record<string, string>} attributes - Attribute values
+ * @property {SvgElement[]} children - Child elements
+ * @property {string} text - Concatenated text content of direct text nodes
+ */
+
+/**
+ * @typedef {Object} BBox
+ * @property {number} minX
+ * @property {number} minY
+ * @property {number} maxX
+ * @property {number} maxY
+ */
+
+/**
+ * Affine transformation [a, b, c, d, e, f] mapping (x, y) to (a*x + c*y + e, b*x + d*y + f)
+ * @typedef {[number, number, number, number, number, number]} Matrix
+ */
+
+/**
+ * Inherited presentation attributes affecting the painted extent
+ * @typedef {Object} PaintContext
+ * @property {Matrix} matrix - Transformation to the root coordinate system
+ * @property {boolean} stroked - Whether shapes are stroked
+ * @property {number} strokeWidth - Stroke width in local units
+ * @property {number} fontSize - Font size in local units
+ * @property {string} textAnchor - Horizontal text alignment
+ */
+
+/** @type {Matrix} */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Elements whose content is never painted where it appears in the document
+ */
+const NON_RENDERED = new Set([
+  "defs",
+  "clipPath",
+  "mask",
+  "marker",
+  "pattern",
+  "symbol",
+  "linearGradient",
+  "radialGradient",
+  "filter",
+  "title",
+  "desc",
+  "metadata",
+  "style",
+  "script",
+]);
+
+/**
+ * Average glyph advance and vertical extents relative to the font size,
+ * used to estimate text extents without font metrics
+ */
+const TEXT_ADVANCE = 0.6;
+const TEXT_ASCENT = 0.8;
+const TEXT_DESCENT = 0.25;
+
+/**
+ * Parses an SVG document into an element tree
+ * @param {string} svgContent - SVG markup
+ * @returns {SvgElement | null} The outermost <svg> element, or null if there is none
+ */
+export function parseSvg(svgContent) {
+  /** @type {SvgElement} */
+  const root = { name: "#document", attributes: {}, children: [], text: "" };
+  const stack = [root];
+  const token =
+    /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/g;
+
+  for (const match of svgContent.matchAll(token)) {
+    const [, cdata, closing, opening, attributes, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (opening) {
+      /** @type {SvgElement} */
+      const element = {
+        name: opening,
+        attributes: parseAttributes(attributes),
+        children: [],
+        text: "",
+      };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (closing) {
+      // Tolerate unbalanced markup by unwinding to the matching element
+      const openIndex = stack.map((e) => e.name).lastIndexOf(closing);
+      if (openIndex > 0) {
+        stack.length = openIndex;
+      }
+    } else if (text !== undefined || cdata !== undefined) {
+      current.text += decodeEntities(text ?? cdata);
+    }
+  }
+
+  return findElement(root, "svg");
+}
+
+/**
+ * Computes the bounding box of everything painted inside the outermost <svg>, in its user units
+ * @param {string} svgContent - SVG markup
+ * @returns {BBox | null} Content bounds, or null if nothing is painted
+ */
+export function getContentBounds(svgContent) {
+  const svg = parseSvg(svgContent);
+  if (!svg) {
+    return null;
+  }
+
+  /** @type {BBox} */
+  const bounds = {
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity,
+  };
+  /** @type {PaintContext} */
+  const context = {
+    matrix: IDENTITY,
+    stroked: false,
+    strokeWidth: 1,
+    fontSize: 16,
+    textAnchor: "start",
+  };
+  for (const child of svg.children) {
+    measureElement(child, context, bounds);
+  }
+
+  return bounds.minX <= bounds.maxX && bounds.minY <= bounds.maxY
+    ? bounds
+    : null;
+}
+
+/**
+ * Adds the painted extent of an element and its descendants to the bounds
+ * @param {SvgElement} element - Element to measure
+ * @param {PaintContext} parentContext - Context inherited from the parent
+ * @param {BBox} bounds - Accumulated bounds in root coordinates
+ * @returns {void}
+ */
+function measureElement(element, parentContext, bounds) {
+  const { name, attributes } = element;
+  if (
+    NON_RENDERED.has(name) ||
+    readPresentation(attributes, "display") === "none" ||
+    readPresentation(attributes, "visibility") === "hidden"
+  ) {
+    return;
+  }
+
+  const context = deriveContext(element, parentContext);
+
+  if (name === "svg") {
+    // Nested viewports only offset their content
+    const offset = translation(num(attributes.x), num(attributes.y));
+    const nested = { ...context, matrix: multiply(context.matrix, offset) };
+    for (const child of element.children) {
+      measureElement(child, nested, bounds);
+    }
+    return;
+  }
+
+  const local = localBounds(element, context);
+  if (local) {
+    const inflate =
+      context.stroked && name !== "text" ? context.strokeWidth / 2 : 0;
+    addTransformedBox(
+      bounds,
+      context.matrix,
+      local.minX - inflate,
+      local.minY - inflate,
+      local.maxX + inflate,
+      local.maxY + inflate,
+    );
+  }
+
+  if (name !== "text") {
+    for (const child of element.children) {
+      measureElement(child, context, bounds);
+    }
+  }
+}
+
+/**
+ * Computes the context of an element from its attributes and the inherited context
+ * @param {SvgElement} element - The element
+ * @param {PaintContext} parent - Inherited context
+ * @returns {PaintContext} Context for the element and its children
+ */
+function deriveContext({ attributes }, parent) {
+  const context = { ...parent };
+  if (attributes.transform) {
+    context.matrix = multiply(
+      parent.matrix,
+      parseTransform(attributes.transform),
+    );
+  }
+
+  const stroke = readPresentation(attributes, "stroke");
+  if (stroke !== undefined) {
+    context.stroked = stroke !== "none";
+  }
+  const strokeWidth = readPresentation(attributes, "stroke-width");
+  if (strokeWidth !== undefined) {
+    context.strokeWidth = num(strokeWidth, parent.strokeWidth);
+  }
+  const fontSize = readPresentation(attributes, "font-size");
+  if (fontSize !== undefined) {
+    context.fontSize = num(fontSize, parent.fontSize);
+  }
+  const textAnchor = readPresentation(attributes, "text-anchor");
+  if (textAnchor !== undefined) {
+    context.textAnchor = textAnchor;
+  }
+  return context;
+}
+
+/**
+ * Computes the geometric bounds of a shape in its own coordinate system
+ * @param {SvgElement} element - The element
+ * @param {PaintContext} context - Its paint context
+ * @returns {BBox | null} Local bounds, or null for elements without geometry
+ */
+function localBounds(element, context) {
+  const a = element.attributes;
+  switch (element.name) {
+    case "path":
+      return pathBounds(a.d || "");
+    case "line":
+      return boxOf([
+        [num(a.x1), num(a.y1)],
+        [num(a.x2), num(a.y2)],
+      ]);
+    case "rect":
+      return boxOf([
+        [num(a.x), num(a.y)],
+        [num(a.x) + num(a.width), num(a.y) + num(a.height)],
+      ]);
+    case "circle":
+      return boxOf([
+        [num(a.cx) - num(a.r), num(a.cy) - num(a.r)],
+        [num(a.cx) + num(a.r), num(a.cy) + num(a.r)],
+      ]);
+    case "ellipse":
+      return boxOf([
+        [num(a.cx) - num(a.rx), num(a.cy) - num(a.ry)],
+        [num(a.cx) + num(a.rx), num(a.cy) + num(a.ry)],
+      ]);
+    case "polyline":
+    case "polygon": {
+      const values = numbers(a.points || "");
+      const points = [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        points.push([values[i], values[i + 1]]);
+      }
+      return boxOf(points);
+    }
+    case "text":
+      return textBounds(element, context);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Estimates the extent of a text element from its content and font size
+ * @param {SvgElement} element - The <text> element
+ * @param {PaintContext} context - Its paint context
+ * @returns {BBox | null} Estimated local bounds
+ */
+function textBounds(element, context) {
+  const content = collectText(element).trim();
+  if (!content) {
+    return null;
+  }
+
+  const x = num(element.attributes.x);
+  const y = num(element.attributes.y);
+  const { fontSize, textAnchor } = context;
+  const width = content.length * fontSize * TEXT_ADVANCE;
+  const start =
+    textAnchor === "middle"
+      ? x - width / 2
+      : textAnchor === "end"
+        ? x - width
+        : x;
+
+  return {
+    minX: start,
+    minY: y - fontSize * TEXT_ASCENT,
+    maxX: start + width,
+    maxY: y + fontSize * TEXT_DESCENT,
+  };
+}
+
+/**
+ * Computes the exact bounds of a path, including the extrema of its curves
+ * @param {string} d - Path data
+ * @returns {BBox | null} Local bounds
+ */
+function pathBounds(d) {
+  const tokens = [
+    ...d.matchAll(
+      /[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g,
+    ),
+  ].map((m) => m[0]);
+
+  /** @type {[number, number][]} */
+  const points = [];
+  let index = 0;
+  let command = "";
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  // Reflection points for the smooth curve commands
+  let controlX = 0;
+  let controlY = 0;
+  let previous = "";
+
+  const next = () => Number(tokens[index++]);
+
+  while (index < tokens.length) {
+    if (/^[A-Za-z]$/.test(tokens[index])) {
+      command = tokens[index++];
+    } else if (!command) {
+      break;
+    }
+
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (command.toUpperCase()) {
+      case "M":
+        x = ox + next();
+        y = oy + next();
+        startX = x;
+        startY = y;
+        points.push([x, y]);
+        // Further coordinate pairs are implicit line-to commands
+        command = relative ? "l" : "L";
+        break;
+      case "L":
+        x = ox + next();
+        y = oy + next();
+        points.push([x, y]);
+        break;
+      case "H":
+        x = ox + next();
+        points.push([x, y]);
+        break;
+      case "V":
+        y = oy + next();
+        points.push([x, y]);
+        break;
+      case "C":
+      case "S": {
+        let x1;
+        let y1;
+        if (command.toUpperCase() === "C") {
+          x1 = ox + next();
+          y1 = oy + next();
+        } else {
+          const smooth = /[CS]/i.test(previous);
+          x1 = smooth ? 2 * x - controlX : x;
+          y1 = smooth ? 2 * y - controlY : y;
+        }
+        const x2 = ox + next();
+        const y2 = oy + next();
+        const ex = ox + next();
+        const ey = oy + next();
+        points.push(...cubicExtrema([x, y], [x1, y1], [x2, y2], [ex, ey]));
+        controlX = x2;
+        controlY = y2;
+        x = ex;
+        y = ey;
+        break;
+      }
+      case "Q":
+      case "T": {
+        let x1;
+        let y1;
+        if (command.toUpperCase() === "Q") {
+          x1 = ox + next();
+          y1 = oy + next();
+        } else {
+          const smooth = /[QT]/i.test(previous);
+          x1 = smooth ? 2 * x - controlX : x;
+          y1 = smooth ? 2 * y - controlY : y;
+        }
+        const ex = ox + next();
+        const ey = oy + next();
+        points.push(...quadraticExtrema([x, y], [x1, y1], [ex, ey]));
+        controlX = x1;
+        controlY = y1;
+        x = ex;
+        y = ey;
+        break;
+      }
+      case "A": {
+        const rx = Math.abs(next());
+        const ry = Math.abs(next());
+        const rotation = next();
+        const largeArc = next() !== 0;
+        const sweep = next() !== 0;
+        const ex = ox + next();
+        const ey = oy + next();
+        points.push(
+          ...arcPoints([x, y], rx, ry, rotation, largeArc, sweep, [ex, ey]),
+        );
+        x = ex;
+        y = ey;
+        break;
+      }
+      case "Z":
+        x = startX;
+        y = startY;
+        break;
+      default:
+        return boxOf(points);
+    }
+
+    previous = command;
+    // Z takes no arguments, so stray numbers after it end the path
+    if (command.toUpperCase() === "Z") {
+      command = "";
+    }
+  }
+
+  return boxOf(points);
+}
+
+/**
+ * Returns the end point and the extrema of a cubic Bézier curve
+ * @param {[number, number]} p0 - Start point
+ * @param {[number, number]} p1 - First control point
+ * @param {[number, number]} p2 - Second control point
+ * @param {[number, number]} p3 - End point
+ * @returns {[number, number][]} Points on the curve bounding it
+ */
+function cubicExtrema(p0, p1, p2, p3) {
+  /** @type {[number, number][]} */
+  const points = [p3];
+  const at = (t, axis) =>
+    (1 - t) ** 3 * p0[axis] +
+    3 * (1 - t) ** 2 * t * p1[axis] +
+    3 * (1 - t) * t ** 2 * p2[axis] +
+    t ** 3 * p3[axis];
+
+  for (const axis of [0, 1]) {
+    // Roots of the derivative: a*t^2 + b*t + c = 0
+    const a = -p0[axis] + 3 * p1[axis] - 3 * p2[axis] + p3[axis];
+    const b = 2 * (p0[axis] - 2 * p1[axis] + p2[axis]);
+    const c = p1[axis] - p0[axis];
+    for (const t of quadraticRoots(a, b, c)) {
+      if (t > 0 && t < 1) {
+        points.push([at(t, 0), at(t, 1)]);
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * Returns the end point and the extrema of a quadratic Bézier curve
+ * @param {[number, number]} p0 - Start point
+ * @param {[number, number]} p1 - Control point
+ * @param {[number, number]} p2 - End point
+ * @returns {[number, number][]} Points on the curve bounding it
+ */
+function quadraticExtrema(p0, p1, p2) {
+  /** @type {[number, number][]} */
+  const points = [p2];
+  const at = (t, axis) =>
+    (1 - t) ** 2 * p0[axis] + 2 * (1 - t) * t * p1[axis] + t ** 2 * p2[axis];
+
+  for (const axis of [0, 1]) {
+    const denominator = p0[axis] - 2 * p1[axis] + p2[axis];
+    if (denominator !== 0) {
+      const t = (p0[axis] - p1[axis]) / denominator;
+      if (t > 0 && t < 1) {
+        points.push([at(t, 0), at(t, 1)]);
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * Samples an elliptical arc, converting it to center parameterization
+ * @param {[number, number]} start - Start point
+ * @param {number} rx - X radius
+ * @param {number} ry - Y radius
+ * @param {number} rotation - X axis rotation in degrees
+ * @param {boolean} largeArc - Large arc flag
+ * @param {boolean} sweep - Sweep flag
+ * @param {[number, number]} end - End point
+ * @returns {[number, number][]} Points on the arc bounding it closely
+ */
+function arcPoints(start, rx, ry, rotation, largeArc, sweep, end) {
+  if (rx === 0 || ry === 0) {
+    return [end];
+  }
+
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (start[0] - end[0]) / 2;
+  const dy = (start[1] - end[1]) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+
+  // Scale radii up when they are too small to reach the end point
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const factor =
+    (largeArc === sweep ? -1 : 1) *
+    Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = (factor * rx * y1) / ry;
+  const cy1 = (-factor * ry * x1) / rx;
+  const cx = cos * cx1 - sin * cy1 + (start[0] + end[0]) / 2;
+  const cy = sin * cx1 + cos * cy1 + (start[1] + end[1]) / 2;
+
+  const angle = (ux, uy, vx, vy) =>
+    Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let delta = angle(
+    (x1 - cx1) / rx,
+    (y1 - cy1) / ry,
+    (-x1 - cx1) / rx,
+    (-y1 - cy1) / ry,
+  );
+  if (!sweep && delta > 0) {
+    delta -= 2 * Math.PI;
+  } else if (sweep && delta < 0) {
+    delta += 2 * Math.PI;
+  }
+
+  /** @type {[number, number][]} */
+  const points = [end];
+  const steps = 32;
+  for (let i = 1; i < steps; i++) {
+    const t = theta + (delta * i) / steps;
+    const ex = rx * Math.cos(t);
+    const ey = ry * Math.sin(t);
+    points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+  }
+  return points;
+}
+
+/**
+ * Solves a*t^2 + b*t + c = 0, falling back to the linear case
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @returns {number[]} Real roots
+ */
+function quadraticRoots(a, b, c) {
+  if (Math.abs(a) < 1e-12) {
+    return Math.abs(b) < 1e-12 ? [] : [-c / b];
+  }
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) {
+    return [];
+  }
+  const root = Math.sqrt(discriminant);
+  return [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+}
+
+/**
+ * Parses an SVG transform list into a single matrix
+ * @param {string} transform - Transform attribute value
+ * @returns {Matrix} Combined transformation
+ */
+export function parseTransform(transform) {
+  /** @type {Matrix} */
+  let matrix = IDENTITY;
+  for (const [, type, args] of transform.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const v = numbers(args);
+    /** @type {Matrix} */
+    let next;
+    switch (type) {
+      case "matrix":
+        next = v.length === 6 ? /** @type {Matrix} */ (v) : IDENTITY;
+        break;
+      case "translate":
+        next = translation(v[0] || 0, v[1] || 0);
+        break;
+      case "scale":
+        next = [v[0] ?? 1, 0, 0, v[1] ?? v[0] ?? 1, 0, 0];
+        break;
+      case "rotate": {
+        const rad = ((v[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        next = [cos, sin, -sin, cos, 0, 0];
+        if (v.length === 3) {
+          next = multiply(
+            multiply(translation(v[1], v[2]), next),
+            translation(-v[1], -v[2]),
+          );
+        }
+        break;
+      }
+      case "skewX":
+        next = [1, 0, Math.tan(((v[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case "skewY":
+        next = [1, Math.tan(((v[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+      default:
+        next = IDENTITY;
+    }
+    matrix = multiply(matrix, next);
+  }
+  return matrix;
+}
+
+/**
+ * Multiplies two affine matrices (applying n first, then m)
+ * @param {Matrix} m
+ * @param {Matrix} n
+ * @returns {Matrix}
+ */
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @returns {Matrix}
+ */
+function translation(x, y) {
+  return [1, 0, 0, 1, x, y];
+}
+
+/**
+ * Transforms the corners of a local box and adds them to the bounds
+ * @param {BBox} bounds - Accumulated bounds
+ * @param {Matrix} m - Transformation to root coordinates
+ * @param {number} minX
+ * @param {number} minY
+ * @param {number} maxX
+ * @param {number} maxY
+ * @returns {void}
+ */
+function addTransformedBox(bounds, m, minX, minY, maxX, maxY) {
+  for (const [x, y] of [
+    [minX, minY],
+    [maxX, minY],
+    [minX, maxY],
+    [maxX, maxY],
+  ]) {
+    const tx = m[0] * x + m[2] * y + m[4];
+    const ty = m[1] * x + m[3] * y + m[5];
+    bounds.minX = Math.min(bounds.minX, tx);
+    bounds.minY = Math.min(bounds.minY, ty);
+    bounds.maxX = Math.max(bounds.maxX, tx);
+    bounds.maxY = Math.max(bounds.maxY, ty);
+  }
+}
+
+/**
+ * @param {number[][]} points
+ * @returns {BBox | null}
+ */
+function boxOf(points) {
+  const finite = points.filter(
+    ([x, y]) => Number.isFinite(x) && Number.isFinite(y),
+  );
+  if (finite.length === 0) {
+    return null;
+  }
+  return {
+    minX: Math.min(...finite.map((p) => p[0])),
+    minY: Math.min(...finite.map((p) => p[1])),
+    maxX: Math.max(...finite.map((p) => p[0])),
+    maxY: Math.max(...finite.map((p) => p[1])),
+  };
+}
+
+/**
+ * Reads a presentation attribute, also looking into the style attribute
+ * @param {Record<string, string>} attributes
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function readPresentation(attributes, name) {
+  const style = attributes.style;
+  if (style) {
+    const match = style.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`));
+    if (match) {
+      return match[1].trim();
+    }
+  }
+  return attributes[name];
+}
+
+/**
+ * @param {string} source - Raw attribute list of a start tag
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(source) {
+  /** @type {Record<string, string>} */
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted, bare] of source.matchAll(
+    /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g,
+  )) {
+    attributes[name] = decodeEntities(
+      doubleQuoted ?? singleQuoted ?? bare ?? "",
+    );
+  }
+  return attributes;
+}
+
+/**
+ * @param {SvgElement} element
+ * @returns {string} Text content of the element and its descendants
+ */
+function collectText(element) {
+  return element.text + element.children.map(collectText).join("");
+}
+
+/**
+ * @param {SvgElement} element
+ * @param {string} name
+ * @returns {SvgElement | null} First element with the given name, depth first
+ */
+function findElement(element, name) {
+  for (const child of element.children) {
+    if (child.name === name) {
+      return child;
+    }
+    const found = findElement(child, name);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(
+    /&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi,
+    (_, entity) => {
+      switch (entity.toLowerCase()) {
+        case "lt":
+          return "<";
+        case "gt":
+          return ">";
+        case "amp":
+          return "&";
+        case "quot":
+          return '"';
+        case "apos":
+          return "'";
+        default:
+          return String.fromCodePoint(
+            entity[1].toLowerCase() === "x"
+              ? parseInt(entity.slice(2), 16)
+              : parseInt(entity.slice(1), 10),
+          );
+      }
+    },
+  );
+}
+
+/**
+ * @param {string} value
+ * @returns {number[]}
+ */
+function numbers(value) {
+  return (value.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(
+    Number,
+  );
+}
+
+/**
+ * @param {string | undefined} value - Attribute value, possibly with a unit
+ * @param {number} [fallback=0]
+ * @returns {number}
+ */
+function num(value, fallback = 0) {
+  const parsed = parseFloat(value ?? "");
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
@@ -0,0 +1,153 @@
+//@ts-check
+/**
+ * @fileoverview Pool of Puppeteer browsers owned by the caller, shared by remark-svguitar renders
+ */
+
+import puppeteer from "puppeteer";
+
+/**
+ * @typedef {Object} BrowserManagerOptions
+ * @property {import("puppeteer").LaunchOptions} [puppeteerOptions={}] - Options passed to puppeteer.launch()
+ * @property {number} [size=1] - Maximum number of browsers rendering at the same time
+ * @property {(options: import("puppeteer").LaunchOptions) => Promise<import("puppeteer").Browser>} [launch] - Launches a browser, puppeteer.launch by default
+ */
+
+/**
+ * @typedef {Object} BrowserLease
+ * @property {import("puppeteer").Browser} browser - Browser reserved for the caller
+ * @property {() => void} release - Returns the browser to the pool
+ */
+
+/**
+ * @typedef {Object} BrowserManager
+ * @property {() => Promise<BrowserLease>} acquire - Reserves a browser, launching one if none is idle and the pool is not full; waits otherwise
+ * @property {() => Promise<void>} dispose - Closes every browser; the manager cannot be used afterwards
+ */
+
+/**
+ * Creates a pool of browsers launched on demand. Each render leases a browser
+ * for itself, so concurrent renders use up to `size` browsers and queue beyond.
+ * The pool installs no process handlers: whoever creates it disposes it.
+ * @param {BrowserManagerOptions} [options={}] - Pool configuration
+ * @returns {BrowserManager} Browser manager
+ */
+export function createBrowserManager(options = {}) {
+  const {
+    puppeteerOptions = {},
+    size = 1,
+    launch = (launchOptions) => puppeteer.launch(launchOptions),
+  } = options;
+
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(
+      `Browser pool size must be a positive integer, got ${size}`,
+    );
+  }
+
+  /** @type {Set<import("puppeteer").Browser>} */
+  const browsers = new Set();
+  /** @type {import("puppeteer").Browser[]} */
+  const idle = [];
+  /** @type {((browser: import("puppeteer").Browser | null) => void)[]} */
+  const waiting = [];
+  // Browsers launched or being launched
+  let count = 0;
+  let disposed = false;
+
+  /**
+   * @param {import("puppeteer").Browser} browser - Leased browser
+   * @returns {BrowserLease} Lease releasing the browser once
+   */
+  const lease = (browser) => {
+    let released = false;
+    return {
+      browser,
+      release: () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        if (disposed) {
+          return;
+        }
+        // A crashed browser leaves the pool, making room for a new one
+        if (!browser.connected) {
+          browsers.delete(browser);
+          count--;
+          const next = waiting.shift();
+          if (next) {
+            next(null);
+          }
+          return;
+        }
+        const next = waiting.shift();
+        if (next) {
+          next(browser);
+        } else {
+          idle.push(browser);
+        }
+      },
+    };
+  };
+
+  const acquire = async () => {
+    if (disposed) {
+      throw new Error("Browser manager has been disposed");
+    }
+
+    for (let browser = idle.pop(); browser; browser = idle.pop()) {
+      if (browser.connected) {
+        return lease(browser);
+      }
+      // Closed or crashed while idle
+      browsers.delete(browser);
+      count--;
+    }
+
+    if (count < size) {
+      count++;
+      let browser;
+      try {
+        browser = await launch({
+          headless: true,
+          args: ["--no-sandbox", "--disable-setuid-sandbox"],
+          ...puppeteerOptions,
+        });
+      } catch (error) {
+        // Let a waiting render try to launch in the freed slot
+        count--;
+        const next = waiting.shift();
+        if (next) {
+          next(null);
+        }
+        throw error;
+      }
+      if (disposed) {
+        await browser.close();
+        throw new Error("Browser manager has been disposed");
+      }
+      browsers.add(browser);
+      return lease(browser);
+    }
+
+    // Wait for a browser to be released; null means a slot was freed instead
+    const browser = await new Promise((resolve) => waiting.push(resolve));
+    return browser ? lease(browser) : acquire();
+  };
+
+  return {
+    acquire,
+
+    async dispose() {
+      disposed = true;
+      idle.length = 0;
+      for (const resolve of waiting.splice(0)) {
+        resolve(null);
+      }
+      const closing = [...browsers].map((browser) => browser.close());
+      browsers.clear();
+      count = 0;
+      await Promise.allSettled(closing);
+    },
+  };
+}
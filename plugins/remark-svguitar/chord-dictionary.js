@@ -0,0 +1,409 @@
+//@ts-check
+/**
+ * @fileoverview Built-in guitar chord voicings and lookup of chord names such as `Am`, `Bb/D` or `Am:2`
+ */
+
+import { pitchClass } from "../shared/notes.js";
+import { fretsToChord, parseFrets } from "./frets.js";
+
+/**
+ * A voicing: frets from the lowest string (`"x32010"`), frets with a barre
+ * (`{ frets: "133211", barre: 1 }`), or SVGuitar chord data (`{ fingers, barres }`)
+ * @typedef {string | { frets: string, barre?: number } | { fingers: any[], barres?: any[], position?: number }} Voicing
+ */
+
+/**
+ * Chord names mapped to one voicing or a list of alternatives, the first being the default
+ * @typedef {Record<string, Voicing | Voicing[]>} ChordDictionary
+ */
+
+/**
+ * @typedef {Object} ChordName
+ * @property {number} root - Pitch class of the root, 0 for C
+ * @property {string} quality - Normalized chord quality, e.g. "m7"
+ * @property {number | null} bass - Pitch class of the bass note of a slash chord
+ */
+
+/**
+ * Open strings of a guitar in standard tuning, lowest first
+ */
+export const STANDARD_TUNING = Object.freeze(["E", "A", "D", "G", "B", "E"]);
+
+/**
+ * Pitch classes of the open strings in standard tuning, lowest first
+ */
+const STANDARD_PITCHES = STANDARD_TUNING.map(
+  (note) => /** @type {number} */ (pitchClass(note)),
+);
+
+/**
+ * Matches `Root quality /Bass :voicing`, e.g. `F#m7b5`, `Bb/D`, `Am:2`
+ */
+const CHORD_NAME =
+  /^([A-G](?:#|b)?)([^/:\s]*)(?:\/([A-G](?:#|b)?))?(?::(\d+))?$/;
+
+/**
+ * Alternative spellings of the same quality
+ */
+const QUALITY_ALIASES = {
+  maj: "",
+  M: "",
+  min: "m",
+  "-": "m",
+  M7: "maj7",
+  Δ: "maj7",
+  Δ7: "maj7",
+  min7: "m7",
+  "-7": "m7",
+  dom7: "7",
+  sus: "sus4",
+  "°": "dim",
+  o: "dim",
+  "+": "aug",
+};
+
+/**
+ * Open position voicings, played most often, listed before the movable shapes
+ * @type {ChordDictionary}
+ */
+const OPEN_VOICINGS = {
+  C: "x32010",
+  C7: "x32310",
+  Cmaj7: "x32000",
+  Cadd9: "x32030",
+  Csus2: "x30010",
+  Csus4: "x33011",
+  D: "xx0232",
+  Dm: "xx0231",
+  D7: "xx0212",
+  Dm7: "xx0211",
+  Dmaj7: "xx0222",
+  Dsus2: "xx0230",
+  Dsus4: "xx0233",
+  E: "022100",
+  Em: "022000",
+  E7: "020100",
+  Em7: "022030",
+  Emaj7: "021100",
+  Esus4: "022200",
+  Fmaj7: "xx3210",
+  G: "320003",
+  G7: "320001",
+  Gmaj7: "320002",
+  G6: "320000",
+  A: "x02220",
+  Am: "x02210",
+  A7: "x02020",
+  Am7: "x02010",
+  Amaj7: "x02120",
+  Asus2: "x02200",
+  Asus4: "x02230",
+  B7: "x21202",
+};
+
+/**
+ * Movable shapes by string of the root: frets relative to the root fret, null for a muted string
+ * @type {Record<"E" | "A", Record<string, (number | null)[]>>}
+ */
+const MOVABLE_SHAPES = {
+  // Root on the lowest string
+  E: {
+    "": [0, 2, 2, 1, 0, 0],
+    m: [0, 2, 2, 0, 0, 0],
+    7: [0, 2, 0, 1, 0, 0],
+    m7: [0, 2, 0, 0, 0, 0],
+    maj7: [0, null, 1, 1, 0, null],
+    sus4: [0, 2, 2, 2, 0, 0],
+    "7sus4": [0, 2, 0, 2, 0, 0],
+    m7b5: [0, null, 0, 0, -1, null],
+    dim7: [0, null, -1, 0, -1, null],
+  },
+  // Root on the fifth string
+  A: {
+    "": [null, 0, 2, 2, 2, 0],
+    m: [null, 0, 2, 2, 1, 0],
+    7: [null, 0, 2, 0, 2, 0],
+    m7: [null, 0, 2, 0, 1, 0],
+    maj7: [null, 0, 2, 1, 2, 0],
+    sus2: [null, 0, 2, 2, 0, 0],
+    sus4: [null, 0, 2, 2, 3, 0],
+    6: [null, 0, 2, 2, 2, 2],
+    m6: [null, 0, 2, -1, 1, null],
+    9: [null, 0, -1, 0, 0, 0],
+    dim: [null, 0, 1, 2, 1, null],
+    aug: [null, 0, 3, 2, 2, null],
+    m7b5: [null, 0, 1, 0, 1, null],
+  },
+};
+
+/**
+ * The built-in dictionary: open voicings first, then barre and movable shapes up the neck.
+ * Spread it into the `chordDictionary` option to extend it rather than replace entries.
+ * @type {Readonly<ChordDictionary>}
+ */
+export const CHORD_DICTIONARY = Object.freeze(buildDictionary());
+
+/**
+ * Parses a chord name such as `F#m7`, `Bb/D` or `Am:2`
+ * @param {string} name - Chord name as written
+ * @returns {(ChordName & { voicing: number }) | null} Parsed name with the 1-based voicing number, or null if it is not a chord name
+ */
+export function parseChordName(name) {
+  const match = name.match(CHORD_NAME);
+  if (!match) {
+    return null;
+  }
+  const [, root, quality, bass, voicing] = match;
+  return {
+    root: /** @type {number} */ (pitchClass(root)),
+    quality: QUALITY_ALIASES[quality] ?? quality,
+    bass: bass ? pitchClass(bass) : null,
+    voicing: voicing ? Number(voicing) : 1,
+  };
+}
+
+/**
+ * Creates a lookup function over the built-in dictionary and user entries.
+ * User entries replace the built-in voicings of the same chord, whatever the spelling (C# or Db).
+ * @param {ChordDictionary} [userDictionary={}] - Additional or replacement chords
+ * @param {{ builtIn?: boolean }} [options={}] - `builtIn: false` leaves out the
+ * built-in voicings, which are for a guitar in standard tuning
+ * The lookup may be given a function computing the chords the dictionary lacks,
+ * from the chord symbol and the voicing number.
+ * @returns {(name: string, compute?: (symbol: string, voicing: number) => any) => any} Returns SVGuitar chord data titled with the name, throws for unknown chords
+ */
+export function createChordLookup(userDictionary = {}, options = {}) {
+  const { builtIn = true } = options;
+  /** @type {Map<string, Voicing[]>} */
+  const voicings = new Map();
+  for (const dictionary of builtIn
+    ? [CHORD_DICTIONARY, userDictionary]
+    : [userDictionary]) {
+    for (const [name, entry] of Object.entries(dictionary)) {
+      const parsed = parseChordName(name);
+      if (!parsed || parsed.voicing !== 1 || name.includes(":")) {
+        throw new Error(`Invalid chord name "${name}" in chord dictionary`);
+      }
+      voicings.set(chordKey(parsed), Array.isArray(entry) ? entry : [entry]);
+    }
+  }
+
+  return (name, compute) => {
+    const parsed = parseChordName(name);
+    if (!parsed) {
+      throw new Error(`"${name}" is not a chord name`);
+    }
+    const title = name.replace(/:\d+$/, "");
+
+    // A slash chord may have its own entry, otherwise the bass is fitted into the chord's voicings
+    const exact = voicings.get(chordKey(parsed));
+    const candidates =
+      exact ||
+      (parsed.bass !== null
+        ? (voicings.get(chordKey({ ...parsed, bass: null })) || [])
+            .map((voicing) => withBass(toChordData(voicing), parsed.bass))
+            .filter(Boolean)
+        : null);
+
+    if (!candidates || candidates.length === 0) {
+      const computed = compute?.(title, parsed.voicing);
+      if (computed) {
+        return computed;
+      }
+      throw new Error(`Unknown chord "${title}"`);
+    }
+    if (parsed.voicing > candidates.length) {
+      throw new Error(
+        `Chord "${title}" has ${candidates.length} voicing${candidates.length === 1 ? "" : "s"}, "${name}" asks for voicing ${parsed.voicing}`,
+      );
+    }
+
+    const voicing = candidates[parsed.voicing - 1];
+    return { ...toChordData(voicing), title };
+  };
+}
+
+/**
+ * Tells whether open strings are those of a guitar in standard tuning, which
+ * the built-in voicings are for
+ * @param {string[] | null} tuning - Open strings from the lowest
+ * @returns {boolean} True for E A D G B E, whatever the spelling
+ */
+export function isStandardGuitarTuning(tuning) {
+  return (
+    tuning !== null &&
+    tuning.length === STANDARD_TUNING.length &&
+    tuning.every((note, index) => pitchClass(note) === STANDARD_PITCHES[index])
+  );
+}
+
+/**
+ * @param {ChordName} chord
+ * @returns {string} Key identifying a chord regardless of enharmonic spelling
+ */
+function chordKey({ root, quality, bass }) {
+  return `${root}${quality}${bass === null ? "" : `/${bass}`}`;
+}
+
+/**
+ * Converts any voicing form into SVGuitar chord data
+ * @param {Voicing | { frets: import("./frets.js").Fret[] }} voicing - The voicing
+ * @returns {any} SVGuitar chord data
+ */
+export function toChordData(voicing) {
+  if (typeof voicing === "string") {
+    return fretsToChord(parseFrets(voicing));
+  }
+  if ("fingers" in voicing) {
+    return { barres: [], ...voicing };
+  }
+  const frets =
+    typeof voicing.frets === "string"
+      ? parseFrets(voicing.frets)
+      : voicing.frets;
+  return fretsToChord(frets, {
+    barre: "barre" in voicing ? voicing.barre : undefined,
+  });
+}
+
+/**
+ * Rewrites a guitar voicing so that the bass note is its lowest sounding note:
+ * the lowest string that plays the bass, or can reach it near the chord's
+ * hand position, takes it and the strings below are muted
+ * @param {any} chord - SVGuitar chord data of a six-string voicing
+ * @param {number} bass - Pitch class of the bass note
+ * @returns {any | null} Chord data with the bass note lowest, or null if the voicing cannot have it
+ */
+function withBass(chord, bass) {
+  const position = chord.position || 1;
+  const absolute = (fret) => (fret === 0 ? 0 : fret + position - 1);
+  if (chord.fingers.some(([string]) => string > STANDARD_TUNING.length)) {
+    return null;
+  }
+
+  // Absolute fret per string, index 0 being the lowest string
+  /** @type {(number | "x")[]} */
+  const frets = STANDARD_TUNING.map(() => "x");
+  for (const [string, fret] of chord.fingers) {
+    frets[6 - string] = fret === "x" ? "x" : absolute(fret);
+  }
+  for (const { fromString, toString, fret } of chord.barres || []) {
+    for (let string = toString; string <= fromString; string++) {
+      if (frets[6 - string] === "x") {
+        frets[6 - string] = absolute(fret);
+      }
+    }
+  }
+
+  const fretted = /** @type {number[]} */ (
+    frets.filter((fret) => typeof fret === "number" && fret > 0)
+  );
+  const low = fretted.length > 0 ? Math.min(...fretted) : 1;
+  const reach = [0, low, low + 1, low + 2, low + 3];
+  const note = (index, fret) => (STANDARD_PITCHES[index] + fret) % 12;
+
+  for (let index = 0; index < frets.length; index++) {
+    const current = frets[index];
+    const fret =
+      current !== "x" && note(index, current) === bass
+        ? current
+        : reach.find((candidate) => note(index, candidate) === bass);
+    if (fret === undefined) {
+      continue;
+    }
+    const result = frets.map((value, i) =>
+      i < index ? "x" : i === index ? fret : value,
+    );
+    // Too few strings left to still sound like the chord
+    if (result.filter((value) => value !== "x").length < 4) {
+      return null;
+    }
+    return fretsToChord(result, {
+      barre: barreFret(chord, position, result),
+    });
+  }
+  return null;
+}
+
+/**
+ * @param {any} chord - Original chord data
+ * @param {number} position - Position of the original chord
+ * @param {(number | "x")[]} frets - Rewritten frets
+ * @returns {number | undefined} Absolute barre fret still played by several strings
+ */
+function barreFret(chord, position, frets) {
+  const barre = (chord.barres || [])[0];
+  if (!barre) {
+    return undefined;
+  }
+  const fret = barre.fret + position - 1;
+  return frets.filter((value) => value === fret).length > 1 ? fret : undefined;
+}
+
+/**
+ * Builds the built-in dictionary from the open voicings and the movable shapes
+ * transposed to every root
+ * @returns {ChordDictionary}
+ */
+function buildDictionary() {
+  /** @type {Record<string, Voicing[]>} */
+  const dictionary = {};
+  const names = [
+    "C",
+    "C#",
+    "D",
+    "Eb",
+    "E",
+    "F",
+    "F#",
+    "G",
+    "Ab",
+    "A",
+    "Bb",
+    "B",
+  ];
+
+  for (const [name, voicing] of Object.entries(OPEN_VOICINGS)) {
+    dictionary[name] = [/** @type {Voicing} */ (voicing)];
+  }
+
+  /** @type {{ root: number, shape: "E" | "A", fret: number }[]} */
+  const placements = [];
+  for (const [shape, openString] of /** @type {const} */ ([
+    ["E", 4],
+    ["A", 9],
+  ])) {
+    for (let root = 0; root < 12; root++) {
+      // Fret of the root on that string, keeping open shapes for the open voicings
+      const fret = (root - openString + 12) % 12 || 12;
+      placements.push({ root, shape, fret });
+    }
+  }
+  // Lower positions are easier to play, so they come first
+  placements.sort((a, b) => a.fret - b.fret);
+
+  for (const { root, shape, fret } of placements) {
+    for (const [quality, offsets] of Object.entries(MOVABLE_SHAPES[shape])) {
+      const frets = offsets.map((offset) =>
+        offset === null ? "x" : fret + offset,
+      );
+      if (frets.some((value) => typeof value === "number" && value < 1)) {
+        continue;
+      }
+      const name = `${names[root]}${quality}`;
+      const barred = offsets
+        .slice(offsets.indexOf(0), offsets.lastIndexOf(0) + 1)
+        .every((offset) => offset !== null && offset >= 0);
+      const barre =
+        barred && offsets.filter((offset) => offset === 0).length > 1
+          ? fret
+          : undefined;
+      const voicing = barre
+        ? { frets: frets.join("-"), barre }
+        : frets.join("-");
+      (dictionary[name] ||= []).push(voicing);
+    }
+  }
+
+  return dictionary;
+}
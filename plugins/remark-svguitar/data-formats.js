@@ -0,0 +1,146 @@
+//@ts-check
+/**
+ * @fileoverview Reads the chord data of svguitar blocks written as JSON, JSON5 or YAML
+ */
+
+import { load, CORE_SCHEMA } from "js-yaml";
+import JSON5 from "json5";
+import { locateJsonPath } from "./validate.js";
+
+/**
+ * Values of the `format` option: "auto" tells the format from the block content
+ */
+export const DATA_FORMATS = ["auto", "json", "json5", "yaml"];
+
+/**
+ * @typedef {Object} ParsedChordData
+ * @property {unknown} data - One chord or an array of chords, as written
+ * @property {(path: (string | number)[], key?: boolean) => number | undefined} locate - Finds where a value, or the key of an object member, starts in the text
+ */
+
+/**
+ * Comments and whitespace allowed before JSON5 data
+ */
+const JSON5_PREAMBLE = /^(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*/;
+
+/**
+ * Comments and whitespace allowed before YAML data
+ */
+const YAML_PREAMBLE = /^(?:\s+|#[^\n]*)*/;
+
+/**
+ * First line of a YAML document: a document marker, a list item or a mapping key
+ */
+const YAML_START = /^(?:---|-(?:\s|$)|["']?[\w-]+["']?[ \t]*:(?:\s|$))/;
+
+/**
+ * Tells how a block is written, from its first non-comment characters
+ * @param {string} text - Content of the code block
+ * @returns {"json5" | "yaml" | "frets"} JSON5 for an object, an array or a quoted chord name (JSON
+ * included), YAML for a document marker, list item or mapping, fret notation otherwise
+ */
+export function detectFormat(text) {
+  if (/^[[{"']/.test(text.replace(JSON5_PREAMBLE, ""))) {
+    return "json5";
+  }
+  if (YAML_START.test(text.replace(YAML_PREAMBLE, ""))) {
+    return "yaml";
+  }
+  return "frets";
+}
+
+/**
+ * Parses the chord data of a block
+ * @param {string} text - Content of the code block
+ * @param {"json" | "json5" | "yaml"} format - Syntax of the content
+ * @returns {ParsedChordData} Data, with a way to locate its values when the format supports it
+ * @throws {Error & { offset?: number }} Syntax errors, naming the line and column; `offset` is where the error is in the text
+ */
+export function parseChordData(text, format) {
+  if (format === "yaml") {
+    try {
+      return {
+        data: load(text, { schema: CORE_SCHEMA }),
+        locate: () => undefined,
+      };
+    } catch (error) {
+      if (!error.mark) {
+        throw error;
+      }
+      const { line, column, position } = error.mark;
+      throw Object.assign(
+        new Error(`${error.reason} at line ${line + 1}, column ${column + 1}`),
+        { offset: position },
+      );
+    }
+  }
+
+  if (format === "json5") {
+    try {
+      return {
+        data: JSON5.parse(text),
+        locate: (path, key = false) => locateJsonPath(text, path, key),
+      };
+    } catch (error) {
+      if (error.lineNumber === undefined) {
+        throw error;
+      }
+      // "JSON5: invalid character 't' at 3:3" becomes "Invalid character 't'"
+      const reason = error.message
+        .replace(/^JSON5: /, "")
+        .replace(/ at \d+:\d+$/, "");
+      throw Object.assign(
+        new Error(
+          `${reason[0].toUpperCase()}${reason.slice(1)} at line ${error.lineNumber}, column ${error.columnNumber}`,
+        ),
+        {
+          offset: lineColumnOffset(text, error.lineNumber, error.columnNumber),
+        },
+      );
+    }
+  }
+
+  try {
+    return {
+      data: JSON.parse(text),
+      locate: (path, key = false) => locateJsonPath(text, path, key),
+    };
+  } catch (error) {
+    throw Object.assign(new Error(error.message), {
+      offset: jsonErrorOffset(text, error),
+    });
+  }
+}
+
+/**
+ * Finds the offset of a JSON.parse syntax error, which reports either an
+ * offset or a line and column depending on the Node.js version
+ * @param {string} text - Parsed text
+ * @param {Error} error - Error thrown by JSON.parse
+ * @returns {number | undefined} Offset in the text
+ */
+function jsonErrorOffset(text, error) {
+  const lineColumn = error.message.match(/\(line (\d+) column (\d+)\)/);
+  if (lineColumn) {
+    return lineColumnOffset(text, Number(lineColumn[1]), Number(lineColumn[2]));
+  }
+  const position = error.message.match(/at position (\d+)/);
+  return position ? Number(position[1]) : undefined;
+}
+
+/**
+ * @param {string} text - Parsed text
+ * @param {number} line - Line number, from 1
+ * @param {number} column - Column number, from 1
+ * @returns {number} Offset of the position in the text
+ */
+function lineColumnOffset(text, line, column) {
+  return (
+    text
+      .split("\n")
+      .slice(0, line - 1)
+      .reduce((total, lineText) => total + lineText.length + 1, 0) +
+    column -
+    1
+  );
+}
@@ -0,0 +1,135 @@
+//@ts-check
+/**
+ * @fileoverview Named chords defined once in a document, in its front matter or in
+ * svguitar-define blocks, and referenced by name from the svguitar blocks below them
+ */
+
+import { toChordData } from "./chord-dictionary.js";
+import { parseChordData } from "./data-formats.js";
+import { validateChordData } from "./validate.js";
+
+/**
+ * Chords defined so far in a document, by name, as SVGuitar chord data titled with the name
+ * @typedef {Map<string, any>} ChordDefinitions
+ */
+
+/**
+ * Reads the `chords` field of the document's front matter: a YAML node added by
+ * remark-frontmatter, or else the `file.data.matter` object set by vfile-matter
+ * @param {{ value: string } | undefined} node - YAML front matter node of the tree
+ * @param {import('vfile').VFile} [file] - The processed file
+ * @returns {unknown} Chord definitions, undefined if there are none
+ * @throws {Error & { offset?: number }} YAML syntax errors, with their offset in the node value
+ */
+export function readFrontMatterChords(node, file) {
+  const matter = node
+    ? parseChordData(node.value, "yaml").data
+    : /** @type {any} */ (file?.data)?.matter;
+  return /** @type {any} */ (matter)?.chords;
+}
+
+/**
+ * Adds chord definitions, replacing earlier definitions of the same names
+ * @param {unknown} data - Names mapped to voicings (frets such as "x32030", `{ frets, barre }`
+ * or SVGuitar chord data), or a list of chords titled with their names, as in fret notation
+ * @param {ChordDefinitions} definitions - Definitions of the document
+ * @throws {Error & { path: (string | number)[], unknownField: boolean }} Invalid definitions, with the
+ * path of the offending value and whether it is a field that is not allowed
+ */
+export function addDefinitions(data, definitions) {
+  const fail = (message, path, unknownField = false) => {
+    throw Object.assign(new Error(message), { path, unknownField });
+  };
+
+  /** @type {[string, unknown, string | number][]} */
+  let entries;
+  if (Array.isArray(data)) {
+    entries = data.map((chord, index) => {
+      if (typeof chord?.title !== "string" || chord.title === "") {
+        fail(`Chord ${index + 1} needs a title to be defined`, [index]);
+      }
+      const { title, ...voicing } = chord;
+      return [title, voicing, index];
+    });
+  } else if (typeof data === "object" && data !== null) {
+    entries = Object.entries(data).map(([name, voicing]) => [
+      name,
+      voicing,
+      name,
+    ]);
+  } else {
+    fail("Chord definitions must map names to chords", []);
+  }
+
+  for (const [name, voicing, key] of entries) {
+    const isChordObject =
+      typeof voicing === "object" &&
+      voicing !== null &&
+      ("fingers" in voicing || "frets" in voicing);
+    if (typeof voicing !== "string" && !isChordObject) {
+      fail(`Chord "${name}" must be frets such as "x32010" or chord data`, [
+        key,
+      ]);
+    }
+    let chord;
+    try {
+      chord = { title: name, ...toChordData(/** @type {any} */ (voicing)) };
+    } catch (error) {
+      fail(`Chord "${name}": ${error.message}`, [key]);
+    }
+    const schemaError = validateChordData(chord, name);
+    if (schemaError) {
+      fail(
+        schemaError.message,
+        [key, ...schemaError.path],
+        schemaError.unknownField,
+      );
+    }
+    definitions.set(name, chord);
+  }
+}
+
+/**
+ * Replaces the references to defined chords in the data of an svguitar block: a
+ * name (`"Cadd9"`), or `{ "ref": "Cadd9" }` with fields overriding the definition's
+ * @param {unknown} data - One chord or reference, or an array of them
+ * @param {ChordDefinitions} definitions - Chords defined above the block
+ * @returns {unknown} The data with chord data in place of the references
+ * @throws {Error & { path: (string | number)[] }} Undefined references, with the path of the name
+ */
+export function resolveReferences(data, definitions) {
+  const resolve = (item, path) => {
+    let name;
+    let overrides = {};
+    let namePath = path;
+    if (typeof item === "string") {
+      name = item;
+    } else if (
+      typeof item === "object" &&
+      item !== null &&
+      Object.prototype.hasOwnProperty.call(item, "ref")
+    ) {
+      ({ ref: name, ...overrides } = item);
+      namePath = [...path, "ref"];
+    } else {
+      return item;
+    }
+
+    const chord = definitions.get(name);
+    if (!chord) {
+      throw Object.assign(
+        new Error(
+          typeof name === "string"
+            ? `Chord "${name}" is not defined`
+            : `Chord reference must be a name, got ${JSON.stringify(name)}`,
+        ),
+        { path: namePath },
+      );
+    }
+    return { ...chord, ...overrides };
+  };
+
+  return Array.isArray(data)
+    ? data.map((item, index) => resolve(item, [index]))
+    : resolve(data, []);
+}
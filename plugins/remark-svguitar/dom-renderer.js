@@ -0,0 +1,114 @@
+//@ts-check
+/**
+ * @fileoverview Renders SVGuitar chord diagrams in Node against the svgdom server-side DOM
+ */
+
+import { drawChordBlocks } from "./draw-chords.js";
+
+/**
+ * @typedef {Object} DomContext
+ * @property {any} window - svgdom window
+ * @property {typeof import("svguitar").SVGuitarChord} SVGuitarChord - Chart class bound to that window
+ */
+
+/** @type {Promise<DomContext> | null} */
+let domContext = null;
+
+/**
+ * Creates the svgdom window and loads svguitar against it, once per process.
+ * svguitar bundles svg.js, which captures `window` and `document` when it is
+ * first evaluated, so the globals only exist while svguitar is imported.
+ * @returns {Promise<DomContext>} The shared window and chart class
+ */
+function getDomContext() {
+  if (!domContext) {
+    domContext = (async () => {
+      const { createSVGWindow } = await import("svgdom");
+      const window = createSVGWindow();
+      const globals = /** @type {any} */ (globalThis);
+      const previous = { window: globals.window, document: globals.document };
+
+      globals.window = window;
+      globals.document = window.document;
+      try {
+        const { SVGuitarChord } = await import("svguitar");
+        return { window, SVGuitarChord };
+      } finally {
+        globals.window = previous.window;
+        globals.document = previous.document;
+        if (previous.window === undefined) {
+          delete globals.window;
+        }
+        if (previous.document === undefined) {
+          delete globals.document;
+        }
+      }
+    })();
+    // Let a later call retry if svgdom or svguitar could not be loaded
+    domContext.catch(() => {
+      domContext = null;
+    });
+  }
+  return domContext;
+}
+
+/**
+ * Renders the chord diagrams of every block with svgdom, without a browser.
+ * The markup matches the Puppeteer renderer.
+ * @param {import("./draw-chords.js").ChordBlock[]} blocks - Blocks to render
+ * @returns {Promise<({ html: string } | { error: string })[]>} The rendered SVG content of each block, or why it failed
+ */
+export async function renderBlocksWithDom(blocks) {
+  const { window, SVGuitarChord } = await getDomContext();
+
+  return drawChordBlocks(window.document, SVGuitarChord, blocks).map(
+    (result) => {
+      if ("error" in result) {
+        return result;
+      }
+      const html = serializeNode(result.container);
+      result.container.remove();
+      return { html };
+    },
+  );
+}
+
+/**
+ * Serializes an svgdom node to markup. svgdom's own serializer rejects the
+ * `xmlns:*` attributes svguitar sets without a namespace, so this writes
+ * attributes as they are.
+ * @param {any} node - Element or text node
+ * @returns {string} Markup
+ */
+function serializeNode(node) {
+  if (node.nodeType === 3) {
+    return escapeText(node.data);
+  }
+  if (node.nodeType !== 1) {
+    return "";
+  }
+
+  const name = node.nodeName;
+  const attributes = [...node.attributes].map(
+    (attribute) =>
+      ` ${attribute.name}="${escapeText(String(attribute.value)).replace(/"/g, "&quot;")}"`,
+  );
+  // Standalone-ready SVG, as the browser renderer produces
+  if (name === "svg" && !node.hasAttribute("xmlns")) {
+    attributes.unshift(` xmlns="http://www.w3.org/2000/svg"`);
+  }
+  const children = [...node.childNodes].map(serializeNode).join("");
+  return `<${name}${attributes.join("")}>${children}</${name}>`;
+}
+
+/**
+ * Escapes text content for markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
@@ -0,0 +1,101 @@
+//@ts-check
+/**
+ * @fileoverview Draws the chord diagrams of many blocks into a document, shared by the
+ * Puppeteer page and the svgdom renderer
+ */
+
+/**
+ * @typedef {Object} ChordBlock
+ * @property {string} id - Id namespace of the block, prefixing the ids of its chord items
+ * @property {Object[]} chords - Chord data of each diagram
+ * @property {import("svguitar").ChordSettings[]} configs - SVGuitar settings of each diagram
+ */
+
+/**
+ * Draws every block in its own `.chord-container`, one `.chord-item` per chord.
+ * A chord that fails gets an error SVG in its slot, and a block that fails as a
+ * whole is returned as an error, so one bad block or chord never stops the others.
+ *
+ * The function is injected into the Puppeteer page by its source, so it must not
+ * use anything from its module scope.
+ * @param {any} document - DOM document to draw into
+ * @param {any} SVGuitarChord - svguitar chart class bound to that document
+ * @param {ChordBlock[]} blocks - Blocks to draw
+ * @returns {({ container: any } | { error: string })[]} The container of each block, or why it failed
+ */
+export function drawChordBlocks(document, SVGuitarChord, blocks) {
+  const ns = "http://www.w3.org/2000/svg";
+
+  function createErrorSvg(errorMessage) {
+    const svg = document.createElementNS(ns, "svg");
+    svg.setAttribute("width", "300");
+    svg.setAttribute("height", "100");
+    svg.setAttribute("viewBox", "0 0 300 100");
+    svg.setAttribute("class", "error-svg");
+
+    const rect = document.createElementNS(ns, "rect");
+    rect.setAttribute("width", "300");
+    rect.setAttribute("height", "100");
+    rect.setAttribute("fill", "#ffebee");
+    rect.setAttribute("stroke", "#f44336");
+    rect.setAttribute("stroke-width", "2");
+    svg.appendChild(rect);
+
+    const lines = [
+      { y: "30", size: "14", weight: "bold", text: "SVGuitar Error" },
+      {
+        y: "60",
+        size: "12",
+        text:
+          errorMessage.substring(0, 80) +
+          (errorMessage.length > 80 ? "..." : ""),
+      },
+    ];
+    for (const { y, size, weight, text } of lines) {
+      const element = document.createElementNS(ns, "text");
+      element.setAttribute("x", "150");
+      element.setAttribute("y", y);
+      element.setAttribute("text-anchor", "middle");
+      element.setAttribute("fill", "#c62828");
+      element.setAttribute("font-size", size);
+      if (weight) {
+        element.setAttribute("font-weight", weight);
+      }
+      element.textContent = text;
+      svg.appendChild(element);
+    }
+    return svg;
+  }
+
+  const parent = document.body || document.documentElement;
+  return blocks.map(({ id, chords, configs }) => {
+    const container = document.createElement("div");
+    container.setAttribute("class", "chord-container");
+    parent.appendChild(container);
+
+    try {
+      chords.forEach((chordData, index) => {
+        const item = document.createElement("div");
+        item.setAttribute("id", `${id}-${index}`);
+        item.setAttribute("class", "chord-item");
+        container.appendChild(item);
+
+        try {
+          new SVGuitarChord(item)
+            .configure(configs[index] || {})
+            .chord(chordData)
+            .draw();
+        } catch (error) {
+          // SVGuitar may have drawn the chart before failing; keep it then
+          if (!item.firstChild) {
+            item.appendChild(createErrorSvg(String(error.message)));
+          }
+        }
+      });
+      return { container };
+    } catch (error) {
+      container.remove();
+      return { error: String(error.message) };
+    }
+  });
+}
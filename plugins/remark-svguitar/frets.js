@@ -0,0 +1,231 @@
+//@ts-check
+/**
+ * @fileoverview Conversion of fret lists such as "x32010" into SVGuitar chord data
+ */
+
+/**
+ * Fret of one string: a number (0 for open) or "x" for a muted string
+ * @typedef {number | "x"} Fret
+ */
+
+/**
+ * @typedef {Object} FretsToChordOptions
+ * @property {number} [barre] - Absolute fret played as a barre across the strings fretted there
+ * @property {string} [title] - Chord title
+ * @property {(string | null)[]} [fingers] - Finger label per string, lowest string first, e.g. from `parseFingers`
+ */
+
+/**
+ * Highest absolute fret that is drawn without a position label
+ */
+const MAX_OPEN_POSITION_FRET = 4;
+
+/**
+ * Fretted notes a hand can play without a barre
+ */
+const MAX_FINGERS = 4;
+
+/**
+ * Matches a fret list, compact (`x32010`) or separated (`x-3-2-0-1-0`)
+ */
+const FRETS_PATTERN = /^(?:[xX\d]+|[xX\d]+(?:-[xX\d]+)+)$/;
+
+/**
+ * Matches a finger string: one finger (1-4, T for the thumb) or `-` per string
+ */
+const FINGERS_PATTERN = /^[-xX01234T]+$/;
+
+/**
+ * Parses a fret list written from the lowest string to the highest, e.g.
+ * `x32010`, or `x-3-2-0-1-0` when some fret has two digits
+ * @param {string} text - Fret list
+ * @returns {Fret[]} One fret per string, lowest string first
+ */
+export function parseFrets(text) {
+  const value = text.trim();
+  const parts = value.includes("-") ? value.split("-") : [...value];
+  return parts.map((part) => {
+    if (/^[xX]$/.test(part)) {
+      return "x";
+    }
+    if (/^\d+$/.test(part)) {
+      return Number(part);
+    }
+    throw new Error(`Invalid fret "${part}" in "${text}"`);
+  });
+}
+
+/**
+ * Parses a finger string such as `-32-1-`, one character per string from the
+ * lowest: 1 to 4 for the fingers, T for the thumb, `-`, `x` or `0` for none
+ * @param {string} text - Finger string
+ * @param {number} stringCount - Number of strings of the chord
+ * @returns {(string | null)[]} Finger label per string, lowest string first
+ */
+export function parseFingers(text, stringCount) {
+  if (!FINGERS_PATTERN.test(text)) {
+    throw new Error(
+      `Invalid finger string "${text}": use 1-4, T or - for each string`,
+    );
+  }
+  if (text.length !== stringCount) {
+    throw new Error(
+      `Finger string "${text}" has ${text.length} fingers for ${stringCount} strings`,
+    );
+  }
+  return [...text].map((finger) => (/^[1-4T]$/.test(finger) ? finger : null));
+}
+
+/**
+ * Parses a chord written on one line as an optional title, a fret list and an
+ * optional finger string, e.g. `C x32010 -32-1-` or `F 133211`.
+ * A barre is detected from the fingers, or from the frets when the chord has
+ * more fretted notes than fingers.
+ * @param {string} line - Chord line
+ * @param {number} [stringCount] - Number of strings of the instrument, checked against the frets
+ * @returns {{ fingers: any[], barres: any[], position?: number, title?: string }} SVGuitar chord data
+ */
+export function parseChordLine(line, stringCount) {
+  const tokens = line.trim().split(/\s+/);
+  const last = tokens[tokens.length - 1];
+  const beforeLast = tokens[tokens.length - 2];
+
+  let frets;
+  let fingers;
+  let titleTokens;
+  // A finger string follows the frets and has one character per string
+  if (
+    tokens.length > 1 &&
+    FRETS_PATTERN.test(beforeLast) &&
+    FINGERS_PATTERN.test(last) &&
+    parseFrets(beforeLast).length === last.length
+  ) {
+    frets = parseFrets(beforeLast);
+    fingers = parseFingers(last, frets.length);
+    titleTokens = tokens.slice(0, -2);
+  } else if (FRETS_PATTERN.test(last)) {
+    frets = parseFrets(last);
+    titleTokens = tokens.slice(0, -1);
+  } else {
+    throw new Error(
+      `Expected frets such as "x32010" at the end of "${line.trim()}"`,
+    );
+  }
+
+  if (stringCount !== undefined && frets.length !== stringCount) {
+    throw new Error(
+      `Frets "${fingers ? beforeLast : last}" are for ${frets.length} strings, expected ${stringCount}`,
+    );
+  }
+
+  return fretsToChord(frets, {
+    barre: detectBarre(frets, fingers),
+    fingers,
+    title: titleTokens.join(" ") || undefined,
+  });
+}
+
+/**
+ * Finds the fret played as a barre: the fret the same finger holds on several
+ * strings, or without fingers, the lowest fret when there are more fretted
+ * notes than fingers and no open or muted string lies under it
+ * @param {Fret[]} frets - One fret per string, lowest string first
+ * @param {(string | null)[]} [fingers] - Finger label per string
+ * @returns {number | undefined} Absolute barre fret
+ */
+export function detectBarre(frets, fingers) {
+  if (fingers) {
+    for (const [index, finger] of fingers.entries()) {
+      const fret = frets[index];
+      if (
+        finger &&
+        typeof fret === "number" &&
+        fret > 0 &&
+        fingers.some(
+          (other, i) => i !== index && other === finger && frets[i] === fret,
+        )
+      ) {
+        return fret;
+      }
+    }
+    return undefined;
+  }
+
+  const fretted = /** @type {number[]} */ (
+    frets.filter((fret) => typeof fret === "number" && fret > 0)
+  );
+  if (fretted.length <= MAX_FINGERS) {
+    return undefined;
+  }
+  const lowest = Math.min(...fretted);
+  const first = frets.indexOf(lowest);
+  const last = frets.lastIndexOf(lowest);
+  const covered = frets.slice(first, last + 1);
+  return first < last &&
+    covered.every((fret) => typeof fret === "number" && fret >= lowest)
+    ? lowest
+    : undefined;
+}
+
+/**
+ * Converts frets into SVGuitar chord data. Strings are numbered like SVGuitar
+ * does, 1 being the highest string. Chords reaching beyond the fourth fret get
+ * a `position` and frets relative to it.
+ * @param {Fret[]} frets - One fret per string, lowest string first
+ * @param {FretsToChordOptions} [options={}] - Barre, finger labels and title
+ * @returns {{ fingers: any[], barres: any[], position?: number, title?: string }} SVGuitar chord data
+ */
+export function fretsToChord(frets, options = {}) {
+  const { barre, title, fingers: labels = [] } = options;
+  const stringCount = frets.length;
+  const fretted = /** @type {number[]} */ (
+    frets.filter((fret) => typeof fret === "number" && fret > 0)
+  );
+  const position =
+    Math.max(0, ...fretted) > MAX_OPEN_POSITION_FRET ? Math.min(...fretted) : 1;
+  const relative = (fret) => fret - position + 1;
+
+  /** @type {any[]} */
+  const barres = [];
+  let barreFrom = Infinity;
+  let barreTo = -Infinity;
+  if (barre !== undefined) {
+    frets.forEach((fret, index) => {
+      if (fret === barre) {
+        barreFrom = Math.min(barreFrom, index);
+        barreTo = Math.max(barreTo, index);
+      }
+    });
+    if (barreTo > barreFrom) {
+      const label = labels[barreFrom];
+      barres.push({
+        fromString: stringCount - barreFrom,
+        toString: stringCount - barreTo,
+        fret: relative(barre),
+        ...(label ? { text: label } : {}),
+      });
+    }
+  }
+
+  const fingers = frets.flatMap((fret, index) => {
+    const string = stringCount - index;
+    if (fret === barre && index >= barreFrom && index <= barreTo) {
+      return barres.length > 0 ? [] : [[string, relative(fret)]];
+    }
+    if (fret === "x" || fret === 0) {
+      return [[string, fret]];
+    }
+    return [
+      labels[index]
+        ? [string, relative(fret), labels[index]]
+        : [string, relative(fret)],
+    ];
+  });
+
+  return {
+    fingers,
+    barres,
+    ...(position > 1 ? { position } : {}),
+    ...(title ? { title } : {}),
+  };
+}
@@ -4,10 +4,32 @@
  */
 
 import { visit } from "unist-util-visit";
-import puppeteer from "puppeteer";
 import { readFileSync } from "fs";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
+import { parseBlockOptions } from "../shared/meta.js";
+import { offsetPlace, report } from "../shared/messages.js";
+import { isValidTuning } from "../shared/notes.js";
+import { createIdNamespacer, namespaceSvgIds } from "../shared/svg-ids.js";
+import { renderBlocksWithDom } from "./dom-renderer.js";
+import { createBrowserManager } from "./browser-manager.js";
+import { drawChordBlocks } from "./draw-chords.js";
+import {
+  STANDARD_TUNING,
+  createChordLookup,
+  isStandardGuitarTuning,
+} from "./chord-dictionary.js";
+import { parseChordLine } from "./frets.js";
+import { validateChordData } from "./validate.js";
+import { DATA_FORMATS, detectFormat, parseChordData } from "./data-formats.js";
+import {
+  addDefinitions,
+  readFrontMatterChords,
+  resolveReferences,
+} from "./definitions.js";
+import { INSTRUMENTS, resolveStrings } from "./instruments.js";
+import { mirrorChordSvgs } from "./left-handed.js";
+import { computeChord, resolveVoicingRequests } from "./voicings.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,11 +40,114 @@ const __dirname = dirname(__filename);
  * @property {boolean} [skipOnMissing=false] - Skip processing if Puppeteer fails to launch
  * @property {Object} [puppeteerOptions={}] - Options to pass to puppeteer.launch()
  * @property {import("svguitar").ChordSettings} [SVGuitarConfig={}] - Default configuration options for SVGuitar rendering
- * @property {boolean} [keepAlive=false] - Keep the Puppeteer browser open between processor runs for performance
+ * @property {boolean} [keepAlive=false] - Keep the Puppeteer browser open between processor runs for performance, until closeBrowser() is called
+ * @property {import("./browser-manager.js").BrowserManager} [browserManager] - Browsers to render with, created and disposed by the caller with createBrowserManager(); puppeteerOptions and keepAlive then do not apply
+ * @property {"puppeteer" | "dom"} [renderer="puppeteer"] - Render in headless Chrome, or in Node with the svgdom server-side DOM
+ * @property {import("./chord-dictionary.js").ChordDictionary} [chordDictionary={}] - Chords added to or replacing the built-in dictionary used by `chords` blocks
+ * @property {string} [instrument] - Instrument setting the strings and tuning labels of every diagram, e.g. "ukulele" (see INSTRUMENTS)
+ * @property {string} [tuning] - Tuning of every diagram from the lowest string, e.g. "DADGAD"; also sets the number of strings
+ * @property {"auto" | "json" | "json5" | "yaml"} [format="auto"] - Syntax of svguitar chord data; "auto" reads objects and arrays as JSON5 and mappings or lists as YAML
+ * @property {boolean} [leftHanded=false] - Mirror every diagram for left-handed players, keeping its text readable
+ * @property {"vertical" | "horizontal"} [orientation] - Draw chord boxes upright or lying on their side; replaces the orientation of SVGuitarConfig
  */
 
-// Global browser instance for performance
-let browserInstance = null;
+/**
+ * @typedef {Object} SVGuitarBlockOptions
+ * @property {boolean} [errorInline] - Overrides the plugin-level errorInline for this block
+ * @property {number} [width] - Width in pixels of each rendered diagram
+ * @property {string} [tuning] - Tuning labels from the lowest string, e.g. "DADGAD" or "Eb Ab Db Gb Bb Eb"
+ * @property {string} [instrument] - Instrument of this block, e.g. "mandolin"
+ * @property {"auto" | "json" | "json5" | "yaml"} [format] - Syntax of this block's chord data
+ * @property {boolean} [leftHanded] - Overrides the plugin-level leftHanded for this block
+ * @property {"vertical" | "horizontal"} [orientation] - Overrides the plugin-level orientation for this block
+ */
+
+/**
+ * Options that can be overridden per block in the code fence meta string.
+ * Besides the block options, scalar SVGuitar settings are passed through to the chart configuration.
+ * @type {Record<string, import("../shared/meta.js").MetaOptionType>}
+ */
+const BLOCK_OPTIONS = {
+  errorInline: "boolean",
+  width: "number",
+  tuning: "string",
+  instrument: "string",
+  format: "string",
+  leftHanded: "boolean",
+  title: "string",
+  style: "string",
+  orientation: "string",
+  position: "number",
+  noPosition: "boolean",
+  strings: "number",
+  color: "string",
+  backgroundColor: "string",
+  fontFamily: "string",
+  fingerSize: "number",
+  fingerColor: "string",
+  fingerTextColor: "string",
+  strokeWidth: "number",
+};
+
+const PLUGIN_NAME = "remark-svguitar";
+
+const RENDERERS = ["puppeteer", "dom"];
+
+const ORIENTATIONS = ["vertical", "horizontal"];
+
+/**
+ * Code block language of named chord definitions, removed from the output
+ */
+const DEFINE_LANGUAGE = "svguitar-define";
+
+/**
+ * Code block languages handled by the plugin: chord data, chord names looked up in the
+ * dictionary, and chord definitions
+ */
+const LANGUAGES = ["svguitar", "chords", DEFINE_LANGUAGE];
+
+/**
+ * Matches a chord name in a `chords` block; names are separated by spaces, commas or bars
+ */
+const CHORD_TOKEN = /[^\s,|]+/g;
+
+/**
+ * Matches a non-empty line of fret notation, from its first character
+ */
+const CHORD_LINE = /\S[^\n]*/g;
+
+/**
+ * Page the Puppeteer renderer draws into, styled like the rendered output
+ */
+const PAGE_HTML = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <style>
+        body { margin: 0; padding: 20px; }
+        .chord-container {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 20px;
+            align-items: flex-start;
+        }
+        .chord-item { display: inline-block; }
+        .error-svg { font-family: Arial, sans-serif; }
+    </style>
+</head>
+<body></body>
+</html>`;
+
+/**
+ * Number of strings SVGuitar draws when neither strings, tuning nor instrument is set
+ */
+const DEFAULT_STRING_COUNT = 6;
+
+/**
+ * Browser managers created by plugins with keepAlive and no browserManager, closed by closeBrowser()
+ * @type {Set<import("./browser-manager.js").BrowserManager>}
+ */
+const keptAliveManagers = new Set();
 
 // Read the svguitar library once at startup
 let svguitarLibrary = null;
@@ -69,33 +194,100 @@ function adaptConfigToChord(chord, defaultConfig) {
 /**
  * Remark plugin to transform SVGuitar code blocks into inline SVG images
  * @param {SVGuitarOptions} [options={}] - Plugin configuration options
- * @returns {(tree: import('unist').Node) => Promise<void>} Unified transformer
+ * @returns {(tree: import('unist').Node, file?: import('vfile').VFile) => Promise<void>} Unified transformer
  */
 function remarkSvguitar(options = {}) {
   const {
-    errorInline = false,
+    errorInline: defaultErrorInline = false,
     skipOnMissing = false,
     puppeteerOptions = {},
     SVGuitarConfig = {},
     keepAlive = false,
+    renderer = "puppeteer",
+    chordDictionary = {},
+    browserManager,
+    instrument: defaultInstrument,
+    tuning: defaultTuning,
+    format: defaultFormat = "auto",
+    leftHanded: defaultLeftHanded = false,
+    orientation: defaultOrientation,
   } = options;
 
+  if (!RENDERERS.includes(renderer)) {
+    throw new Error(
+      `Unknown SVGuitar renderer "${renderer}". Expected one of: ${RENDERERS.join(", ")}`,
+    );
+  }
+  if (defaultInstrument !== undefined && !INSTRUMENTS[defaultInstrument]) {
+    throw new Error(
+      `Unknown instrument "${defaultInstrument}". Expected one of: ${Object.keys(INSTRUMENTS).join(", ")}`,
+    );
+  }
+  if (defaultTuning !== undefined && !isValidTuning(defaultTuning)) {
+    throw new Error(
+      `Invalid tuning "${defaultTuning}". Expected note names such as "DADGAD"`,
+    );
+  }
+  if (!DATA_FORMATS.includes(defaultFormat)) {
+    throw new Error(
+      `Unknown SVGuitar format "${defaultFormat}". Expected one of: ${DATA_FORMATS.join(", ")}`,
+    );
+  }
+  if (
+    defaultOrientation !== undefined &&
+    !ORIENTATIONS.includes(defaultOrientation)
+  ) {
+    throw new Error(
+      `Unknown SVGuitar orientation "${defaultOrientation}". Expected one of: ${ORIENTATIONS.join(", ")}`,
+    );
+  }
+  const useBrowser = renderer === "puppeteer";
+  const lookupChord = createChordLookup(chordDictionary);
+  // Other tunings and instruments compute the chords missing from the user's dictionary
+  const lookupUserChord = createChordLookup(chordDictionary, {
+    builtIn: false,
+  });
+
+  /** @type {import("./browser-manager.js").BrowserManager | null} */
+  let keptAliveManager = null;
+  /**
+   * Browsers owned by this plugin: kept between runs with keepAlive, one manager per run otherwise
+   * @returns {import("./browser-manager.js").BrowserManager}
+   */
+  const getOwnManager = () => {
+    if (!keepAlive) {
+      return createBrowserManager({ puppeteerOptions });
+    }
+    if (!keptAliveManager || !keptAliveManagers.has(keptAliveManager)) {
+      keptAliveManager = createBrowserManager({ puppeteerOptions });
+      keptAliveManagers.add(keptAliveManager);
+    }
+    return keptAliveManager;
+  };
+
   /**
    * Transformer function that processes the AST
    * @param {Object} tree - The AST tree
+   * @param {import('vfile').VFile} [file] - The processed file, receiving error and warning messages
    * @returns {Promise<void>}
    */
-  return async function transformer(tree) {
+  return async function transformer(tree, file) {
     const codeBlocks = [];
+    const idNamespace = createIdNamespacer("chord-block");
 
-    // Collect all svguitar code blocks
+    // Collect all svguitar and chords code blocks
     visit(
       tree,
       "code",
       /** @type {any} */ (
         (node, index, parent) => {
-          if (/** @type {any} */ (node).lang === "svguitar") {
-            codeBlocks.push({ node, index, parent });
+          if (LANGUAGES.includes(/** @type {any} */ (node).lang)) {
+            codeBlocks.push({
+              node,
+              index,
+              parent,
+              blockOptions: resolveBlockOptions(node, file),
+            });
           }
         }
       ),
@@ -106,260 +298,506 @@ function remarkSvguitar(options = {}) {
       return;
     }
 
-    // Initialize browser instance if needed
+    // Lease a browser for this document; the plugin owns it unless a browserManager was passed
+    const rendersChords = codeBlocks.some(
+      ({ node }) => node.lang !== DEFINE_LANGUAGE,
+    );
+    const manager =
+      useBrowser && rendersChords ? browserManager || getOwnManager() : null;
+    /** @type {import("./browser-manager.js").BrowserLease | null} */
+    let lease = null;
+    const finish = async () => {
+      lease?.release();
+      if (manager && manager !== browserManager && !keepAlive) {
+        await manager.dispose();
+      }
+    };
+
     try {
-      if (!browserInstance) {
-        browserInstance = await puppeteer.launch({
-          headless: true,
-          args: ["--no-sandbox", "--disable-setuid-sandbox"],
-          ...puppeteerOptions,
-        });
+      if (manager) {
+        lease = await manager.acquire();
       }
     } catch (error) {
+      await finish();
       const errorMessage = "Failed to launch Puppeteer browser";
-      console.error("🎸 SVGuitar error:", errorMessage, error.message);
 
       if (skipOnMissing) {
-        console.warn(
-          `⚠️  Puppeteer failed to launch. Skipping SVGuitar blocks.`,
+        report(
+          file,
+          `Puppeteer failed to launch (${error.message}). Skipping SVGuitar blocks.`,
+          {
+            place: codeBlocks[0].node.position,
+            source: PLUGIN_NAME,
+            ruleId: "browser-launch",
+            cause: error,
+          },
+        );
+        // Definitions are never shown, whether or not the chords render
+        removeBlocks(
+          codeBlocks.filter(({ node }) => node.lang === DEFINE_LANGUAGE),
         );
         return;
       }
 
       // Handle browser launch failure for all blocks
-      if (errorInline) {
-        for (const { parent, index } of codeBlocks) {
+      for (const { node, parent, index, blockOptions } of codeBlocks) {
+        if (node.lang === DEFINE_LANGUAGE) {
+          continue;
+        }
+        report(file, `${errorMessage}: ${error.message}`, {
+          place: node.position,
+          source: PLUGIN_NAME,
+          ruleId: "browser-launch",
+          fatal: true,
+          cause: error,
+        });
+        if (blockOptions.errorInline ?? defaultErrorInline) {
           parent.children[index] = createErrorNode(errorMessage);
         }
       }
+      // After the replacements above, which rely on the block indices
+      removeBlocks(
+        codeBlocks.filter(({ node }) => node.lang === DEFINE_LANGUAGE),
+      );
       return;
     }
 
-    // Process each code block
-    for (let blockIndex = 0; blockIndex < codeBlocks.length; blockIndex++) {
-      const { node, index, parent } = codeBlocks[blockIndex];
+    try {
+      /**
+       * Reports a block that cannot be rendered, replacing it with an inline error if requested
+       * @param {{ node: any, index: number, parent: any }} block - The code block
+       * @param {Error} error - Why it failed
+       * @param {{ place: any, ruleId: string, errorInline: boolean }} details - Where and how to report it
+       */
+      const failBlock = ({ node, index, parent }, error, details) => {
+        report(file, error.message, {
+          place: details.place || node.position,
+          source: PLUGIN_NAME,
+          ruleId: details.ruleId,
+          fatal: true,
+          cause: error,
+        });
+
+        if (details.errorInline) {
+          parent.children[index] = createErrorNode(
+            `SVGuitar rendering error: ${error.message}`,
+          );
+        }
+        // If not inline, keep the original code block
+      };
+
+      // Chords defined in the front matter and in svguitar-define blocks, for the blocks below them
+      /** @type {import("./definitions.js").ChordDefinitions} */
+      const definitions = new Map();
+      const frontMatter = /** @type {any} */ (tree).children?.find(
+        ({ type }) => type === "yaml",
+      );
       try {
-        // Parse the chord data
-        let parsedData;
+        const frontMatterChords = readFrontMatterChords(frontMatter, file);
+        if (frontMatterChords !== undefined) {
+          addDefinitions(frontMatterChords, definitions);
+        }
+      } catch (error) {
+        report(
+          file,
+          `Invalid chord definitions in front matter: ${error.message}`,
+          {
+            place:
+              frontMatter && error.offset !== undefined
+                ? offsetPlace(frontMatter, error.offset)
+                : frontMatter?.position,
+            source: PLUGIN_NAME,
+            ruleId:
+              error.offset !== undefined ? "invalid-yaml" : "invalid-chord",
+            fatal: true,
+            cause: error,
+          },
+        );
+      }
+      const definedBlocks = [];
+
+      // Prepare each code block, then render all of them in one batch
+      const renderJobs = [];
+      for (let blockIndex = 0; blockIndex < codeBlocks.length; blockIndex++) {
+        const { node, blockOptions } = codeBlocks[blockIndex];
+        const {
+          errorInline = defaultErrorInline,
+          width,
+          tuning,
+          instrument,
+          format = defaultFormat,
+          leftHanded = defaultLeftHanded,
+          ...configOverrides
+        } = blockOptions;
+        // Where the failure is reported; narrowed down to the offending chord or JSON syntax error
+        let errorPlace = node.position;
+        let ruleId = "render-error";
         try {
-          parsedData = JSON.parse(node.value.trim());
-        } catch (parseError) {
-          throw new Error(
-            `Invalid JSON in SVGuitar block: ${parseError.message}`,
+          // The block's tuning or instrument replaces the plugin-level one
+          const strings = resolveStrings(
+            tuning || instrument
+              ? { tuning, instrument }
+              : { tuning: defaultTuning, instrument: defaultInstrument },
           );
-        }
+          const blockConfig = {
+            ...SVGuitarConfig,
+            ...(defaultOrientation ? { orientation: defaultOrientation } : {}),
+            ...(strings
+              ? { strings: strings.tuning.length, tuning: strings.tuning }
+              : {}),
+            ...configOverrides,
+          };
+          const stringCount = blockConfig.strings || DEFAULT_STRING_COUNT;
+          // Open strings to compute voicings on; unknown for other string counts without a tuning
+          const voicingTuning = strings
+            ? strings.tuning
+            : stringCount === STANDARD_TUNING.length
+              ? [...STANDARD_TUNING]
+              : null;
+
+          // Look the chord names up, or parse the chord data
+          let parsedData;
+          /** @type {import("./data-formats.js").ParsedChordData["locate"] | null} */
+          let locate = null;
+          const dataFormat =
+            node.lang === "chords"
+              ? "chords"
+              : format === "auto"
+                ? detectFormat(node.value)
+                : format;
+          if (dataFormat === "chords") {
+            const tokens = matchesWithOffsets(node.value, CHORD_TOKEN);
+            if (tokens.length === 0) {
+              throw new Error("No chord names in chords block");
+            }
+            ruleId = "unknown-chord";
+            const lookup = isStandardGuitarTuning(voicingTuning)
+              ? lookupChord
+              : lookupUserChord;
+            parsedData = tokens.map(({ text, offset }) => {
+              errorPlace = offsetPlace(node, offset) || errorPlace;
+              return (
+                definitions.get(text) ||
+                lookup(text, (symbol, voicing) =>
+                  computeChord(symbol, voicing, voicingTuning),
+                )
+              );
+            });
+            errorPlace = node.position;
+            ruleId = "render-error";
+          } else if (dataFormat === "frets") {
+            // Fret notation, one chord per line
+            ruleId = "invalid-frets";
+            parsedData = matchesWithOffsets(node.value, CHORD_LINE).map(
+              ({ text, offset }) => {
+                errorPlace = offsetPlace(node, offset) || errorPlace;
+                return parseChordLine(text, stringCount);
+              },
+            );
+            errorPlace = node.position;
+            ruleId = "render-error";
+          } else {
+            try {
+              ({ data: parsedData, locate } = parseChordData(
+                node.value,
+                dataFormat,
+              ));
+            } catch (parseError) {
+              if (parseError.offset !== undefined) {
+                errorPlace = offsetPlace(node, parseError.offset) || errorPlace;
+              }
+              ruleId = dataFormat === "yaml" ? "invalid-yaml" : "invalid-json";
+              // Blocks that look like JSON are read as JSON5 but named after the format used
+              const syntax =
+                dataFormat === "yaml"
+                  ? "YAML"
+                  : format === "json5"
+                    ? "JSON5"
+                    : "JSON";
+              throw new Error(
+                `Invalid ${syntax} in SVGuitar block: ${parseError.message}`,
+              );
+            }
+          }
 
-        // Normalize to array format (single chord or multiple chords)
-        const chordDataArray = normaliseChordData(
-          Array.isArray(parsedData) ? parsedData : [parsedData],
-        );
+          // Define the chords of a definition block, or replace the references to defined chords
+          try {
+            if (node.lang === DEFINE_LANGUAGE) {
+              ruleId = "invalid-chord";
+              addDefinitions(parsedData, definitions);
+            } else {
+              ruleId = "undefined-chord";
+              parsedData = resolveReferences(parsedData, definitions);
+              ruleId = "invalid-chord";
+              parsedData = resolveVoicingRequests(parsedData, voicingTuning);
+            }
+          } catch (error) {
+            // A symbol that cannot be spelled or played is an unknown chord, like in chords blocks
+            const field = error.path?.[error.path.length - 1];
+            if (ruleId === "invalid-chord" && field === "symbol") {
+              ruleId = "unknown-chord";
+            }
+            const offset = locate?.(error.path, error.unknownField);
+            if (offset !== undefined) {
+              errorPlace = offsetPlace(node, offset) || errorPlace;
+            }
+            throw error;
+          }
+          ruleId = "render-error";
+          if (node.lang === DEFINE_LANGUAGE) {
+            definedBlocks.push(codeBlocks[blockIndex]);
+            continue;
+          }
 
-        const SVGuitarConfigArray = chordDataArray.map((chord) =>
-          adaptConfigToChord(chord, SVGuitarConfig),
-        );
-        // Render the chords using Puppeteer with unique block ID
-        const svgContent = await renderChordsWithPuppeteer(
-          chordDataArray,
-          SVGuitarConfigArray,
-          blockIndex,
-        );
+          // Check the chord data before rendering, pointing at the offending value
+          const schemaError = validateChordData(parsedData);
+          if (schemaError) {
+            const offset = locate?.(schemaError.path, schemaError.unknownField);
+            if (offset !== undefined) {
+              errorPlace = offsetPlace(node, offset) || errorPlace;
+            }
+            ruleId = "invalid-chord";
+            throw new Error(schemaError.message);
+          }
 
-        // Replace the code block with an HTML node containing inline SVG
-        parent.children[index] = {
-          type: "html",
-          value: svgContent,
-        };
-      } catch (error) {
-        const errorMessage = `SVGuitar rendering error: ${error.message}`;
-        console.error("🎸 SVGuitar compilation error:", errorMessage);
+          // Normalize to array format (single chord or multiple chords)
+          const chordDataArray = normaliseChordData(
+            Array.isArray(parsedData) ? parsedData : [parsedData],
+          );
 
-        if (errorInline) {
-          parent.children[index] = createErrorNode(errorMessage);
+          ruleId = "invalid-string";
+          checkStrings(
+            chordDataArray,
+            stringCount,
+            strings && !configOverrides.strings
+              ? `the ${strings.name}`
+              : "the diagram",
+          );
+          ruleId = "render-error";
+
+          const SVGuitarConfigArray = chordDataArray.map((chord) =>
+            adaptConfigToChord(chord, blockConfig),
+          );
+          renderJobs.push({
+            block: codeBlocks[blockIndex],
+            errorInline,
+            width,
+            leftHanded,
+            horizontal: blockConfig.orientation === "horizontal",
+            // Ids derived from the chords keep the output the same on every run, and unique in the page
+            chordBlock: {
+              id: idNamespace(
+                JSON.stringify([chordDataArray, SVGuitarConfigArray]),
+              ),
+              chords: chordDataArray,
+              configs: SVGuitarConfigArray,
+            },
+          });
+        } catch (error) {
+          failBlock(codeBlocks[blockIndex], error, {
+            place: errorPlace,
+            ruleId,
+            errorInline,
+          });
         }
-        // If not inline, keep the original code block and log error
       }
-    }
 
-    // Close the browser unless keepAlive requested
-    if (!keepAlive) {
-      await closeBrowser();
+      if (renderJobs.length > 0) {
+        // One page, or one svgdom document, draws every block; blocks fail on their own
+        const renderBlocks = useBrowser
+          ? (blocks) => renderBlocksWithPuppeteer(lease.browser, blocks)
+          : renderBlocksWithDom;
+        let results;
+        try {
+          results = await renderBlocks(renderJobs.map((job) => job.chordBlock));
+        } catch (error) {
+          results = renderJobs.map(() => ({ error: error.message }));
+        }
+
+        renderJobs.forEach((job, jobIndex) => {
+          const { block, errorInline, width, leftHanded, horizontal } = job;
+          const result = results[jobIndex];
+          if ("error" in result) {
+            failBlock(block, new Error(result.error), {
+              place: block.node.position,
+              ruleId: "render-error",
+              errorInline,
+            });
+            return;
+          }
+
+          // Fix zero-height viewBoxes, then mirror within the fixed bounds
+          let svgContent = namespaceSvgIds(
+            fixMultipleSvgViewBoxes(result.html, horizontal),
+            job.chordBlock.id,
+          );
+          if (leftHanded) {
+            svgContent = mirrorChordSvgs(svgContent);
+          }
+          if (width) {
+            svgContent = setSvgWidth(svgContent, width);
+          }
+
+          // Replace the code block with an HTML node containing inline SVG
+          block.parent.children[block.index] = {
+            type: "html",
+            value: svgContent,
+          };
+        });
+      }
+
+      // Definition blocks leave nothing in the output
+      removeBlocks(definedBlocks);
+    } finally {
+      await finish();
     }
   };
 }
 
 /**
- * Renders multiple chord diagrams using Puppeteer and headless Chrome
- * @param {Array} chordDataArray - Array of chord data objects to render
- * @param {import("svguitar").ChordSettings[]} SVGuitarConfigArray - Default configuration options for SVGuitar rendering
- * @param {number} blockId - Unique identifier for this code block
- * @returns {Promise<string>} The rendered SVG content for all chords
+ * Reads the per-block options from a code node's meta string, warning about invalid ones
+ * @param {{ lang?: string | null, meta?: string | null, position?: import('unist').Position }} node - The code node
+ * @param {import('vfile').VFile} [file] - The processed file
+ * @returns {SVGuitarBlockOptions & Record<string, any>} Valid per-block options
  */
-async function renderChordsWithPuppeteer(
-  chordDataArray,
-  SVGuitarConfigArray,
-  blockId,
-) {
-  const page = await browserInstance.newPage();
-
-  try {
-    // Get the svguitar library content
-    const svguitarScript = getSvguitarLibrary();
+function resolveBlockOptions(node, file) {
+  const { options, warnings } = parseBlockOptions(
+    node.meta,
+    BLOCK_OPTIONS,
+    node.lang || "svguitar",
+  );
 
-    // Create minimal HTML page with SVGuitar embedded directly
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <script>${svguitarScript}</script>
-    <style>
-        body { margin: 0; padding: 20px; }
-        .chord-container {
-            display: flex;
-            flex-wrap: wrap;
-            gap: 20px;
-            align-items: flex-start;
-        }
-        .chord-item { display: inline-block; }
-        .error-svg { font-family: Arial, sans-serif; }
-    </style>
-</head>
-<body>
-    <div class="chord-container">${chordDataArray.map((_, index) => `<div id="chord-block${blockId}-${index}" class="chord-item"></div>`).join("")}</div>
-    <script>
-        function createErrorSVG(errorMessage) {
-            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-            svg.setAttribute('width', '300');
-            svg.setAttribute('height', '100');
-            svg.setAttribute('viewBox', '0 0 300 100');
-            svg.setAttribute('class', 'error-svg');
-
-            const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            rect.setAttribute('width', '300');
-            rect.setAttribute('height', '100');
-            rect.setAttribute('fill', '#ffebee');
-            rect.setAttribute('stroke', '#f44336');
-            rect.setAttribute('stroke-width', '2');
-            svg.appendChild(rect);
-
-            const text1 = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            text1.setAttribute('x', '150');
-            text1.setAttribute('y', '30');
-            text1.setAttribute('text-anchor', 'middle');
-            text1.setAttribute('fill', '#c62828');
-            text1.setAttribute('font-size', '14');
-            text1.setAttribute('font-weight', 'bold');
-            text1.textContent = 'SVGuitar Error';
-            svg.appendChild(text1);
-
-            const text2 = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            text2.setAttribute('x', '150');
-            text2.setAttribute('y', '60');
-            text2.setAttribute('text-anchor', 'middle');
-            text2.setAttribute('fill', '#c62828');
-            text2.setAttribute('font-size', '12');
-            text2.textContent = errorMessage.substring(0, 80) + (errorMessage.length > 80 ? '...' : '');
-            svg.appendChild(text2);
-
-            return svg;
-        }
+  if (
+    typeof options.instrument === "string" &&
+    !INSTRUMENTS[options.instrument]
+  ) {
+    warnings.push(
+      `Option "instrument" in ${node.lang || "svguitar"} block expects one of ${Object.keys(INSTRUMENTS).join(", ")}, got ${JSON.stringify(options.instrument)}`,
+    );
+    delete options.instrument;
+  }
 
-        function renderChords() {
-            try {
-                // Check if svguitar is available
-                if (typeof svguitar === 'undefined') {
-                    // Create error SVG in first container if available
-                    const firstContainer = document.getElementById('chord-block${blockId}-0');
-                    if (firstContainer) {
-                        firstContainer.appendChild(createErrorSVG('SVGuitar library not loaded'));
-                    }
-                    return;
-                }
-
-                const chordDataArray = ${JSON.stringify(chordDataArray)};
-                const SVGuitarConfigArray = ${JSON.stringify(SVGuitarConfigArray)};
-                console.log('Rendering chord data array:', chordDataArray);
-
-                // Render each chord in its own container
-                chordDataArray.forEach((chordData, index) => {
-                    try {
-                        const chart = new svguitar.SVGuitarChord(\`#chord-block${blockId}-\${index}\`);
-
-                        // Configure chart with defaults first to initialize required properties
-                        chart.configure(SVGuitarConfigArray[index] || {});
-
-                        // Draw chord - catch any internal SVGuitar errors but continue
-                        try {
-                            chart.chord(chordData).draw();
-                        } catch (drawError) {
-                            // SVGuitar may still have created the SVG despite internal errors
-                            console.error(\`SVGuitar internal error for chord \${index}: \${drawError.message}\`);
-                            console.error(\`Error stack: \${drawError.stack}\`);
-                        }
-                    } catch (error) {
-                        console.error(\`SVGuitar error for chord \${index}:\`, error);
-                        console.error(\`Error stack:\`, error.stack);
-                        // Create error SVG in the specific chord container
-                        const container = document.getElementById(\`chord-block${blockId}-\${index}\`);
-                        if (container) {
-                            container.appendChild(createErrorSVG(error.message));
-                        } else {
-                            console.error(\`Container chord-block${blockId}-\${index} not found\`);
-                        }
-                    }
-                });
-            } catch (error) {
-                console.error('SVGuitar error:', error);
-                // Create error SVG in first container if available
-                const firstContainer = document.getElementById('chord-block${blockId}-0');
-                if (firstContainer) {
-                    firstContainer.appendChild(createErrorSVG(error.message));
-                }
-            }
-        }
+  if (
+    typeof options.format === "string" &&
+    !DATA_FORMATS.includes(options.format)
+  ) {
+    warnings.push(
+      `Option "format" in ${node.lang || "svguitar"} block expects one of ${DATA_FORMATS.join(", ")}, got ${JSON.stringify(options.format)}`,
+    );
+    delete options.format;
+  }
 
-        // Wait for library to load and DOM to be ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', renderChords);
-        } else {
-            // DOM already loaded, but wait a bit for the script to fully load
-            setTimeout(renderChords, 100);
-        }
-    </script>
-</body>
-</html>`;
+  if (
+    typeof options.orientation === "string" &&
+    !ORIENTATIONS.includes(options.orientation)
+  ) {
+    warnings.push(
+      `Option "orientation" in ${node.lang || "svguitar"} block expects one of ${ORIENTATIONS.join(", ")}, got ${JSON.stringify(options.orientation)}`,
+    );
+    delete options.orientation;
+  }
 
-    // Load the HTML and wait for SVGuitar to render
-    await page.setContent(html);
+  if (typeof options.tuning === "string" && !isValidTuning(options.tuning)) {
+    warnings.push(
+      `Option "tuning" in ${node.lang || "svguitar"} block expects note names such as "DADGAD", got ${JSON.stringify(options.tuning)}`,
+    );
+    delete options.tuning;
+  }
 
-    // Enable console logging for debugging
-    page.on("console", (msg) => {
-      for (let i = 0; i < msg.args().length; ++i) {
-        console.log(`Console ${msg.type()}: ${msg.args()[i]}`);
-      }
+  for (const warning of warnings) {
+    report(file, warning, {
+      place: node.position,
+      source: PLUGIN_NAME,
+      ruleId: "block-options",
     });
+  }
 
-    // Wait for all chords to render (wait for at least one SVG per chord)
-    for (let i = 0; i < chordDataArray.length; i++) {
-      await page.waitForSelector(`#chord-block${blockId}-${i} svg`, {
-        timeout: 10000,
-      });
+  return options;
+}
+
+/**
+ * Splits a code block into chord names or lines
+ * @param {string} value - Content of the code block
+ * @param {RegExp} pattern - Global pattern matching one item
+ * @returns {{ text: string, offset: number }[]} Items with their offset in the content
+ */
+function matchesWithOffsets(value, pattern) {
+  return [...value.matchAll(pattern)].map((match) => ({
+    text: match[0],
+    offset: match.index || 0,
+  }));
+}
+
+/**
+ * Checks that every finger and barre of the chords is on a string of the instrument
+ * @param {any[]} chordDataArray - Normalised chord data
+ * @param {number} stringCount - Number of strings of the diagrams
+ * @param {string} instrumentName - Instrument named in the error, e.g. "the ukulele"
+ * @throws {Error} When a chord uses a string the instrument does not have
+ */
+function checkStrings(chordDataArray, stringCount, instrumentName) {
+  chordDataArray.forEach((chord, index) => {
+    const used = [
+      ...(chord.fingers || []).map(([string]) => string),
+      ...chord.barres.flatMap(({ fromString, toString }) => [
+        fromString,
+        toString,
+      ]),
+    ];
+    const invalid = used.find(
+      (string) =>
+        !Number.isInteger(string) || string < 1 || string > stringCount,
+    );
+    if (invalid !== undefined) {
+      const chordName = chord.title ? ` (${chord.title})` : "";
+      throw new Error(
+        `Chord ${index + 1}${chordName} uses string ${invalid}, but ${instrumentName} has ${stringCount} strings`,
+      );
     }
+  });
+}
 
-    // Extract all SVG content and combine them
-    const combinedContent = await page.evaluate(() => {
-      const container = document.querySelector(".chord-container");
-      if (!container) {
-        throw new Error("Chord container not found after rendering");
-      }
+/**
+ * Sets the width of every SVG in the rendered content, letting the viewBox keep the aspect ratio
+ * @param {string} htmlContent - The HTML content containing SVGs
+ * @param {number} width - Width in pixels
+ * @returns {string} HTML content with sized SVGs
+ */
+function setSvgWidth(htmlContent, width) {
+  return htmlContent.replace(/<svg[^>]*>/g, (match) =>
+    match
+      .replace(/\s(?:width|height)="[^"]*"/g, "")
+      .replace(/^<svg/, `<svg width="${width}"`),
+  );
+}
 
-      // Return the entire container with all chords
-      return container.outerHTML;
-    });
+/**
+ * Renders the chord diagrams of every block in a single Puppeteer page: the
+ * svguitar library is loaded once, and the page reports the drawn blocks when
+ * `drawChordBlocks` returns, so nothing is polled
+ * @param {import("puppeteer").Browser} browser - Browser leased for the document
+ * @param {import("./draw-chords.js").ChordBlock[]} blocks - Blocks to render
+ * @returns {Promise<({ html: string } | { error: string })[]>} The rendered SVG content of each block, or why it failed
+ */
+async function renderBlocksWithPuppeteer(browser, blocks) {
+  const page = await browser.newPage();
 
-    // Fix viewBox for any SVGs with zero height
-    const fixedSvgContent = fixMultipleSvgViewBoxes(combinedContent);
-    return fixedSvgContent;
+  try {
+    await page.setContent(PAGE_HTML);
+    await page.addScriptTag({ content: getSvguitarLibrary() });
+    await page.addScriptTag({ content: drawChordBlocks.toString() });
+
+    return await page.evaluate((pageBlocks) => {
+      const globals = /** @type {any} */ (window);
+      if (typeof globals.svguitar === "undefined") {
+        throw new Error("SVGuitar library not loaded");
+      }
+      return globals
+        .drawChordBlocks(document, globals.svguitar.SVGuitarChord, pageBlocks)
+        .map((result) =>
+          "error" in result ? result : { html: result.container.outerHTML },
+        );
+    }, blocks);
   } finally {
     await page.close();
   }
@@ -400,9 +838,10 @@ async function renderChordsWithPuppeteer(
 /**
  * Fixes SVG viewBoxes for multiple SVGs in combined HTML content
  * @param {string} htmlContent - The HTML content containing multiple SVGs
+ * @param {boolean} [horizontal=false] - Whether the diagrams lie on their side, wider than tall
  * @returns {string} Fixed HTML content
  */
-function fixMultipleSvgViewBoxes(htmlContent) {
+function fixMultipleSvgViewBoxes(htmlContent, horizontal = false) {
   return htmlContent.replace(/<svg[^>]*>/g, (match) => {
     const viewBoxMatch = match.match(/viewBox="([^"]+)"/);
     if (!viewBoxMatch) {
@@ -417,7 +856,7 @@ function fixMultipleSvgViewBoxes(htmlContent) {
     }
 
     // Calculate default height based on typical chord diagram proportions
-    const calculatedHeight = width * 1.2;
+    const calculatedHeight = horizontal ? width / 1.2 : width * 1.2;
     const fixedViewBox = `viewBox="${x} ${y} ${width} ${calculatedHeight}"`;
     const fixedMatch = match.replace(/viewBox="[^"]+"/, fixedViewBox);
 
@@ -429,6 +868,18 @@ function fixMultipleSvgViewBoxes(htmlContent) {
   });
 }
 
+/**
+ * Removes code blocks from the tree, such as definition blocks, which leave
+ * nothing in the output
+ * @param {{ node: any, parent: any }[]} blocks - Blocks to remove
+ * @returns {void}
+ */
+function removeBlocks(blocks) {
+  for (const { node, parent } of blocks) {
+    parent.children.splice(parent.children.indexOf(node), 1);
+  }
+}
+
 /**
  * Creates an error node for inline error display
  * @param {string} errorMessage - The error message to display
@@ -461,31 +912,17 @@ function escapeHtml(text) {
 }
 
 /**
- * Cleanup function to close browser instance
+ * Closes the browsers that plugins created with `keepAlive` keep open.
+ * Browsers of a `browserManager` passed in the options are left to its owner.
  * @returns {Promise<void>}
  */
 export async function closeBrowser() {
-  if (browserInstance) {
-    await browserInstance.close();
-    browserInstance = null;
-  }
+  const managers = [...keptAliveManagers];
+  keptAliveManagers.clear();
+  await Promise.all(managers.map((manager) => manager.dispose()));
 }
 
-// Cleanup on process exit
-process.on("exit", () => {
-  if (browserInstance) {
-    browserInstance.close();
-  }
-});
-
-process.on("SIGINT", async () => {
-  await closeBrowser();
-  process.exit(0);
-});
-
-process.on("SIGTERM", async () => {
-  await closeBrowser();
-  process.exit(0);
-});
+export { createBrowserManager } from "./browser-manager.js";
+export { CHORD_DICTIONARY } from "./chord-dictionary.js";
 
 export default remarkSvguitar;
@@ -0,0 +1,45 @@
+//@ts-check
+/**
+ * @fileoverview Fretted instruments and tunings for chord diagrams
+ */
+
+import { parseTuning } from "../shared/notes.js";
+
+/**
+ * @typedef {Object} Instrument
+ * @property {string} name - Name used in messages
+ * @property {string} tuning - Open strings from the lowest, e.g. "EADGBE"
+ */
+
+/**
+ * Instruments selectable with the `instrument` option, in standard tuning.
+ * Re-entrant tunings (ukulele, banjo) are still listed from the string nearest the thumb.
+ * @type {Readonly<Record<string, Instrument>>}
+ */
+export const INSTRUMENTS = Object.freeze({
+  guitar: { name: "guitar", tuning: "E A D G B E" },
+  "guitar-7": { name: "7-string guitar", tuning: "B E A D G B E" },
+  bass: { name: "bass", tuning: "E A D G" },
+  "bass-5": { name: "5-string bass", tuning: "B E A D G" },
+  ukulele: { name: "ukulele", tuning: "G C E A" },
+  "baritone-ukulele": { name: "baritone ukulele", tuning: "D G B E" },
+  mandolin: { name: "mandolin", tuning: "G D A E" },
+  banjo: { name: "banjo", tuning: "G D G B D" },
+});
+
+/**
+ * Resolves the strings of the diagram from an explicit tuning or an instrument;
+ * the tuning wins when both are given
+ * @param {{ instrument?: string, tuning?: string }} options - Instrument name and tuning string
+ * @returns {{ name: string, tuning: string[] } | null} Instrument name for messages and tuning labels, or null when neither is set
+ */
+export function resolveStrings({ instrument, tuning }) {
+  if (tuning) {
+    return { name: "tuning", tuning: parseTuning(tuning) };
+  }
+  if (instrument) {
+    const { name, tuning: instrumentTuning } = INSTRUMENTS[instrument];
+    return { name, tuning: parseTuning(instrumentTuning) };
+  }
+  return null;
+}
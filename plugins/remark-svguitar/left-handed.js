@@ -0,0 +1,61 @@
+//@ts-check
+/**
+ * @fileoverview Mirrors rendered chord diagrams for left-handed players, keeping their text readable
+ */
+
+/**
+ * Mirrors every chord diagram of a rendered block around the vertical axis of
+ * its viewBox: the strings of a vertical chart, or the frets of a horizontal
+ * one, run the other way. Texts are flipped back in place, with start and end
+ * anchors swapped so that they still extend away from the diagram. Error
+ * placeholders are left as they are.
+ * @param {string} htmlContent - Rendered block, one SVG per chord
+ * @returns {string} The block with mirrored diagrams
+ */
+export function mirrorChordSvgs(htmlContent) {
+  return htmlContent.replace(
+    /(<svg\b[^>]*>)([\s\S]*?)(<\/svg>)/g,
+    (match, open, content, close) => {
+      const viewBox = /viewBox="([^"]+)"/.exec(open);
+      if (!viewBox || /class="error-svg"/.test(open)) {
+        return match;
+      }
+      const [x, , width] = viewBox[1]
+        .trim()
+        .split(/[\s,]+/)
+        .map(parseFloat);
+      const axis = 2 * x + width;
+      return `${open}<g class="left-handed" transform="matrix(-1 0 0 1 ${formatNumber(axis)} 0)">${content.replace(/<text\b[^>]*>/g, unmirrorText)}</g>${close}`;
+    },
+  );
+}
+
+/**
+ * Flips a text element back around its anchor
+ * @param {string} tag - Opening tag of the text element
+ * @returns {string} Opening tag drawing the text readable at its mirrored place
+ */
+function unmirrorText(tag) {
+  const x = parseFloat((/\sx="([^"]*)"/.exec(tag) || [])[1]) || 0;
+  const flip = `matrix(-1 0 0 1 ${formatNumber(2 * x)} 0)`;
+  const anchored = tag.replace(
+    /\stext-anchor="(start|left|end|right)"/,
+    (_, anchor) =>
+      ` text-anchor="${anchor === "end" || anchor === "right" ? "start" : "end"}"`,
+  );
+  // Text without an anchor starts at x, so it ends there once mirrored
+  const withAnchor = /\stext-anchor=/.test(anchored)
+    ? anchored
+    : anchored.replace(/^<text/, '<text text-anchor="end"');
+  return /\stransform="/.test(withAnchor)
+    ? withAnchor.replace(/\stransform="([^"]*)"/, ` transform="${flip} $1"`)
+    : withAnchor.replace(/^<text/, `<text transform="${flip}"`);
+}
+
+/**
+ * @param {number} value - Coordinate
+ * @returns {string} Value without floating point noise
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
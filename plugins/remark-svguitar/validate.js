@@ -0,0 +1,317 @@
+//@ts-check
+/**
+ * @fileoverview Validates chord data against the published chord schema and locates errors in the JSON or JSON5 source
+ */
+
+import { readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import JSON5 from "json5";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @typedef {Object} ChordDataError
+ * @property {number} chord - Index of the chord in the block, 0 for a single chord
+ * @property {(string | number)[]} path - Path of the offending value inside the chord data
+ * @property {string} message - What is wrong, naming the chord and field
+ * @property {boolean} unknownField - True when the last path segment is a field that is not allowed
+ */
+
+/**
+ * JSON Schema of the content of an svguitar block, also published for editors
+ * as `plugins/remark-svguitar/chord.schema.json`
+ * @type {any}
+ */
+export const CHORD_SCHEMA = JSON.parse(
+  readFileSync(join(__dirname, "chord.schema.json"), "utf8"),
+);
+
+/**
+ * Validates the data of an svguitar block against the chord schema
+ * @param {unknown} data - One chord or an array of chords
+ * @param {string} [name] - Name of a single defined chord, used in the message instead of its number
+ * @returns {ChordDataError | null} The first error, or null if the data is valid
+ */
+export function validateChordData(data, name) {
+  const chords = Array.isArray(data) ? data : [data];
+  for (let index = 0; index < chords.length; index++) {
+    const error = validate(chords[index], CHORD_SCHEMA.definitions.chord, []);
+    if (error) {
+      const title = chords[index]?.title;
+      const chordName =
+        name !== undefined
+          ? `Chord "${name}"`
+          : `Chord ${index + 1}${typeof title === "string" ? ` (${title})` : ""}`;
+      const field = formatPath(error.path);
+      return {
+        chord: index,
+        path: Array.isArray(data) ? [index, ...error.path] : error.path,
+        message: `${chordName}${field ? `, field "${field}"` : ""}: ${error.message}`,
+        unknownField: error.unknownField,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds where a value, or the key of an object member, starts in a JSON or JSON5 text
+ * @param {string} text - Valid JSON or JSON5 text
+ * @param {(string | number)[]} path - Path of the value
+ * @param {boolean} [key=false] - Locate the member's key instead of its value
+ * @returns {number | undefined} Offset in the text
+ */
+export function locateJsonPath(text, path, key = false) {
+  const { values, keys } = scanJson(text);
+  const pointer = path.map((segment) => `/${segment}`).join("");
+  return key ? keys.get(pointer) : values.get(pointer);
+}
+
+/**
+ * Checks a value against a schema, supporting the keywords used by the chord schema
+ * @param {any} value - Value to check
+ * @param {any} schema - Schema or sub-schema
+ * @param {(string | number)[]} path - Path of the value
+ * @returns {{ path: (string | number)[], message: string, unknownField: boolean } | null} The first error
+ */
+function validate(value, schema, path) {
+  const fail = (message, errorPath = path, unknownField = false) => ({
+    path: errorPath,
+    message,
+    unknownField,
+  });
+
+  if (schema.$ref) {
+    return validate(value, resolveRef(schema.$ref), path);
+  }
+  if (schema.anyOf) {
+    const errors = schema.anyOf.map((option) => validate(value, option, path));
+    if (errors.includes(null)) {
+      return null;
+    }
+    // Report the error of the alternative of the value's type, e.g. a wrong finger option
+    const matching = schema.anyOf.findIndex((option) => {
+      const { type } = option.$ref ? resolveRef(option.$ref) : option;
+      return type && hasType(value, type);
+    });
+    return matching === -1
+      ? fail(`must be ${schema.anyOf.map(describe).join(" or ")}`)
+      : errors[matching];
+  }
+  if ("const" in schema && value !== schema.const) {
+    return fail(`must be ${describe(schema)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be ${describe(schema)}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.type && !hasType(value, schema.type)) {
+    return fail(`must be ${describe(schema)}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return fail(`must be ${describe(schema)}, got ${value}`);
+  }
+
+  if (schema.type === "object") {
+    const properties = schema.properties || {};
+    // Unknown fields first: a misspelt field also looks like a missing one
+    if (schema.additionalProperties === false) {
+      const unknown = Object.keys(value).find((field) => !properties[field]);
+      if (unknown !== undefined) {
+        return fail(
+          `unknown field, expected one of: ${Object.keys(properties).join(", ")}`,
+          [...path, unknown],
+          true,
+        );
+      }
+    }
+    for (const field of schema.required || []) {
+      // Not `in`: "toString" is a barre field and an Object.prototype method
+      if (!Object.prototype.hasOwnProperty.call(value, field)) {
+        return fail(`missing required field "${field}"`);
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        const error = validate(fieldValue, properties[field], [...path, field]);
+        if (error) {
+          return error;
+        }
+      }
+    }
+  }
+
+  if (schema.type === "array") {
+    const { minItems = 0, maxItems = Infinity } = schema;
+    if (value.length < minItems || value.length > maxItems) {
+      const count =
+        minItems === maxItems
+          ? `${minItems}`
+          : maxItems === Infinity
+            ? `at least ${minItems}`
+            : `${minItems} to ${maxItems}`;
+      return fail(`must have ${count} items, got ${value.length}`);
+    }
+    for (let index = 0; index < value.length; index++) {
+      const itemSchema = Array.isArray(schema.items)
+        ? schema.items[index]
+        : schema.items;
+      if (itemSchema) {
+        const error = validate(value[index], itemSchema, [...path, index]);
+        if (error) {
+          return error;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @param {any} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Describes the values a schema accepts, for error messages
+ * @param {any} schema - Schema or sub-schema
+ * @returns {string} Description such as "an integer from 1"
+ */
+function describe(schema) {
+  if (schema.$ref) {
+    return describe(resolveRef(schema.$ref));
+  }
+  if ("const" in schema) {
+    return JSON.stringify(schema.const);
+  }
+  if (schema.enum) {
+    return `one of ${schema.enum.map((value) => JSON.stringify(value)).join(", ")}`;
+  }
+  const article = /^[aeiou]/.test(schema.type) ? "an" : "a";
+  const minimum = schema.minimum !== undefined ? ` from ${schema.minimum}` : "";
+  return `${article} ${schema.type}${minimum}`;
+}
+
+/**
+ * @param {string} ref - Local reference such as "#/definitions/finger"
+ * @returns {any} Referenced schema
+ */
+function resolveRef(ref) {
+  return ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((schema, segment) => schema[segment], CHORD_SCHEMA);
+}
+
+/**
+ * @param {(string | number)[]} path - Path inside a chord
+ * @returns {string} Field such as "fingers[2][1]"
+ */
+function formatPath(path) {
+  return path
+    .map((segment, index) =>
+      typeof segment === "number"
+        ? `[${segment}]`
+        : `${index > 0 ? "." : ""}${segment}`,
+    )
+    .join("");
+}
+
+/**
+ * Records the offset of every value and object key of a valid JSON or JSON5
+ * text, keyed by JSON pointer. Comments, quotes and unquoted keys are
+ * followed, but values are not checked: the text has already been parsed.
+ * @param {string} text - Valid JSON or JSON5 text
+ * @returns {{ values: Map<string, number>, keys: Map<string, number> }} Offsets by pointer
+ */
+function scanJson(text) {
+  const values = new Map();
+  const keys = new Map();
+  let i = 0;
+
+  const skipWhitespace = () => {
+    for (;;) {
+      if (i < text.length && /\s/.test(text[i])) {
+        i++;
+      } else if (text.startsWith("//", i)) {
+        const end = text.indexOf("\n", i);
+        i = end === -1 ? text.length : end;
+      } else if (text.startsWith("/*", i)) {
+        const end = text.indexOf("*/", i + 2);
+        i = end === -1 ? text.length : end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+  const readString = () => {
+    const start = i;
+    const quote = text[i++];
+    while (i < text.length && text[i] !== quote) {
+      i += text[i] === "\\" ? 2 : 1;
+    }
+    i++;
+    return JSON5.parse(text.slice(start, i));
+  };
+  const readKey = () => {
+    if (text[i] === '"' || text[i] === "'") {
+      return readString();
+    }
+    const start = i;
+    while (i < text.length && !/[\s:]/.test(text[i])) i++;
+    return text.slice(start, i);
+  };
+  const readValue = (pointer) => {
+    skipWhitespace();
+    values.set(pointer, i);
+    const char = text[i];
+    if (char === "{" || char === "[") {
+      const close = char === "{" ? "}" : "]";
+      i++;
+      skipWhitespace();
+      for (let index = 0; i < text.length && text[i] !== close; index++) {
+        if (char === "{") {
+          const keyOffset = i;
+          const key = readKey();
+          keys.set(`${pointer}/${key}`, keyOffset);
+          skipWhitespace();
+          i++; // ":"
+          readValue(`${pointer}/${key}`);
+        } else {
+          readValue(`${pointer}/${index}`);
+        }
+        skipWhitespace();
+        if (text[i] === ",") {
+          i++;
+          skipWhitespace();
+        }
+      }
+      i++;
+    } else if (char === '"' || char === "'") {
+      readString();
+    } else {
+      while (i < text.length && !/[\s,\]}/]/.test(text[i])) i++;
+    }
+  };
+
+  readValue("");
+  return { values, keys };
+}
@@ -0,0 +1,616 @@
+//@ts-check
+/**
+ * @fileoverview Chord spelling and fingering search, computing voicings of any chord symbol for any tuning
+ */
+
+import { pitchClass } from "../shared/notes.js";
+import { STANDARD_TUNING, parseChordName } from "./chord-dictionary.js";
+import { detectBarre, fretsToChord } from "./frets.js";
+
+/**
+ * @typedef {import("./frets.js").Fret} Fret
+ */
+
+/**
+ * @typedef {Object} ChordTone
+ * @property {number} pitch - Pitch class, 0 for C
+ * @property {string} degree - Degree from the root, e.g. "R", "b3" or "#11"
+ * @property {boolean} required - False for tones a voicing may leave out, such as the fifth
+ */
+
+/**
+ * @typedef {Object} SpelledChord
+ * @property {number} root - Pitch class of the root
+ * @property {number | null} bass - Pitch class of the bass note of a slash chord
+ * @property {ChordTone[]} tones - Chord tones from the root up
+ */
+
+/**
+ * @typedef {Object} VoicingSearchOptions
+ * @property {string[]} [tuning] - Open strings from the lowest, e.g. ["E", "A", "D", "G", "B", "E"]
+ * @property {number} [count=1] - Number of voicings to return
+ * @property {number} [maxStretch=4] - Number of frets the hand covers, the lowest fretted note included
+ * @property {number} [maxFret=12] - Highest fret a voicing may use
+ * @property {number} [position] - Fret the hand is at: fretted notes lie between it and the end of the stretch
+ */
+
+/**
+ * Fields of a voicing request in SVGuitar blocks, e.g. `{ "symbol": "Cmaj7", "voicings": 3 }`
+ */
+const REQUEST_FIELDS = [
+  "symbol",
+  "voicings",
+  "maxStretch",
+  "maxFret",
+  "position",
+  "title",
+];
+
+/**
+ * Most voicings a single request may render
+ */
+const MAX_VOICINGS = 12;
+
+/**
+ * Highest fret of chords played in open position
+ */
+const OPEN_POSITION_FRET = 4;
+
+/**
+ * Fewest strings for which the root of a chord without a slash bass is played lowest
+ */
+const MIN_BASS_STRINGS = 6;
+
+/**
+ * Chord under construction while reading its quality
+ * @typedef {Object} Spelling
+ * @property {number | null} third - Semitones of the third, null for sus and power chords
+ * @property {number} fifth - Semitones of the fifth
+ * @property {boolean} alteredFifth - Whether the fifth defines the chord and may not be left out
+ * @property {number | null} seventh - Semitones of the seventh
+ * @property {Map<string, { semitones: number, required: boolean }>} added - Suspended, added, extended and altered tones by degree
+ */
+
+/**
+ * Extensions implied by a chord number: a ninth chord has a seventh and a
+ * ninth, a thirteenth chord a ninth that may be left out and no eleventh
+ * @param {Spelling} spelling - Chord under construction
+ * @param {string} number - "7", "9", "11" or "13"
+ */
+function extend(spelling, number) {
+  if (number === "9") {
+    spelling.added.set("9", { semitones: 2, required: true });
+  } else if (number === "11") {
+    spelling.added.set("9", { semitones: 2, required: false });
+    spelling.added.set("11", { semitones: 5, required: true });
+  } else if (number === "13") {
+    spelling.added.set("9", { semitones: 2, required: false });
+    spelling.added.set("13", { semitones: 9, required: true });
+  }
+}
+
+/**
+ * Tokens of a chord quality, tried in order at each place of the quality.
+ * Tokens marked `first` only start a quality.
+ * @type {{ pattern: RegExp, first?: boolean, apply: (spelling: Spelling, match: RegExpExecArray) => void }[]}
+ */
+const QUALITY_TOKENS = [
+  {
+    pattern: /^(?:mMaj|mmaj|minmaj|m\(maj|-maj|mΔ|-Δ)(7|9|11|13)?\)?/,
+    first: true,
+    apply: (spelling, [, number = "7"]) => {
+      spelling.third = 3;
+      spelling.seventh = 11;
+      extend(spelling, number);
+    },
+  },
+  {
+    pattern: /^(?:maj|ma|M|Δ)(7|9|11|13)?/,
+    first: true,
+    apply: (spelling, [token, number]) => {
+      // "Cmaj" is a major triad, "CΔ" a major seventh
+      if (number || token === "Δ") {
+        spelling.seventh = 11;
+        extend(spelling, number || "7");
+      }
+    },
+  },
+  {
+    pattern: /^(?:ø|Ø)7?/,
+    first: true,
+    apply: (spelling) => {
+      Object.assign(spelling, { third: 3, fifth: 6, alteredFifth: true });
+      spelling.seventh = 10;
+    },
+  },
+  {
+    pattern: /^(?:dim|°|o)(7)?/,
+    first: true,
+    apply: (spelling, [, seventh]) => {
+      Object.assign(spelling, { third: 3, fifth: 6, alteredFifth: true });
+      if (seventh) {
+        spelling.seventh = 9;
+      }
+    },
+  },
+  {
+    pattern: /^(?:m|min|-)/,
+    first: true,
+    apply: (spelling) => {
+      spelling.third = 3;
+    },
+  },
+  {
+    pattern: /^(?:aug|\+)/,
+    first: true,
+    apply: (spelling) => {
+      Object.assign(spelling, { fifth: 8, alteredFifth: true });
+    },
+  },
+  {
+    pattern: /^69/,
+    apply: (spelling) => {
+      spelling.added.set("6", { semitones: 9, required: true });
+      spelling.added.set("9", { semitones: 2, required: true });
+    },
+  },
+  {
+    pattern: /^(7|9|11|13)/,
+    apply: (spelling, [, number]) => {
+      if (spelling.seventh === null) {
+        spelling.seventh = 10;
+      }
+      extend(spelling, number);
+    },
+  },
+  {
+    pattern: /^6/,
+    apply: (spelling) => {
+      spelling.added.set("6", { semitones: 9, required: true });
+    },
+  },
+  {
+    pattern: /^5/,
+    apply: (spelling) => {
+      spelling.third = null;
+    },
+  },
+  {
+    pattern: /^sus(2|4)?/,
+    apply: (spelling, [, degree = "4"]) => {
+      spelling.third = null;
+      spelling.added.set(degree, {
+        semitones: degree === "2" ? 2 : 5,
+        required: true,
+      });
+    },
+  },
+  {
+    pattern: /^add(2|4|9|11|13)/,
+    apply: (spelling, [, degree]) => {
+      spelling.added.set(degree, {
+        semitones: { 2: 2, 4: 5, 9: 2, 11: 5, 13: 9 }[degree],
+        required: true,
+      });
+    },
+  },
+  {
+    pattern: /^(b|#|♭|♯)(5|9|11|13)/,
+    apply: (spelling, [, accidental, degree]) => {
+      const shift = accidental === "b" || accidental === "♭" ? -1 : 1;
+      if (degree === "5") {
+        Object.assign(spelling, { fifth: 7 + shift, alteredFifth: true });
+        return;
+      }
+      // An altered tension replaces the natural one, and implies a seventh
+      spelling.added.delete(degree);
+      spelling.added.set(`${shift < 0 ? "b" : "#"}${degree}`, {
+        semitones: ({ 9: 2, 11: 5, 13: 9 }[degree] + shift + 12) % 12,
+        required: true,
+      });
+      if (spelling.seventh === null) {
+        spelling.seventh = 10;
+      }
+    },
+  },
+  {
+    pattern: /^[(),\s]/,
+    apply: () => {},
+  },
+];
+
+/**
+ * Names the degree of a tone that has no name of its own
+ */
+const DEGREE_NAMES = {
+  3: { 3: "b3", 4: "3" },
+  5: { 6: "b5", 7: "5", 8: "#5" },
+  7: { 9: "bb7", 10: "b7", 11: "7" },
+};
+
+/**
+ * Spells a chord symbol: its root, bass and chord tones, marking the tones a
+ * voicing may leave out (the fifth unless altered, the ninth under an eleventh
+ * or thirteenth)
+ * @param {string} symbol - Chord symbol such as "Cmaj7#11", "F#m7b5" or "D/F#"
+ * @returns {SpelledChord} Spelled chord
+ * @throws {Error} When the symbol is not a chord name or its quality cannot be read
+ */
+export function spellChord(symbol) {
+  const parsed = parseChordName(symbol);
+  if (!parsed || /:\d+$/.test(symbol)) {
+    throw new Error(`"${symbol}" is not a chord symbol`);
+  }
+
+  /** @type {Spelling} */
+  const spelling = {
+    third: 4,
+    fifth: 7,
+    alteredFifth: false,
+    seventh: null,
+    added: new Map(),
+  };
+  let rest = parsed.quality;
+  let first = true;
+  while (rest) {
+    /** @type {RegExpExecArray | null} */
+    let match = null;
+    const token = QUALITY_TOKENS.find(
+      ({ pattern, first: onlyFirst }) =>
+        (first || !onlyFirst) && (match = pattern.exec(rest)) !== null,
+    );
+    if (!token || match === null) {
+      throw new Error(
+        `Cannot spell chord "${symbol}": unexpected "${rest}" in its quality`,
+      );
+    }
+    token.apply(spelling, match);
+    rest = rest.slice(match[0].length);
+    first = false;
+  }
+
+  const { root } = parsed;
+  const tone = (semitones, degree, required) => ({
+    pitch: (root + semitones) % 12,
+    degree,
+    required,
+  });
+  /** @type {ChordTone[]} */
+  const tones = [tone(0, "R", true)];
+  if (spelling.third !== null) {
+    tones.push(tone(spelling.third, DEGREE_NAMES[3][spelling.third], true));
+  }
+  tones.push(
+    tone(
+      spelling.fifth,
+      DEGREE_NAMES[5][spelling.fifth],
+      spelling.alteredFifth,
+    ),
+  );
+  if (spelling.seventh !== null) {
+    tones.push(tone(spelling.seventh, DEGREE_NAMES[7][spelling.seventh], true));
+  }
+  for (const [degree, { semitones, required }] of spelling.added) {
+    tones.push(tone(semitones, degree, required));
+  }
+
+  // Tones sharing a pitch, such as the sixth of a diminished seventh, are kept once
+  const unique = tones.filter(
+    ({ pitch }, index) => tones.findIndex((t) => t.pitch === pitch) === index,
+  );
+  return { root, bass: parsed.bass, tones: unique };
+}
+
+/**
+ * Searches the fingerings of a chord symbol on a tuning and ranks them, the
+ * easiest first. A voicing sounds the bass of a slash chord, or on six
+ * strings and more the root, on its lowest string, sounds every required
+ * chord tone, fits the stretch of the hand and needs at most four fingers, one
+ * of them holding a barre. Compact, low, full voicings with
+ * open strings rank first; muted strings between sounding ones rank last.
+ * @param {string} symbol - Chord symbol such as "Cmaj7#11", "F#m7b5" or "D/F#"
+ * @param {VoicingSearchOptions} [options={}] - Tuning, number of voicings and reach of the hand
+ * @returns {Fret[][]} Frets of each voicing, lowest string first; empty when nothing is playable
+ * @throws {Error} When the symbol or the tuning cannot be read
+ */
+export function findVoicings(symbol, options = {}) {
+  const {
+    tuning = STANDARD_TUNING,
+    count = 1,
+    maxStretch = 4,
+    maxFret = 12,
+    position,
+  } = options;
+  const chord = spellChord(symbol);
+  const open = tuning.map((note) => {
+    const pitch = pitchClass(note);
+    if (pitch === null) {
+      throw new Error(`Invalid tuning note "${note}"`);
+    }
+    return pitch;
+  });
+  // Chords on instruments with few, often re-entrant strings need not have their root lowest
+  const bass =
+    chord.bass ?? (tuning.length >= MIN_BASS_STRINGS ? chord.root : null);
+  const chordPitches = new Set(chord.tones.map(({ pitch }) => pitch));
+  const required = chord.tones.filter((t) => t.required).map((t) => t.pitch);
+  const optional = chord.tones.filter((t) => !t.required).length;
+  // Every string of a four-string instrument sounds, a guitar may leave out two
+  const minSounding = Math.min(
+    tuning.length <= 4 ? tuning.length : Math.max(4, tuning.length - 2),
+    chord.tones.length + 1,
+  );
+
+  /** @type {Map<string, { frets: Fret[], score: number }>} */
+  const found = new Map();
+  const starts =
+    position !== undefined
+      ? [position]
+      : Array.from(
+          { length: Math.max(1, maxFret - maxStretch + 2) },
+          (_, i) => i + 1,
+        );
+  for (const start of starts) {
+    const last = Math.min(maxFret, start + maxStretch - 1);
+    /** @type {Fret[]} */
+    const frets = [];
+    /**
+     * Tries every fret of a string, then the strings above it
+     * @param {number} index - String index, lowest first
+     * @param {boolean} sounding - Whether a lower string already sounds the bass
+     */
+    const search = (index, sounding) => {
+      if (index === open.length) {
+        const score = scoreVoicing(
+          frets,
+          open,
+          required,
+          optional,
+          minSounding,
+        );
+        const key = frets.join("-");
+        if (score !== null && !found.has(key)) {
+          found.set(key, { frets: [...frets], score });
+        }
+        return;
+      }
+      const playable = (fret) => {
+        const pitch = (open[index] + fret) % 12;
+        return sounding || bass === null
+          ? chordPitches.has(pitch)
+          : pitch === bass;
+      };
+      const choices = [
+        "x",
+        0,
+        ...Array.from({ length: last - start + 1 }, (_, i) => start + i),
+      ];
+      for (const fret of choices) {
+        if (fret === "x" || playable(fret)) {
+          frets.push(/** @type {Fret} */ (fret));
+          search(index + 1, sounding || fret !== "x");
+          frets.pop();
+        }
+      }
+    };
+    search(0, false);
+  }
+
+  return [...found.values()]
+    .sort(
+      (a, b) => a.score - b.score || lowestFret(a.frets) - lowestFret(b.frets),
+    )
+    .slice(0, count)
+    .map(({ frets }) => frets);
+}
+
+/**
+ * Scores a candidate fingering, lower being easier to play and fuller sounding
+ * @param {Fret[]} frets - One fret per string, lowest first
+ * @param {number[]} open - Pitch classes of the open strings
+ * @param {number[]} required - Pitch classes the voicing must sound
+ * @param {number} optional - Number of chord tones that may be left out
+ * @param {number} minSounding - Fewest strings the voicing must sound
+ * @returns {number | null} Score, or null if the fingering is not a voicing of the chord
+ */
+function scoreVoicing(frets, open, required, optional, minSounding) {
+  const sounding = frets.flatMap((fret, index) =>
+    fret === "x" ? [] : [index],
+  );
+  if (sounding.length < minSounding) {
+    return null;
+  }
+  const pitches = new Set(
+    sounding.map((index) => (open[index] + Number(frets[index])) % 12),
+  );
+  if (!required.every((pitch) => pitches.has(pitch))) {
+    return null;
+  }
+  const innerMuted =
+    sounding[sounding.length - 1] - sounding[0] + 1 - sounding.length;
+  if (innerMuted > 1) {
+    return null;
+  }
+
+  const fretted = /** @type {number[]} */ (
+    frets.filter((fret) => typeof fret === "number" && fret > 0)
+  );
+  const barre = detectBarre(frets);
+  const fingers =
+    barre === undefined
+      ? fretted.length
+      : 1 + fretted.filter((fret) => fret !== barre).length;
+  if (fingers > 4) {
+    return null;
+  }
+  const lowest = fretted.length > 0 ? Math.min(...fretted) : 0;
+  const span = fretted.length > 0 ? Math.max(...fretted) - lowest : 0;
+  const openStrings = frets.filter((fret) => fret === 0).length;
+  const missing = required.length + optional - pitches.size;
+
+  // Open strings ring along with chords near the nut, but are awkward far up the neck
+  const openCost = lowest > OPEN_POSITION_FRET ? 1 : -0.5;
+  return (
+    span +
+    lowest * 0.75 +
+    innerMuted * 4 +
+    (frets.length - sounding.length) * 1.5 +
+    Math.max(0, missing) +
+    (barre === undefined ? 0 : 0.5) +
+    openStrings * openCost
+  );
+}
+
+/**
+ * @param {Fret[]} frets - One fret per string
+ * @returns {number} Lowest fretted fret, 0 for open chords
+ */
+function lowestFret(frets) {
+  const fretted = frets.filter((fret) => typeof fret === "number" && fret > 0);
+  return fretted.length > 0
+    ? Math.min(.../** @type {number[]} */ (fretted))
+    : 0;
+}
+
+/**
+ * Converts a computed voicing to SVGuitar chord data
+ * @param {Fret[]} frets - One fret per string, lowest first
+ * @param {string} [title] - Title of the diagram
+ * @returns {{ fingers: any[], barres: any[], position?: number, title?: string }} SVGuitar chord data
+ */
+export function voicingToChord(frets, title) {
+  return fretsToChord(frets, { barre: detectBarre(frets), title });
+}
+
+/**
+ * Computes one voicing of a chord symbol, for chord names missing from the
+ * chord dictionary
+ * @param {string} symbol - Chord symbol such as "Cmaj7#11"
+ * @param {number} voicing - 1-based rank of the voicing
+ * @param {string[] | null} tuning - Open strings from the lowest, or null when the diagram's tuning is unknown
+ * @returns {any} SVGuitar chord data titled with the symbol, or null if the symbol cannot be spelled or has no such voicing
+ */
+export function computeChord(symbol, voicing, tuning) {
+  if (!tuning) {
+    return null;
+  }
+  try {
+    const found = findVoicings(symbol, { tuning, count: voicing });
+    return found.length >= voicing
+      ? voicingToChord(found[voicing - 1], symbol)
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replaces the voicing requests of SVGuitar chord data with the voicings they
+ * ask for, e.g. `{ "symbol": "Cmaj7", "voicings": 3 }` with three chords titled
+ * "Cmaj7". Requests may stand alone or among the chords of an array.
+ * @param {any} data - Chord data, a voicing request, or an array of both
+ * @param {string[] | null} tuning - Open strings from the lowest, or null when the diagram's tuning is unknown
+ * @returns {any} Chord data, an array when a request returns several voicings
+ * @throws {Error} With the `path` of the offending value, and `unknownField` for unknown fields
+ */
+export function resolveVoicingRequests(data, tuning) {
+  const isRequest = (item) =>
+    typeof item === "object" &&
+    item !== null &&
+    Object.prototype.hasOwnProperty.call(item, "symbol");
+
+  if (Array.isArray(data)) {
+    return data.some(isRequest)
+      ? data.flatMap((item, index) =>
+          isRequest(item) ? expandRequest(item, tuning, [index]) : [item],
+        )
+      : data;
+  }
+  if (!isRequest(data)) {
+    return data;
+  }
+  const chords = expandRequest(data, tuning, []);
+  return chords.length === 1 ? chords[0] : chords;
+}
+
+/**
+ * @param {Record<string, any>} request - Voicing request
+ * @param {string[] | null} tuning - Open strings from the lowest
+ * @param {(string | number)[]} path - Path of the request in the block
+ * @returns {any[]} SVGuitar chord data of each voicing
+ */
+function expandRequest(request, tuning, path) {
+  const fail = (message, field, unknownField = false) =>
+    Object.assign(new Error(message), {
+      path: [...path, field],
+      unknownField,
+    });
+
+  const unknown = Object.keys(request).find(
+    (field) => !REQUEST_FIELDS.includes(field),
+  );
+  if (unknown) {
+    throw fail(
+      `Unknown field "${unknown}" in voicing request. Expected one of: ${REQUEST_FIELDS.join(", ")}`,
+      unknown,
+      true,
+    );
+  }
+  const {
+    symbol,
+    voicings = 1,
+    maxStretch = 4,
+    maxFret = 12,
+    position,
+    title = symbol,
+  } = request;
+  if (typeof symbol !== "string") {
+    throw fail(`"symbol" must be a chord symbol such as "Cmaj7"`, "symbol");
+  }
+  /** @type {[string, any, number, number][]} */
+  const ranges = [
+    ["voicings", voicings, 1, MAX_VOICINGS],
+    ["maxStretch", maxStretch, 2, 6],
+    ["maxFret", maxFret, 1, 24],
+  ];
+  if (position !== undefined) {
+    ranges.push(["position", position, 1, 24]);
+  }
+  for (const [field, value, min, max] of ranges) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw fail(
+        `"${field}" must be an integer from ${min} to ${max}, got ${JSON.stringify(value)}`,
+        field,
+      );
+    }
+  }
+  if (typeof title !== "string") {
+    throw fail(`"title" must be a string`, "title");
+  }
+  if (!tuning) {
+    throw fail(
+      `Voicings of "${symbol}" need the tuning of the strings: set a tuning or an instrument`,
+      "symbol",
+    );
+  }
+
+  let found;
+  try {
+    found = findVoicings(symbol, {
+      tuning,
+      count: voicings,
+      maxStretch,
+      maxFret,
+      position,
+    });
+  } catch (error) {
+    throw fail(error.message, "symbol");
+  }
+  if (found.length === 0) {
+    throw fail(
+      `No playable voicing of "${symbol}" within ${maxStretch} frets${position !== undefined ? ` at fret ${position}` : ""}`,
+      "symbol",
+    );
+  }
+  return found.map((frets) => voicingToChord(frets, title));
+}
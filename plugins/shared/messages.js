@@ -0,0 +1,57 @@
+//@ts-check
+/**
+ * @fileoverview Reporting of plugin diagnostics as vfile messages
+ */
+
+/**
+ * @typedef {Object} ReportOptions
+ * @property {import('unist').Position | import('unist').Point} [place] - Where in the markdown file the problem is
+ * @property {string} source - Plugin name, e.g. "remark-lilypond"
+ * @property {string} ruleId - Category of the problem, e.g. "compile-error"
+ * @property {boolean} [fatal=false] - True for errors, false for warnings
+ * @property {Error} [cause] - Original error
+ */
+
+/**
+ * Reports a problem on the processed file so that reporters, editors and CI can point at it.
+ * Errors are marked fatal but not thrown (as `file.fail()` would), so the remaining blocks still render.
+ * Falls back to the console when the transformer runs without a file.
+ * @param {import('vfile').VFile | undefined} file - The file being processed
+ * @param {string} reason - Human readable description
+ * @param {ReportOptions} options - Message details
+ * @returns {void}
+ */
+export function report(file, reason, options) {
+  const { place, source, ruleId, fatal = false, cause } = options;
+
+  if (!file) {
+    const point = /** @type {import('unist').Point | undefined} */ (
+      place && "start" in place ? place.start : place
+    );
+    const where = point ? ` (line ${point.line})` : "";
+    (fatal ? console.error : console.warn)(`${source}: ${reason}${where}`);
+    return;
+  }
+
+  const message = file.message(reason, { place, source, ruleId, cause });
+  message.fatal = fatal;
+}
+
+/**
+ * Maps an offset in a code block's content to the markdown file
+ * @param {{ value: string, position?: import('unist').Position }} node - The code node
+ * @param {number} offset - Offset in the node value
+ * @returns {import('unist').Point | undefined} Place in the markdown file
+ */
+export function offsetPlace(node, offset) {
+  if (!node.position) {
+    return undefined;
+  }
+  const before = node.value.slice(0, offset).split("\n");
+
+  // The content starts on the line after the opening fence
+  return {
+    line: node.position.start.line + before.length,
+    column: node.position.start.column + before[before.length - 1].length,
+  };
+}
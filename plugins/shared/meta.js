@@ -0,0 +1,109 @@
+//@ts-check
+/**
+ * @fileoverview Parsing of code fence meta strings into per-block options
+ */
+
+/**
+ * @typedef {"string" | "number" | "boolean"} MetaOptionType
+ */
+
+/**
+ * @typedef {Object} BlockOptionsResult
+ * @property {Record<string, string | number | boolean>} options - Options that passed validation
+ * @property {string[]} warnings - Human readable problems with the meta string
+ */
+
+/**
+ * Matches `key`, `key=value`, `key="quoted value"` and `key='quoted value'`
+ */
+const META_TOKEN =
+  /([A-Za-z_][\w-]*)(?:\s*=\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s"']+)))?/g;
+
+/**
+ * Parses a code fence meta string such as `compact=false caption="Intro riff" midi`.
+ * Bare keys are flags set to true; unquoted values are converted to booleans or numbers when possible.
+ * @param {string | null | undefined} meta - The `meta` field of an mdast code node
+ * @returns {Record<string, string | number | boolean>} Parsed key/value pairs
+ */
+export function parseMeta(meta) {
+  /** @type {Record<string, string | number | boolean>} */
+  const result = {};
+  if (!meta) {
+    return result;
+  }
+
+  for (const match of meta.matchAll(META_TOKEN)) {
+    const [, key, doubleQuoted, singleQuoted, bare] = match;
+    if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+      result[key] = (doubleQuoted ?? singleQuoted).replace(/\\(.)/g, "$1");
+    } else if (bare !== undefined) {
+      result[key] = coerceValue(bare);
+    } else {
+      result[key] = true;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parses a meta string and validates it against the options a plugin accepts per block
+ * @param {string | null | undefined} meta - The `meta` field of an mdast code node
+ * @param {Record<string, MetaOptionType>} schema - Accepted option names and their types
+ * @param {string} blockName - Block language used in warnings (e.g. "lilypond")
+ * @returns {BlockOptionsResult} Valid options and warnings for the rest
+ */
+export function parseBlockOptions(meta, schema, blockName) {
+  /** @type {Record<string, string | number | boolean>} */
+  const options = {};
+  const warnings = [];
+
+  for (const [key, value] of Object.entries(parseMeta(meta))) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      warnings.push(
+        `Unknown option "${key}" in ${blockName} block. Known options: ${Object.keys(schema).join(", ")}`,
+      );
+      continue;
+    }
+
+    const expected = schema[key];
+    // A quoted number or boolean is still accepted, e.g. width="200"
+    const coerced =
+      typeof value === "string" && expected !== "string"
+        ? coerceValue(value)
+        : value;
+    // A number is a valid string value, e.g. caption=1999
+    const normalized =
+      expected === "string" && typeof coerced === "number"
+        ? String(coerced)
+        : coerced;
+
+    if (typeof normalized !== expected) {
+      warnings.push(
+        `Option "${key}" in ${blockName} block expects a ${expected}, got ${JSON.stringify(value)}`,
+      );
+      continue;
+    }
+    options[key] = normalized;
+  }
+
+  return { options, warnings };
+}
+
+/**
+ * Converts an unquoted meta value to a boolean or number when it looks like one
+ * @param {string} value - Raw value
+ * @returns {string | number | boolean} Converted value
+ */
+function coerceValue(value) {
+  if (value === "true") {
+    return true;
+  }
+  if (value === "false") {
+    return false;
+  }
+  if (/^-?\d+(?:\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
@@ -0,0 +1,55 @@
+//@ts-check
+/**
+ * @fileoverview Note names, pitch classes and tunings shared by the plugins
+ */
+
+const NOTE_PITCHES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Matches a note name: letter and optional accidental
+ */
+const NOTE_NAME = /^([A-G])(#|b|♯|♭)?$/;
+
+/**
+ * Matches a single note name in a tuning string
+ */
+const TUNING_NOTE = /[A-G](?:#|b|♯|♭)?/g;
+
+/**
+ * Converts a note name to its pitch class
+ * @param {string} note - Note name such as "A", "F#", "Bb" or "E♭"
+ * @returns {number | null} Pitch class, 0 for C, or null if it is not a note name
+ */
+export function pitchClass(note) {
+  const match = NOTE_NAME.exec(note);
+  if (!match) {
+    return null;
+  }
+  const [, letter, accidental] = match;
+  const shift =
+    accidental === "#" || accidental === "♯"
+      ? 1
+      : accidental === "b" || accidental === "♭"
+        ? -1
+        : 0;
+  return (NOTE_PITCHES[letter] + shift + 12) % 12;
+}
+
+/**
+ * Splits a tuning string into one note name per string
+ * @param {string} tuning - Tuning such as "DADGAD" or "Eb Ab Db Gb Bb Eb"
+ * @returns {string[]} Note names from the lowest string
+ */
+export function parseTuning(tuning) {
+  return tuning.match(TUNING_NOTE) || [];
+}
+
+/**
+ * Checks that a tuning string only contains note names
+ * @param {string} tuning - Tuning string as written
+ * @returns {boolean} True if every character belongs to a note name or a separator
+ */
+export function isValidTuning(tuning) {
+  const notes = parseTuning(tuning);
+  return notes.length > 0 && notes.join("") === tuning.replace(/[\s,]+/g, "");
+}
@@ -0,0 +1,66 @@
+//@ts-check
+/**
+ * @fileoverview Stable, page-unique ids for inlined SVG diagrams
+ */
+
+import { createHash } from "crypto";
+
+/**
+ * Creates the id namespaces of the diagrams of one document. A namespace is
+ * the prefix followed by a hash of the diagram's source, so it does not depend
+ * on the order blocks are processed in; a source repeated in the document gets
+ * a numbered namespace for each copy after the first.
+ * @param {string} prefix - Plugin prefix, e.g. "lilypond"
+ * @returns {(content: string) => string} Returns the namespace of a diagram from its source
+ */
+export function createIdNamespacer(prefix) {
+  /** @type {Map<string, number>} */
+  const copies = new Map();
+  return (content) => {
+    const hash = createHash("sha256").update(content).digest("hex");
+    const base = `${prefix}-${hash.slice(0, 8)}`;
+    const count = (copies.get(base) || 0) + 1;
+    copies.set(base, count);
+    return count === 1 ? base : `${base}-${count}`;
+  };
+}
+
+/**
+ * Renames the ids of the SVG elements in some markup to `<namespace>-id<n>`,
+ * numbered in order of appearance, and updates the `url(#id)` and `href="#id"`
+ * references to them. References are resolved within their own SVG, so pages
+ * or charts reusing an id keep pointing at their own element. Renaming rather
+ * than prefixing also drops ids generated from counters, making the output
+ * the same on every run.
+ * @param {string} markup - Markup containing one or more `<svg>` elements
+ * @param {string} namespace - Namespace of the block, from createIdNamespacer()
+ * @returns {string} The markup with namespaced ids
+ */
+export function namespaceSvgIds(markup, namespace) {
+  let count = 0;
+  return markup.replace(/<svg\b[\s\S]*?<\/svg>/g, (svg) => {
+    /** @type {Map<string, string>} */
+    const ids = new Map();
+    const renamed = svg.replace(
+      /(\sid=)(["'])(.*?)\2/g,
+      (match, attribute, quote, id) => {
+        if (!ids.has(id)) {
+          ids.set(id, `${namespace}-id${++count}`);
+        }
+        return `${attribute}${quote}${ids.get(id)}${quote}`;
+      },
+    );
+    if (ids.size === 0) {
+      return svg;
+    }
+    return renamed
+      .replace(/url\((["']?)#([^"')]+)\1\)/g, (match, quote, id) =>
+        ids.has(id) ? `url(${quote}#${ids.get(id)}${quote})` : match,
+      )
+      .replace(
+        /(\s(?:xlink:)?href=)(["'])#(.*?)\2/g,
+        (match, attribute, quote, id) =>
+          ids.has(id) ? `${attribute}${quote}#${ids.get(id)}${quote}` : match,
+      );
+  });
+}
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Tests for the ASCII tab to LilyPond conversion
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  asciiTabToLilyPond,
+  isValidTabTuning,
+} from "../plugins/remark-lilypond/ascii-tab.js";
+
+/**
+ * @param {string} source - Generated LilyPond source
+ * @returns {string} The music between \cadenzaOn and the closing brace
+ */
+const music = (source) =>
+  source
+    .slice(source.indexOf("\\cadenzaOn") + "\\cadenzaOn".length)
+    .replace(/\}\s*$/, "")
+    .trim();
+
+describe("asciiTabToLilyPond", () => {
+  test("should write each column of notes as an event on its string", () => {
+    const source = asciiTabToLilyPond(`e|-------0-|
+B|-----1---|
+G|---0-----|
+D|---------|
+A|-3-------|
+E|---------|`);
+
+    assert.match(source, /^\\new TabStaff/);
+    assert.ok(
+      source.includes("stringTunings = \\stringTuning <e, a, d g b e'>"),
+    );
+    assert.strictEqual(
+      music(source),
+      `<c\\5>8 <g\\3>8 <c'\\2>8 <e'\\1>8 \\bar "|"`,
+    );
+  });
+
+  test("should stack notes of the same column in a chord", () => {
+    const source = asciiTabToLilyPond(`e|-0-|
+B|-1-|
+G|-0-|
+D|-2-|
+A|-3-|
+E|---|`);
+    assert.strictEqual(
+      music(source),
+      `<e'\\1 c'\\2 g\\3 e\\4 c\\5>8 \\bar "|"`,
+    );
+  });
+
+  test("should slur hammer-ons, pull-offs and releases and slide with glissandos", () => {
+    const source = asciiTabToLilyPond(`e|-----------------|
+B|-5h7p5-----------|
+G|-------7b9r7-----|
+D|-------------5/7-|
+A|-----------------|
+E|-----------------|`);
+    assert.strictEqual(
+      music(source),
+      [
+        `<e'\\2>8(`,
+        `<fis'\\2>8`,
+        `<e'\\2>8)`,
+        `<d'\\3>8\\bendAfter #+4(`,
+        `<d'\\3>8)`,
+        `<g\\4>8\\glissando`,
+        `<a\\4>8`,
+        `\\bar "|"`,
+      ].join(" "),
+    );
+  });
+
+  test("should read dead notes, double bar lines and several systems", () => {
+    const source = asciiTabToLilyPond(`Verse
+G|-x-||
+D|-0-||
+A|---||
+E|---||
+
+G|-2-|
+D|---|
+A|---|
+E|---|`);
+    assert.ok(
+      source.includes("stringTunings = \\stringTuning <e,, a,, d, g,>"),
+    );
+    assert.strictEqual(
+      music(source),
+      `<\\deadNote g,\\1 d,\\2>8 \\bar "||"\n  \\break\n  <a,\\1>8 \\bar "|"`,
+    );
+  });
+
+  test("should follow the labels of the strings or the tuning option", () => {
+    const tab = `e|-0-|
+B|---|
+G|---|
+D|---|
+A|---|
+D|-0-|`;
+    assert.ok(
+      asciiTabToLilyPond(tab).includes("\\stringTuning <d, a, d g b e'>"),
+    );
+    assert.ok(
+      asciiTabToLilyPond(tab, { tuning: "C G C F A D" }).includes(
+        "\\stringTuning <c, g, c f a d'>",
+      ),
+    );
+    // Spelled as in svguitar and fretboard blocks
+    assert.ok(
+      asciiTabToLilyPond(tab, { tuning: "E♭ A♭ D♭ G♭ B♭ E♭" }).includes(
+        "\\stringTuning <dis, gis, cis fis ais dis'>",
+      ),
+    );
+    assert.ok(
+      asciiTabToLilyPond(tab.replace(/^[A-Za-z]/gm, "")).includes(
+        "\\stringTuning <e, a, d g b e'>",
+      ),
+    );
+  });
+
+  test("should report problems with their offset in the tab", () => {
+    const failure = (tab, settings) => {
+      try {
+        asciiTabToLilyPond(tab, settings);
+      } catch (error) {
+        return [error.message, error.offset];
+      }
+      return null;
+    };
+    const strings = "\nB|---|\nG|---|\nD|---|";
+
+    assert.deepStrictEqual(failure(`e|-3hh5-|${strings}`), [
+      '"h" must directly follow a fretted note',
+      5,
+    ]);
+    assert.deepStrictEqual(failure(`e|--/5--|${strings}`), [
+      '"/" must directly follow a fretted note',
+      4,
+    ]);
+    assert.deepStrictEqual(failure(`e|-5b3-|${strings}`), [
+      "Bend from fret 5 to fret 3 must go up",
+      4,
+    ]);
+    assert.deepStrictEqual(failure(`e|-5h--|${strings}`), [
+      '"h" must lead to a fret',
+      4,
+    ]);
+    assert.deepStrictEqual(failure(`e|-5~-|${strings}`)[1], 4);
+    assert.match(failure("Just words")[0], /^No tab found/);
+    assert.match(
+      failure(`e|-0-|${strings}`, { tuning: "DADGAD" })[0],
+      /has 6 strings, but the tab has 4/,
+    );
+    assert.match(
+      failure("e|-0-|\nB|-0-|")[0],
+      /Tabs need 4 to 7 strings, got 2/,
+    );
+  });
+});
+
+describe("isValidTabTuning", () => {
+  test("should accept 4 to 7 note names", () => {
+    assert.strictEqual(isValidTabTuning("DADGAD"), true);
+    assert.strictEqual(isValidTabTuning("Eb Ab Db Gb Bb Eb"), true);
+    assert.strictEqual(isValidTabTuning("E♭ A♭ D♭ G♭ B♭ E♭"), true);
+    assert.strictEqual(isValidTabTuning("E A D G"), true);
+    assert.strictEqual(isValidTabTuning("DADGAX"), false);
+    assert.strictEqual(isValidTabTuning("E A"), false);
+  });
+});
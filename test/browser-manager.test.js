@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Tests for the remark-svguitar browser manager
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { remark } from "remark";
+
+import remarkSvguitar, {
+  createBrowserManager,
+} from "../plugins/remark-svguitar/index.js";
+
+/**
+ * Fake puppeteer.launch recording the browsers it creates
+ * @param {{ fail?: number }} [options] - Number of launches to fail first
+ */
+function fakeLauncher({ fail = 0 } = {}) {
+  const launched = [];
+  const launch = async (options) => {
+    if (fail > 0) {
+      fail--;
+      throw new Error("no Chrome here");
+    }
+    const browser = {
+      options,
+      connected: true,
+      async close() {
+        this.connected = false;
+      },
+    };
+    launched.push(browser);
+    return browser;
+  };
+  return { launch, launched };
+}
+
+describe("createBrowserManager", () => {
+  test("should launch lazily and reuse a released browser", async () => {
+    const { launch, launched } = fakeLauncher();
+    const manager = createBrowserManager({
+      launch,
+      puppeteerOptions: { executablePath: "/opt/chrome" },
+    });
+    assert.strictEqual(launched.length, 0);
+
+    const first = await manager.acquire();
+    first.release();
+    const second = await manager.acquire();
+
+    assert.strictEqual(launched.length, 1);
+    assert.strictEqual(second.browser, first.browser);
+    assert.strictEqual(launched[0].options.executablePath, "/opt/chrome");
+    assert.strictEqual(launched[0].options.headless, true);
+    await manager.dispose();
+  });
+
+  test("should queue renders beyond the pool size", async () => {
+    const { launch, launched } = fakeLauncher();
+    const manager = createBrowserManager({ launch, size: 2 });
+
+    const leases = await Promise.all([manager.acquire(), manager.acquire()]);
+    assert.strictEqual(launched.length, 2);
+
+    let third;
+    const waiting = manager.acquire().then((lease) => (third = lease));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(third, undefined, "Should wait for a free browser");
+
+    leases[1].release();
+    await waiting;
+    assert.strictEqual(third.browser, leases[1].browser);
+    assert.strictEqual(launched.length, 2);
+    await manager.dispose();
+  });
+
+  test("should replace a browser that disconnected", async () => {
+    const { launch, launched } = fakeLauncher();
+    const manager = createBrowserManager({ launch });
+
+    const lease = await manager.acquire();
+    lease.browser.connected = false;
+    lease.release();
+    const next = await manager.acquire();
+
+    assert.strictEqual(launched.length, 2);
+    assert.notStrictEqual(next.browser, lease.browser);
+    await manager.dispose();
+  });
+
+  test("should free the slot of a failed launch", async () => {
+    const { launch, launched } = fakeLauncher({ fail: 1 });
+    const manager = createBrowserManager({ launch });
+
+    await assert.rejects(manager.acquire(), /no Chrome here/);
+    const lease = await manager.acquire();
+
+    assert.strictEqual(launched.length, 1);
+    assert.strictEqual(lease.browser, launched[0]);
+    await manager.dispose();
+  });
+
+  test("should close every browser on dispose and refuse new renders", async () => {
+    const { launch, launched } = fakeLauncher();
+    const manager = createBrowserManager({ launch, size: 2 });
+
+    const lease = await manager.acquire();
+    (await manager.acquire()).release();
+    await manager.dispose();
+    lease.release();
+
+    assert.ok(launched.every((browser) => !browser.connected));
+    await assert.rejects(manager.acquire(), /has been disposed/);
+  });
+
+  test("should reject an invalid pool size", () => {
+    assert.throws(
+      () => createBrowserManager({ size: 0 }),
+      /Browser pool size must be a positive integer, got 0/,
+    );
+  });
+
+  test("should be used by the plugin and left open for its owner", async () => {
+    const { launch } = fakeLauncher({ fail: 1 });
+    const manager = createBrowserManager({ launch });
+    let disposed = false;
+    const browserManager = {
+      ...manager,
+      async dispose() {
+        disposed = true;
+        await manager.dispose();
+      },
+    };
+
+    const file = await remark()
+      .use(remarkSvguitar, { browserManager, skipOnMissing: true })
+      .process('```svguitar\n{ "fingers": [[1, 3]] }\n```\n');
+
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].ruleId, "browser-launch");
+    assert.match(file.messages[0].reason, /no Chrome here/);
+    assert.strictEqual(
+      disposed,
+      false,
+      "Should not dispose a caller's manager",
+    );
+    await browserManager.dispose();
+  });
+});
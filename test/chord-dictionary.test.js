@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Tests for the chord dictionary and fret lists of remark-svguitar
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  CHORD_DICTIONARY,
+  STANDARD_TUNING,
+  createChordLookup,
+  isStandardGuitarTuning,
+  parseChordName,
+} from "../plugins/remark-svguitar/chord-dictionary.js";
+import {
+  detectBarre,
+  fretsToChord,
+  parseChordLine,
+  parseFingers,
+  parseFrets,
+} from "../plugins/remark-svguitar/frets.js";
+
+describe("parseFrets", () => {
+  test("should read compact and separated fret lists", () => {
+    assert.deepStrictEqual(parseFrets("x32010"), ["x", 3, 2, 0, 1, 0]);
+    assert.deepStrictEqual(parseFrets("x-10-12-12-12-10"), [
+      "x",
+      10,
+      12,
+      12,
+      12,
+      10,
+    ]);
+  });
+
+  test("should reject anything but frets and x", () => {
+    assert.throws(() => parseFrets("x3201o"), /Invalid fret "o" in "x3201o"/);
+  });
+});
+
+describe("fretsToChord", () => {
+  test("should number strings from the highest", () => {
+    assert.deepStrictEqual(fretsToChord(["x", 0, 2, 2, 1, 0]), {
+      fingers: [
+        [6, "x"],
+        [5, 0],
+        [4, 2],
+        [3, 2],
+        [2, 1],
+        [1, 0],
+      ],
+      barres: [],
+    });
+  });
+
+  test("should draw a barre and move high chords up the neck", () => {
+    assert.deepStrictEqual(
+      fretsToChord([5, 7, 7, 5, 5, 5], { barre: 5, title: "Am" }),
+      {
+        fingers: [
+          [5, 3],
+          [4, 3],
+        ],
+        barres: [{ fromString: 6, toString: 1, fret: 1 }],
+        position: 5,
+        title: "Am",
+      },
+    );
+  });
+});
+
+describe("parseFingers", () => {
+  test("should read one finger per string", () => {
+    assert.deepStrictEqual(parseFingers("-32-1T", 6), [
+      null,
+      "3",
+      "2",
+      null,
+      "1",
+      "T",
+    ]);
+  });
+
+  test("should reject finger strings of the wrong length", () => {
+    assert.throws(
+      () => parseFingers("-32-1", 6),
+      /Finger string "-32-1" has 5 fingers for 6 strings/,
+    );
+  });
+});
+
+describe("detectBarre", () => {
+  test("should detect a barre from the fingers", () => {
+    assert.strictEqual(
+      detectBarre(parseFrets("xx3211"), parseFingers("--3211", 6)),
+      1,
+    );
+    assert.strictEqual(
+      detectBarre(parseFrets("x32010"), parseFingers("-32-1-", 6)),
+      undefined,
+    );
+  });
+
+  test("should detect a barre when there are more notes than fingers", () => {
+    assert.strictEqual(detectBarre(parseFrets("133211")), 1);
+    assert.strictEqual(detectBarre(parseFrets("x24432")), 2);
+    assert.strictEqual(detectBarre(parseFrets("xx0232")), undefined);
+    assert.strictEqual(detectBarre(parseFrets("x-5-7-7-6-0")), undefined);
+  });
+});
+
+describe("parseChordLine", () => {
+  test("should read title, frets and fingers", () => {
+    assert.deepStrictEqual(parseChordLine("C major x32010 -32-1-"), {
+      fingers: [
+        [6, "x"],
+        [5, 3, "3"],
+        [4, 2, "2"],
+        [3, 0],
+        [2, 1, "1"],
+        [1, 0],
+      ],
+      barres: [],
+      title: "C major",
+    });
+  });
+
+  test("should accept frets alone", () => {
+    assert.deepStrictEqual(
+      parseChordLine("  x-3-2-0-1-0 "),
+      fretsToChord(["x", 3, 2, 0, 1, 0]),
+    );
+  });
+
+  test("should label a barre with its finger", () => {
+    assert.deepStrictEqual(parseChordLine("F 133211 134211").barres, [
+      { fromString: 6, toString: 1, fret: 1, text: "1" },
+    ]);
+  });
+
+  test("should reject lines without frets", () => {
+    assert.throws(
+      () => parseChordLine("C major"),
+      /Expected frets such as "x32010" at the end of "C major"/,
+    );
+  });
+});
+
+describe("parseChordName", () => {
+  test("should read root, quality, bass and voicing", () => {
+    assert.deepStrictEqual(parseChordName("Bb/D"), {
+      root: 10,
+      quality: "",
+      bass: 2,
+      voicing: 1,
+    });
+    assert.deepStrictEqual(parseChordName("F#min7:2"), {
+      root: 6,
+      quality: "m7",
+      bass: null,
+      voicing: 2,
+    });
+  });
+
+  test("should return null for other words", () => {
+    assert.strictEqual(parseChordName("Hm"), null);
+    assert.strictEqual(parseChordName("c"), null);
+  });
+});
+
+describe("createChordLookup", () => {
+  const lookup = createChordLookup();
+
+  test("should leave the built-in voicings out on request", () => {
+    const userLookup = createChordLookup({ C: "0003" }, { builtIn: false });
+    assert.deepStrictEqual(
+      userLookup("C"),
+      fretsToChord(parseFrets("0003"), { title: "C" }),
+    );
+    assert.throws(() => userLookup("Am"), /Unknown chord "Am"/);
+    assert.strictEqual(
+      userLookup("Am", (symbol) => ({ title: symbol })).title,
+      "Am",
+    );
+  });
+
+  test("should tell the tuning the built-in voicings are for", () => {
+    assert.strictEqual(
+      isStandardGuitarTuning(["E", "A", "D", "G", "B", "E"]),
+      true,
+    );
+    assert.strictEqual(isStandardGuitarTuning([...STANDARD_TUNING]), true);
+    assert.strictEqual(
+      isStandardGuitarTuning(["Fb", "A", "D", "G", "B", "E"]),
+      true,
+    );
+    assert.strictEqual(
+      isStandardGuitarTuning(["D", "A", "D", "G", "B", "E"]),
+      false,
+    );
+    assert.strictEqual(isStandardGuitarTuning(["G", "C", "E", "A"]), false);
+    assert.strictEqual(isStandardGuitarTuning(null), false);
+  });
+
+  test("should prefer open voicings", () => {
+    assert.deepStrictEqual(
+      lookup("C"),
+      fretsToChord(parseFrets("x32010"), { title: "C" }),
+    );
+  });
+
+  test("should select alternate voicings", () => {
+    assert.strictEqual(CHORD_DICTIONARY.Am.length > 1, true);
+    const chord = lookup("Am:2");
+    assert.strictEqual(chord.title, "Am");
+    assert.strictEqual(chord.position, 5);
+    assert.throws(() => lookup("Am:9"), /Chord "Am" has \d+ voicings/);
+  });
+
+  test("should find barre chords in every key and spelling", () => {
+    assert.strictEqual(lookup("F").barres[0].fret, 1);
+    assert.deepStrictEqual({ ...lookup("Db"), title: "C#" }, lookup("C#"));
+    assert.ok(lookup("Ebm7").fingers.length > 0);
+  });
+
+  test("should put the bass note of slash chords lowest", () => {
+    assert.deepStrictEqual(
+      lookup("Bb/D"),
+      fretsToChord(parseFrets("xx0331"), { title: "Bb/D" }),
+    );
+    assert.deepStrictEqual(
+      lookup("C/G"),
+      fretsToChord(parseFrets("332010"), { title: "C/G" }),
+    );
+  });
+
+  test("should reject unknown chords", () => {
+    assert.throws(() => lookup("Cfoo"), /Unknown chord "Cfoo"/);
+    assert.throws(() => lookup("Hello"), /"Hello" is not a chord name/);
+  });
+
+  test("should let user entries extend and replace the dictionary", () => {
+    const custom = createChordLookup({
+      Am: ["x02210", "577555"],
+      Cadd11: { frets: "x32011" },
+      "Am/G": "302210",
+      Bsus4: { fingers: [[1, 2]], position: 7 },
+    });
+
+    assert.strictEqual(custom("Am:2").position, 5);
+    assert.throws(() => custom("Am:3"), /has 2 voicings/);
+    assert.strictEqual(custom("Cadd11").title, "Cadd11");
+    assert.deepStrictEqual(custom("Am/G").fingers[0], [6, 3]);
+    assert.deepStrictEqual(custom("Bsus4"), {
+      fingers: [[1, 2]],
+      barres: [],
+      position: 7,
+      title: "Bsus4",
+    });
+  });
+
+  test("should reject invalid dictionary names", () => {
+    assert.throws(
+      () => createChordLookup({ "Am:2": "x02210" }),
+      /Invalid chord name "Am:2"/,
+    );
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Tests for the chord data validation of remark-svguitar
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  CHORD_SCHEMA,
+  locateJsonPath,
+  validateChordData,
+} from "../plugins/remark-svguitar/validate.js";
+
+describe("validateChordData", () => {
+  test("should accept chords with fingers, barres and styling", () => {
+    assert.strictEqual(
+      validateChordData([
+        {
+          title: "F",
+          position: 1,
+          fingers: [
+            [6, "x"],
+            [5, 3, "3"],
+            [4, 3, { text: "4", color: "#ff6b6b", shape: "square" }],
+            [1, 0],
+          ],
+          barres: [{ fromString: 6, toString: 1, fret: 1, text: "1" }],
+        },
+        { fingers: [] },
+      ]),
+      null,
+    );
+  });
+
+  test("should name the chord and field of unknown fields", () => {
+    assert.deepStrictEqual(validateChordData({ finger: [], fingers: [] }), {
+      chord: 0,
+      path: ["finger"],
+      message:
+        'Chord 1, field "finger": unknown field, expected one of: fingers, barres, title, position',
+      unknownField: true,
+    });
+  });
+
+  test("should report wrong values with their path", () => {
+    const error = validateChordData([
+      { fingers: [[1, 2]] },
+      {
+        title: "Am",
+        fingers: [
+          [2, 1],
+          [3, "o"],
+        ],
+      },
+    ]);
+    assert.deepStrictEqual(error.path, [1, "fingers", 1, 1]);
+    assert.strictEqual(
+      error.message,
+      'Chord 2 (Am), field "fingers[1][1]": must be an integer from 0 or "x"',
+    );
+  });
+
+  test("should report missing required fields", () => {
+    assert.strictEqual(
+      validateChordData({ title: "C" }).message,
+      'Chord 1 (C): missing required field "fingers"',
+    );
+    assert.strictEqual(
+      validateChordData({ fingers: [], barres: [{ fromString: 6, fret: 1 }] })
+        .message,
+      'Chord 1, field "barres[0]": missing required field "toString"',
+    );
+  });
+
+  test("should check finger options and tuple length", () => {
+    assert.match(
+      validateChordData({ fingers: [[1, 2, { colour: "red" }]] }).message,
+      /field "fingers\[0\]\[2\]\.colour": unknown field/,
+    );
+    assert.match(
+      validateChordData({ fingers: [[1]] }).message,
+      /must have 2 to 3 items, got 1/,
+    );
+  });
+
+  test("should publish a draft-07 schema", () => {
+    assert.strictEqual(
+      CHORD_SCHEMA.$schema,
+      "http://json-schema.org/draft-07/schema#",
+    );
+    assert.deepStrictEqual(CHORD_SCHEMA.definitions.chord.required, [
+      "fingers",
+    ]);
+  });
+});
+
+describe("locateJsonPath", () => {
+  const text = `[
+  { "fingers": [[1, 2]] },
+  { "finger": [[1, "o"]], "title": "a \\"b\\"" }
+]`;
+
+  test("should find values and keys", () => {
+    assert.strictEqual(
+      text.slice(locateJsonPath(text, [0, "fingers", 0, 1])).slice(0, 1),
+      "2",
+    );
+    assert.strictEqual(
+      text.slice(locateJsonPath(text, [1, "finger"], true)).slice(0, 8),
+      '"finger"',
+    );
+    assert.strictEqual(
+      text.slice(locateJsonPath(text, [1, "title"])).slice(0, 3),
+      '"a ',
+    );
+  });
+
+  test("should return undefined for missing paths", () => {
+    assert.strictEqual(locateJsonPath(text, [2]), undefined);
+  });
+});
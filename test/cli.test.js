@@ -0,0 +1,522 @@
+/**
+ * @fileoverview Tests for the music-md command line
+ */
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import {
+  mkdir,
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { remark } from "remark";
+import {
+  EXIT_OK,
+  EXIT_RENDER_ERROR,
+  EXIT_USAGE,
+  planTargets,
+  run,
+} from "../cli/index.js";
+import { expandInputs, globToRegExp } from "../cli/glob.js";
+import { documentTitle, htmlDocument } from "../cli/html.js";
+import { parseCommandLine } from "../cli/options.js";
+
+// Stand-in executable writing the files LilyPond would produce
+const fakeLilypond = fileURLToPath(
+  new URL("./fixtures/fake-lilypond.js", import.meta.url),
+);
+
+/**
+ * Collects what the command writes to a stream
+ * @returns {{ text: string, write: (chunk: string) => void }} Stream
+ */
+const captureStream = () => ({
+  text: "",
+  write(chunk) {
+    this.text += chunk;
+  },
+});
+
+describe("parseCommandLine", () => {
+  test("should map flags to the options of each plugin", () => {
+    const commandLine = parseCommandLine([
+      "build",
+      "song.md",
+      "-o",
+      "song.pdf",
+      "--no-compact",
+      "--timeout",
+      "5000",
+      "-I",
+      "scores",
+      "-I",
+      "lib",
+      "--cache",
+      ".cache",
+      "--renderer",
+      "dom",
+      "--left-handed",
+      "--instrument",
+      "ukulele",
+      "--labels",
+      "interval",
+      "--error-inline",
+    ]);
+
+    assert.strictEqual(commandLine.command, "build");
+    assert.deepStrictEqual(commandLine.inputs, ["song.md"]);
+    assert.strictEqual(commandLine.output, "song.pdf");
+    assert.deepStrictEqual(commandLine.lilypond, {
+      errorInline: true,
+      compact: false,
+      timeout: 5000,
+      includePaths: ["scores", "lib"],
+      cache: { dir: ".cache" },
+    });
+    assert.deepStrictEqual(commandLine.svguitar, {
+      errorInline: true,
+      instrument: "ukulele",
+      renderer: "dom",
+      leftHanded: true,
+    });
+    assert.deepStrictEqual(commandLine.fretboard, {
+      errorInline: true,
+      instrument: "ukulele",
+      labels: "interval",
+    });
+  });
+
+  test("should reject unknown flags and invalid values", () => {
+    assert.throws(() => parseCommandLine(["build", "--bogus"]), /--bogus/);
+    assert.throws(
+      () => parseCommandLine(["build", "a.md", "--timeout", "soon"]),
+      /Option "--timeout" expects a non-negative number, got "soon"/,
+    );
+    assert.throws(
+      () => parseCommandLine(["build", "a.md", "--to", "docx"]),
+      /Option "--to" expects one of html, pdf/,
+    );
+    assert.throws(
+      () => parseCommandLine(["build", "a.md", "--puppeteer-options", "{"]),
+      /Option "--puppeteer-options" expects JSON/,
+    );
+  });
+});
+
+describe("expandInputs", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "music-md-cli-"));
+    await mkdir(join(dir, "songs", "folk"), { recursive: true });
+    await mkdir(join(dir, "node_modules"));
+    for (const path of [
+      "songs/b.md",
+      "songs/a.md",
+      "songs/notes.txt",
+      "songs/folk/c.md",
+      "node_modules/d.md",
+    ]) {
+      await writeFile(join(dir, path), "");
+    }
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("should match globs within and across directories", async () => {
+    const relative = async (patterns) =>
+      (await expandInputs(patterns, dir)).map((path) =>
+        path.slice(dir.length + 1),
+      );
+
+    assert.deepStrictEqual(await relative(["songs/*.md"]), [
+      "songs/a.md",
+      "songs/b.md",
+    ]);
+    assert.deepStrictEqual(await relative(["**/*.md"]), [
+      "songs/a.md",
+      "songs/b.md",
+      "songs/folk/c.md",
+    ]);
+    assert.deepStrictEqual(
+      await relative(["songs/{b,folk/c}.md", "songs/b.md", "missing.md"]),
+      ["songs/b.md", "songs/folk/c.md", "missing.md"],
+    );
+  });
+
+  test("should reject globs matching nothing", async () => {
+    await assert.rejects(
+      expandInputs(["songs/*.markdown"], dir),
+      /No files match "songs\/\*.markdown"/,
+    );
+  });
+
+  test("should convert globs to expressions over whole paths", () => {
+    assert.ok(globToRegExp("*.md").test("a.md"));
+    assert.ok(!globToRegExp("*.md").test("dir/a.md"));
+    assert.ok(globToRegExp("**/?.md").test("a.md"));
+    assert.ok(!globToRegExp("*.md").test("a.mdx"));
+  });
+});
+
+describe("planTargets", () => {
+  const commandLine = (args) => parseCommandLine(["build", ...args]);
+
+  test("should write an output file, a directory or next to the inputs", () => {
+    assert.deepStrictEqual(
+      planTargets(
+        ["/work/song.md"],
+        commandLine(["-o", "out/song.pdf"]),
+        "/work",
+      ),
+      [{ input: "/work/song.md", output: "/work/out/song.pdf", format: "pdf" }],
+    );
+    assert.deepStrictEqual(
+      planTargets(
+        ["/work/a.md", "/work/b.md"],
+        commandLine(["-o", "site", "--to", "pdf"]),
+        "/work",
+      ).map(({ output, format }) => [output, format]),
+      [
+        ["/work/site/a.pdf", "pdf"],
+        ["/work/site/b.pdf", "pdf"],
+      ],
+    );
+    assert.strictEqual(
+      planTargets(["/work/docs/a.md"], commandLine([]), "/work")[0].output,
+      "/work/docs/a.html",
+    );
+  });
+
+  test("should refuse outputs that cannot hold every input", () => {
+    assert.throws(
+      () => planTargets(["/a.md", "/b.md"], commandLine(["-o", "x.html"]), "/"),
+      /is a file, but 2 files are built/,
+    );
+    assert.throws(
+      () =>
+        planTargets(
+          ["/one/a.md", "/two/a.md"],
+          commandLine(["-o", "out"]),
+          "/",
+        ),
+      /Several inputs would be written to "out\/a.html"/,
+    );
+    assert.throws(
+      () =>
+        planTargets(
+          ["/a.md"],
+          commandLine(["-o", "a.html", "--to", "pdf"]),
+          "/",
+        ),
+      /Output "a.html" is not pdf/,
+    );
+  });
+});
+
+describe("htmlDocument", () => {
+  test("should title the page after the first heading", () => {
+    const title = (markdown, fallback) =>
+      documentTitle(remark().parse(markdown), fallback);
+    assert.strictEqual(title("Intro\n\n# Blues in *A* #\n", "x"), "Blues in A");
+    assert.strictEqual(title("Blues\n=====\n", "x"), "Blues");
+    assert.strictEqual(title("## Verse\n", "song"), "song");
+    // Lines of code blocks are not headings
+    assert.strictEqual(
+      title("```lilypond\n# not a title\n```\n\n# Title\n", "x"),
+      "Title",
+    );
+    assert.strictEqual(title("    # indented code\n", "song"), "song");
+
+    const html = htmlDocument({ title: "A & B", body: "<p>Hi</p>" });
+    assert.match(html, /<title>A &amp; B<\/title>/);
+    assert.ok(html.includes("<body>\n<p>Hi</p>\n</body>"));
+    assert.ok(!html.includes("<script"));
+  });
+
+  test("should load the MIDI player script only in pages with a player", () => {
+    const player = '<midi-player src="song.midi"></midi-player>';
+    assert.ok(
+      htmlDocument({
+        title: "Song",
+        body: player,
+        midiPlayerScript: "../vendor/midi-player.js",
+      }).includes('<script src="../vendor/midi-player.js"></script>'),
+    );
+    assert.ok(
+      !htmlDocument({
+        title: "Song",
+        body: "<p>Hi</p>",
+        midiPlayerScript: "midi-player.js",
+      }).includes("<script"),
+    );
+    assert.ok(
+      !htmlDocument({ title: "Song", body: player }).includes("<script"),
+    );
+  });
+});
+
+describe("run", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "music-md-cli-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * @param {string[]} args - Command line
+   * @returns {Promise<{ code: number, stdout: string, stderr: string }>} Exit code and output
+   */
+  const runIn = async (args) => {
+    const stdout = captureStream();
+    const stderr = captureStream();
+    const code = await run(args, { cwd: dir, stdout, stderr });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  };
+
+  test("should build each file into a standalone page", async () => {
+    await writeFile(
+      join(dir, "song.md"),
+      "# Song\n\n```lilypond\n{ c' }\n```\n\n```chords\nAm C\n```\n",
+    );
+    await writeFile(join(dir, "scale.md"), "```fretboard\nA minor\n```\n");
+
+    const { code, stdout, stderr } = await runIn([
+      "build",
+      "*.md",
+      "-o",
+      "site",
+      "--renderer",
+      "dom",
+      "--lilypond-binary",
+      fakeLilypond,
+    ]);
+
+    assert.strictEqual(stderr, "");
+    assert.strictEqual(code, EXIT_OK);
+    assert.strictEqual(
+      stdout,
+      "scale.md -> site/scale.html\nsong.md -> site/song.html\n",
+    );
+    const song = await readFile(join(dir, "site", "song.html"), "utf8");
+    assert.match(song, /^<!DOCTYPE html>/);
+    assert.ok(song.includes("<title>Song</title>"));
+    assert.ok(song.includes('<div class="chord-container">'));
+    assert.ok(song.includes("page 1</text>"));
+    const scale = await readFile(join(dir, "site", "scale.html"), "utf8");
+    assert.ok(scale.includes("<title>scale</title>"));
+    assert.ok(scale.includes('<svg class="fretboard"'));
+  });
+
+  test("should exit with an error when a block fails to render", async () => {
+    await writeFile(join(dir, "bad.md"), "# Bad\n\n```chords\nHx\n```\n");
+    await writeFile(join(dir, "good.md"), "```chords\nAm\n```\n");
+
+    const { code, stdout, stderr } = await runIn([
+      "build",
+      "bad.md",
+      "good.md",
+      "--renderer",
+      "dom",
+      "--error-inline",
+    ]);
+
+    assert.strictEqual(code, EXIT_RENDER_ERROR);
+    assert.strictEqual(stderr, 'error: bad.md:4:1: "Hx" is not a chord name\n');
+    // The other file is still built, and the failing one shows its error
+    assert.strictEqual(stdout, "bad.md -> bad.html\ngood.md -> good.html\n");
+    const bad = await readFile(join(dir, "bad.html"), "utf8");
+    assert.ok(bad.includes('class="svguitar-error"'));
+  });
+
+  test("should report unreadable inputs and go on", async () => {
+    await writeFile(join(dir, "good.md"), "Text\n");
+
+    const { code, stdout, stderr } = await runIn([
+      "build",
+      "missing.md",
+      "good.md",
+    ]);
+
+    assert.strictEqual(code, EXIT_RENDER_ERROR);
+    assert.match(stderr, /^error: missing.md: ENOENT/);
+    assert.strictEqual(stdout, "good.md -> good.html\n");
+  });
+
+  test("should exit with a usage error for invalid command lines", async () => {
+    const usage = async (args) => {
+      const { code, stderr } = await runIn(args);
+      assert.strictEqual(code, EXIT_USAGE);
+      return stderr;
+    };
+
+    assert.match(await usage([]), /^music-md: Missing command/);
+    assert.match(await usage(["render", "a.md"]), /Unknown command "render"/);
+    assert.match(await usage(["build"]), /No input files/);
+    assert.match(
+      await usage(["build", "a.md", "--orientation", "diagonal"]),
+      /Unknown SVGuitar orientation "diagonal"/,
+    );
+    assert.match(
+      await usage(["build", "a.md", "--chord-dictionary", "chords.yaml"]),
+      /ENOENT/,
+    );
+  });
+
+  test("should read chord definitions from the front matter", async () => {
+    await writeFile(
+      join(dir, "song.md"),
+      '---\ntitle: Song\nchords:\n  Cadd9: x32030\n---\n\n```svguitar\n{ "ref": "Cadd9" }\n```\n',
+    );
+
+    const { code, stderr } = await runIn([
+      "build",
+      "song.md",
+      "--renderer",
+      "dom",
+    ]);
+
+    assert.strictEqual(stderr, "");
+    assert.strictEqual(code, EXIT_OK);
+    const html = await readFile(join(dir, "song.html"), "utf8");
+    assert.ok(html.includes(">Cadd9</tspan>"));
+    assert.ok(!html.includes("x32030"), "The front matter is not shown");
+  });
+
+  test("should read the chord dictionary from a file", async () => {
+    await writeFile(join(dir, "chords.yaml"), "Cadd11: x32011\n");
+    await writeFile(join(dir, "song.md"), "```chords\nCadd11\n```\n");
+
+    const { code } = await runIn([
+      "build",
+      "song.md",
+      "--renderer",
+      "dom",
+      "--chord-dictionary",
+      "chords.yaml",
+    ]);
+
+    assert.strictEqual(code, EXIT_OK);
+    const html = await readFile(join(dir, "song.html"), "utf8");
+    assert.ok(html.includes(">Cadd11</tspan>"));
+  });
+
+  test("should link the local MIDI player script relative to each page", async () => {
+    await mkdir(join(dir, "vendor"));
+    await writeFile(join(dir, "vendor", "player.js"), "");
+    await writeFile(join(dir, "song.md"), "```lilypond midi\n{ c' }\n```\n");
+
+    const { code, stderr } = await runIn([
+      "build",
+      "song.md",
+      "-o",
+      "site/song.html",
+      "--lilypond-binary",
+      fakeLilypond,
+      "--midi-player-script",
+      "vendor/player.js",
+    ]);
+
+    assert.strictEqual(stderr, "");
+    assert.strictEqual(code, EXIT_OK);
+    const html = await readFile(join(dir, "site", "song.html"), "utf8");
+    assert.ok(html.includes("<midi-player"));
+    assert.ok(html.includes('<script src="../vendor/player.js"></script>'));
+  });
+
+  test("should write MIDI files under the working directory and link them from each page", async () => {
+    await mkdir(join(dir, "docs"));
+    await writeFile(
+      join(dir, "docs", "song.md"),
+      "```lilypond midi\n{ c' }\n```\n",
+    );
+
+    const { code } = await runIn([
+      "build",
+      "docs/song.md",
+      "-o",
+      "out/song.html",
+      "--lilypond-binary",
+      fakeLilypond,
+      "--midi-dir",
+      "out/midi",
+      "--cache",
+      "cache",
+    ]);
+
+    assert.strictEqual(code, EXIT_OK);
+    const [name] = await readdir(join(dir, "out", "midi"));
+    assert.match(name, /^[0-9a-f]{16}\.midi$/);
+    const html = await readFile(join(dir, "out", "song.html"), "utf8");
+    assert.ok(html.includes(`href="midi/${name}"`), html);
+    assert.strictEqual((await readdir(join(dir, "cache"))).length, 1);
+  });
+
+  test("should warn when the default MIDI player script is missing", async () => {
+    await writeFile(join(dir, "a.md"), "```lilypond midi\n{ c' }\n```\n");
+    await writeFile(join(dir, "b.md"), "```lilypond midi\n{ d' }\n```\n");
+
+    const { code, stderr } = await runIn([
+      "build",
+      "*.md",
+      "--lilypond-binary",
+      fakeLilypond,
+    ]);
+
+    assert.strictEqual(code, EXIT_OK);
+    // Once per run, and the pages never load a script from the network
+    assert.strictEqual(
+      stderr,
+      'warning: MIDI player script "midi-player.js" not found; pages only link their MIDI files\n',
+    );
+    const html = await readFile(join(dir, "a.html"), "utf8");
+    assert.ok(html.includes("lilypond-midi-download"));
+    assert.ok(!html.includes("<script"));
+  });
+
+  test("should keep MIDI player script URLs as they are", async () => {
+    await writeFile(join(dir, "song.md"), "```lilypond midi\n{ c' }\n```\n");
+
+    const { code } = await runIn([
+      "build",
+      "song.md",
+      "--lilypond-binary",
+      fakeLilypond,
+      "--midi-player-script",
+      "https://example.com/midi-player.js",
+    ]);
+
+    assert.strictEqual(code, EXIT_OK);
+    const html = await readFile(join(dir, "song.html"), "utf8");
+    assert.ok(
+      html.includes(
+        '<script src="https://example.com/midi-player.js"></script>',
+      ),
+    );
+  });
+
+  test("should print the usage and the version", async () => {
+    const help = await runIn(["--help"]);
+    assert.strictEqual(help.code, EXIT_OK);
+    assert.match(help.stdout, /^Usage: music-md build/);
+
+    const version = await runIn(["--version"]);
+    const { version: expected } = JSON.parse(
+      await readFile(new URL("../package.json", import.meta.url), "utf8"),
+    );
+    assert.strictEqual(version.stdout, `${expected}\n`);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for the chord data formats of svguitar blocks
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  detectFormat,
+  parseChordData,
+} from "../plugins/remark-svguitar/data-formats.js";
+
+describe("detectFormat", () => {
+  test("should read objects and arrays as JSON5, even after comments", () => {
+    assert.strictEqual(detectFormat('{ "fingers": [] }'), "json5");
+    assert.strictEqual(detectFormat("\n  [{ fingers: [] }]"), "json5");
+    assert.strictEqual(detectFormat("// C major\n{ fingers: [] }"), "json5");
+    assert.strictEqual(detectFormat("/* C */ { fingers: [] }"), "json5");
+    assert.strictEqual(detectFormat('"Cadd9"'), "json5");
+  });
+
+  test("should read mappings, lists and documents as YAML", () => {
+    assert.strictEqual(detectFormat("title: C\nfingers: []"), "yaml");
+    assert.strictEqual(detectFormat("- title: C\n  fingers: []"), "yaml");
+    assert.strictEqual(detectFormat("# Intro\n---\ntitle: C"), "yaml");
+  });
+
+  test("should leave fret notation alone", () => {
+    assert.strictEqual(detectFormat("C x32010\nAm x02210"), "frets");
+    assert.strictEqual(detectFormat("x32010 -32-1-"), "frets");
+  });
+});
+
+describe("parseChordData", () => {
+  test("should parse JSON5 like JSON", () => {
+    const text = `// C major
+{
+  title: 'C',
+  fingers: [
+    [2, 1], [4, 2],
+    [5, 3, "3"], // root
+    [6, 'x'],
+  ],
+  position: +1,
+  /* no barres */
+}`;
+    assert.deepStrictEqual(parseChordData(text, "json5").data, {
+      title: "C",
+      fingers: [
+        [2, 1],
+        [4, 2],
+        [5, 3, "3"],
+        [6, "x"],
+      ],
+      position: 1,
+    });
+  });
+
+  test("should parse JSON5 strings and numbers", () => {
+    const { data } = parseChordData(
+      `['it\\'s', "a\\tb", 'caf\\u00e9', 'two \\
+lines', 0x1F, .5, 5., -Infinity]`,
+      "json5",
+    );
+    assert.deepStrictEqual(data, [
+      "it's",
+      "a\tb",
+      "café",
+      "two lines",
+      31,
+      0.5,
+      5,
+      -Infinity,
+    ]);
+  });
+
+  test("should parse YAML to the same chord data", () => {
+    const text = `# C major
+title: C
+fingers:
+  - [2, 1]
+  - [4, 2]
+  - [5, 3, "3"]
+  - [6, x]
+barres: []`;
+    assert.deepStrictEqual(parseChordData(text, "yaml").data, {
+      title: "C",
+      fingers: [
+        [2, 1],
+        [4, 2],
+        [5, 3, "3"],
+        [6, "x"],
+      ],
+      barres: [],
+    });
+  });
+
+  test("should locate JSON5 values and keys", () => {
+    const text =
+      "{\n  // C\n  fingers: [[1, 2], /* 2nd */ [2, -1],],\n  'position': 1,\n  titel: 'C',\n}";
+    const { locate } = parseChordData(text, "json5");
+    assert.strictEqual(locate(["fingers", 1, 1]), text.indexOf("-1"));
+    assert.strictEqual(locate(["titel"], true), text.indexOf("titel"));
+    assert.strictEqual(locate(["titel"]), text.indexOf("'C'"));
+    assert.strictEqual(locate(["position"], true), text.indexOf("'position'"));
+  });
+
+  test("should keep __proto__ keys as plain fields", () => {
+    for (const [format, text] of [
+      ["json5", "{ __proto__: { fingers: [] }, title: 'C' }"],
+      ["json", '{ "__proto__": { "fingers": [] }, "title": "C" }'],
+      ["yaml", "__proto__:\n  fingers: []\ntitle: C"],
+    ]) {
+      const { data } = parseChordData(text, /** @type {any} */ (format));
+      assert.strictEqual(Object.getPrototypeOf(data), Object.prototype);
+      assert.deepStrictEqual(Object.keys(data), ["__proto__", "title"]);
+      assert.strictEqual(/** @type {any} */ (data).fingers, undefined);
+      assert.strictEqual(/** @type {any} */ ({}).fingers, undefined);
+    }
+  });
+
+  test("should report syntax errors with line and column", () => {
+    const cases = [
+      ["json5", "{\n  fingers: [[1, 2]\n}", "Invalid character '}'", 3, 1],
+      ["json5", "{ title: 'C", "Invalid end of input", 1, 12],
+      ["json5", "[1, 2] 3", "Invalid character '3'", 1, 8],
+      ["yaml", "title: C\nfingers: [[1, 2]\nbarres: []", "missed comma", 3, 1],
+    ];
+    for (const [format, text, reason, line, column] of cases) {
+      assert.throws(
+        () => parseChordData(text, /** @type {any} */ (format)),
+        (error) => {
+          assert.ok(error.message.includes(reason), error.message);
+          assert.ok(
+            error.message.endsWith(`at line ${line}, column ${column}`),
+            error.message,
+          );
+          const before = text.slice(0, error.offset).split("\n");
+          assert.strictEqual(before.length, line);
+          assert.strictEqual(before[before.length - 1].length + 1, column);
+          return true;
+        },
+      );
+    }
+  });
+
+  test("should keep JSON strict", () => {
+    assert.throws(
+      () => parseChordData("{ fingers: [] }", "json"),
+      (error) => error.offset === 2,
+    );
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Tests for named chord definitions
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  addDefinitions,
+  readFrontMatterChords,
+  resolveReferences,
+} from "../plugins/remark-svguitar/definitions.js";
+
+describe("addDefinitions", () => {
+  test("should read names mapped to frets, barres and chord data", () => {
+    const definitions = new Map();
+    addDefinitions(
+      {
+        Cadd9: "x32030",
+        F: { frets: "133211", barre: 1 },
+        Dsus2: {
+          fingers: [
+            [1, 0],
+            [2, 3],
+            [3, 2],
+            [4, 0],
+            [5, "x"],
+            [6, "x"],
+          ],
+        },
+      },
+      definitions,
+    );
+
+    assert.deepStrictEqual([...definitions.keys()], ["Cadd9", "F", "Dsus2"]);
+    const cadd9 = definitions.get("Cadd9");
+    assert.strictEqual(cadd9.title, "Cadd9");
+    assert.deepStrictEqual(
+      cadd9.fingers.find(([string]) => string === 2),
+      [2, 3],
+    );
+    assert.strictEqual(definitions.get("F").barres[0].fret, 1);
+    assert.deepStrictEqual(definitions.get("Dsus2").barres, []);
+  });
+
+  test("should read a list of titled chords, as in fret notation", () => {
+    const definitions = new Map([["G", { title: "G", fingers: [] }]]);
+    addDefinitions(
+      [
+        { title: "G", fingers: [[1, 3]], barres: [] },
+        { title: "Em", fingers: [] },
+      ],
+      definitions,
+    );
+
+    assert.deepStrictEqual(definitions.get("G").fingers, [[1, 3]]);
+    assert.ok(definitions.has("Em"));
+  });
+
+  test("should name the chord and path of an invalid definition", () => {
+    assert.throws(
+      () => addDefinitions({ Am: { fingers: [[2, -1]] } }, new Map()),
+      (error) => {
+        assert.match(error.message, /^Chord "Am", field "fingers\[0\]\[1\]"/);
+        assert.deepStrictEqual(error.path, ["Am", "fingers", 0, 1]);
+        return true;
+      },
+    );
+    assert.throws(
+      () => addDefinitions({ Am: 5 }, new Map()),
+      /Chord "Am" must be frets such as "x32010" or chord data/,
+    );
+    assert.throws(
+      () => addDefinitions({ Am: "x0z210" }, new Map()),
+      /Chord "Am": /,
+    );
+    assert.throws(
+      () => addDefinitions([{ fingers: [] }], new Map()),
+      /Chord 1 needs a title to be defined/,
+    );
+    assert.throws(
+      () => addDefinitions("Am", new Map()),
+      /Chord definitions must map names to chords/,
+    );
+  });
+});
+
+describe("resolveReferences", () => {
+  const definitions = new Map([
+    ["Cadd9", { title: "Cadd9", fingers: [[2, 3]], barres: [] }],
+  ]);
+
+  test("should replace names and references with overrides", () => {
+    assert.deepStrictEqual(
+      resolveReferences(
+        ["Cadd9", { ref: "Cadd9", position: 3, title: "Dadd9" }],
+        definitions,
+      ),
+      [
+        { title: "Cadd9", fingers: [[2, 3]], barres: [] },
+        { title: "Dadd9", fingers: [[2, 3]], barres: [], position: 3 },
+      ],
+    );
+    assert.strictEqual(resolveReferences("Cadd9", definitions).title, "Cadd9");
+  });
+
+  test("should leave chord data alone", () => {
+    const chord = { fingers: [[1, 2]] };
+    assert.deepStrictEqual(resolveReferences([chord], definitions), [chord]);
+  });
+
+  test("should report undefined references with their path", () => {
+    assert.throws(
+      () => resolveReferences(["Cadd9", { ref: "Gsus4" }], definitions),
+      (error) => {
+        assert.strictEqual(error.message, 'Chord "Gsus4" is not defined');
+        assert.deepStrictEqual(error.path, [1, "ref"]);
+        return true;
+      },
+    );
+  });
+});
+
+describe("readFrontMatterChords", () => {
+  test("should read the chords of a YAML front matter node", () => {
+    assert.deepStrictEqual(
+      readFrontMatterChords({ value: "title: Song\nchords:\n  Cadd9: x32030" }),
+      { Cadd9: "x32030" },
+    );
+    assert.strictEqual(
+      readFrontMatterChords({ value: "title: Song" }),
+      undefined,
+    );
+  });
+
+  test("should fall back to the matter data of the file", () => {
+    const file = /** @type {any} */ ({
+      data: { matter: { chords: { G: "320003" } } },
+    });
+    assert.deepStrictEqual(readFrontMatterChords(undefined, file), {
+      G: "320003",
+    });
+    assert.strictEqual(readFrontMatterChords(undefined, undefined), undefined);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Tests for the chord drawing shared by the Puppeteer page and the svgdom renderer
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { runInNewContext } from "node:vm";
+import { createSVGWindow } from "svgdom";
+
+import { drawChordBlocks } from "../plugins/remark-svguitar/draw-chords.js";
+
+/**
+ * Loads svguitar against an svgdom window, as the svgdom renderer does;
+ * svguitar binds to the first window, so it is loaded once
+ */
+async function loadSvguitar() {
+  const window = createSVGWindow();
+  const globals = /** @type {any} */ (globalThis);
+  globals.window = window;
+  globals.document = window.document;
+  try {
+    const { SVGuitarChord } = await import("svguitar");
+    return { document: window.document, SVGuitarChord };
+  } finally {
+    delete globals.window;
+    delete globals.document;
+  }
+}
+
+const svguitarReady = loadSvguitar();
+
+describe("drawChordBlocks", () => {
+  test("should work from its source alone, as injected into the page", async () => {
+    const { document, SVGuitarChord } = await svguitarReady;
+    const injected = runInNewContext(
+      `${drawChordBlocks.toString()}; drawChordBlocks`,
+      { String },
+    );
+
+    const [result] = injected(document, SVGuitarChord, [
+      {
+        id: "chord-block-0a1b2c3d",
+        chords: [{ fingers: [[1, 2]], barres: [] }],
+        configs: [{}],
+      },
+    ]);
+
+    assert.strictEqual(
+      result.container.getAttribute("class"),
+      "chord-container",
+    );
+    assert.strictEqual(
+      result.container.firstChild.getAttribute("id"),
+      "chord-block-0a1b2c3d-0",
+    );
+    assert.strictEqual(result.container.firstChild.firstChild.nodeName, "svg");
+  });
+
+  test("should isolate failing chords and blocks", async () => {
+    const { document, SVGuitarChord } = await svguitarReady;
+    const FailingChord = class {
+      constructor(element) {
+        this.chart = new SVGuitarChord(element);
+        this.element = element;
+      }
+      configure(config) {
+        if (config.fail) {
+          throw new Error("Cannot configure chord");
+        }
+        this.chart.configure(config);
+        return this;
+      }
+      chord(data) {
+        this.chart.chord(data);
+        return this;
+      }
+      draw() {
+        this.chart.draw();
+        return this;
+      }
+    };
+
+    const results = drawChordBlocks(document, FailingChord, [
+      {
+        id: "chord-block-a",
+        chords: [
+          { fingers: [[1, 2]], barres: [] },
+          { fingers: [[1, 2]], barres: [] },
+        ],
+        configs: [{}, { fail: true }],
+      },
+      { id: "chord-block-b", chords: /** @type {any} */ (null), configs: [] },
+      {
+        id: "chord-block-c",
+        chords: [{ fingers: [], barres: [] }],
+        configs: [{}],
+      },
+    ]);
+
+    const [first, second, third] = /** @type {any[]} */ (results);
+    const items = [...first.container.childNodes];
+    assert.strictEqual(items.length, 2);
+    assert.notStrictEqual(
+      items[0].firstChild.getAttribute("class"),
+      "error-svg",
+    );
+    assert.strictEqual(items[1].firstChild.getAttribute("class"), "error-svg");
+    assert.match(second.error, /null/);
+    assert.strictEqual(third.container.childNodes.length, 1);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests for code fence meta parsing
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import { parseMeta, parseBlockOptions } from "../plugins/shared/meta.js";
+
+describe("parseMeta", () => {
+  test("should return an empty object for missing meta", () => {
+    assert.deepStrictEqual(parseMeta(null), {});
+    assert.deepStrictEqual(parseMeta(""), {});
+  });
+
+  test("should parse flags, bare and quoted values", () => {
+    assert.deepStrictEqual(
+      parseMeta(
+        `compact=false transpose="c d" caption='Intro riff' midi width=200`,
+      ),
+      {
+        compact: false,
+        transpose: "c d",
+        caption: "Intro riff",
+        midi: true,
+        width: 200,
+      },
+    );
+  });
+
+  test("should unescape quotes inside quoted values", () => {
+    assert.deepStrictEqual(parseMeta(`caption="The \\"Big\\" riff"`), {
+      caption: 'The "Big" riff',
+    });
+  });
+
+  test("should keep quoted numbers as strings", () => {
+    assert.deepStrictEqual(parseMeta(`caption="1999"`), { caption: "1999" });
+  });
+});
+
+describe("parseBlockOptions", () => {
+  const schema = { compact: "boolean", width: "number", caption: "string" };
+
+  test("should keep valid options", () => {
+    const { options, warnings } = parseBlockOptions(
+      `compact=false width="200" caption=1999`,
+      schema,
+      "lilypond",
+    );
+    assert.deepStrictEqual(options, {
+      compact: false,
+      width: 200,
+      caption: "1999",
+    });
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  test("should warn about unknown keys", () => {
+    const { options, warnings } = parseBlockOptions(
+      "compat=false",
+      schema,
+      "lilypond",
+    );
+    assert.deepStrictEqual(options, {});
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Unknown option "compat" in lilypond block/);
+    assert.match(warnings[0], /compact, width, caption/);
+  });
+
+  test("should warn about values of the wrong type", () => {
+    const { options, warnings } = parseBlockOptions(
+      "width=wide caption",
+      schema,
+      "svguitar",
+    );
+    assert.deepStrictEqual(options, {});
+    assert.strictEqual(warnings.length, 2);
+    assert.match(warnings[0], /"width" in svguitar block expects a number/);
+    assert.match(warnings[1], /"caption" in svguitar block expects a string/);
+  });
+});
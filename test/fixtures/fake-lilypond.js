@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Stand-in for the LilyPond executable used by the tests.
+ * It writes the files LilyPond would produce, driven by markers in the source:
+ * - `% pages: N` writes N SVG pages (score-1.svg…) instead of score.svg
+ * - `\midi` or `music-md-add-midi` writes score.midi
+ * - `% sleep: N` waits N milliseconds before doing anything else
+ * - `% clip` draws through a clip path with an id, as LilyPond may
+ * - `\error` prints a LilyPond diagnostic for that line and exits with 1
+ * - `\include "name"` looks the file up in the `-I` directories and fails if
+ *   it is missing; an `\error` inside the included file is reported there
+ * The arguments it was called with are echoed in an SVG comment, and each
+ * render is logged to the file named by FAKE_LILYPOND_LOG when it is set.
+ * FAKE_LILYPOND_EVENTS names a file receiving a `start` and an `end` line for
+ * each render, to follow how many processes run at once.
+ */
+
+import {
+  appendFileSync,
+  existsSync,
+  readFileSync,
+  writeFileSync,
+} from "node:fs";
+import { join } from "node:path";
+
+const args = process.argv.slice(2);
+
+if (args.includes("--version")) {
+  console.log("GNU LilyPond 2.24.4 (fake)");
+  process.exit(0);
+}
+
+const input = args[args.length - 1];
+const output = args[args.indexOf("--output") + 1];
+const source = readFileSync(input, "utf8");
+
+if (process.env.FAKE_LILYPOND_LOG) {
+  appendFileSync(process.env.FAKE_LILYPOND_LOG, `${input}\n`);
+}
+
+if (process.env.FAKE_LILYPOND_EVENTS) {
+  const events = process.env.FAKE_LILYPOND_EVENTS;
+  appendFileSync(events, "start\n");
+  process.on("exit", () => appendFileSync(events, "end\n"));
+}
+
+const sleep = Number((source.match(/% sleep: (\d+)/) || [])[1] || 0);
+if (sleep > 0) {
+  await new Promise((resolve) => setTimeout(resolve, sleep));
+}
+
+const includePaths = args.filter((arg, i) => args[i - 1] === "-I");
+source.split("\n").forEach((line, index) => {
+  const [, name] = line.match(/\\include "([^"]+)"/) || [];
+  if (!name) {
+    return;
+  }
+  const found = includePaths
+    .map((dir) => join(dir, name))
+    .find((path) => existsSync(path));
+  if (!found) {
+    console.error(
+      `${input}:${index + 1}:${line.indexOf("\\include")}: error: cannot find file: \`${name}'`,
+    );
+    process.exit(1);
+  }
+  const included = readFileSync(found, "utf8").split("\n");
+  const includedError = included.findIndex((l) => l.includes("\\error"));
+  if (includedError !== -1) {
+    console.error(
+      `${found}:${includedError + 1}:0: error: unknown escaped string: \`\\error'`,
+    );
+    process.exit(1);
+  }
+});
+
+const errorLine = source
+  .split("\n")
+  .findIndex((line) => line.includes("\\error"));
+if (errorLine !== -1) {
+  const column = source.split("\n")[errorLine].indexOf("\\error");
+  console.error(
+    `${input}:${errorLine + 1}:${column}: error: unknown escaped string: \`\\error'`,
+  );
+  process.exit(1);
+}
+
+const clip = /% clip\b/.test(source);
+const svg = (page) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="210mm" height="297mm" viewBox="0 0 119.5 169.0"><!-- ${args.join(" ")} -->${clip ? '<defs><clipPath id="clip1"><rect width="100" height="100"/></clipPath></defs>' : ""}<g transform="translate(5, 10)"${clip ? ' clip-path="url(#clip1)"' : ""}><path d="M0 0 L10 0"/></g><text>page ${page}</text></svg>`;
+
+const pages = Number((source.match(/% pages: (\d+)/) || [])[1] || 1);
+if (pages === 1) {
+  writeFileSync(`${output}.svg`, svg(1));
+} else {
+  for (let page = 1; page <= pages; page++) {
+    writeFileSync(`${output}-${page}.svg`, svg(page));
+  }
+}
+
+if (/\\midi\b|music-md-add-midi/.test(source)) {
+  writeFileSync(`${output}.midi`, Buffer.from("MThd-fake-midi"));
+}
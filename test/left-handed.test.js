@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Tests for mirroring chord diagrams for left-handed players
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import { mirrorChordSvgs } from "../plugins/remark-svguitar/left-handed.js";
+
+describe("mirrorChordSvgs", () => {
+  test("should mirror each diagram around the middle of its viewBox", () => {
+    const html = `<div class="chord-container"><div class="chord-item"><svg viewBox="10 0 200 240"><line x1="20" y1="0" x2="20" y2="200"/></svg></div><div class="chord-item"><svg viewBox="0 0 100 120"></svg></div></div>`;
+
+    assert.strictEqual(
+      mirrorChordSvgs(html),
+      `<div class="chord-container"><div class="chord-item"><svg viewBox="10 0 200 240"><g class="left-handed" transform="matrix(-1 0 0 1 220 0)"><line x1="20" y1="0" x2="20" y2="200"/></g></svg></div><div class="chord-item"><svg viewBox="0 0 100 120"><g class="left-handed" transform="matrix(-1 0 0 1 100 0)"></g></svg></div></div>`,
+    );
+  });
+
+  test("should flip texts back and swap their anchors", () => {
+    const mirrored = mirrorChordSvgs(
+      `<svg viewBox="0 0 100 120"><text x="5" y="10" text-anchor="left">Am</text><text x="50.5" text-anchor="middle">1</text><text x="90" text-anchor="end" transform="rotate(90)">5fr</text><text x="30">E</text></svg>`,
+    );
+
+    assert.ok(
+      mirrored.includes(
+        `<text transform="matrix(-1 0 0 1 10 0)" x="5" y="10" text-anchor="end">Am</text>`,
+      ),
+    );
+    assert.ok(
+      mirrored.includes(
+        `<text transform="matrix(-1 0 0 1 101 0)" x="50.5" text-anchor="middle">1</text>`,
+      ),
+    );
+    assert.ok(
+      mirrored.includes(
+        `<text x="90" text-anchor="start" transform="matrix(-1 0 0 1 180 0) rotate(90)">5fr</text>`,
+      ),
+    );
+    assert.ok(
+      mirrored.includes(
+        `<text transform="matrix(-1 0 0 1 60 0)" text-anchor="end" x="30">E</text>`,
+      ),
+    );
+  });
+
+  test("should leave error placeholders and SVGs without viewBox alone", () => {
+    const html = `<svg class="error-svg" viewBox="0 0 300 100"><text x="150">SVGuitar Error</text></svg><svg><text x="1">A</text></svg>`;
+    assert.strictEqual(mirrorChordSvgs(html), html);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Tests for the remark-lilypond render cache
+ */
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { mkdtemp, readdir, rm, utimes } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  blockCacheKey,
+  cacheKey,
+  createLilyPondCache,
+} from "../plugins/remark-lilypond/cache.js";
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "music-md-cache-"));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("cacheKey", () => {
+  test("should be stable regardless of option key order", () => {
+    assert.strictEqual(
+      cacheKey("{ c' }", "2.24.0", { compact: true, binaryPath: "lilypond" }),
+      cacheKey("{ c' }", "2.24.0", { binaryPath: "lilypond", compact: true }),
+    );
+  });
+
+  test("should change with source, version and options", () => {
+    const base = cacheKey("{ c' }", "2.24.0", { compact: true });
+    assert.notStrictEqual(
+      base,
+      cacheKey("{ d' }", "2.24.0", { compact: true }),
+    );
+    assert.notStrictEqual(
+      base,
+      cacheKey("{ c' }", "2.25.0", { compact: true }),
+    );
+    assert.notStrictEqual(
+      base,
+      cacheKey("{ c' }", "2.24.0", { compact: false }),
+    );
+  });
+});
+
+describe("createLilyPondCache", () => {
+  test("should return null for missing entries", async () => {
+    const cache = createLilyPondCache({ dir });
+    assert.strictEqual(await cache.get("missing"), null);
+  });
+
+  test("should store and read entries", async () => {
+    const cache = createLilyPondCache({ dir });
+    await cache.set("abc", "<svg></svg>");
+    assert.strictEqual(await cache.get("abc"), "<svg></svg>");
+  });
+
+  test("should invalidate a single entry", async () => {
+    const cache = createLilyPondCache({ dir });
+    await cache.set("a", "1");
+    await cache.set("b", "2");
+    await cache.invalidate("a");
+    assert.strictEqual(await cache.get("a"), null);
+    assert.strictEqual(await cache.get("b"), "2");
+  });
+
+  test("should invalidate every entry rendered from a source", async () => {
+    const cache = createLilyPondCache({ dir });
+    const compact = blockCacheKey("{ c' }", "{ c' }", "2.24.0", {
+      compact: true,
+    });
+    const full = blockCacheKey("{ c' }", "{ c' }", "2.24.0", {
+      compact: false,
+    });
+    const other = blockCacheKey("{ d' }", "{ d' }", "2.24.0", {
+      compact: true,
+    });
+    await cache.set(compact, "1");
+    await cache.set(full, "2");
+    await cache.set(other, "3");
+
+    await cache.invalidateSource("{ c' }");
+
+    assert.strictEqual(await cache.get(compact), null);
+    assert.strictEqual(await cache.get(full), null);
+    assert.strictEqual(await cache.get(other), "3");
+    await assert.doesNotReject(() =>
+      createLilyPondCache({ dir: join(dir, "none") }).invalidateSource("x"),
+    );
+  });
+
+  test("should clear every entry", async () => {
+    const cache = createLilyPondCache({ dir: join(dir, "nested") });
+    await cache.set("a", "1");
+    await cache.clear();
+    assert.strictEqual(await cache.get("a"), null);
+  });
+
+  test("should evict least recently used entries beyond maxEntries", async () => {
+    const cache = createLilyPondCache({ dir, maxEntries: 2 });
+    await cache.set("old", "1");
+    await cache.set("mid", "2");
+    await cache.set("new", "3");
+    const now = Date.now() / 1000;
+    await utimes(join(dir, "old.cache"), now - 30, now - 30);
+    await utimes(join(dir, "mid.cache"), now - 20, now - 20);
+    await utimes(join(dir, "new.cache"), now - 10, now - 10);
+
+    // Reading refreshes the entry so it survives eviction
+    await cache.get("old");
+    await cache.prune();
+
+    assert.deepStrictEqual((await readdir(dir)).sort(), [
+      "new.cache",
+      "old.cache",
+    ]);
+  });
+
+  test("should evict entries older than maxAge", async () => {
+    const cache = createLilyPondCache({ dir, maxAge: 1000 });
+    await cache.set("stale", "1");
+    await cache.set("fresh", "2");
+    const past = Date.now() / 1000 - 60;
+    await utimes(join(dir, "stale.cache"), past, past);
+
+    await cache.prune();
+
+    assert.strictEqual(await cache.get("stale"), null);
+    assert.strictEqual(await cache.get("fresh"), "2");
+  });
+
+  test("should prune a missing directory without throwing", async () => {
+    const cache = createLilyPondCache({ dir: join(dir, "never-created") });
+    await assert.doesNotReject(() => cache.prune());
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Tests for the safe mode checks of remark-lilypond
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  findUnsafeConstruct,
+  isSafePath,
+} from "../plugins/remark-lilypond/safety.js";
+
+describe("findUnsafeConstruct", () => {
+  test("should allow plain music and harmless Scheme", () => {
+    assert.strictEqual(
+      findUnsafeConstruct(
+        [
+          `#(set-global-staff-size 18)`,
+          `\\paper { #(set-paper-size "a5" 'landscape) }`,
+          `\\include "macros.ily"`,
+          `\\relative { c'4 \\override NoteHead.color = #(rgb-color 1 0 0) d }`,
+          `\\override Stem.direction = #UP`,
+          `\\override Beam.positions = #'(2 . 3)`,
+          `\\set Staff.instrumentName = #"Violin" \\set Score.skipBars = ##t`,
+          `\\set Score.tempoHideNote = ##f \\bendAfter #+4`,
+        ].join("\n"),
+      ),
+      null,
+    );
+  });
+
+  test("should reject Scheme calling dangerous procedures", () => {
+    assert.match(
+      findUnsafeConstruct(`{ c' }\n#(system "rm -rf /")`),
+      /'system' is not allowed/,
+    );
+    assert.match(
+      findUnsafeConstruct(`#(ly:gulp-file "/etc/passwd")`),
+      /'ly:gulp-file' is not allowed/,
+    );
+    assert.match(
+      findUnsafeConstruct(`\\applyContext #primitive-eval`),
+      /'primitive-eval' is not allowed/,
+    );
+  });
+
+  test("should reject procedures outside the allowed calls", () => {
+    assert.match(
+      findUnsafeConstruct(`$(let ((p (open-input-pipe "ls"))) p)`),
+      /'let' is not allowed/,
+    );
+    assert.match(
+      findUnsafeConstruct(`#(define (loader x) x)`),
+      /'define' is not allowed/,
+    );
+    assert.match(
+      findUnsafeConstruct(`#(set-global-staff-size (string->number "18"))`),
+      /'string->number' is not allowed/,
+    );
+  });
+
+  test("should reject a procedure name built at runtime", () => {
+    assert.match(
+      findUnsafeConstruct(
+        `#(primitive-eval (list (string->symbol (string-append "sys" "tem")) "touch /tmp/x"))`,
+      ),
+      /'primitive-eval' is not allowed/,
+    );
+    assert.match(
+      findUnsafeConstruct(
+        `#(list ((module-ref (current-module) 'system) "touch /tmp/x"))`,
+      ),
+      /Scheme expressions other than calls of named procedures/,
+    );
+  });
+
+  test("should reject embedded LilyPond and quasiquote", () => {
+    assert.match(
+      findUnsafeConstruct(`#{ c'4 #}`),
+      /Embedded LilyPond .* is not allowed/,
+    );
+    assert.match(
+      findUnsafeConstruct('#`(1 ,(system "ls"))'),
+      /quasiquote is not allowed/,
+    );
+    assert.match(
+      findUnsafeConstruct(`#(list #{ c'4 #})`),
+      /'#\{' is not allowed/,
+    );
+    assert.match(findUnsafeConstruct(`#(list 1`), /Unterminated/);
+  });
+
+  test("should ignore Scheme inside strings and comments", () => {
+    assert.strictEqual(
+      findUnsafeConstruct(
+        `#(set-default-paper-size "a4") ; (system "ls")\n\\markup "C#(add9)"\n% #(system "ls")\n%{ #(system "ls") %}\n{ c' }`,
+      ),
+      null,
+    );
+  });
+
+  test("should reject includes outside the document directory", () => {
+    assert.match(
+      findUnsafeConstruct(`\\include "/etc/passwd"`),
+      /is not allowed in safe mode/,
+    );
+    assert.match(
+      findUnsafeConstruct(`\\include "../secrets.ily"`),
+      /is not allowed in safe mode/,
+    );
+  });
+});
+
+describe("isSafePath", () => {
+  test("should accept relative paths below the base directory", () => {
+    assert.strictEqual(isSafePath("scores/sonata.ly"), true);
+    assert.strictEqual(isSafePath("./sonata.ly"), true);
+  });
+
+  test("should reject absolute paths and parent references", () => {
+    assert.strictEqual(isSafePath("/etc/sonata.ly"), false);
+    assert.strictEqual(isSafePath("scores/../../sonata.ly"), false);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Tests for the note names shared by the plugins
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  isValidTuning,
+  parseTuning,
+  pitchClass,
+} from "../plugins/shared/notes.js";
+
+describe("pitchClass", () => {
+  test("should read letters with ASCII or Unicode accidentals", () => {
+    assert.strictEqual(pitchClass("C"), 0);
+    assert.strictEqual(pitchClass("F#"), 6);
+    assert.strictEqual(pitchClass("G♯"), 8);
+    assert.strictEqual(pitchClass("Bb"), 10);
+    assert.strictEqual(pitchClass("E♭"), 3);
+    assert.strictEqual(pitchClass("Cb"), 11);
+  });
+
+  test("should return null for anything else", () => {
+    assert.strictEqual(pitchClass("H"), null);
+    assert.strictEqual(pitchClass("c"), null);
+    assert.strictEqual(pitchClass("C##"), null);
+    assert.strictEqual(pitchClass(""), null);
+  });
+});
+
+describe("parseTuning", () => {
+  test("should split tunings with or without separators", () => {
+    assert.deepStrictEqual(parseTuning("DADGAD"), [
+      "D",
+      "A",
+      "D",
+      "G",
+      "A",
+      "D",
+    ]);
+    assert.deepStrictEqual(parseTuning("E♭, A♭, D♭, G♭"), [
+      "E♭",
+      "A♭",
+      "D♭",
+      "G♭",
+    ]);
+  });
+
+  test("should only accept note names and separators", () => {
+    assert.strictEqual(isValidTuning("Eb Ab Db Gb Bb Eb"), true);
+    assert.strictEqual(isValidTuning("C# F♯"), true);
+    assert.strictEqual(isValidTuning("DADGAX"), false);
+    assert.strictEqual(isValidTuning(""), false);
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Tests for the remark-fretboard plugin
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { remark } from "remark";
+
+import remarkFretboard, {
+  layoutFretboard,
+} from "../plugins/remark-fretboard/index.js";
+import { parseScale } from "../plugins/remark-fretboard/scales.js";
+
+const GUITAR = ["E", "A", "D", "G", "B", "E"];
+
+/**
+ * @param {string} svg - Rendered diagram
+ * @param {string} className - Marker class
+ * @returns {number} Number of markers of that class
+ */
+const countMarkers = (svg, className) =>
+  svg.split(`class="${className}"`).length - 1;
+
+describe("parseScale", () => {
+  test("should spell scales with sharps or flats like their key", () => {
+    const name = (spec) =>
+      parseScale(spec).notes.map(({ pitch, interval }) => [pitch, interval]);
+
+    assert.deepStrictEqual(name("A minor pentatonic"), [
+      [9, "R"],
+      [0, "b3"],
+      [2, "4"],
+      [4, "5"],
+      [7, "b7"],
+    ]);
+    assert.strictEqual(parseScale("D minor").flats, true);
+    assert.strictEqual(parseScale("F# major").flats, false);
+    assert.strictEqual(parseScale("Bb blues").flats, true);
+    assert.strictEqual(parseScale("E aeolian").root, 4);
+  });
+
+  test("should reject unknown roots and scales", () => {
+    assert.throws(() => parseScale("H major"), /must start with its root/);
+    assert.throws(
+      () => parseScale("A lydian dominant"),
+      /Unknown scale "lydian dominant". Expected one of: major, minor/,
+    );
+  });
+});
+
+describe("layoutFretboard", () => {
+  test("should place every note of a scale within the fret range", () => {
+    const { notes, frets, title } = layoutFretboard(
+      { scale: "A minor pentatonic", frets: [5, 8] },
+      GUITAR,
+      "note",
+    );
+
+    assert.deepStrictEqual(frets, [5, 8]);
+    assert.strictEqual(title, "A minor pentatonic");
+    // The box shape: two notes on each string
+    assert.strictEqual(notes.length, 12);
+    assert.deepStrictEqual(
+      notes
+        .filter(({ root }) => root)
+        .map(({ string, fret }) => [string, fret]),
+      [
+        [1, 5],
+        [4, 7],
+        [6, 5],
+      ],
+    );
+    assert.deepStrictEqual(
+      notes.filter(({ string }) => string === 6).map(({ label }) => label),
+      ["A", "C"],
+    );
+  });
+
+  test("should label notes with their interval", () => {
+    const { notes } = layoutFretboard(
+      { scale: "A minor pentatonic", frets: [5, 8] },
+      GUITAR,
+      "interval",
+    );
+    assert.deepStrictEqual(
+      notes.filter(({ string }) => string === 6).map(({ label }) => label),
+      ["R", "b3"],
+    );
+  });
+
+  test("should show the first twelve frets of a scale by default", () => {
+    const { frets, notes } = layoutFretboard(
+      { scale: "E major arpeggio" },
+      GUITAR,
+      "none",
+    );
+    assert.deepStrictEqual(frets, [0, 12]);
+    assert.ok(notes.some(({ fret, string }) => fret === 0 && string === 1));
+    assert.ok(notes.every(({ label }) => label === ""));
+  });
+
+  test("should place positions by hand around a root", () => {
+    const { notes, frets } = layoutFretboard(
+      {
+        positions: [
+          [6, 3],
+          [5, 2],
+          [1, 3, "top"],
+        ],
+        root: "G",
+      },
+      GUITAR,
+      "interval",
+    );
+
+    assert.deepStrictEqual(frets, [0, 4]);
+    assert.deepStrictEqual(notes, [
+      { string: 6, fret: 3, label: "R", root: true },
+      { string: 5, fret: 2, label: "3", root: false },
+      { string: 1, fret: 3, label: "top", root: true },
+    ]);
+  });
+
+  test("should follow the tuning of the neck", () => {
+    const { notes } = layoutFretboard(
+      { positions: [[4, 0]] },
+      ["E", "A", "D", "G"],
+      "note",
+    );
+    assert.strictEqual(notes[0].label, "E");
+  });
+
+  test("should report invalid specs with the path of the offending value", () => {
+    const failure = (spec) => {
+      try {
+        layoutFretboard(spec, GUITAR, "note");
+      } catch (error) {
+        return [error.message, error.path];
+      }
+      return null;
+    };
+
+    assert.deepStrictEqual(failure({ scale: "A minor", frets: [7, 5] }), [
+      '"frets" must be [first, last] with 0 <= first <= last <= 24, got [7,5]',
+      ["frets"],
+    ]);
+    assert.deepStrictEqual(failure({ positions: [[7, 3]] }), [
+      "Position 1 is on string 7, but the neck has 6 strings",
+      ["positions", 0, 0],
+    ]);
+    assert.deepStrictEqual(failure({ positions: [[1, 3]], frets: [5, 8] }), [
+      "Position 1 is at fret 3, outside frets 5 to 8",
+      ["positions", 0, 1],
+    ]);
+    assert.deepStrictEqual(failure({ scale: "A minor", shape: "box" })[1], [
+      "shape",
+    ]);
+    assert.match(
+      failure({ scale: "A minor", positions: [[1, 0]] })[0],
+      /either "scale" or "positions"/,
+    );
+    assert.deepStrictEqual(failure({ positions: [[1, 0]], root: "X" })[1], [
+      "root",
+    ]);
+  });
+});
+
+describe("remark-fretboard plugin", () => {
+  test("should render a scale block as an SVG neck", async () => {
+    const input = `\`\`\`fretboard
+{ "scale": "A minor pentatonic", "frets": [5, 8] }
+\`\`\``;
+
+    const output = String(await remark().use(remarkFretboard).process(input));
+
+    assert.match(output, /^<svg class="fretboard"/);
+    assert.strictEqual(countMarkers(output, "fretboard-root"), 3);
+    assert.strictEqual(countMarkers(output, "fretboard-note"), 9);
+    assert.ok(output.includes(">A minor pentatonic</text>"));
+    assert.ok(!output.includes("```"));
+  });
+
+  test("should read a bare scale name and YAML specs", async () => {
+    const input = `\`\`\`fretboard
+C major pentatonic
+\`\`\`
+
+\`\`\`fretboard labels=interval
+scale: G blues
+frets: [3, 6]
+title: Blues box
+\`\`\``;
+
+    const output = String(await remark().use(remarkFretboard).process(input));
+
+    assert.ok(output.includes(">C major pentatonic</text>"));
+    assert.ok(output.includes(">Blues box</text>"));
+    assert.ok(output.includes(">b5</text>"));
+  });
+
+  test("should draw the strings of the configured instrument", async () => {
+    const input = `\`\`\`fretboard
+E minor pentatonic
+\`\`\``;
+
+    const bass = String(
+      await remark()
+        .use(remarkFretboard, { instrument: "bass" })
+        .process(input),
+    );
+    const dadgad = String(
+      await remark()
+        .use(remarkFretboard, { instrument: "bass" })
+        .process(input.replace("fretboard", 'fretboard tuning="DADGAD"')),
+    );
+
+    assert.strictEqual(bass.split("<line").length - 1, 4 + 13);
+    assert.strictEqual(dadgad.split("<line").length - 1, 6 + 13);
+  });
+
+  test("should report invalid blocks where the error is", async () => {
+    const input = `# Scales
+
+\`\`\`fretboard
+{
+  "scale": "A minor pentatonik"
+}
+\`\`\``;
+
+    const file = await remark()
+      .use(remarkFretboard, { errorInline: true })
+      .process(input);
+
+    assert.strictEqual(file.messages.length, 1);
+    const [message] = file.messages;
+    assert.strictEqual(message.ruleId, "invalid-fretboard");
+    assert.strictEqual(message.source, "remark-fretboard");
+    assert.strictEqual(message.line, 5);
+    assert.match(message.reason, /Unknown scale "minor pentatonik"/);
+    assert.ok(String(file).includes('<div class="fretboard-error">'));
+  });
+
+  test("should report syntax errors of the block content", async () => {
+    const input = `\`\`\`fretboard format=json
+{
+  "scale" "A minor"
+}
+\`\`\``;
+
+    const file = await remark().use(remarkFretboard).process(input);
+
+    assert.strictEqual(file.messages[0].ruleId, "invalid-json");
+    assert.match(file.messages[0].reason, /^Invalid JSON in fretboard block/);
+    assert.strictEqual(file.messages[0].line, 3);
+    assert.ok(String(file).includes("```fretboard"));
+  });
+
+  test("should warn about invalid block options", async () => {
+    const input = `\`\`\`fretboard labels=degrees instrument=lute
+A minor
+\`\`\``;
+
+    const file = await remark().use(remarkFretboard).process(input);
+    const warnings = file.messages.filter((m) => m.ruleId === "block-options");
+
+    assert.strictEqual(warnings.length, 2);
+    assert.match(warnings[0].reason, /Option "instrument" in fretboard block/);
+    assert.match(warnings[1].reason, /Option "labels" in fretboard block/);
+    assert.ok(String(file).includes('<svg class="fretboard"'));
+  });
+
+  test("should reject invalid plugin options", () => {
+    assert.throws(
+      () => remarkFretboard({ labels: /** @type {any} */ ("degrees") }),
+      /Unknown fretboard labels "degrees"/,
+    );
+    assert.throws(
+      () => remarkFretboard({ tuning: "XYZ" }),
+      /Invalid tuning "XYZ"/,
+    );
+    assert.throws(
+      () => remarkFretboard({ instrument: "lute" }),
+      /Unknown instrument "lute"/,
+    );
+  });
+});
@@ -5,10 +5,28 @@
 import { test, describe, beforeEach, afterEach } from "node:test";
 import assert from "node:assert";
 import { remark } from "remark";
+import {
+  mkdir,
+  mkdtemp,
+  readFile,
+  readdir,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
 
 // We'll test the plugin with skipOnMissing: true to avoid needing LilyPond
 // This tests the plugin structure and error handling without actual compilation
-import remarkLilypond from "../plugins/remark-lilypond/index.js";
+import remarkLilypond, {
+  createLilyPondCache,
+} from "../plugins/remark-lilypond/index.js";
+
+// Stand-in executable writing the files LilyPond would produce
+const fakeLilypond = fileURLToPath(
+  new URL("./fixtures/fake-lilypond.js", import.meta.url),
+);
 
 // Suppress console output during tests
 let originalConsoleError;
@@ -93,6 +111,132 @@ Some text between.
     );
   });
 
+  test("should keep every block when LilyPond is missing under concurrency", async () => {
+    const input = ["{ c' }", "{ d' }", "{ e' }", "{ f' }", "{ g' }"]
+      .map((music) => `\`\`\`lilypond\n${music}\n\`\`\``)
+      .join("\n\n");
+
+    const processor = remark().use(remarkLilypond, {
+      skipOnMissing: true,
+      concurrency: 2,
+      binaryPath: "/nonexistent/lilypond",
+    });
+    const output = (await processor.process(input)).toString();
+
+    // Skipped blocks stay as code blocks, in their original order
+    const blocks = [...output.matchAll(/```lilypond\n(.*)\n```/g)].map(
+      (match) => match[1],
+    );
+    assert.deepStrictEqual(blocks, [
+      "{ c' }",
+      "{ d' }",
+      "{ e' }",
+      "{ f' }",
+      "{ g' }",
+    ]);
+  });
+
+  test("should report inline errors for every block under concurrency", async () => {
+    const input = ["{ c' }", "{ d' }", "{ e' }"]
+      .map((music) => `\`\`\`lilypond\n${music}\n\`\`\``)
+      .join("\n\nText.\n\n");
+
+    const processor = remark().use(remarkLilypond, {
+      errorInline: true,
+      concurrency: 3,
+      binaryPath: "/nonexistent/lilypond",
+    });
+    const output = (await processor.process(input)).toString();
+
+    assert.strictEqual(
+      output.match(/class="lilypond-error"/g)?.length,
+      3,
+      "Each block should be replaced by its own error",
+    );
+    assert.ok(!output.includes("```lilypond"), "No block should be left");
+  });
+
+  test("should warn about unknown and invalid fence meta options", async () => {
+    const input = `\`\`\`lilypond compat=false transpose="c"
+{ c' }
+\`\`\``;
+
+    const processor = remark().use(remarkLilypond, {
+      skipOnMissing: true,
+      binaryPath: "/nonexistent/lilypond",
+    });
+    const file = await processor.process(input);
+    const warnings = file.messages.filter((m) => m.ruleId === "block-options");
+
+    assert.strictEqual(warnings.length, 2);
+    assert.match(warnings[0].reason, /Unknown option "compat"/);
+    assert.strictEqual(warnings[0].line, 1, "Should point at the fence");
+    assert.match(
+      warnings[1].reason,
+      /"transpose" in lilypond block expects two pitches/,
+    );
+  });
+
+  test("should let fence meta override errorInline per block", async () => {
+    const input = `\`\`\`lilypond errorInline=false
+{ c' }
+\`\`\`
+
+\`\`\`lilypond
+{ d' }
+\`\`\``;
+
+    const processor = remark().use(remarkLilypond, {
+      errorInline: true,
+      binaryPath: "/nonexistent/lilypond",
+    });
+    const output = (await processor.process(input)).toString();
+
+    assert.ok(output.includes("{ c' }"), "First block should be kept as code");
+    assert.strictEqual(output.match(/class="lilypond-error"/g)?.length, 1);
+  });
+
+  test("should report a missing LilyPond as a fatal file message", async () => {
+    const input = `# Title
+
+\`\`\`lilypond
+{ c' }
+\`\`\``;
+
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: "/nonexistent/lilypond",
+    });
+    const file = await processor.process(input);
+
+    assert.strictEqual(file.messages.length, 1);
+    const [message] = file.messages;
+    assert.strictEqual(message.fatal, true);
+    assert.strictEqual(message.source, "remark-lilypond");
+    assert.strictEqual(message.ruleId, "lilypond-missing");
+    assert.strictEqual(message.line, 3, "Should point at the code block");
+  });
+
+  test("should report skipped blocks as a single warning", async () => {
+    const input = `\`\`\`lilypond
+{ c' }
+\`\`\`
+
+\`\`\`lilypond
+{ d' }
+\`\`\``;
+
+    const processor = remark().use(remarkLilypond, {
+      skipOnMissing: true,
+      concurrency: 1,
+      binaryPath: "/nonexistent/lilypond",
+    });
+    const file = await processor.process(input);
+
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].fatal, false);
+    assert.strictEqual(file.messages[0].ruleId, "lilypond-missing");
+  });
+
   test("should handle plugin options correctly", async () => {
     const input = `\`\`\`lilypond
 \\version "2.20.0"
@@ -245,6 +389,28 @@ describe("Plugin configuration", () => {
     );
   });
 
+  test("should accept concurrency option", () => {
+    const plugin = remarkLilypond({ concurrency: 4 });
+    assert.ok(typeof plugin === "function", "Should accept concurrency option");
+  });
+
+  test("should accept MIDI options", () => {
+    const plugin = remarkLilypond({
+      midi: true,
+      midiDir: "public/midi",
+      midiUrl: "/midi",
+      midiPlayer: false,
+    });
+    assert.ok(typeof plugin === "function", "Should accept MIDI options");
+  });
+
+  test("should accept cache option", () => {
+    const plugin = remarkLilypond({
+      cache: { dir: "/tmp/music-md-cache", maxEntries: 10 },
+    });
+    assert.ok(typeof plugin === "function", "Should accept cache option");
+  });
+
   test("should work with empty options", () => {
     const plugin = remarkLilypond();
     assert.ok(typeof plugin === "function", "Should work with no options");
@@ -262,3 +428,810 @@ describe("Plugin configuration", () => {
     );
   });
 });
+
+describe("Rendering with a LilyPond executable", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "music-md-lilypond-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("should replace the block with the rendered SVG", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const output = (
+      await processor.process("```lilypond\n{ c' }\n```")
+    ).toString();
+
+    assert.ok(output.includes("<svg"), "Should inline the SVG");
+    assert.ok(!output.includes("```lilypond"), "Should remove the code block");
+  });
+
+  test("should map LilyPond diagnostics to the markdown position", async () => {
+    const input = "# Title\n\n```lilypond\n{ c' }\n  \\error\n```";
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const file = await processor.process(input);
+
+    assert.strictEqual(file.messages.length, 1);
+    const [message] = file.messages;
+    assert.strictEqual(message.ruleId, "compile-error");
+    assert.strictEqual(message.fatal, true);
+    assert.strictEqual(message.line, 5);
+    assert.strictEqual(message.column, 3);
+  });
+
+  test("should serve unchanged blocks from the cache", async () => {
+    const log = join(dir, "renders.log");
+    process.env.FAKE_LILYPOND_LOG = log;
+    try {
+      const options = {
+        binaryPath: fakeLilypond,
+        cache: { dir: join(dir, "cache") },
+      };
+      const input = "```lilypond\n{ c' }\n```";
+      const first = await remark().use(remarkLilypond, options).process(input);
+      const second = await remark().use(remarkLilypond, options).process(input);
+
+      assert.strictEqual(second.toString(), first.toString());
+      const renders = (await readFile(log, "utf8")).trim().split("\n");
+      assert.strictEqual(renders.length, 1, "LilyPond should run only once");
+    } finally {
+      delete process.env.FAKE_LILYPOND_LOG;
+    }
+  });
+
+  test("should warn about cache failures and render anyway", async () => {
+    const failing = (operation) => async () => {
+      throw new Error(`disk ${operation} failed`);
+    };
+    const cache = {
+      dir,
+      get: failing("read"),
+      set: failing("write"),
+      invalidate: failing("invalidate"),
+      invalidateSource: failing("invalidate"),
+      clear: failing("clear"),
+      prune: failing("prune"),
+    };
+    const file = await remark()
+      .use(remarkLilypond, { binaryPath: fakeLilypond, cache })
+      .process("# Score\n\n```lilypond\n{ c' }\n```");
+
+    assert.ok(file.toString().includes("<svg"), "Should still render");
+    assert.deepStrictEqual(
+      file.messages.map(({ reason, ruleId, fatal, line }) => ({
+        reason,
+        ruleId,
+        fatal,
+        line,
+      })),
+      [
+        {
+          reason: "Failed to read LilyPond cache: disk read failed",
+          ruleId: "cache-error",
+          fatal: false,
+          line: 3,
+        },
+        {
+          reason: "Failed to write LilyPond cache: disk write failed",
+          ruleId: "cache-error",
+          fatal: false,
+          line: 3,
+        },
+      ],
+    );
+
+    // Pruning runs after every block, so its warning has no position
+    const pruneFile = await remark()
+      .use(remarkLilypond, {
+        binaryPath: fakeLilypond,
+        cache: {
+          ...createLilyPondCache({ dir: join(dir, "cache") }),
+          prune: failing("prune"),
+        },
+      })
+      .process("```lilypond\n{ c' }\n```");
+    assert.strictEqual(pruneFile.messages.length, 1);
+    assert.strictEqual(
+      pruneFile.messages[0].reason,
+      "Failed to prune LilyPond cache: disk prune failed",
+    );
+    assert.strictEqual(pruneFile.messages[0].ruleId, "cache-error");
+    assert.strictEqual(pruneFile.messages[0].line, undefined);
+  });
+
+  test("should re-render a block whose source was invalidated", async () => {
+    const log = join(dir, "renders.log");
+    process.env.FAKE_LILYPOND_LOG = log;
+    try {
+      const cache = createLilyPondCache({ dir: join(dir, "cache") });
+      const options = { binaryPath: fakeLilypond, cache };
+      const input = "```lilypond\n{ c' }\n```\n\n```lilypond\n{ d' }\n```";
+      await remark().use(remarkLilypond, options).process(input);
+      await cache.invalidateSource("{ c' }");
+      await remark().use(remarkLilypond, options).process(input);
+
+      const renders = (await readFile(log, "utf8")).trim().split("\n");
+      assert.strictEqual(
+        renders.length,
+        3,
+        "Only the invalidated block renders again",
+      );
+    } finally {
+      delete process.env.FAKE_LILYPOND_LOG;
+    }
+  });
+
+  test("should render blocks in parallel up to the concurrency limit", async () => {
+    const events = join(dir, "events.log");
+    process.env.FAKE_LILYPOND_EVENTS = events;
+    try {
+      // Earlier blocks take longer, so they finish after the later ones
+      const input = [400, 300, 200, 100, 50]
+        .map(
+          (sleep, index) =>
+            `\`\`\`lilypond caption="block ${index + 1}"\n% sleep: ${sleep}\n{ c' }\n\`\`\``,
+        )
+        .join("\n\n");
+      const processor = remark().use(remarkLilypond, {
+        binaryPath: fakeLilypond,
+        concurrency: 2,
+      });
+      const output = (await processor.process(input)).toString();
+
+      let running = 0;
+      let peak = 0;
+      for (const event of (await readFile(events, "utf8")).trim().split("\n")) {
+        running += event === "start" ? 1 : -1;
+        peak = Math.max(peak, running);
+      }
+      assert.strictEqual(peak, 2, "Two renders should overlap, and no more");
+      assert.deepStrictEqual(
+        [...output.matchAll(/<figcaption>(.*?)<\/figcaption>/g)].map(
+          (match) => match[1],
+        ),
+        ["block 1", "block 2", "block 3", "block 4", "block 5"],
+      );
+    } finally {
+      delete process.env.FAKE_LILYPOND_EVENTS;
+    }
+  });
+
+  test("should render one block at a time with a concurrency of 1", async () => {
+    const events = join(dir, "events.log");
+    process.env.FAKE_LILYPOND_EVENTS = events;
+    try {
+      const input = ["{ c' }", "{ d' }", "{ e' }"]
+        .map((music) => `\`\`\`lilypond\n% sleep: 50\n${music}\n\`\`\``)
+        .join("\n\n");
+      const processor = remark().use(remarkLilypond, {
+        binaryPath: fakeLilypond,
+        concurrency: 1,
+      });
+      await processor.process(input);
+
+      assert.deepStrictEqual(
+        (await readFile(events, "utf8")).trim().split("\n"),
+        ["start", "end", "start", "end", "start", "end"],
+      );
+    } finally {
+      delete process.env.FAKE_LILYPOND_EVENTS;
+    }
+  });
+
+  test("should emit every page of a multi-page score", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const output = (
+      await processor.process("```lilypond\n% pages: 3\n{ c' }\n```")
+    ).toString();
+
+    assert.strictEqual(output.match(/<svg/g)?.length, 3);
+    assert.strictEqual(output.match(/class="lilypond-page"/g)?.length, 3);
+    assert.ok(output.indexOf("page 1") < output.indexOf("page 2"));
+    assert.ok(output.indexOf("page 2") < output.indexOf("page 3"));
+  });
+
+  test("should give each score ids of its own, the same on every run", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const input =
+      "```lilypond\n% clip\n{ c' }\n```\n\n```lilypond\n% clip\n{ c' }\n```\n\n```lilypond\n% clip\n% pages: 2\n{ d' }\n```";
+    const ids = (output) => [
+      ...output.matchAll(/ id="([^"]+)"| clip-path="url\(#([^)]+)\)"/g),
+    ];
+
+    const first = ids((await processor.process(input)).toString());
+    const second = ids((await processor.process(input)).toString());
+
+    const defined = first.filter((match) => match[1]).map((match) => match[1]);
+    const referenced = first
+      .filter((match) => match[2])
+      .map((match) => match[2]);
+    assert.strictEqual(defined.length, 4);
+    assert.strictEqual(new Set(defined).size, 4);
+    assert.deepStrictEqual(referenced, defined);
+    assert.match(defined[0], /^lilypond-[0-9a-f]{8}-id1$/);
+    assert.strictEqual(defined[1], defined[0].replace("-id1", "-2-id1"));
+    assert.deepStrictEqual(
+      second.map((match) => match[0]),
+      first.map((match) => match[0]),
+    );
+  });
+
+  test("should emit one SVG per system with splitSystems", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const output = (
+      await processor.process(
+        "```lilypond splitSystems\n% pages: 2\n{ c' }\n```",
+      )
+    ).toString();
+
+    assert.strictEqual(output.match(/class="lilypond-system"/g)?.length, 2);
+    assert.ok(output.includes("break-inside: avoid"));
+  });
+
+  test("should keep a single page as a bare SVG", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const output = (
+      await processor.process("```lilypond\n{ c' }\n```")
+    ).toString();
+
+    assert.ok(!output.includes("lilypond-score"));
+    assert.ok(output.trim().startsWith("<svg"));
+  });
+
+  test("should crop the viewBox to the content with compactPadding", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const output = (
+      await processor.process("```lilypond compactPadding=2\n{ c' }\n```")
+    ).toString();
+
+    // The "page 1" text at the origin and the translated path, plus 2 units of padding
+    assert.ok(output.includes('viewBox="-2 -14.8 61.6 26.8"'), output);
+    assert.ok(output.includes('width="100%"'));
+  });
+
+  test("should keep the original viewBox with compact=false", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const output = (
+      await processor.process("```lilypond compact=false\n{ c' }\n```")
+    ).toString();
+
+    assert.ok(output.includes('viewBox="0 0 119.5 169.0"'));
+  });
+
+  test("should attach MIDI for blocks containing \\midi", async () => {
+    const input = "```lilypond\n\\score { { c' } \\layout {} \\midi {} }\n```";
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const output = (await processor.process(input)).toString();
+
+    assert.ok(output.includes('class="lilypond-midi"'));
+    assert.ok(output.includes('<midi-player src="data:audio/midi;base64,'));
+    assert.ok(output.includes('download="score.midi"'));
+  });
+
+  test("should attach MIDI for blocks flagged midi in the fence meta", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      midiPlayer: false,
+    });
+    const output = (
+      await processor.process("```lilypond midi\n{ c' }\n```")
+    ).toString();
+
+    assert.ok(output.includes('class="lilypond-midi-download"'));
+    assert.ok(!output.includes("<midi-player"), "Player should be disabled");
+  });
+
+  test("should not attach MIDI to other blocks", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const output = (
+      await processor.process("```lilypond\n{ c' }\n```")
+    ).toString();
+
+    assert.ok(!output.includes("lilypond-midi"));
+  });
+
+  test("should write MIDI files to midiDir", async () => {
+    const midiDir = join(dir, "assets");
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      midi: true,
+      midiDir,
+      midiUrl: "/assets/",
+    });
+    const output = (
+      await processor.process("```lilypond\n{ c' }\n```")
+    ).toString();
+
+    const [name] = await readdir(midiDir);
+    assert.match(name, /^[0-9a-f]{16}\.midi$/);
+    assert.ok(output.includes(`href="/assets/${name}"`));
+  });
+
+  test("should resolve midiDir against the file's cwd and link it from the document", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      midi: true,
+      midiDir: "out/midi",
+    });
+    const output = (
+      await processor.process({
+        cwd: dir,
+        path: "docs/song.md",
+        value: "```lilypond\n{ c' }\n```",
+      })
+    ).toString();
+
+    const [name] = await readdir(join(dir, "out", "midi"));
+    assert.match(name, /^[0-9a-f]{16}\.midi$/);
+    // The page is expected next to docs/song.md
+    assert.ok(output.includes(`href="../out/midi/${name}"`), output);
+  });
+
+  test("should show inline errors at their place in the markdown file", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      errorInline: true,
+      preamble: '\\version "2.24.0"',
+    });
+    const file = await processor.process(
+      "Intro\n\n```lilypond\n{ c' }\n\\error\n```",
+    );
+
+    assert.strictEqual(file.messages[0].line, 5);
+    const output = file.toString();
+    assert.ok(
+      output.includes(
+        "<pre>5:1: error: unknown escaped string: `\\error&#039;</pre>",
+      ),
+      output,
+    );
+    assert.ok(!output.includes(tmpdir()), "The temporary path is left out");
+  });
+
+  test("should prepend the preamble and keep diagnostics positions", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      preamble: '\\version "2.24.0"\n% pages: 2',
+    });
+    const file = await processor.process(
+      "```lilypond\n{ c' }\n```\n\n```lilypond\n{ c' }\n\\error\n```",
+    );
+
+    assert.strictEqual(file.toString().match(/lilypond-score/g).length, 1);
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].line, 7);
+  });
+
+  test("should read the preamble from preambleFile", async () => {
+    const preambleFile = join(dir, "house-style.ily");
+    await writeFile(preambleFile, "% pages: 3\n");
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      preambleFile,
+    });
+    const output = (
+      await processor.process("```lilypond\n{ c' }\n```")
+    ).toString();
+
+    assert.strictEqual(output.match(/class="lilypond-page"/g).length, 3);
+  });
+
+  test("should fail clearly when the preamble file is missing", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      preambleFile: join(dir, "missing.ily"),
+    });
+
+    await assert.rejects(
+      processor.process("```lilypond\n{ c' }\n```"),
+      /Cannot read LilyPond preamble file/,
+    );
+  });
+
+  test("should resolve includes relative to the markdown file", async () => {
+    await mkdir(join(dir, "book"));
+    await writeFile(join(dir, "book", "macros.ily"), "% macros\n");
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const file = await processor.process({
+      path: join(dir, "book", "song.md"),
+      value: '```lilypond\n\\include "macros.ily"\n{ c\' }\n```',
+    });
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.ok(file.toString().includes(`-I ${join(dir, "book")}`));
+  });
+
+  test("should search includePaths after the markdown file directory", async () => {
+    await mkdir(join(dir, "lib"));
+    await writeFile(join(dir, "lib", "chords.ily"), "% chords\n");
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      includePaths: [join(dir, "lib")],
+    });
+    const file = await processor.process({
+      path: join(dir, "song.md"),
+      value: '```lilypond\n\\include "chords.ily"\n{ c\' }\n```',
+    });
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.ok(
+      file.toString().includes(`-I ${dir} -I ${join(dir, "lib")}`),
+      "The document directory should be searched first",
+    );
+  });
+
+  test("should report errors inside included files on the block", async () => {
+    await writeFile(join(dir, "broken.ily"), "% ok\n\\error\n");
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const file = await processor.process({
+      path: join(dir, "song.md"),
+      value: '# Song\n\n```lilypond\n\\include "broken.ily"\n```',
+    });
+
+    assert.strictEqual(file.messages.length, 1);
+    const [message] = file.messages;
+    assert.strictEqual(message.line, 3);
+    assert.ok(message.reason.startsWith(`${join(dir, "broken.ily")}:2:0:`));
+  });
+
+  test("should re-render cached blocks when an included file changes", async () => {
+    const log = join(dir, "renders.log");
+    const include = join(dir, "style.ily");
+    process.env.FAKE_LILYPOND_LOG = log;
+    try {
+      const options = {
+        binaryPath: fakeLilypond,
+        cache: { dir: join(dir, "cache") },
+      };
+      const input = {
+        path: join(dir, "song.md"),
+        value: '```lilypond\n\\include "style.ily"\n{ c\' }\n```',
+      };
+      await writeFile(include, "% v1\n");
+      await remark().use(remarkLilypond, options).process(input);
+      await remark().use(remarkLilypond, options).process(input);
+      await writeFile(include, "% v2\n");
+      await remark().use(remarkLilypond, options).process(input);
+
+      const renders = (await readFile(log, "utf8")).trim().split("\n");
+      assert.strictEqual(renders.length, 2);
+    } finally {
+      delete process.env.FAKE_LILYPOND_LOG;
+    }
+  });
+
+  test("should render a .ly file referenced with image syntax", async () => {
+    await mkdir(join(dir, "scores"));
+    await writeFile(join(dir, "scores", "sonata.ly"), "% pages: 2\n{ c' }\n");
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const file = await processor.process({
+      path: join(dir, "book.md"),
+      value: '# Sonata\n\n![Sonata](./scores/sonata.ly "First movement")\n',
+    });
+    const output = file.toString();
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.ok(!output.includes("![Sonata]"), "The image should be replaced");
+    assert.ok(output.includes('<div class="lilypond-score">'));
+    assert.ok(output.includes("<figcaption>First movement</figcaption>"));
+    assert.ok(
+      output.includes(`-I ${join(dir, "scores")}`),
+      "Includes should resolve relative to the score",
+    );
+  });
+
+  test("should warn about .ly images inside running text", async () => {
+    await writeFile(join(dir, "lick.ly"), "{ c' }\n");
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const file = await processor.process({
+      path: join(dir, "book.md"),
+      value: "Play ![Lick](lick.ly) twice.\n",
+    });
+
+    assert.deepStrictEqual(
+      file.messages.map((message) => [message.ruleId, message.line]),
+      [["inline-score", 1]],
+    );
+    assert.match(
+      file.messages[0].reason,
+      /Score image "lick\.ly" is inside running text/,
+    );
+    assert.strictEqual(file.toString(), "Play ![Lick](lick.ly) twice.\n");
+  });
+
+  test("should render a .ly file referenced by the src fence option", async () => {
+    await mkdir(join(dir, "scores"));
+    await writeFile(join(dir, "scores", "etude.ly"), "% pages: 3\n{ c' }\n");
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const output = (
+      await processor.process({
+        path: join(dir, "book.md"),
+        value: '```lilypond src="scores/etude.ly"\n```',
+      })
+    ).toString();
+
+    assert.strictEqual(output.match(/class="lilypond-page"/g).length, 3);
+  });
+
+  test("should report errors in external scores with the file location", async () => {
+    await writeFile(join(dir, "broken.ly"), "{ c' }\n\\error\n");
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const file = await processor.process({
+      path: join(dir, "book.md"),
+      value: "Text\n\n![Broken](broken.ly)",
+    });
+
+    assert.strictEqual(file.messages.length, 1);
+    const [message] = file.messages;
+    assert.strictEqual(message.line, 3);
+    assert.ok(message.reason.startsWith("broken.ly:2:0:"), message.reason);
+  });
+
+  test("should report missing external scores inline with errorInline", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      errorInline: true,
+    });
+    const file = await processor.process({
+      path: join(dir, "book.md"),
+      value: "![Missing](missing.ly)",
+    });
+
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].ruleId, "missing-source");
+    assert.strictEqual(file.messages[0].fatal, true);
+    assert.ok(file.toString().includes("LilyPond Source Not Found"));
+  });
+
+  test("should leave missing external scores untouched with skipOnMissing", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      skipOnMissing: true,
+    });
+    const file = await processor.process({
+      path: join(dir, "book.md"),
+      value: "![Missing](missing.ly)",
+    });
+
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].fatal, false);
+    assert.ok(file.toString().includes("![Missing](missing.ly)"));
+  });
+
+  test("should kill LilyPond after the timeout and report it", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      errorInline: true,
+      timeout: 300,
+    });
+    const started = Date.now();
+    const file = await processor.process("```lilypond\n% sleep: 10000\n```");
+
+    assert.ok(Date.now() - started < 5000, "Should not wait for LilyPond");
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].ruleId, "timeout");
+    assert.strictEqual(file.messages[0].fatal, true);
+    assert.ok(file.toString().includes("LilyPond Timed Out"));
+  });
+
+  test("should accept a timeout per block in the fence meta", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const file = await processor.process(
+      "```lilypond timeout=300\n% sleep: 10000\n```\n\n```lilypond\n{ c' }\n```",
+    );
+
+    assert.deepStrictEqual(
+      file.messages.map((message) => message.ruleId),
+      ["timeout"],
+    );
+    assert.ok(file.toString().includes("<svg"));
+  });
+
+  test("should not let blocks raise the timeout in safe mode", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      safe: true,
+      timeout: 300,
+    });
+    const file = await processor.process(
+      "```lilypond timeout=60000\n% sleep: 10000\n```",
+    );
+
+    assert.strictEqual(file.messages[0]?.ruleId, "timeout");
+  });
+
+  test("should warn about negative timeouts and keep the default", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      safe: true,
+      timeout: 5000,
+    });
+    const file = await processor.process(
+      "```lilypond timeout=-5\n{ c' }\n```\n\n```tab timeout=-0.5\nG|--0--|\nD|-----|\nA|-----|\nE|-----|\n```",
+    );
+
+    assert.deepStrictEqual(
+      file.messages.map((message) => [message.ruleId, message.reason]),
+      [
+        [
+          "block-options",
+          'Option "timeout" in lilypond block expects a non-negative number of milliseconds, got -5',
+        ],
+        [
+          "block-options",
+          'Option "timeout" in tab block expects a non-negative number of milliseconds, got -0.5',
+        ],
+      ],
+    );
+    assert.strictEqual(file.toString().match(/<svg/g)?.length, 2);
+  });
+
+  test("should run LilyPond with -dsafe in safe mode", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      safe: true,
+    });
+    const output = (
+      await processor.process(
+        "```lilypond\n#(set-global-staff-size 18)\n{ c' }\n```",
+      )
+    ).toString();
+
+    assert.ok(output.includes("-dsafe"));
+  });
+
+  test("should reject dangerous input in safe mode", async () => {
+    await writeFile(join(dir, "evil.ly"), '#(system "touch pwned")\n');
+    await mkdir(join(dir, "lib"));
+    await writeFile(join(dir, "lib", "macros.ily"), '\\include "hidden.ily"\n');
+    await writeFile(
+      join(dir, "lib", "hidden.ily"),
+      '#(primitive-eval (list (string->symbol (string-append "sys" "tem")) "touch pwned"))\n',
+    );
+    const log = join(dir, "renders.log");
+    process.env.FAKE_LILYPOND_LOG = log;
+    try {
+      const processor = remark().use(remarkLilypond, {
+        binaryPath: fakeLilypond,
+        safe: true,
+        errorInline: true,
+      });
+      const file = await processor.process({
+        path: join(dir, "post.md"),
+        value: [
+          '```lilypond\n#(system "touch pwned")\n```',
+          '```lilypond\n\\include "/etc/passwd"\n```',
+          "![Evil](evil.ly)",
+          "![Outside](../outside.ly)",
+          '```lilypond\n#(primitive-eval (list (string->symbol (string-append "sys" "tem")) "touch /tmp/x"))\n```',
+          '```lilypond\n\\include "lib/macros.ily"\n{ c\' }\n```',
+        ].join("\n\n"),
+      });
+
+      assert.deepStrictEqual(
+        file.messages.map((message) => [message.ruleId, message.fatal]),
+        [
+          ["unsafe-input", true],
+          ["unsafe-input", true],
+          ["unsafe-input", true],
+          ["unsafe-input", true],
+          ["unsafe-input", true],
+          ["unsafe-input", true],
+        ],
+      );
+      assert.strictEqual(
+        file.messages[5].reason,
+        `Scheme procedure 'primitive-eval' is not allowed in safe mode (in included file "${join("lib", "hidden.ily")}")`,
+      );
+      assert.strictEqual(
+        file.toString().match(/LilyPond Input Rejected/g).length,
+        6,
+      );
+      await assert.rejects(readFile(log), "LilyPond should never run");
+    } finally {
+      delete process.env.FAKE_LILYPOND_LOG;
+    }
+  });
+});
+
+describe("Tab blocks", () => {
+  test("should engrave ASCII tabs through LilyPond", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const input = `\`\`\`tab caption="Intro"
+e|---0---3---|
+B|-1---1-----|
+G|-----------|
+D|-----------|
+A|-3---------|
+E|-----------|
+\`\`\``;
+    const file = await processor.process(input);
+    const output = file.toString();
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.ok(output.startsWith('<figure class="lilypond-figure"><svg'));
+    assert.ok(output.includes("<figcaption>Intro</figcaption>"));
+  });
+
+  test("should report tabs that cannot be read where the problem is", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+      errorInline: true,
+    });
+    const input = `# Riff
+
+\`\`\`tab
+e|---0---|
+B|-1-q---|
+\`\`\``;
+    const file = await processor.process(input);
+
+    assert.strictEqual(file.messages.length, 1);
+    const [message] = file.messages;
+    assert.strictEqual(message.ruleId, "invalid-tab");
+    assert.strictEqual(message.fatal, true);
+    assert.strictEqual(message.line, 5);
+    assert.strictEqual(message.column, 6);
+    assert.match(message.reason, /Unsupported tab symbol "q"/);
+    assert.ok(file.toString().includes("Invalid Tab:"));
+  });
+
+  test("should only accept tab options in the fence meta", async () => {
+    const processor = remark().use(remarkLilypond, {
+      binaryPath: fakeLilypond,
+    });
+    const input = `\`\`\`tab tuning="DADGAX" transpose="c d"
+|--0--|
+|--0--|
+|--0--|
+|--0--|
+\`\`\``;
+    const file = await processor.process(input);
+    const warnings = file.messages.map((message) => message.reason);
+
+    assert.strictEqual(warnings.length, 2);
+    assert.match(warnings[0], /Unknown option "transpose" in tab block/);
+    assert.match(warnings[1], /Option "tuning" in tab block expects/);
+    assert.ok(file.toString().includes("<svg"));
+  });
+});
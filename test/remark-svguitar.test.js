@@ -203,6 +203,106 @@ print("world")
     );
   });
 
+  test("should warn about unknown fence meta options", async () => {
+    const input = `\`\`\`svguitar width=200 tunning="DADGAD"
+{ "fingers": [[1, 3]] }
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, {
+      skipOnMissing: true,
+      puppeteerOptions: {
+        executablePath: "/nonexistent/chrome",
+      },
+    });
+    const file = await processor.process(input);
+    const warnings = file.messages.filter((m) => m.ruleId === "block-options");
+
+    assert.strictEqual(warnings.length, 1, "Should accept the width option");
+    assert.match(warnings[0].reason, /Unknown option "tunning"/);
+    assert.strictEqual(warnings[0].line, 1);
+  });
+
+  test("should report browser launch failures as file messages", async () => {
+    const input = `\`\`\`svguitar
+{ "fingers": [[1, 3]] }
+\`\`\`
+
+\`\`\`svguitar
+{ "fingers": [[2, 2]] }
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, {
+      puppeteerOptions: {
+        executablePath: "/nonexistent/chrome",
+      },
+    });
+    const file = await processor.process(input);
+
+    assert.deepStrictEqual(
+      file.messages.map((m) => [m.ruleId, m.fatal, m.line]),
+      [
+        ["browser-launch", true, 1],
+        ["browser-launch", true, 5],
+      ],
+    );
+  });
+
+  test("should let fence meta override errorInline per block", async () => {
+    const input = `\`\`\`svguitar errorInline=true
+{ "fingers": [[1, 3]] }
+\`\`\`
+
+\`\`\`svguitar
+{ "fingers": [[1, 3]] }
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, {
+      puppeteerOptions: {
+        executablePath: "/nonexistent/chrome",
+      },
+    });
+    const output = (await processor.process(input)).toString();
+
+    assert.strictEqual(output.match(/class="svguitar-error"/g)?.length, 1);
+    assert.ok(output.includes("```svguitar"), "Second block should be kept");
+  });
+
+  test("should remove definition blocks when the browser fails to launch", async () => {
+    const input = `\`\`\`svguitar-define
+Cadd9 x32030
+\`\`\`
+
+\`\`\`chords
+Cadd9
+\`\`\`
+
+\`\`\`svguitar-define
+G6 320000
+\`\`\`
+
+\`\`\`chords
+G6
+\`\`\``;
+    const puppeteerOptions = { executablePath: "/nonexistent/chrome" };
+
+    const failed = (
+      await remark()
+        .use(remarkSvguitar, { puppeteerOptions, errorInline: true })
+        .process(input)
+    ).toString();
+    assert.ok(!failed.includes("svguitar-define"), failed);
+    assert.ok(!failed.includes("x32030"), failed);
+    assert.strictEqual(failed.match(/class="svguitar-error"/g)?.length, 2);
+
+    const skipped = (
+      await remark()
+        .use(remarkSvguitar, { puppeteerOptions, skipOnMissing: true })
+        .process(input)
+    ).toString();
+    assert.ok(!skipped.includes("svguitar-define"), skipped);
+    assert.strictEqual(skipped.match(/```chords/g)?.length, 2);
+  });
+
   test("should handle no svguitar blocks gracefully", async () => {
     const input = `# Regular Markdown
 
@@ -413,6 +513,679 @@ describe("Multiple chord support", () => {
   });
 });
 
+describe("DOM renderer", () => {
+  test("should render chords without a browser", async () => {
+    const input = `\`\`\`svguitar
+[
+  { "title": "Am", "fingers": [[2, 1], [3, 2], [4, 2], [6, "x"]] },
+  { "title": "C", "fingers": [[2, 1], [4, 2], [5, 3]] }
+]
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      puppeteerOptions: { executablePath: "/nonexistent/chrome" },
+    });
+    const file = await processor.process(input);
+    const output = file.toString();
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.ok(output.includes('<div class="chord-container">'));
+    assert.strictEqual(output.match(/class="chord-item"/g).length, 2);
+    assert.strictEqual(output.match(/<svg /g).length, 2);
+    assert.ok(output.includes(">Am</tspan>"));
+  });
+
+  test("should apply per-block options", async () => {
+    const input = `\`\`\`svguitar width=120 title="G"
+{ "fingers": [[1, 3], [5, 2], [6, 3]] }
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const output = (await processor.process(input)).toString();
+
+    assert.ok(output.includes('<svg width="120"'));
+    assert.ok(output.includes(">G</tspan>"));
+  });
+
+  test("should still report invalid JSON", async () => {
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      errorInline: true,
+    });
+    const file = await processor.process("```svguitar\n{ fingers }\n```");
+
+    assert.strictEqual(file.messages[0].ruleId, "invalid-json");
+    assert.ok(file.toString().includes("svguitar-error"));
+  });
+
+  test("should reject unknown renderers", () => {
+    assert.throws(
+      () => remarkSvguitar({ renderer: /** @type {any} */ ("canvas") }),
+      /Unknown SVGuitar renderer "canvas"/,
+    );
+  });
+});
+
+describe("Fret notation", () => {
+  test("should render one chord per line", async () => {
+    const input = `\`\`\`svguitar
+C x32010 -32-1-
+F 133211
+x-5-7-7-6-5
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process(input);
+    const output = file.toString();
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.strictEqual(output.match(/class="chord-item"/g).length, 3);
+    assert.ok(output.includes(">C</tspan>"));
+    assert.ok(output.includes(">F</tspan>"));
+  });
+
+  test("should report the line of an invalid chord", async () => {
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process(
+      "```svguitar\nC x32010\nG 3200o3\n```",
+    );
+
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].ruleId, "invalid-frets");
+    assert.strictEqual(file.messages[0].line, 3);
+    assert.strictEqual(file.messages[0].column, 1);
+  });
+});
+
+describe("Chord data validation", () => {
+  test("should report the chord, field and line of invalid chord data", async () => {
+    const input = `# Chords
+
+\`\`\`svguitar
+[
+  { "title": "C", "fingers": [[2, 1], [4, 2], [5, 3]] },
+  { "title": "Am", "finger": [[2, 1], [3, 2], [4, 2]] }
+]
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      errorInline: true,
+    });
+    const file = await processor.process(input);
+
+    assert.strictEqual(file.messages.length, 1);
+    const [message] = file.messages;
+    assert.strictEqual(message.ruleId, "invalid-chord");
+    assert.strictEqual(
+      message.reason,
+      'Chord 2 (Am), field "finger": unknown field, expected one of: fingers, barres, title, position',
+    );
+    assert.strictEqual(message.line, 6);
+    assert.strictEqual(message.column, 20);
+    assert.ok(file.toString().includes("svguitar-error"));
+  });
+
+  test("should point at the invalid value", async () => {
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process(
+      '```svguitar\n{\n  "fingers": [\n    [1, 2],\n    [2, -1]\n  ]\n}\n```',
+    );
+
+    assert.strictEqual(file.messages[0].ruleId, "invalid-chord");
+    assert.match(file.messages[0].reason, /field "fingers\[1\]\[1\]"/);
+    assert.strictEqual(file.messages[0].line, 5);
+    assert.strictEqual(file.messages[0].column, 9);
+  });
+});
+
+describe("Instruments", () => {
+  test("should set strings and tuning labels from the instrument", async () => {
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      instrument: "ukulele",
+    });
+    const file = await processor.process("```svguitar\nC 0003\n```");
+    const output = file.toString();
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.deepStrictEqual(
+      [...output.matchAll(/class="tuning tuning-\d">([^<]+)</g)].map(
+        (match) => match[1],
+      ),
+      ["G", "C", "E", "A"],
+    );
+  });
+
+  test("should let blocks choose their instrument or tuning", async () => {
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      instrument: "ukulele",
+    });
+    const file = await processor.process(
+      '```svguitar instrument=mandolin\nG 0023\n```\n\n```svguitar tuning="BEADGBE"\nx-x-3-2-0-1-0\n```',
+    );
+    const output = file.toString();
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.ok(output.includes('class="tuning tuning-3">E<'));
+    assert.ok(output.includes('class="tuning tuning-6">E<'));
+  });
+
+  test("should report fingers on strings the instrument does not have", async () => {
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      instrument: "ukulele",
+    });
+    const file = await processor.process(
+      '```svguitar\n[{ "fingers": [[1, 3]] }, { "title": "C", "fingers": [[6, "x"], [2, 1]] }]\n```',
+    );
+
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].ruleId, "invalid-string");
+    assert.strictEqual(
+      file.messages[0].reason,
+      "Chord 2 (C) uses string 6, but the ukulele has 4 strings",
+    );
+  });
+
+  test("should report fret notation for another number of strings", async () => {
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process("```svguitar\nC 0003\n```");
+
+    assert.strictEqual(file.messages[0].ruleId, "invalid-frets");
+    assert.strictEqual(
+      file.messages[0].reason,
+      'Frets "0003" are for 4 strings, expected 6',
+    );
+  });
+
+  test("should reject unknown instruments", async () => {
+    assert.throws(
+      () => remarkSvguitar({ instrument: "theorbo" }),
+      /Unknown instrument "theorbo"/,
+    );
+    assert.throws(
+      () => remarkSvguitar({ tuning: "E A D G B H" }),
+      /Invalid tuning "E A D G B H"/,
+    );
+
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process(
+      "```svguitar instrument=theorbo\nC x32010\n```",
+    );
+    assert.strictEqual(file.messages[0].ruleId, "block-options");
+    assert.match(file.messages[0].reason, /Option "instrument"/);
+  });
+});
+
+describe("Chords blocks", () => {
+  test("should render chord names from the dictionary", async () => {
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process("```chords\nC G Am:2 F7 Bb/D\n```");
+    const output = file.toString();
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.strictEqual(output.match(/class="chord-item"/g).length, 5);
+    for (const title of ["C", "G", "Am", "F7", "Bb/D"]) {
+      assert.ok(output.includes(`>${title}</tspan>`), title);
+    }
+  });
+
+  test("should use the chordDictionary option", async () => {
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      chordDictionary: { Cadd11: "x32011" },
+    });
+    const file = await processor.process("```chords\nCadd11\n```");
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.ok(file.toString().includes(">Cadd11</tspan>"));
+  });
+
+  test("should report unknown chords at their position", async () => {
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      errorInline: true,
+    });
+    const file = await processor.process(
+      "Intro\n\n```chords width=100\nC G\n  Am Cfoo\n```",
+    );
+
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].ruleId, "unknown-chord");
+    assert.strictEqual(file.messages[0].reason, 'Unknown chord "Cfoo"');
+    assert.strictEqual(file.messages[0].line, 5);
+    assert.strictEqual(file.messages[0].column, 6);
+    assert.ok(file.toString().includes("svguitar-error"));
+  });
+});
+
+describe("Data formats", () => {
+  test("should render YAML and JSON5 like JSON", async () => {
+    const json =
+      '```svguitar\n{ "title": "Am", "fingers": [[2, 1], [3, 2], [4, 2], [6, "x"]] }\n```';
+    const yaml = `\`\`\`svguitar
+# A minor
+title: Am
+fingers:
+  - [2, 1]
+  - [3, 2]
+  - [4, 2]
+  - [6, x]
+\`\`\``;
+    const json5 = `\`\`\`svguitar
+{
+  title: 'Am',
+  fingers: [[2, 1], [3, 2], [4, 2], [6, 'x'],], // open A string
+}
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const expected = (await processor.process(json)).toString();
+    for (const input of [yaml, json5]) {
+      const file = await processor.process(input);
+      assert.deepStrictEqual(file.messages, []);
+      assert.strictEqual(file.toString(), expected);
+    }
+  });
+
+  test("should report YAML syntax errors at their line", async () => {
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process(
+      "# Chords\n\n```svguitar\ntitle: Am\nfingers: [[2, 1]\nposition: 1\n```",
+    );
+
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].ruleId, "invalid-yaml");
+    assert.match(
+      file.messages[0].reason,
+      /^Invalid YAML in SVGuitar block: .* at line 3, column 1$/,
+    );
+    assert.strictEqual(file.messages[0].line, 6);
+    assert.strictEqual(file.messages[0].column, 1);
+  });
+
+  test("should report JSON5 syntax errors and invalid values at their line", async () => {
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const syntax = await processor.process(
+      "```svguitar\n{\n  fingers: [[1, 2]]\n  title: 'C'\n}\n```",
+    );
+    assert.strictEqual(syntax.messages[0].ruleId, "invalid-json");
+    assert.strictEqual(
+      syntax.messages[0].reason,
+      "Invalid JSON in SVGuitar block: Invalid character 't' at line 3, column 3",
+    );
+    assert.strictEqual(syntax.messages[0].line, 4);
+    assert.strictEqual(syntax.messages[0].column, 3);
+
+    const invalid = await processor.process(
+      "```svguitar\n{\n  fingers: [\n    [1, 2],\n    [2, -1],\n  ],\n}\n```",
+    );
+    assert.strictEqual(invalid.messages[0].ruleId, "invalid-chord");
+    assert.strictEqual(invalid.messages[0].line, 5);
+    assert.strictEqual(invalid.messages[0].column, 9);
+  });
+
+  test("should follow the format option", async () => {
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      format: "json",
+    });
+    const strict = await processor.process(
+      "```svguitar\n{ fingers: [[1, 2]] }\n```",
+    );
+    assert.strictEqual(strict.messages[0].ruleId, "invalid-json");
+
+    const yaml = await processor.process(
+      "```svguitar format=yaml\n{ fingers: [[1, 2]] }\n```",
+    );
+    assert.deepStrictEqual(yaml.messages, []);
+    assert.ok(yaml.toString().includes("<svg"));
+  });
+
+  test("should reject unknown formats", async () => {
+    assert.throws(
+      () => remarkSvguitar({ format: /** @type {any} */ ("toml") }),
+      /Unknown SVGuitar format "toml"/,
+    );
+
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process(
+      '```svguitar format=toml\n{ "fingers": [[1, 2]] }\n```',
+    );
+    assert.strictEqual(file.messages[0].ruleId, "block-options");
+    assert.match(file.messages[0].reason, /Option "format" in svguitar block/);
+    assert.ok(file.toString().includes("<svg"));
+  });
+});
+
+describe("Chord definitions", () => {
+  test("should render references to chords defined in a block", async () => {
+    const input = `\`\`\`svguitar-define
+Cadd9 x32030
+Gsus4 330013
+\`\`\`
+
+Verse
+
+\`\`\`svguitar
+["Cadd9", { "ref": "Gsus4", "title": "G4" }]
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process(input);
+    const output = file.toString();
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.ok(!output.includes("svguitar-define"), "Should remove definitions");
+    assert.ok(output.startsWith("Verse"));
+    assert.strictEqual(output.match(/class="chord-item"/g).length, 2);
+    assert.ok(output.includes(">Cadd9</tspan>"));
+    assert.ok(output.includes(">G4</tspan>"));
+  });
+
+  test("should render references like the chord data they stand for", async () => {
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const defined = await processor.process(`\`\`\`svguitar-define
+Riff:
+  fingers: [[2, 1], [3, 2]]
+  position: 5
+\`\`\`
+
+\`\`\`svguitar
+{ "ref": "Riff", "position": 3 }
+\`\`\``);
+    const inline = await processor.process(`\`\`\`svguitar
+{ "title": "Riff", "fingers": [[2, 1], [3, 2]], "position": 3 }
+\`\`\``);
+
+    // Even the element ids, derived from the chords, are the same
+    assert.strictEqual(defined.toString(), inline.toString());
+  });
+
+  test("should resolve names in chords blocks before the dictionary", async () => {
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process(`\`\`\`svguitar-define
+{ C: "x32013" }
+\`\`\`
+
+\`\`\`chords
+C
+\`\`\``);
+    const dictionary = await processor.process("```chords\nC\n```");
+
+    assert.deepStrictEqual(file.messages, []);
+    assert.notStrictEqual(file.toString(), dictionary.toString());
+  });
+
+  test("should read definitions from front matter", async () => {
+    // Stands in for remark-frontmatter
+    const frontMatter = () => (tree) => {
+      tree.children.unshift({
+        type: "yaml",
+        value: "title: Song\nchords:\n  Cadd9: x32030",
+      });
+    };
+    const processor = remark()
+      .use(frontMatter)
+      .use(remarkSvguitar, { renderer: "dom" });
+    const tree = await processor.run(
+      processor.parse('```svguitar\n"Cadd9"\n```'),
+    );
+
+    assert.strictEqual(tree.children[1].type, "html");
+    assert.ok(tree.children[1].value.includes(">Cadd9</tspan>"));
+
+    // Front matter read by vfile-matter
+    const file = await remark()
+      .use(remarkSvguitar, { renderer: "dom" })
+      .process({
+        value: '```svguitar\n"Gsus4"\n```',
+        data: { matter: { chords: { Gsus4: "330013" } } },
+      });
+    assert.deepStrictEqual(file.messages, []);
+    assert.ok(file.toString().includes(">Gsus4</tspan>"));
+  });
+
+  test("should report undefined references at their position", async () => {
+    const input = `\`\`\`svguitar
+[
+  "Cadd9",
+  { "ref": "Gsus4" }
+]
+\`\`\`
+
+\`\`\`svguitar-define
+Cadd9 x32030
+\`\`\``;
+
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      errorInline: true,
+    });
+    const file = await processor.process(input);
+
+    assert.strictEqual(file.messages.length, 1);
+    assert.strictEqual(file.messages[0].ruleId, "undefined-chord");
+    assert.strictEqual(file.messages[0].reason, 'Chord "Cadd9" is not defined');
+    assert.strictEqual(file.messages[0].line, 3);
+    assert.strictEqual(file.messages[0].column, 3);
+    assert.ok(file.toString().includes("svguitar-error"));
+  });
+
+  test("should report invalid definitions", async () => {
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+    const file = await processor.process(`\`\`\`svguitar-define
+{
+  Am: { fingers: [[2, 1]], barre: [] },
+}
+\`\`\`
+
+\`\`\`svguitar
+"Am"
+\`\`\``);
+
+    assert.strictEqual(file.messages.length, 2);
+    assert.strictEqual(file.messages[0].ruleId, "invalid-chord");
+    assert.match(
+      file.messages[0].reason,
+      /^Chord "Am", field "barre": unknown field/,
+    );
+    assert.strictEqual(file.messages[0].line, 3);
+    assert.strictEqual(file.messages[0].column, 28);
+    assert.strictEqual(file.messages[1].ruleId, "undefined-chord");
+  });
+});
+
+describe("Left-handed and horizontal diagrams", () => {
+  const input = `\`\`\`svguitar
+{ "title": "Am", "fingers": [[2, 1, "1"], [3, 2, "2"], [4, 2, "3"]] }
+\`\`\``;
+
+  test("should mirror the diagrams of left-handed blocks with readable text", async () => {
+    const plain = String(
+      await remark().use(remarkSvguitar, { renderer: "dom" }).process(input),
+    );
+    const file = await remark()
+      .use(remarkSvguitar, { renderer: "dom", leftHanded: true })
+      .process(input);
+    const output = String(file);
+
+    assert.deepStrictEqual(file.messages, []);
+    const [, width] = /viewBox="0 0 ([\d.]+) [\d.]+"/.exec(output);
+    assert.strictEqual(
+      /viewBox="[^"]+"/.exec(output)[0],
+      /viewBox="[^"]+"/.exec(plain)[0],
+      "Should keep the dimensions",
+    );
+    assert.ok(
+      output.includes(
+        `<g class="left-handed" transform="matrix(-1 0 0 1 ${Math.round(Number(width) * 1000) / 1000} 0)">`,
+      ),
+    );
+    const texts = output.match(/<text\b[^>]*>/g);
+    assert.strictEqual(texts.length, plain.match(/<text\b/g).length);
+    assert.ok(texts.every((tag) => /transform="matrix\(-1 0 0 1 /.test(tag)));
+  });
+
+  test("should let blocks choose their hand and orientation", async () => {
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      leftHanded: true,
+      orientation: "horizontal",
+    });
+    const file = await processor.process(
+      `${input.replace("svguitar", "svguitar leftHanded=false orientation=vertical")}\n\n${input}`,
+    );
+    const [upright, lying] = String(file).split("\n\n");
+
+    assert.ok(!upright.includes("left-handed"));
+    assert.ok(lying.includes("left-handed"));
+    const aspect = (html) => {
+      const [, , width, height] = /viewBox="([^"]+)"/
+        .exec(html)[1]
+        .split(" ")
+        .map(Number);
+      return width / height;
+    };
+    // Three frets are shorter than six strings are wide, and turning the diagram swaps them
+    assert.ok(aspect(upright) > 1);
+    assert.ok(aspect(lying) < 1);
+  });
+
+  test("should reject unknown orientations", async () => {
+    assert.throws(
+      () => remarkSvguitar({ orientation: /** @type {any} */ ("diagonal") }),
+      /Unknown SVGuitar orientation "diagonal"/,
+    );
+    const file = await remark()
+      .use(remarkSvguitar, { renderer: "dom" })
+      .process(input.replace("svguitar", "svguitar orientation=sideways"));
+    assert.strictEqual(file.messages[0].ruleId, "block-options");
+    assert.match(
+      file.messages[0].reason,
+      /Option "orientation" in svguitar block expects one of vertical, horizontal/,
+    );
+  });
+});
+
+describe("Element ids", () => {
+  test("should derive ids from the chords, unique in the page", async () => {
+    const input = `\`\`\`chords
+Am C
+\`\`\`
+
+\`\`\`chords
+Am C
+\`\`\``;
+    const processor = remark().use(remarkSvguitar, { renderer: "dom" });
+
+    const first = String(await processor.process(input));
+    const second = String(await processor.process(input));
+
+    const ids = [...first.matchAll(/ id="([^"]+)"/g)].map((match) => match[1]);
+    assert.strictEqual(ids.length, 4);
+    assert.strictEqual(new Set(ids).size, 4);
+    assert.match(ids[0], /^chord-block-[0-9a-f]{8}-0$/);
+    assert.strictEqual(ids[2], ids[0].replace(/-0$/, "-2-0"));
+    assert.strictEqual(second, first);
+  });
+});
+
+describe("Computed voicings", () => {
+  test("should render the top voicings of a chord symbol", async () => {
+    const input = `\`\`\`svguitar
+{ "symbol": "Cmaj7", "voicings": 3 }
+\`\`\``;
+
+    const output = String(
+      await remark().use(remarkSvguitar, { renderer: "dom" }).process(input),
+    );
+
+    assert.strictEqual(output.split("<svg").length - 1, 3);
+    assert.strictEqual(output.split(">Cmaj7</tspan>").length - 1, 3);
+  });
+
+  test("should fall back to computed voicings in chords blocks", async () => {
+    const input = `\`\`\`chords
+Am Cmaj7#11 F#m7b5
+\`\`\``;
+
+    const file = await remark()
+      .use(remarkSvguitar, { renderer: "dom" })
+      .process(input);
+    const output = String(file);
+
+    assert.strictEqual(file.messages.length, 0);
+    assert.ok(output.includes(">Cmaj7#11</tspan>"));
+    assert.ok(output.includes(">F#m7b5</tspan>"));
+  });
+
+  test("should compute the chords of chords blocks on other instruments", async () => {
+    const processor = remark().use(remarkSvguitar, {
+      renderer: "dom",
+      // Entries of the user's dictionary are used on every instrument
+      chordDictionary: { Gsus4: "0233" },
+    });
+    for (const [meta, chords] of [
+      ["instrument=ukulele", "C Am F G Gsus4"],
+      ["instrument=guitar-7", "C Am F G"],
+      ['tuning="D A D G B E"', "C Am F G"],
+    ]) {
+      const file = await processor.process(
+        `\`\`\`chords ${meta}\n${chords}\n\`\`\``,
+      );
+      const output = String(file);
+
+      assert.deepStrictEqual(file.messages, [], meta);
+      for (const name of chords.split(" ")) {
+        assert.ok(output.includes(`>${name}</tspan>`), `${meta}: ${name}`);
+      }
+    }
+  });
+
+  test("should compute voicings on the block's instrument", async () => {
+    const input = `\`\`\`svguitar instrument=ukulele
+{ "symbol": "Am7", "voicings": 2 }
+\`\`\``;
+
+    const output = String(
+      await remark().use(remarkSvguitar, { renderer: "dom" }).process(input),
+    );
+
+    assert.strictEqual(output.split(">Am7</tspan>").length - 1, 2);
+  });
+
+  test("should report symbols and fields of voicing requests where they are", async () => {
+    const input = `\`\`\`svguitar
+[
+  { "symbol": "Am" },
+  { "symbol": "Cfoo" }
+]
+\`\`\`
+
+\`\`\`svguitar
+{ "symbol": "C", "voicing": 2 }
+\`\`\``;
+
+    const file = await remark()
+      .use(remarkSvguitar, { renderer: "dom" })
+      .process(input);
+
+    assert.deepStrictEqual(
+      file.messages.map(({ ruleId, line }) => [ruleId, line]),
+      [
+        ["unknown-chord", 4],
+        ["invalid-chord", 9],
+      ],
+    );
+    assert.match(file.messages[0].reason, /Cannot spell chord "Cfoo"/);
+    assert.match(file.messages[1].reason, /Unknown field "voicing"/);
+  });
+});
+
 describe("Cleanup", () => {
   test("should provide closeBrowser function", () => {
     assert.ok(
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Tests for SVG content bounds used to crop compact LilyPond output
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  getContentBounds,
+  parseSvg,
+  parseTransform,
+} from "../plugins/remark-lilypond/svg-bbox.js";
+
+/**
+ * Wraps markup in an SVG root element
+ * @param {string} body - SVG content
+ * @returns {string} SVG document
+ */
+const svg = (body) =>
+  `<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">${body}</svg>`;
+
+/**
+ * Asserts bounds equal the expected box up to rounding errors
+ * @param {import("../plugins/remark-lilypond/svg-bbox.js").BBox | null} actual
+ * @param {[number, number, number, number]} expected - minX, minY, maxX, maxY
+ */
+const assertBounds = (actual, expected) => {
+  assert.ok(actual, "expected bounds");
+  const values = [actual.minX, actual.minY, actual.maxX, actual.maxY];
+  values.forEach((value, i) =>
+    assert.ok(
+      Math.abs(value - expected[i]) < 1e-6,
+      `expected [${values}] to equal [${expected}]`,
+    ),
+  );
+};
+
+describe("parseSvg", () => {
+  test("should build an element tree with attributes and text", () => {
+    const root = parseSvg(
+      svg(
+        `<!-- note --><g id="a"><text x='1'>A &amp; B</text><path d="M0 0"/></g>`,
+      ),
+    );
+
+    assert.strictEqual(root?.name, "svg");
+    const [group] = root.children;
+    assert.strictEqual(group.attributes.id, "a");
+    assert.deepStrictEqual(
+      group.children.map((child) => child.name),
+      ["text", "path"],
+    );
+    assert.strictEqual(group.children[0].text, "A & B");
+    assert.strictEqual(group.children[0].attributes.x, "1");
+  });
+
+  test("should return null without an svg element", () => {
+    assert.strictEqual(parseSvg("<html></html>"), null);
+  });
+});
+
+describe("parseTransform", () => {
+  test("should compose transform lists left to right", () => {
+    assert.deepStrictEqual(
+      parseTransform("translate(10, 20) scale(2)"),
+      [2, 0, 0, 2, 10, 20],
+    );
+    assert.deepStrictEqual(
+      parseTransform("matrix(1 0 0 -1 5 6)"),
+      [1, 0, 0, -1, 5, 6],
+    );
+  });
+});
+
+describe("getContentBounds", () => {
+  test("should measure lines, rects and circles", () => {
+    assertBounds(
+      getContentBounds(
+        svg(
+          `<line x1="10" y1="20" x2="50" y2="20"/><rect x="5" y="30" width="10" height="5"/><circle cx="60" cy="60" r="4"/>`,
+        ),
+      ),
+      [5, 20, 64, 64],
+    );
+  });
+
+  test("should apply nested transforms to path extents", () => {
+    // Glyphs in LilyPond SVG are scaled and flipped inside translated groups
+    assertBounds(
+      getContentBounds(
+        svg(
+          `<g transform="translate(10, 20)"><g transform="scale(2, -2)"><path d="M0 0 L5 0 L5 3 Z"/></g></g>`,
+        ),
+      ),
+      [10, 14, 20, 20],
+    );
+  });
+
+  test("should follow relative path commands", () => {
+    assertBounds(
+      getContentBounds(svg(`<path d="m10 10 h5 v5 l-10 2 z"/>`)),
+      [5, 10, 15, 17],
+    );
+  });
+
+  test("should include curve extrema beyond the end points", () => {
+    // A cubic from (0,0) to (10,0) bulging upwards peaks at y = -7.5
+    assertBounds(
+      getContentBounds(svg(`<path d="M0 0 C0 -10 10 -10 10 0"/>`)),
+      [0, -7.5, 10, 0],
+    );
+    // A quadratic from (0,0) to (10,0) peaks at y = 5
+    assertBounds(
+      getContentBounds(svg(`<path d="M0 0 Q5 10 10 0"/>`)),
+      [0, 0, 10, 5],
+    );
+  });
+
+  test("should include the full extent of arcs", () => {
+    const bounds = getContentBounds(svg(`<path d="M0 0 A5 5 0 0 1 10 0"/>`));
+    assert.ok(bounds);
+    assert.ok(Math.abs(bounds.minY + 5) < 0.1, `minY was ${bounds.minY}`);
+  });
+
+  test("should widen stroked shapes by half the stroke width", () => {
+    assertBounds(
+      getContentBounds(
+        svg(
+          `<line x1="0" y1="10" x2="20" y2="10" stroke="currentColor" stroke-width="2"/>`,
+        ),
+      ),
+      [-1, 9, 21, 11],
+    );
+  });
+
+  test("should estimate text extents from font size and anchor", () => {
+    const bounds = getContentBounds(
+      svg(
+        `<text transform="translate(50, 40)" font-size="10" text-anchor="middle"><tspan>Allegro</tspan></text>`,
+      ),
+    );
+
+    assert.ok(bounds);
+    // Centered around x = 50, above and slightly below the baseline
+    assert.ok(Math.abs(bounds.minX + bounds.maxX - 100) < 1e-6);
+    assert.ok(bounds.maxX - bounds.minX > 30);
+    assert.ok(bounds.minY < 40 && bounds.maxY > 40);
+  });
+
+  test("should ignore definitions and hidden elements", () => {
+    assertBounds(
+      getContentBounds(
+        svg(
+          `<defs><rect x="-100" y="-100" width="10" height="10"/></defs><rect x="0" y="0" width="1" height="1" display="none"/><rect x="5" y="5" width="1" height="1"/>`,
+        ),
+      ),
+      [5, 5, 6, 6],
+    );
+  });
+
+  test("should return null when nothing is painted", () => {
+    assert.strictEqual(getContentBounds(svg("<g></g>")), null);
+  });
+});
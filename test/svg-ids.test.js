@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Tests for the id namespacing of inlined SVG diagrams
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  createIdNamespacer,
+  namespaceSvgIds,
+} from "../plugins/shared/svg-ids.js";
+
+describe("createIdNamespacer", () => {
+  test("should name diagrams after their source", () => {
+    const first = createIdNamespacer("chord-block");
+    const second = createIdNamespacer("chord-block");
+
+    const name = first("Am");
+    assert.match(name, /^chord-block-[0-9a-f]{8}$/);
+    assert.strictEqual(second("Am"), name);
+    assert.notStrictEqual(first("C"), name);
+  });
+
+  test("should number the copies of a repeated source", () => {
+    const namespace = createIdNamespacer("lilypond");
+    const name = namespace("{ c' }");
+    assert.strictEqual(namespace("{ c' }"), `${name}-2`);
+    assert.strictEqual(namespace("{ c' }"), `${name}-3`);
+  });
+});
+
+describe("namespaceSvgIds", () => {
+  test("should rename ids and the references to them", () => {
+    const svg =
+      '<svg><defs><clipPath id="c"><rect/></clipPath><path id="p"/></defs>' +
+      '<g clip-path="url(#c)" style="fill: url(\'#c\')"><use xlink:href="#p"/><a href="#top"/></g></svg>';
+
+    assert.strictEqual(
+      namespaceSvgIds(svg, "ns"),
+      '<svg><defs><clipPath id="ns-id1"><rect/></clipPath><path id="ns-id2"/></defs>' +
+        '<g clip-path="url(#ns-id1)" style="fill: url(\'#ns-id1\')"><use xlink:href="#ns-id2"/><a href="#top"/></g></svg>',
+    );
+  });
+
+  test("should resolve references within their own SVG", () => {
+    const page = '<svg><path id="glyph"/><use href="#glyph"/></svg>';
+
+    assert.strictEqual(
+      namespaceSvgIds(`<div>${page}${page}</div>`, "ns"),
+      '<div><svg><path id="ns-id1"/><use href="#ns-id1"/></svg>' +
+        '<svg><path id="ns-id2"/><use href="#ns-id2"/></svg></div>',
+    );
+  });
+
+  test("should leave SVGs without ids untouched", () => {
+    const markup = '<svg viewBox="0 0 1 1"><path d="M0 0"/></svg>';
+    assert.strictEqual(namespaceSvgIds(markup, "ns"), markup);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Tests for the chord spelling and voicing search of remark-svguitar
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert";
+
+import {
+  computeChord,
+  findVoicings,
+  resolveVoicingRequests,
+  spellChord,
+} from "../plugins/remark-svguitar/voicings.js";
+
+/**
+ * @param {string} symbol - Chord symbol
+ * @returns {string[]} Degrees of the chord tones, optional ones marked with "?"
+ */
+const degrees = (symbol) =>
+  spellChord(symbol).tones.map(
+    ({ degree, required }) => degree + (required ? "" : "?"),
+  );
+
+/**
+ * @param {string} symbol - Chord symbol
+ * @param {import("../plugins/remark-svguitar/voicings.js").VoicingSearchOptions} [options] - Search options
+ * @returns {string[]} Voicings written as fret lists
+ */
+const voicings = (symbol, options) =>
+  findVoicings(symbol, options).map((frets) => frets.join(","));
+
+describe("spellChord", () => {
+  test("should spell triads, sevenths and extensions", () => {
+    assert.deepStrictEqual(degrees("C"), ["R", "3", "5?"]);
+    assert.deepStrictEqual(degrees("F#m7b5"), ["R", "b3", "b5", "b7"]);
+    assert.deepStrictEqual(degrees("Cmaj7#11"), ["R", "3", "5?", "7", "#11"]);
+    assert.deepStrictEqual(degrees("Bdim7"), ["R", "b3", "b5", "bb7"]);
+    assert.deepStrictEqual(degrees("G13"), ["R", "3", "5?", "b7", "9?", "13"]);
+    assert.deepStrictEqual(degrees("E7#9"), ["R", "3", "5?", "b7", "#9"]);
+    assert.deepStrictEqual(degrees("Dsus2"), ["R", "5?", "2"]);
+    assert.deepStrictEqual(degrees("AmMaj7"), ["R", "b3", "5?", "7"]);
+  });
+
+  test("should read the pitches of the root and the bass", () => {
+    const { root, bass, tones } = spellChord("D/F#");
+    assert.strictEqual(root, 2);
+    assert.strictEqual(bass, 6);
+    assert.deepStrictEqual(
+      tones.map(({ pitch }) => pitch),
+      [2, 6, 9],
+    );
+  });
+
+  test("should reject qualities it cannot read", () => {
+    assert.throws(
+      () => spellChord("Cfoo"),
+      /Cannot spell chord "Cfoo": unexpected "foo" in its quality/,
+    );
+    assert.throws(() => spellChord("H7"), /"H7" is not a chord symbol/);
+    assert.throws(() => spellChord("Am:2"), /"Am:2" is not a chord symbol/);
+  });
+});
+
+describe("findVoicings", () => {
+  test("should find the open chords first", () => {
+    assert.deepStrictEqual(voicings("C"), ["x,3,2,0,1,0"]);
+    assert.deepStrictEqual(voicings("Am7"), ["x,0,2,0,1,0"]);
+    assert.deepStrictEqual(voicings("F#m7b5"), ["2,0,2,2,1,0"]);
+  });
+
+  test("should rank several voicings, each sounding every required tone", () => {
+    const found = findVoicings("Cmaj7#11", { count: 3 });
+    assert.strictEqual(found.length, 3);
+    assert.strictEqual(new Set(found.map(String)).size, 3);
+    const open = [4, 9, 2, 7, 11, 4];
+    for (const frets of found) {
+      const pitches = frets.flatMap((fret, index) =>
+        fret === "x" ? [] : [(open[index] + fret) % 12],
+      );
+      // C, E, B and F# sound, and C is lowest
+      assert.ok([0, 4, 11, 6].every((pitch) => pitches.includes(pitch)));
+      assert.strictEqual(pitches[0], 0);
+    }
+  });
+
+  test("should play the bass of slash chords lowest", () => {
+    assert.deepStrictEqual(voicings("D/F#"), ["2,0,0,2,3,2"]);
+  });
+
+  test("should keep the hand at the requested position", () => {
+    assert.deepStrictEqual(voicings("A", { position: 5 }), ["5,7,7,6,5,5"]);
+    for (const frets of findVoicings("G7", { position: 3, count: 5 })) {
+      assert.ok(
+        frets.every(
+          (fret) => fret === "x" || fret === 0 || (fret >= 3 && fret <= 6),
+        ),
+      );
+    }
+  });
+
+  test("should follow the tuning and limit the stretch", () => {
+    assert.deepStrictEqual(voicings("C", { tuning: ["G", "C", "E", "A"] }), [
+      "0,0,0,3",
+    ]);
+    for (const frets of findVoicings("Bbmaj9", { count: 5, maxStretch: 3 })) {
+      const fretted = frets.filter(
+        (fret) => typeof fret === "number" && fret > 0,
+      );
+      assert.ok(Math.max(...fretted) - Math.min(...fretted) < 3);
+    }
+  });
+
+  test("should return no voicing when none fits", () => {
+    assert.deepStrictEqual(
+      findVoicings("C13", { tuning: ["E", "A", "D"] }),
+      [],
+    );
+  });
+});
+
+describe("computeChord", () => {
+  test("should return chord data titled with the symbol", () => {
+    assert.deepStrictEqual(
+      computeChord("F", 1, ["E", "A", "D", "G", "B", "E"]),
+      {
+        fingers: [
+          [5, 3],
+          [4, 3],
+          [3, 2],
+        ],
+        barres: [{ fromString: 6, toString: 1, fret: 1 }],
+        title: "F",
+      },
+    );
+  });
+
+  test("should return null for unknown symbols and tunings", () => {
+    assert.strictEqual(computeChord("Cfoo", 1, ["E", "A", "D", "G"]), null);
+    assert.strictEqual(computeChord("C", 1, null), null);
+  });
+});
+
+describe("resolveVoicingRequests", () => {
+  const GUITAR = ["E", "A", "D", "G", "B", "E"];
+
+  test("should replace requests with their voicings", () => {
+    const chords = resolveVoicingRequests(
+      [
+        { fingers: [], title: "N.C." },
+        { symbol: "Am", voicings: 2 },
+      ],
+      GUITAR,
+    );
+    assert.deepStrictEqual(
+      chords.map(({ title }) => title),
+      ["N.C.", "Am", "Am"],
+    );
+    assert.strictEqual(
+      resolveVoicingRequests({ symbol: "Em", title: "E minor" }, GUITAR).title,
+      "E minor",
+    );
+  });
+
+  test("should leave chord data without requests alone", () => {
+    const data = [{ fingers: [[1, 0]] }];
+    assert.strictEqual(resolveVoicingRequests(data, GUITAR), data);
+  });
+
+  test("should report invalid requests with the path of the offending value", () => {
+    const failure = (data, tuning = GUITAR) => {
+      try {
+        resolveVoicingRequests(data, tuning);
+      } catch (error) {
+        return [error.message, error.path, error.unknownField];
+      }
+      return null;
+    };
+
+    assert.deepStrictEqual(failure([{ symbol: "C", voicings: 0 }]), [
+      '"voicings" must be an integer from 1 to 12, got 0',
+      [0, "voicings"],
+      false,
+    ]);
+    assert.deepStrictEqual(failure({ symbol: "C", fret: 3 })?.slice(1), [
+      ["fret"],
+      true,
+    ]);
+    assert.match(
+      failure({ symbol: "C" }, null)[0],
+      /need the tuning of the strings/,
+    );
+    assert.deepStrictEqual(
+      failure({ symbol: "C13", maxStretch: 2, position: 1 }),
+      [
+        'No playable voicing of "C13" within 2 frets at fret 1',
+        ["symbol"],
+        false,
+      ],
+    );
+  });
+});
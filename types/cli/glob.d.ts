@@ -0,0 +1,21 @@
+/**
+ * Expands input patterns, for shells that pass them unexpanded (or when they
+ * are quoted). `*` and `?` match within a path segment, `**` across segments
+ * and `{a,b}` either alternative; hidden files and `node_modules` are only
+ * searched when the pattern names them. Paths without glob characters are
+ * kept as they are, to be reported if they cannot be read.
+ * @param {string[]} patterns - Paths and glob patterns, relative to cwd
+ * @param {string} cwd - Directory the patterns are relative to
+ * @returns {Promise<string[]>} Absolute paths, each pattern's matches sorted, without duplicates
+ * @throws {Error} When a glob pattern matches no file
+ */
+export function expandInputs(
+  patterns: string[],
+  cwd: string,
+): Promise<string[]>;
+/**
+ * Converts a glob pattern to a regular expression over `/`-separated paths
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Expression matching the whole path
+ */
+export function globToRegExp(pattern: string): RegExp;
@@ -0,0 +1,49 @@
+/**
+ * Wraps rendered markdown in a standalone HTML page, loading the MIDI player
+ * script when the page has a player
+ * @param {{ title: string, body: string, midiPlayerScript?: string }} page - Page title, rendered markdown and URL of the MIDI player script, left out when not given
+ * @returns {string} HTML document
+ */
+export function htmlDocument({
+  title,
+  body,
+  midiPlayerScript,
+}: {
+  title: string;
+  body: string;
+  midiPlayerScript?: string;
+}): string;
+/**
+ * Finds the title of a markdown document: its first level 1 heading, or else
+ * the file name
+ * @param {import("mdast").Root} tree - Markdown syntax tree
+ * @param {string} fallback - Title when the document has no heading
+ * @returns {string} Title
+ */
+export function documentTitle(
+  tree: import("mdast").Root,
+  fallback: string,
+): string;
+/**
+ * Tells URLs (`https://…`, `//…`, `data:…`) from file paths
+ * @param {string} reference - URL or path
+ * @returns {boolean} True for a URL
+ */
+export function isUrl(reference: string): boolean;
+/**
+ * Prints an HTML page to an A4 PDF with page numbers
+ * @param {string} html - HTML document
+ * @param {string} path - PDF file to write
+ * @param {import("../plugins/remark-svguitar/browser-manager.js").BrowserManager} browsers - Browsers to print with
+ * @returns {Promise<void>}
+ */
+export function printPdf(
+  html: string,
+  path: string,
+  browsers: import("../plugins/remark-svguitar/browser-manager.js").BrowserManager,
+): Promise<void>;
+/**
+ * Local copy of the html-midi-player bundle loaded by pages with a MIDI
+ * player, so that they work offline
+ */
+export const DEFAULT_MIDI_PLAYER_SCRIPT: "midi-player.js";
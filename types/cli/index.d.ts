@@ -0,0 +1,80 @@
+/**
+ * @typedef {Object} RunContext
+ * @property {string} [cwd=process.cwd()] - Directory the paths of the command line are relative to
+ * @property {{ write: (text: string) => any }} [stdout=process.stdout] - Receives the files written
+ * @property {{ write: (text: string) => any }} [stderr=process.stderr] - Receives errors and warnings
+ */
+/**
+ * @typedef {Object} BuildTarget
+ * @property {string} input - Absolute path of the markdown file
+ * @property {string} output - Absolute path of the file to write
+ * @property {"html" | "pdf"} format - Format of the output
+ */
+/**
+ * Runs the music-md command line. Every file is rendered even when another
+ * fails; browsers launched for chord diagrams or PDF are closed before
+ * returning.
+ * @param {string[]} args - Arguments after the program name
+ * @param {RunContext} [context={}] - Working directory and output streams
+ * @returns {Promise<number>} Exit code: EXIT_OK, EXIT_RENDER_ERROR or EXIT_USAGE
+ */
+export function run(args: string[], context?: RunContext): Promise<number>;
+/**
+ * Decides where each input is written. A single input may be given an output
+ * file; otherwise the output is a directory, or each file is written next to
+ * its input, in the format chosen with `--to`.
+ * @param {string[]} inputs - Absolute paths of the markdown files
+ * @param {import("./options.js").CommandLine} commandLine - Command line
+ * @param {string} cwd - Directory the output path is relative to
+ * @returns {BuildTarget[]} Input, output and format of each file
+ * @throws {Error} When an output file is given for several inputs, or inputs would overwrite each other
+ */
+export function planTargets(
+  inputs: string[],
+  commandLine: import("./options.js").CommandLine,
+  cwd: string,
+): BuildTarget[];
+/**
+ * Exit code of a run whose documents rendered without errors
+ */
+export const EXIT_OK: 0;
+/**
+ * Exit code of a run where a block or a file failed to render
+ */
+export const EXIT_RENDER_ERROR: 1;
+/**
+ * Exit code of an invalid command line
+ */
+export const EXIT_USAGE: 2;
+export type RunContext = {
+  /**
+   * - Directory the paths of the command line are relative to
+   */
+  cwd?: string;
+  /**
+   * - Receives the files written
+   */
+  stdout?: {
+    write: (text: string) => any;
+  };
+  /**
+   * - Receives errors and warnings
+   */
+  stderr?: {
+    write: (text: string) => any;
+  };
+};
+export type BuildTarget = {
+  /**
+   * - Absolute path of the markdown file
+   */
+  input: string;
+  /**
+   * - Absolute path of the file to write
+   */
+  output: string;
+  /**
+   * - Format of the output
+   */
+  format: "html" | "pdf";
+};
@@ -0,0 +1,78 @@
+/**
+ * Reads the command line
+ * @param {string[]} args - Arguments after the program name
+ * @returns {CommandLine} Command, inputs and plugin options
+ * @throws {Error} When an option is unknown, misses its value or has an invalid one
+ */
+export function parseCommandLine(args: string[]): CommandLine;
+/**
+ * @typedef {Object} CommandLine
+ * @property {boolean} help - Print the usage and exit
+ * @property {boolean} version - Print the version and exit
+ * @property {string | undefined} command - Command to run, "build"
+ * @property {string[]} inputs - Markdown files or glob patterns
+ * @property {string} [output] - Output file, or directory for several inputs
+ * @property {"html" | "pdf"} [to] - Output format when the output is not a file name
+ * @property {string} [midiPlayerScript] - URL of the MIDI player script, or local file referenced relative to each page
+ * @property {import("../plugins/remark-lilypond/index.js").LilyPondOptions} lilypond - Options of remark-lilypond
+ * @property {import("../plugins/remark-svguitar/index.js").SVGuitarOptions} svguitar - Options of remark-svguitar, without the files read by the command
+ * @property {import("../plugins/remark-fretboard/index.js").FretboardOptions} fretboard - Options of remark-fretboard
+ * @property {{ chordDictionary?: string, svguitarConfig?: string }} files - Option files, read as JSON5 or YAML
+ */
+/**
+ * Output formats, chosen by the extension of the output file or with `--to`
+ */
+export const OUTPUT_FORMATS: string[];
+/**
+ * Usage shown by `music-md --help`
+ */
+export const USAGE: "Usage: music-md build <files or globs...> [options]\n\nRenders markdown with music notation to HTML or PDF.\n\nOutput:\n  -o, --output <path>          Output file (.html or .pdf), or directory for several inputs\n      --to <html|pdf>          Format written next to the inputs or into the output directory (default: html)\n\nEvery plugin:\n      --error-inline           Show rendering errors in the document\n      --skip-on-missing        Leave blocks as they are when LilyPond or the browser is missing\n      --instrument <name>      Instrument of chord and fretboard diagrams, e.g. ukulele\n      --tuning <notes>         Tuning of chord and fretboard diagrams, e.g. DADGAD\n\nLilyPond:\n      --lilypond-binary <path> LilyPond executable (default: lilypond)\n      --no-compact             Keep the tagline and the whitespace of the page\n      --compact-padding <n>    Space kept around cropped scores, in staff spaces\n      --concurrency <n>        LilyPond processes running at once\n      --cache <dir>            Reuse the SVG of unchanged blocks, stored in this directory\n      --midi                   Produce MIDI for every block\n      --midi-dir <dir>         Write MIDI files to this directory instead of embedding them\n      --midi-url <url>         URL prefix of the MIDI files written to --midi-dir\n      --no-midi-player         Only link MIDI files, without a player\n      --midi-player-script <path> Script of the MIDI player in HTML pages, a local file or a URL (default: midi-player.js)\n      --split-systems          One SVG per system instead of one per page\n      --preamble <code>        LilyPond source prepended to every block\n      --preamble-file <path>   File prepended to every block\n  -I, --include-path <dir>     Directory searched for \\include files; repeatable\n      --safe                   Reject unsafe LilyPond input\n      --timeout <ms>           Stop LilyPond after this long per block\n\nSVGuitar:\n      --renderer <name>        puppeteer (default) or dom, which needs no browser\n      --chord-format <format>  Syntax of chord data: auto, json, json5 or yaml\n      --left-handed            Mirror chord diagrams\n      --orientation <name>     vertical or horizontal chord diagrams\n      --chord-dictionary <path> JSON5 or YAML file of chords for chords blocks\n      --svguitar-config <path> JSON5 or YAML file of SVGuitar settings\n      --puppeteer-options <json> Options of puppeteer.launch(), also used to print PDF\n\nFretboard:\n      --labels <kind>          Text in fretboard notes: note, interval or none\n\n  -h, --help                   Show this help\n  -v, --version                Show the version\n";
+export type CommandLine = {
+  /**
+   * - Print the usage and exit
+   */
+  help: boolean;
+  /**
+   * - Print the version and exit
+   */
+  version: boolean;
+  /**
+   * - Command to run, "build"
+   */
+  command: string | undefined;
+  /**
+   * - Markdown files or glob patterns
+   */
+  inputs: string[];
+  /**
+   * - Output file, or directory for several inputs
+   */
+  output?: string;
+  /**
+   * - Output format when the output is not a file name
+   */
+  to?: "html" | "pdf";
+  /**
+   * - URL of the MIDI player script, or local file referenced relative to each page
+   */
+  midiPlayerScript?: string;
+  /**
+   * - Options of remark-lilypond
+   */
+  lilypond: import("../plugins/remark-lilypond/index.js").LilyPondOptions;
+  /**
+   * - Options of remark-svguitar, without the files read by the command
+   */
+  svguitar: import("../plugins/remark-svguitar/index.js").SVGuitarOptions;
+  /**
+   * - Options of remark-fretboard
+   */
+  fretboard: import("../plugins/remark-fretboard/index.js").FretboardOptions;
+  /**
+   * - Option files, read as JSON5 or YAML
+   */
+  files: {
+    chordDictionary?: string;
+    svguitarConfig?: string;
+  };
+};
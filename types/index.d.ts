@@ -1,14 +1,25 @@
-export { default as remarkLilypond } from "./plugins/remark-lilypond/index.js";
+export { default as remarkFretboard } from "./plugins/remark-fretboard/index.js";
 declare namespace _default {
   export { remarkLilypond };
   export { remarkSvguitar };
+  export { remarkFretboard };
   export { closeBrowser };
+  export { createBrowserManager };
+  export { createLilyPondCache };
 }
 export default _default;
 import remarkLilypond from "./plugins/remark-lilypond/index.js";
 import remarkSvguitar from "./plugins/remark-svguitar/index.js";
+import remarkFretboard from "./plugins/remark-fretboard/index.js";
 import { closeBrowser } from "./plugins/remark-svguitar/index.js";
+import { createBrowserManager } from "./plugins/remark-svguitar/index.js";
+import { createLilyPondCache } from "./plugins/remark-lilypond/index.js";
+export {
+  default as remarkLilypond,
+  createLilyPondCache,
+} from "./plugins/remark-lilypond/index.js";
 export {
   default as remarkSvguitar,
   closeBrowser,
+  createBrowserManager,
 } from "./plugins/remark-svguitar/index.js";
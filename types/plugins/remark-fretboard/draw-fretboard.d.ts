@@ -0,0 +1,76 @@
+/**
+ * Draws the neck between two frets: strings from the highest at the top, the
+ * nut when the range starts at 0, inlays, fret numbers below, and a marker per note
+ * @param {FretboardDrawing} drawing - What to draw
+ * @returns {string} SVG element
+ */
+export function drawFretboard({
+  tuning,
+  frets,
+  notes,
+  title,
+  width,
+  style,
+}: FretboardDrawing): string;
+export type FretboardNote = {
+  /**
+   * - String number, 1 being the highest
+   */
+  string: number;
+  /**
+   * - Fret, 0 for the open string
+   */
+  fret: number;
+  /**
+   * - Text in the marker, empty for none
+   */
+  label: string;
+  /**
+   * - Drawn with the root color
+   */
+  root: boolean;
+};
+export type FretboardStyle = {
+  /**
+   * - Neck lines and text
+   */
+  color: string;
+  /**
+   * - Fill of the note markers
+   */
+  noteColor: string;
+  /**
+   * - Fill of the root markers
+   */
+  rootColor: string;
+  /**
+   * - Font of every text
+   */
+  fontFamily: string;
+};
+export type FretboardDrawing = {
+  /**
+   * - Open string names, from the lowest string
+   */
+  tuning: string[];
+  /**
+   * - First and last fret shown; 0 shows the nut and open strings
+   */
+  frets: [number, number];
+  /**
+   * - Notes to highlight
+   */
+  notes: FretboardNote[];
+  /**
+   * - Text above the neck
+   */
+  title?: string;
+  /**
+   * - Width in pixels, the height follows the aspect ratio
+   */
+  width?: number;
+  /**
+   * - Colors and font
+   */
+  style: FretboardStyle;
+};
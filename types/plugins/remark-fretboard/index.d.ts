@@ -0,0 +1,100 @@
+/**
+ * Works out the notes, fret range and title of a fretboard spec
+ * @param {unknown} spec - Parsed block content
+ * @param {string[]} tuning - Open string names, from the lowest string
+ * @param {"note" | "interval" | "none"} labels - Text in the note markers
+ * @returns {Omit<import("./draw-fretboard.js").FretboardDrawing, "style" | "width">} What to draw
+ * @throws {Error & { path?: (string | number)[] }} When the spec is invalid, with the path of the offending value
+ */
+export function layoutFretboard(
+  spec: unknown,
+  tuning: string[],
+  labels: "note" | "interval" | "none",
+): Omit<import("./draw-fretboard.js").FretboardDrawing, "style" | "width">;
+export { SCALES } from "./scales.js";
+export default remarkFretboard;
+export type FretboardOptions = {
+  /**
+   * - Whether to display errors inline or only report them
+   */
+  errorInline?: boolean;
+  /**
+   * - Instrument setting the strings and their labels, e.g. "bass" (see INSTRUMENTS of remark-svguitar)
+   */
+  instrument?: string;
+  /**
+   * - Tuning from the lowest string, e.g. "DADGAD"; wins over instrument
+   */
+  tuning?: string;
+  /**
+   * - Text in the note markers: note names, degrees from the root, or nothing
+   */
+  labels?: "note" | "interval" | "none";
+  /**
+   * - Syntax of the block content
+   */
+  format?: "auto" | "json" | "json5" | "yaml";
+  /**
+   * - Color of the neck and texts
+   */
+  color?: string;
+  /**
+   * - Fill of the note markers
+   */
+  noteColor?: string;
+  /**
+   * - Fill of the root markers
+   */
+  rootColor?: string;
+  /**
+   * - Font of every text
+   */
+  fontFamily?: string;
+};
+export type FretboardBlockOptions = {
+  /**
+   * - Overrides the plugin-level errorInline for this block
+   */
+  errorInline?: boolean;
+  /**
+   * - Width in pixels of the diagram
+   */
+  width?: number;
+  /**
+   * - Replaces the title of the diagram
+   */
+  title?: string;
+};
+/**
+ * Content of a fretboard block: a scale, or positions placed by hand
+ */
+export type FretboardSpec = {
+  /**
+   * - Root and scale, e.g. "A minor pentatonic" or "G7 arpeggio"
+   */
+  scale?: string;
+  /**
+   * - Notes as [string, fret] or [string, fret, label], string 1 being the highest
+   */
+  positions?: (number | string)[][];
+  /**
+   * - Root of the positions, marked and used for interval labels
+   */
+  root?: string;
+  /**
+   * - First and last fret shown, [0, 12] for a scale by default
+   */
+  frets?: [number, number];
+  /**
+   * - Text above the neck, the scale by default
+   */
+  title?: string;
+};
+/**
+ * Remark plugin to transform fretboard code blocks into inline SVG diagrams
+ * @param {FretboardOptions} [options={}] - Plugin configuration options
+ * @returns {(tree: import('unist').Node, file?: import('vfile').VFile) => void} Unified transformer
+ */
+declare function remarkFretboard(
+  options?: FretboardOptions,
+): (tree: import("unist").Node, file?: import("vfile").VFile) => void;
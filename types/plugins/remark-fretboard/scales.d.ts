@@ -0,0 +1,58 @@
+/**
+ * Names a pitch class
+ * @param {number} pitch - Pitch class
+ * @param {boolean} flats - Spell black keys with flats
+ * @returns {string} Note name
+ */
+export function noteName(pitch: number, flats: boolean): string;
+/**
+ * Reads a scale such as "A minor pentatonic", "Bb blues" or "E7 arpeggio"
+ * @param {string} spec - Root followed by a scale name
+ * @returns {{ root: number, flats: boolean, notes: ScaleNote[] }} Root pitch class, spelling and notes of the scale
+ * @throws {Error} When the root or the scale name is unknown
+ */
+export function parseScale(spec: string): {
+  root: number;
+  flats: boolean;
+  notes: ScaleNote[];
+};
+/**
+ * Names the degree of a note above a root, for notes placed by hand
+ * @param {number} pitch - Pitch class of the note
+ * @param {number} root - Pitch class of the root
+ * @returns {string} Degree such as "R", "b3" or "5"
+ */
+export function intervalName(pitch: number, root: number): string;
+/**
+ * Decides how to spell the notes of a key: as its root is written, or else
+ * like the key signature of its relative major
+ * @param {string} rootName - Root as written
+ * @param {number} relativeMajor - Pitch class of the relative major tonic
+ * @returns {boolean} True for flats
+ */
+export function prefersFlats(rootName: string, relativeMajor: number): boolean;
+/**
+ * Scales and arpeggios by name, as written after the root: "A minor pentatonic", "G7 arpeggio"
+ * @type {Readonly<Record<string, Scale>>}
+ */
+export const SCALES: Readonly<Record<string, Scale>>;
+export type Scale = {
+  /**
+   * - Degrees from the root, e.g. ["1", "b3", "4", "5", "b7"]
+   */
+  intervals: string[];
+  /**
+   * - Semitones from the root to the tonic of the relative major, which decides between sharps and flats
+   */
+  major: number;
+};
+export type ScaleNote = {
+  /**
+   * - Pitch class, 0 for C
+   */
+  pitch: number;
+  /**
+   * - Degree from the root, "R" for the root itself
+   */
+  interval: string;
+};
@@ -0,0 +1,68 @@
+/**
+ * Converts ASCII tablature to LilyPond source. Each group of consecutive string
+ * lines is a system; other lines (titles, chord names, blank lines) separate
+ * systems and are not engraved. Notes have no rhythm: every column holding
+ * notes is one event, as in the text.
+ * @param {string} text - Block content
+ * @param {{ tuning?: string }} [settings] - Open strings from the lowest, replacing the labels of the tab
+ * @returns {string} LilyPond source of a TabStaff
+ * @throws {Error & { offset: number }} When the tab cannot be read, with the offset of the problem in the text
+ */
+export function asciiTabToLilyPond(
+  text: string,
+  {
+    tuning,
+  }?: {
+    tuning?: string;
+  },
+): string;
+/**
+ * Checks a tuning option for tab blocks
+ * @param {string} tuning - Open strings from the lowest, e.g. "DADGAD" or "B E A D G B E"
+ * @returns {boolean} True if it names 4 to 7 strings and nothing else
+ */
+export function isValidTabTuning(tuning: string): boolean;
+export type TabNote = {
+  /**
+   * - String number, 1 being the highest
+   */
+  string: number;
+  /**
+   * - Fret, 0 for the open string
+   */
+  fret: number;
+  /**
+   * - Column in the system, after the string labels
+   */
+  column: number;
+  /**
+   * - Muted note written `x`
+   */
+  dead: boolean;
+  /**
+   * - Technique leading to the next note on the string: "h", "p", "r", "/" or "\\"
+   */
+  link?: string;
+  /**
+   * - Technique leading to this note from the previous one on the string
+   */
+  from?: string;
+  /**
+   * - Semitones the note is bent up
+   */
+  bend?: number;
+};
+export type TabSystem = {
+  /**
+   * - Notes of every string
+   */
+  notes: TabNote[];
+  /**
+   * - Bar lines by column: "|" or "||"
+   */
+  bars: Map<number, string>;
+  /**
+   * - String labels as written, from the highest string
+   */
+  labels: string[];
+};
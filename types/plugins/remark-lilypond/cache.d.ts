@@ -0,0 +1,68 @@
+/**
+ * Computes a stable cache key from the given parts
+ * @param {...any} parts - Values identifying the rendered output (source, version, options)
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+export function cacheKey(...parts: any[]): string;
+/**
+ * Computes the key of a rendered block: a digest of the block source as
+ * written, followed by the cache key of everything else the output depends
+ * on, so that every render of a source can be invalidated together
+ * @param {string} source - Block content, or the content of the score file it references
+ * @param {...any} parts - Values identifying the rendered output (final source, version, options)
+ * @returns {string} Key usable with LilyPondCache
+ */
+export function blockCacheKey(source: string, ...parts: any[]): string;
+/**
+ * Creates a cache storing one file per entry in a directory.
+ * Entries are touched on read so that eviction removes the least recently used first.
+ * @param {LilyPondCacheOptions} [options={}] - Cache configuration
+ * @returns {LilyPondCache} Cache instance
+ */
+export function createLilyPondCache(
+  options?: LilyPondCacheOptions,
+): LilyPondCache;
+export type LilyPondCacheOptions = {
+  /**
+   * - Directory holding cache entries
+   */
+  dir?: string;
+  /**
+   * - Maximum number of entries kept after pruning
+   */
+  maxEntries?: number;
+  /**
+   * - Maximum age in milliseconds since an entry was last used
+   */
+  maxAge?: number;
+};
+export type LilyPondCache = {
+  /**
+   * - Absolute path of the cache directory
+   */
+  dir: string;
+  /**
+   * - Read an entry, or null when missing
+   */
+  get: (key: string) => Promise<string | null>;
+  /**
+   * - Store an entry
+   */
+  set: (key: string, value: string) => Promise<void>;
+  /**
+   * - Remove a single entry
+   */
+  invalidate: (key: string) => Promise<void>;
+  /**
+   * - Remove every entry rendered from a block source, whatever its options
+   */
+  invalidateSource: (source: string) => Promise<void>;
+  /**
+   * - Remove every entry
+   */
+  clear: () => Promise<void>;
+  /**
+   * - Evict stale entries and enforce maxEntries
+   */
+  prune: () => Promise<void>;
+};
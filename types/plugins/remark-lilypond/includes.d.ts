@@ -0,0 +1,34 @@
+/**
+ * @typedef {Object} ResolvedInclude
+ * @property {string} path - Absolute path of the included file
+ * @property {string} content - File content
+ */
+/**
+ * Finds every file included by a LilyPond source, following nested includes.
+ * Names are looked up like LilyPond does: relative to the including file first,
+ * then in each include directory. Names that cannot be found are left for
+ * LilyPond to report.
+ * @param {string} source - LilyPond source
+ * @param {string[]} includePaths - Absolute include directories, in lookup order
+ * @returns {Promise<ResolvedInclude[]>} Included files in the order they were found
+ */
+export function resolveIncludes(
+  source: string,
+  includePaths: string[],
+): Promise<ResolvedInclude[]>;
+/**
+ * Computes a digest of the included files, used as part of the cache key
+ * @param {ResolvedInclude[]} includes - Resolved includes
+ * @returns {string} Hex digest, identical for identical include sets
+ */
+export function includesDigest(includes: ResolvedInclude[]): string;
+export type ResolvedInclude = {
+  /**
+   * - Absolute path of the included file
+   */
+  path: string;
+  /**
+   * - File content
+   */
+  content: string;
+};
@@ -1,3 +1,4 @@
+export { createLilyPondCache } from "./cache.js";
 export default remarkLilypond;
 export type LilyPondOptions = {
   /**
@@ -16,6 +17,103 @@ export type LilyPondOptions = {
    * - Remove tagline and crop whitespace from SVG output
    */
   compact?: boolean;
+  /**
+   * - Space kept around the cropped content, in SVG user units (staff spaces)
+   */
+  compactPadding?: number;
+  /**
+   * - Maximum number of LilyPond processes running at once
+   */
+  concurrency?: number;
+  /**
+   * - Reuse rendered SVG for unchanged blocks; pass options or a cache created with createLilyPondCache()
+   */
+  cache?:
+    | boolean
+    | import("./cache.js").LilyPondCacheOptions
+    | import("./cache.js").LilyPondCache;
+  /**
+   * - Produce MIDI for every block, not only those containing \midi or flagged `midi`
+   */
+  midi?: boolean;
+  /**
+   * - Write MIDI files to this directory, relative to the file's cwd, instead of embedding them as data URIs
+   */
+  midiDir?: string;
+  /**
+   * - URL prefix used to link MIDI files written to midiDir (defaults to midiDir relative to the markdown file, for pages written next to it)
+   */
+  midiUrl?: string;
+  /**
+   * - Add a <midi-player> element next to the download link
+   */
+  midiPlayer?: boolean;
+  /**
+   * - Emit one SVG per system instead of one per page, so pagination can break between systems
+   */
+  splitSystems?: boolean;
+  /**
+   * - LilyPond source prepended to every block, e.g. shared \paper, \layout and macro definitions
+   */
+  preamble?: string;
+  /**
+   * - File whose content is prepended to every block, after `preamble`
+   */
+  preambleFile?: string;
+  /**
+   * - Directories searched for `\include` files, after the markdown file's directory
+   */
+  includePaths?: string[];
+  /**
+   * - For untrusted input: run LilyPond with -dsafe and reject dangerous Scheme, absolute and `..` paths
+   */
+  safe?: boolean;
+  /**
+   * - Kill LilyPond after this many milliseconds per block (0 for no limit)
+   */
+  timeout?: number;
+};
+export type LilyPondBlockOptions = {
+  /**
+   * - Overrides the plugin-level errorInline for this block
+   */
+  errorInline?: boolean;
+  /**
+   * - Overrides the plugin-level compact for this block
+   */
+  compact?: boolean;
+  /**
+   * - Overrides the plugin-level compactPadding for this block
+   */
+  compactPadding?: number;
+  /**
+   * - Transpose top-level music from one pitch to another, e.g. "c d"
+   */
+  transpose?: string;
+  /**
+   * - Wrap the rendered SVG in a figure with this caption
+   */
+  caption?: string;
+  /**
+   * - Render this .ly file, relative to the markdown file, instead of the block content
+   */
+  src?: string;
+  /**
+   * - Produce MIDI for this block and attach it next to the SVG
+   */
+  midi?: boolean;
+  /**
+   * - Overrides the plugin-level splitSystems for this block
+   */
+  splitSystems?: boolean;
+  /**
+   * - Overrides the plugin-level timeout for this block; in safe mode it can only be shortened
+   */
+  timeout?: number;
+  /**
+   * - Open strings of a tab block from the lowest, e.g. "DADGAD", replacing the labels of the tab
+   */
+  tuning?: string;
 };
 /**
  * @typedef {Object} LilyPondOptions
@@ -23,12 +121,38 @@ export type LilyPondOptions = {
  * @property {boolean} [errorInline=false] - Whether to display errors inline or log to console
  * @property {boolean} [skipOnMissing=false] - Skip processing if LilyPond is not available
  * @property {boolean} [compact=true] - Remove tagline and crop whitespace from SVG output
+ * @property {number} [compactPadding=1] - Space kept around the cropped content, in SVG user units (staff spaces)
+ * @property {number} [concurrency=os.availableParallelism()] - Maximum number of LilyPond processes running at once
+ * @property {boolean | import("./cache.js").LilyPondCacheOptions | import("./cache.js").LilyPondCache} [cache=false] - Reuse rendered SVG for unchanged blocks; pass options or a cache created with createLilyPondCache()
+ * @property {boolean} [midi=false] - Produce MIDI for every block, not only those containing \midi or flagged `midi`
+ * @property {string} [midiDir] - Write MIDI files to this directory, relative to the file's cwd, instead of embedding them as data URIs
+ * @property {string} [midiUrl] - URL prefix used to link MIDI files written to midiDir (defaults to midiDir relative to the markdown file, for pages written next to it)
+ * @property {boolean} [midiPlayer=true] - Add a <midi-player> element next to the download link
+ * @property {boolean} [splitSystems=false] - Emit one SVG per system instead of one per page, so pagination can break between systems
+ * @property {string} [preamble] - LilyPond source prepended to every block, e.g. shared \paper, \layout and macro definitions
+ * @property {string} [preambleFile] - File whose content is prepended to every block, after `preamble`
+ * @property {string[]} [includePaths=[]] - Directories searched for `\include` files, after the markdown file's directory
+ * @property {boolean} [safe=false] - For untrusted input: run LilyPond with -dsafe and reject dangerous Scheme, absolute and `..` paths
+ * @property {number} [timeout=0] - Kill LilyPond after this many milliseconds per block (0 for no limit)
+ */
+/**
+ * @typedef {Object} LilyPondBlockOptions
+ * @property {boolean} [errorInline] - Overrides the plugin-level errorInline for this block
+ * @property {boolean} [compact] - Overrides the plugin-level compact for this block
+ * @property {number} [compactPadding] - Overrides the plugin-level compactPadding for this block
+ * @property {string} [transpose] - Transpose top-level music from one pitch to another, e.g. "c d"
+ * @property {string} [caption] - Wrap the rendered SVG in a figure with this caption
+ * @property {string} [src] - Render this .ly file, relative to the markdown file, instead of the block content
+ * @property {boolean} [midi] - Produce MIDI for this block and attach it next to the SVG
+ * @property {boolean} [splitSystems] - Overrides the plugin-level splitSystems for this block
+ * @property {number} [timeout] - Overrides the plugin-level timeout for this block; in safe mode it can only be shortened
+ * @property {string} [tuning] - Open strings of a tab block from the lowest, e.g. "DADGAD", replacing the labels of the tab
  */
 /**
  * Remark plugin to transform LilyPond code blocks into inline SVG images.
  * @param {LilyPondOptions} [options={}] - Plugin configuration options
- * @returns {(tree: import('unist').Node) => Promise<void>} Unified transformer
+ * @returns {(tree: import('unist').Node, file?: import('vfile').VFile) => Promise<void>} Unified transformer
  */
 declare function remarkLilypond(
   options?: LilyPondOptions,
-): (tree: import("unist").Node) => Promise<void>;
+): (tree: import("unist").Node, file?: import("vfile").VFile) => Promise<void>;
@@ -0,0 +1,39 @@
+/**
+ * Compiles LilyPond source to SVG, collecting every page and MIDI file produced.
+ * LilyPond runs in a temporary directory that is removed afterwards.
+ * @param {string} source - LilyPond source code
+ * @param {RenderOptions} [options={}] - Render options
+ * @returns {Promise<RenderResult>} Rendered pages and MIDI files
+ */
+export function renderLilyPond(
+  source: string,
+  options?: RenderOptions,
+): Promise<RenderResult>;
+export type RenderOptions = {
+  /**
+   * - Path to the LilyPond executable
+   */
+  binaryPath?: string;
+  /**
+   * - Directories searched for `\include` files, passed as `-I`
+   */
+  includePaths?: string[];
+  /**
+   * - Run LilyPond with `-dsafe`, restricting what embedded Scheme can do
+   */
+  safe?: boolean;
+  /**
+   * - Kill LilyPond after this many milliseconds (0 for no limit)
+   */
+  timeout?: number;
+};
+export type RenderResult = {
+  /**
+   * - SVG documents, one per page
+   */
+  pages: string[];
+  /**
+   * - MIDI files, one per score containing a \midi block
+   */
+  midi: Buffer[];
+};
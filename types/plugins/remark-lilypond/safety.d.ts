@@ -0,0 +1,33 @@
+/**
+ * @typedef {{ type: "atom", text: string } | { type: "string" } | { type: "data" } | { type: "list", items: SchemeDatum[] }} SchemeDatum
+ */
+/**
+ * Finds the first construct that safe mode does not allow in a score:
+ * embedded Scheme (`#…` or `$…`) other than literal values and calls of a
+ * few harmless procedures, embedded LilyPond in Scheme (`#{ … #}`), and
+ * includes or external files outside the document (absolute paths or `..`).
+ * @param {string} source - LilyPond source written by the document author
+ * @returns {string | null} Description of the problem, or null if the source is allowed
+ */
+export function findUnsafeConstruct(source: string): string | null;
+/**
+ * Checks that a path stays inside the directory it is resolved against
+ * @param {string} path - Relative path as written in the document
+ * @returns {boolean} False for absolute paths and paths climbing out with `..`
+ */
+export function isSafePath(path: string): boolean;
+export type SchemeDatum =
+  | {
+      type: "atom";
+      text: string;
+    }
+  | {
+      type: "string";
+    }
+  | {
+      type: "data";
+    }
+  | {
+      type: "list";
+      items: SchemeDatum[];
+    };
@@ -0,0 +1,71 @@
+/**
+ * Parses an SVG document into an element tree
+ * @param {string} svgContent - SVG markup
+ * @returns {SvgElement | null} The outermost <svg> element, or null if there is none
+ */
+export function parseSvg(svgContent: string): SvgElement | null;
+/**
+ * Computes the bounding box of everything painted inside the outermost <svg>, in its user units
+ * @param {string} svgContent - SVG markup
+ * @returns {BBox | null} Content bounds, or null if nothing is painted
+ */
+export function getContentBounds(svgContent: string): BBox | null;
+/**
+ * Parses an SVG transform list into a single matrix
+ * @param {string} transform - Transform attribute value
+ * @returns {Matrix} Combined transformation
+ */
+export function parseTransform(transform: string): Matrix;
+export type SvgElement = {
+  /**
+   * - Tag name
+   */
+  name: string;
+  /**
+   * - Attribute values
+   */
+  attributes: Record<string, string>;
+  /**
+   * - Child elements
+   */
+  children: SvgElement[];
+  /**
+   * - Concatenated text content of direct text nodes
+   */
+  text: string;
+};
+export type BBox = {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+};
+/**
+ * Affine transformation [a, b, c, d, e, f] mapping (x, y) to (a*x + c*y + e, b*x + d*y + f)
+ */
+export type Matrix = [number, number, number, number, number, number];
+/**
+ * Inherited presentation attributes affecting the painted extent
+ */
+export type PaintContext = {
+  /**
+   * - Transformation to the root coordinate system
+   */
+  matrix: Matrix;
+  /**
+   * - Whether shapes are stroked
+   */
+  stroked: boolean;
+  /**
+   * - Stroke width in local units
+   */
+  strokeWidth: number;
+  /**
+   * - Font size in local units
+   */
+  fontSize: number;
+  /**
+   * - Horizontal text alignment
+   */
+  textAnchor: string;
+};
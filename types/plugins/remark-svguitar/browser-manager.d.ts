@@ -0,0 +1,62 @@
+/**
+ * @typedef {Object} BrowserManagerOptions
+ * @property {import("puppeteer").LaunchOptions} [puppeteerOptions={}] - Options passed to puppeteer.launch()
+ * @property {number} [size=1] - Maximum number of browsers rendering at the same time
+ * @property {(options: import("puppeteer").LaunchOptions) => Promise<import("puppeteer").Browser>} [launch] - Launches a browser, puppeteer.launch by default
+ */
+/**
+ * @typedef {Object} BrowserLease
+ * @property {import("puppeteer").Browser} browser - Browser reserved for the caller
+ * @property {() => void} release - Returns the browser to the pool
+ */
+/**
+ * @typedef {Object} BrowserManager
+ * @property {() => Promise<BrowserLease>} acquire - Reserves a browser, launching one if none is idle and the pool is not full; waits otherwise
+ * @property {() => Promise<void>} dispose - Closes every browser; the manager cannot be used afterwards
+ */
+/**
+ * Creates a pool of browsers launched on demand. Each render leases a browser
+ * for itself, so concurrent renders use up to `size` browsers and queue beyond.
+ * The pool installs no process handlers: whoever creates it disposes it.
+ * @param {BrowserManagerOptions} [options={}] - Pool configuration
+ * @returns {BrowserManager} Browser manager
+ */
+export function createBrowserManager(
+  options?: BrowserManagerOptions,
+): BrowserManager;
+export type BrowserManagerOptions = {
+  /**
+   * - Options passed to puppeteer.launch()
+   */
+  puppeteerOptions?: import("puppeteer").LaunchOptions;
+  /**
+   * - Maximum number of browsers rendering at the same time
+   */
+  size?: number;
+  /**
+   * - Launches a browser, puppeteer.launch by default
+   */
+  launch?: (
+    options: import("puppeteer").LaunchOptions,
+  ) => Promise<import("puppeteer").Browser>;
+};
+export type BrowserLease = {
+  /**
+   * - Browser reserved for the caller
+   */
+  browser: import("puppeteer").Browser;
+  /**
+   * - Returns the browser to the pool
+   */
+  release: () => void;
+};
+export type BrowserManager = {
+  /**
+   * - Reserves a browser, launching one if none is idle and the pool is not full; waits otherwise
+   */
+  acquire: () => Promise<BrowserLease>;
+  /**
+   * - Closes every browser; the manager cannot be used afterwards
+   */
+  dispose: () => Promise<void>;
+};
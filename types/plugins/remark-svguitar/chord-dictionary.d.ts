@@ -0,0 +1,103 @@
+/**
+ * Parses a chord name such as `F#m7`, `Bb/D` or `Am:2`
+ * @param {string} name - Chord name as written
+ * @returns {(ChordName & { voicing: number }) | null} Parsed name with the 1-based voicing number, or null if it is not a chord name
+ */
+export function parseChordName(name: string):
+  | (ChordName & {
+      voicing: number;
+    })
+  | null;
+/**
+ * Creates a lookup function over the built-in dictionary and user entries.
+ * User entries replace the built-in voicings of the same chord, whatever the spelling (C# or Db).
+ * @param {ChordDictionary} [userDictionary={}] - Additional or replacement chords
+ * @param {{ builtIn?: boolean }} [options={}] - `builtIn: false` leaves out the
+ * built-in voicings, which are for a guitar in standard tuning
+ * The lookup may be given a function computing the chords the dictionary lacks,
+ * from the chord symbol and the voicing number.
+ * @returns {(name: string, compute?: (symbol: string, voicing: number) => any) => any} Returns SVGuitar chord data titled with the name, throws for unknown chords
+ */
+export function createChordLookup(
+  userDictionary?: ChordDictionary,
+  options?: {
+    builtIn?: boolean;
+  },
+): (name: string, compute?: (symbol: string, voicing: number) => any) => any;
+/**
+ * Tells whether open strings are those of a guitar in standard tuning, which
+ * the built-in voicings are for
+ * @param {string[] | null} tuning - Open strings from the lowest
+ * @returns {boolean} True for E A D G B E, whatever the spelling
+ */
+export function isStandardGuitarTuning(tuning: string[] | null): boolean;
+/**
+ * Converts any voicing form into SVGuitar chord data
+ * @param {Voicing | { frets: import("./frets.js").Fret[] }} voicing - The voicing
+ * @returns {any} SVGuitar chord data
+ */
+export function toChordData(
+  voicing:
+    | Voicing
+    | {
+        frets: import("./frets.js").Fret[];
+      },
+): any;
+/**
+ * A voicing: frets from the lowest string (`"x32010"`), frets with a barre
+ * (`{ frets: "133211", barre: 1 }`), or SVGuitar chord data (`{ fingers, barres }`)
+ * @typedef {string | { frets: string, barre?: number } | { fingers: any[], barres?: any[], position?: number }} Voicing
+ */
+/**
+ * Chord names mapped to one voicing or a list of alternatives, the first being the default
+ * @typedef {Record<string, Voicing | Voicing[]>} ChordDictionary
+ */
+/**
+ * @typedef {Object} ChordName
+ * @property {number} root - Pitch class of the root, 0 for C
+ * @property {string} quality - Normalized chord quality, e.g. "m7"
+ * @property {number | null} bass - Pitch class of the bass note of a slash chord
+ */
+/**
+ * Open strings of a guitar in standard tuning, lowest first
+ */
+export const STANDARD_TUNING: readonly string[];
+/**
+ * The built-in dictionary: open voicings first, then barre and movable shapes up the neck.
+ * Spread it into the `chordDictionary` option to extend it rather than replace entries.
+ * @type {Readonly<ChordDictionary>}
+ */
+export const CHORD_DICTIONARY: Readonly<ChordDictionary>;
+/**
+ * A voicing: frets from the lowest string (`"x32010"`), frets with a barre
+ * (`{ frets: "133211", barre: 1 }`), or SVGuitar chord data (`{ fingers, barres }`)
+ */
+export type Voicing =
+  | string
+  | {
+      frets: string;
+      barre?: number;
+    }
+  | {
+      fingers: any[];
+      barres?: any[];
+      position?: number;
+    };
+/**
+ * Chord names mapped to one voicing or a list of alternatives, the first being the default
+ */
+export type ChordDictionary = Record<string, Voicing | Voicing[]>;
+export type ChordName = {
+  /**
+   * - Pitch class of the root, 0 for C
+   */
+  root: number;
+  /**
+   * - Normalized chord quality, e.g. "m7"
+   */
+  quality: string;
+  /**
+   * - Pitch class of the bass note of a slash chord
+   */
+  bass: number | null;
+};
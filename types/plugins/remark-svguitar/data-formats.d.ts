@@ -0,0 +1,32 @@
+/**
+ * Tells how a block is written, from its first non-comment characters
+ * @param {string} text - Content of the code block
+ * @returns {"json5" | "yaml" | "frets"} JSON5 for an object, an array or a quoted chord name (JSON
+ * included), YAML for a document marker, list item or mapping, fret notation otherwise
+ */
+export function detectFormat(text: string): "json5" | "yaml" | "frets";
+/**
+ * Parses the chord data of a block
+ * @param {string} text - Content of the code block
+ * @param {"json" | "json5" | "yaml"} format - Syntax of the content
+ * @returns {ParsedChordData} Data, with a way to locate its values when the format supports it
+ * @throws {Error & { offset?: number }} Syntax errors, naming the line and column; `offset` is where the error is in the text
+ */
+export function parseChordData(
+  text: string,
+  format: "json" | "json5" | "yaml",
+): ParsedChordData;
+/**
+ * Values of the `format` option: "auto" tells the format from the block content
+ */
+export const DATA_FORMATS: string[];
+export type ParsedChordData = {
+  /**
+   * - One chord or an array of chords, as written
+   */
+  data: unknown;
+  /**
+   * - Finds where a value, or the key of an object member, starts in the text
+   */
+  locate: (path: (string | number)[], key?: boolean) => number | undefined;
+};
@@ -0,0 +1,48 @@
+/**
+ * Chords defined so far in a document, by name, as SVGuitar chord data titled with the name
+ * @typedef {Map<string, any>} ChordDefinitions
+ */
+/**
+ * Reads the `chords` field of the document's front matter: a YAML node added by
+ * remark-frontmatter, or else the `file.data.matter` object set by vfile-matter
+ * @param {{ value: string } | undefined} node - YAML front matter node of the tree
+ * @param {import('vfile').VFile} [file] - The processed file
+ * @returns {unknown} Chord definitions, undefined if there are none
+ * @throws {Error & { offset?: number }} YAML syntax errors, with their offset in the node value
+ */
+export function readFrontMatterChords(
+  node:
+    | {
+        value: string;
+      }
+    | undefined,
+  file?: import("vfile").VFile,
+): unknown;
+/**
+ * Adds chord definitions, replacing earlier definitions of the same names
+ * @param {unknown} data - Names mapped to voicings (frets such as "x32030", `{ frets, barre }`
+ * or SVGuitar chord data), or a list of chords titled with their names, as in fret notation
+ * @param {ChordDefinitions} definitions - Definitions of the document
+ * @throws {Error & { path: (string | number)[], unknownField: boolean }} Invalid definitions, with the
+ * path of the offending value and whether it is a field that is not allowed
+ */
+export function addDefinitions(
+  data: unknown,
+  definitions: ChordDefinitions,
+): void;
+/**
+ * Replaces the references to defined chords in the data of an svguitar block: a
+ * name (`"Cadd9"`), or `{ "ref": "Cadd9" }` with fields overriding the definition's
+ * @param {unknown} data - One chord or reference, or an array of them
+ * @param {ChordDefinitions} definitions - Chords defined above the block
+ * @returns {unknown} The data with chord data in place of the references
+ * @throws {Error & { path: (string | number)[] }} Undefined references, with the path of the name
+ */
+export function resolveReferences(
+  data: unknown,
+  definitions: ChordDefinitions,
+): unknown;
+/**
+ * Chords defined so far in a document, by name, as SVGuitar chord data titled with the name
+ */
+export type ChordDefinitions = Map<string, any>;
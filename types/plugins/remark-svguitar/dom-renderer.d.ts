@@ -0,0 +1,28 @@
+/**
+ * Renders the chord diagrams of every block with svgdom, without a browser.
+ * The markup matches the Puppeteer renderer.
+ * @param {import("./draw-chords.js").ChordBlock[]} blocks - Blocks to render
+ * @returns {Promise<({ html: string } | { error: string })[]>} The rendered SVG content of each block, or why it failed
+ */
+export function renderBlocksWithDom(
+  blocks: import("./draw-chords.js").ChordBlock[],
+): Promise<
+  (
+    | {
+        html: string;
+      }
+    | {
+        error: string;
+      }
+  )[]
+>;
+export type DomContext = {
+  /**
+   * - svgdom window
+   */
+  window: any;
+  /**
+   * - Chart class bound to that window
+   */
+  SVGuitarChord: typeof import("svguitar").SVGuitarChord;
+};
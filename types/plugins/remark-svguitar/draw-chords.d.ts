@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Draws the chord diagrams of many blocks into a document, shared by the
+ * Puppeteer page and the svgdom renderer
+ */
+/**
+ * @typedef {Object} ChordBlock
+ * @property {string} id - Id namespace of the block, prefixing the ids of its chord items
+ * @property {Object[]} chords - Chord data of each diagram
+ * @property {import("svguitar").ChordSettings[]} configs - SVGuitar settings of each diagram
+ */
+/**
+ * Draws every block in its own `.chord-container`, one `.chord-item` per chord.
+ * A chord that fails gets an error SVG in its slot, and a block that fails as a
+ * whole is returned as an error, so one bad block or chord never stops the others.
+ *
+ * The function is injected into the Puppeteer page by its source, so it must not
+ * use anything from its module scope.
+ * @param {any} document - DOM document to draw into
+ * @param {any} SVGuitarChord - svguitar chart class bound to that document
+ * @param {ChordBlock[]} blocks - Blocks to draw
+ * @returns {({ container: any } | { error: string })[]} The container of each block, or why it failed
+ */
+export function drawChordBlocks(
+  document: any,
+  SVGuitarChord: any,
+  blocks: ChordBlock[],
+): (
+  | {
+      container: any;
+    }
+  | {
+      error: string;
+    }
+)[];
+export type ChordBlock = {
+  /**
+   * - Id namespace of the block, prefixing the ids of its chord items
+   */
+  id: string;
+  /**
+   * - Chord data of each diagram
+   */
+  chords: any[];
+  /**
+   * - SVGuitar settings of each diagram
+   */
+  configs: import("svguitar").ChordSettings[];
+};
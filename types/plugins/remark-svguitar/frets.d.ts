@@ -0,0 +1,83 @@
+/**
+ * Parses a fret list written from the lowest string to the highest, e.g.
+ * `x32010`, or `x-3-2-0-1-0` when some fret has two digits
+ * @param {string} text - Fret list
+ * @returns {Fret[]} One fret per string, lowest string first
+ */
+export function parseFrets(text: string): Fret[];
+/**
+ * Parses a finger string such as `-32-1-`, one character per string from the
+ * lowest: 1 to 4 for the fingers, T for the thumb, `-`, `x` or `0` for none
+ * @param {string} text - Finger string
+ * @param {number} stringCount - Number of strings of the chord
+ * @returns {(string | null)[]} Finger label per string, lowest string first
+ */
+export function parseFingers(
+  text: string,
+  stringCount: number,
+): (string | null)[];
+/**
+ * Parses a chord written on one line as an optional title, a fret list and an
+ * optional finger string, e.g. `C x32010 -32-1-` or `F 133211`.
+ * A barre is detected from the fingers, or from the frets when the chord has
+ * more fretted notes than fingers.
+ * @param {string} line - Chord line
+ * @param {number} [stringCount] - Number of strings of the instrument, checked against the frets
+ * @returns {{ fingers: any[], barres: any[], position?: number, title?: string }} SVGuitar chord data
+ */
+export function parseChordLine(
+  line: string,
+  stringCount?: number,
+): {
+  fingers: any[];
+  barres: any[];
+  position?: number;
+  title?: string;
+};
+/**
+ * Finds the fret played as a barre: the fret the same finger holds on several
+ * strings, or without fingers, the lowest fret when there are more fretted
+ * notes than fingers and no open or muted string lies under it
+ * @param {Fret[]} frets - One fret per string, lowest string first
+ * @param {(string | null)[]} [fingers] - Finger label per string
+ * @returns {number | undefined} Absolute barre fret
+ */
+export function detectBarre(
+  frets: Fret[],
+  fingers?: (string | null)[],
+): number | undefined;
+/**
+ * Converts frets into SVGuitar chord data. Strings are numbered like SVGuitar
+ * does, 1 being the highest string. Chords reaching beyond the fourth fret get
+ * a `position` and frets relative to it.
+ * @param {Fret[]} frets - One fret per string, lowest string first
+ * @param {FretsToChordOptions} [options={}] - Barre, finger labels and title
+ * @returns {{ fingers: any[], barres: any[], position?: number, title?: string }} SVGuitar chord data
+ */
+export function fretsToChord(
+  frets: Fret[],
+  options?: FretsToChordOptions,
+): {
+  fingers: any[];
+  barres: any[];
+  position?: number;
+  title?: string;
+};
+/**
+ * Fret of one string: a number (0 for open) or "x" for a muted string
+ */
+export type Fret = number | "x";
+export type FretsToChordOptions = {
+  /**
+   * - Absolute fret played as a barre across the strings fretted there
+   */
+  barre?: number;
+  /**
+   * - Chord title
+   */
+  title?: string;
+  /**
+   * - Finger label per string, lowest string first, e.g. from `parseFingers`
+   */
+  fingers?: (string | null)[];
+};
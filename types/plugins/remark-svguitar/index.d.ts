@@ -1,8 +1,11 @@
 /**
- * Cleanup function to close browser instance
+ * Closes the browsers that plugins created with `keepAlive` keep open.
+ * Browsers of a `browserManager` passed in the options are left to its owner.
  * @returns {Promise<void>}
  */
 export function closeBrowser(): Promise<void>;
+export { createBrowserManager } from "./browser-manager.js";
+export { CHORD_DICTIONARY } from "./chord-dictionary.js";
 export default remarkSvguitar;
 export type SVGuitarOptions = {
   /**
@@ -22,15 +25,77 @@ export type SVGuitarOptions = {
    */
   SVGuitarConfig?: import("svguitar").ChordSettings;
   /**
-   * - Keep the Puppeteer browser open between processor runs for performance
+   * - Keep the Puppeteer browser open between processor runs for performance, until closeBrowser() is called
    */
   keepAlive?: boolean;
+  /**
+   * - Browsers to render with, created and disposed by the caller with createBrowserManager(); puppeteerOptions and keepAlive then do not apply
+   */
+  browserManager?: import("./browser-manager.js").BrowserManager;
+  /**
+   * - Render in headless Chrome, or in Node with the svgdom server-side DOM
+   */
+  renderer?: "puppeteer" | "dom";
+  /**
+   * - Chords added to or replacing the built-in dictionary used by `chords` blocks
+   */
+  chordDictionary?: import("./chord-dictionary.js").ChordDictionary;
+  /**
+   * - Instrument setting the strings and tuning labels of every diagram, e.g. "ukulele" (see INSTRUMENTS)
+   */
+  instrument?: string;
+  /**
+   * - Tuning of every diagram from the lowest string, e.g. "DADGAD"; also sets the number of strings
+   */
+  tuning?: string;
+  /**
+   * - Syntax of svguitar chord data; "auto" reads objects and arrays as JSON5 and mappings or lists as YAML
+   */
+  format?: "auto" | "json" | "json5" | "yaml";
+  /**
+   * - Mirror every diagram for left-handed players, keeping its text readable
+   */
+  leftHanded?: boolean;
+  /**
+   * - Draw chord boxes upright or lying on their side; replaces the orientation of SVGuitarConfig
+   */
+  orientation?: "vertical" | "horizontal";
+};
+export type SVGuitarBlockOptions = {
+  /**
+   * - Overrides the plugin-level errorInline for this block
+   */
+  errorInline?: boolean;
+  /**
+   * - Width in pixels of each rendered diagram
+   */
+  width?: number;
+  /**
+   * - Tuning labels from the lowest string, e.g. "DADGAD" or "Eb Ab Db Gb Bb Eb"
+   */
+  tuning?: string;
+  /**
+   * - Instrument of this block, e.g. "mandolin"
+   */
+  instrument?: string;
+  /**
+   * - Syntax of this block's chord data
+   */
+  format?: "auto" | "json" | "json5" | "yaml";
+  /**
+   * - Overrides the plugin-level leftHanded for this block
+   */
+  leftHanded?: boolean;
+  /**
+   * - Overrides the plugin-level orientation for this block
+   */
+  orientation?: "vertical" | "horizontal";
 };
 /**
  * Remark plugin to transform SVGuitar code blocks into inline SVG images
  * @param {SVGuitarOptions} [options={}] - Plugin configuration options
- * @returns {(tree: import('unist').Node) => Promise<void>} Unified transformer
+ * @returns {(tree: import('unist').Node, file?: import('vfile').VFile) => Promise<void>} Unified transformer
  */
 declare function remarkSvguitar(
   options?: SVGuitarOptions,
-): (tree: import("unist").Node) => Promise<void>;
+): (tree: import("unist").Node, file?: import("vfile").VFile) => Promise<void>;
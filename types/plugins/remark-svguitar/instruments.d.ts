@@ -0,0 +1,37 @@
+/**
+ * Resolves the strings of the diagram from an explicit tuning or an instrument;
+ * the tuning wins when both are given
+ * @param {{ instrument?: string, tuning?: string }} options - Instrument name and tuning string
+ * @returns {{ name: string, tuning: string[] } | null} Instrument name for messages and tuning labels, or null when neither is set
+ */
+export function resolveStrings({
+  instrument,
+  tuning,
+}: {
+  instrument?: string;
+  tuning?: string;
+}): {
+  name: string;
+  tuning: string[];
+} | null;
+/**
+ * @typedef {Object} Instrument
+ * @property {string} name - Name used in messages
+ * @property {string} tuning - Open strings from the lowest, e.g. "EADGBE"
+ */
+/**
+ * Instruments selectable with the `instrument` option, in standard tuning.
+ * Re-entrant tunings (ukulele, banjo) are still listed from the string nearest the thumb.
+ * @type {Readonly<Record<string, Instrument>>}
+ */
+export const INSTRUMENTS: Readonly<Record<string, Instrument>>;
+export type Instrument = {
+  /**
+   * - Name used in messages
+   */
+  name: string;
+  /**
+   * - Open strings from the lowest, e.g. "EADGBE"
+   */
+  tuning: string;
+};
@@ -0,0 +1,13 @@
+/**
+ * @fileoverview Mirrors rendered chord diagrams for left-handed players, keeping their text readable
+ */
+/**
+ * Mirrors every chord diagram of a rendered block around the vertical axis of
+ * its viewBox: the strings of a vertical chart, or the frets of a horizontal
+ * one, run the other way. Texts are flipped back in place, with start and end
+ * anchors swapped so that they still extend away from the diagram. Error
+ * placeholders are left as they are.
+ * @param {string} htmlContent - Rendered block, one SVG per chord
+ * @returns {string} The block with mirrored diagrams
+ */
+export function mirrorChordSvgs(htmlContent: string): string;
@@ -0,0 +1,53 @@
+/**
+ * Validates the data of an svguitar block against the chord schema
+ * @param {unknown} data - One chord or an array of chords
+ * @param {string} [name] - Name of a single defined chord, used in the message instead of its number
+ * @returns {ChordDataError | null} The first error, or null if the data is valid
+ */
+export function validateChordData(
+  data: unknown,
+  name?: string,
+): ChordDataError | null;
+/**
+ * Finds where a value, or the key of an object member, starts in a JSON or JSON5 text
+ * @param {string} text - Valid JSON or JSON5 text
+ * @param {(string | number)[]} path - Path of the value
+ * @param {boolean} [key=false] - Locate the member's key instead of its value
+ * @returns {number | undefined} Offset in the text
+ */
+export function locateJsonPath(
+  text: string,
+  path: (string | number)[],
+  key?: boolean,
+): number | undefined;
+/**
+ * @typedef {Object} ChordDataError
+ * @property {number} chord - Index of the chord in the block, 0 for a single chord
+ * @property {(string | number)[]} path - Path of the offending value inside the chord data
+ * @property {string} message - What is wrong, naming the chord and field
+ * @property {boolean} unknownField - True when the last path segment is a field that is not allowed
+ */
+/**
+ * JSON Schema of the content of an svguitar block, also published for editors
+ * as `plugins/remark-svguitar/chord.schema.json`
+ * @type {any}
+ */
+export const CHORD_SCHEMA: any;
+export type ChordDataError = {
+  /**
+   * - Index of the chord in the block, 0 for a single chord
+   */
+  chord: number;
+  /**
+   * - Path of the offending value inside the chord data
+   */
+  path: (string | number)[];
+  /**
+   * - What is wrong, naming the chord and field
+   */
+  message: string;
+  /**
+   * - True when the last path segment is a field that is not allowed
+   */
+  unknownField: boolean;
+};
@@ -0,0 +1,145 @@
+/**
+ * Spells a chord symbol: its root, bass and chord tones, marking the tones a
+ * voicing may leave out (the fifth unless altered, the ninth under an eleventh
+ * or thirteenth)
+ * @param {string} symbol - Chord symbol such as "Cmaj7#11", "F#m7b5" or "D/F#"
+ * @returns {SpelledChord} Spelled chord
+ * @throws {Error} When the symbol is not a chord name or its quality cannot be read
+ */
+export function spellChord(symbol: string): SpelledChord;
+/**
+ * Searches the fingerings of a chord symbol on a tuning and ranks them, the
+ * easiest first. A voicing sounds the bass of a slash chord, or on six
+ * strings and more the root, on its lowest string, sounds every required
+ * chord tone, fits the stretch of the hand and needs at most four fingers, one
+ * of them holding a barre. Compact, low, full voicings with
+ * open strings rank first; muted strings between sounding ones rank last.
+ * @param {string} symbol - Chord symbol such as "Cmaj7#11", "F#m7b5" or "D/F#"
+ * @param {VoicingSearchOptions} [options={}] - Tuning, number of voicings and reach of the hand
+ * @returns {Fret[][]} Frets of each voicing, lowest string first; empty when nothing is playable
+ * @throws {Error} When the symbol or the tuning cannot be read
+ */
+export function findVoicings(
+  symbol: string,
+  options?: VoicingSearchOptions,
+): Fret[][];
+/**
+ * Converts a computed voicing to SVGuitar chord data
+ * @param {Fret[]} frets - One fret per string, lowest first
+ * @param {string} [title] - Title of the diagram
+ * @returns {{ fingers: any[], barres: any[], position?: number, title?: string }} SVGuitar chord data
+ */
+export function voicingToChord(
+  frets: Fret[],
+  title?: string,
+): {
+  fingers: any[];
+  barres: any[];
+  position?: number;
+  title?: string;
+};
+/**
+ * Computes one voicing of a chord symbol, for chord names missing from the
+ * chord dictionary
+ * @param {string} symbol - Chord symbol such as "Cmaj7#11"
+ * @param {number} voicing - 1-based rank of the voicing
+ * @param {string[] | null} tuning - Open strings from the lowest, or null when the diagram's tuning is unknown
+ * @returns {any} SVGuitar chord data titled with the symbol, or null if the symbol cannot be spelled or has no such voicing
+ */
+export function computeChord(
+  symbol: string,
+  voicing: number,
+  tuning: string[] | null,
+): any;
+/**
+ * Replaces the voicing requests of SVGuitar chord data with the voicings they
+ * ask for, e.g. `{ "symbol": "Cmaj7", "voicings": 3 }` with three chords titled
+ * "Cmaj7". Requests may stand alone or among the chords of an array.
+ * @param {any} data - Chord data, a voicing request, or an array of both
+ * @param {string[] | null} tuning - Open strings from the lowest, or null when the diagram's tuning is unknown
+ * @returns {any} Chord data, an array when a request returns several voicings
+ * @throws {Error} With the `path` of the offending value, and `unknownField` for unknown fields
+ */
+export function resolveVoicingRequests(data: any, tuning: string[] | null): any;
+/**
+ * Chord under construction while reading its quality
+ */
+export type Spelling = {
+  /**
+   * - Semitones of the third, null for sus and power chords
+   */
+  third: number | null;
+  /**
+   * - Semitones of the fifth
+   */
+  fifth: number;
+  /**
+   * - Whether the fifth defines the chord and may not be left out
+   */
+  alteredFifth: boolean;
+  /**
+   * - Semitones of the seventh
+   */
+  seventh: number | null;
+  /**
+   * - Suspended, added, extended and altered tones by degree
+   */
+  added: Map<
+    string,
+    {
+      semitones: number;
+      required: boolean;
+    }
+  >;
+};
+export type Fret = import("./frets.js").Fret;
+export type ChordTone = {
+  /**
+   * - Pitch class, 0 for C
+   */
+  pitch: number;
+  /**
+   * - Degree from the root, e.g. "R", "b3" or "#11"
+   */
+  degree: string;
+  /**
+   * - False for tones a voicing may leave out, such as the fifth
+   */
+  required: boolean;
+};
+export type SpelledChord = {
+  /**
+   * - Pitch class of the root
+   */
+  root: number;
+  /**
+   * - Pitch class of the bass note of a slash chord
+   */
+  bass: number | null;
+  /**
+   * - Chord tones from the root up
+   */
+  tones: ChordTone[];
+};
+export type VoicingSearchOptions = {
+  /**
+   * - Open strings from the lowest, e.g. ["E", "A", "D", "G", "B", "E"]
+   */
+  tuning?: string[];
+  /**
+   * - Number of voicings to return
+   */
+  count?: number;
+  /**
+   * - Number of frets the hand covers, the lowest fretted note included
+   */
+  maxStretch?: number;
+  /**
+   * - Highest fret a voicing may use
+   */
+  maxFret?: number;
+  /**
+   * - Fret the hand is at: fretted notes lie between it and the end of the stretch
+   */
+  position?: number;
+};
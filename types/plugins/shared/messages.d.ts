@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Reporting of plugin diagnostics as vfile messages
+ */
+/**
+ * @typedef {Object} ReportOptions
+ * @property {import('unist').Position | import('unist').Point} [place] - Where in the markdown file the problem is
+ * @property {string} source - Plugin name, e.g. "remark-lilypond"
+ * @property {string} ruleId - Category of the problem, e.g. "compile-error"
+ * @property {boolean} [fatal=false] - True for errors, false for warnings
+ * @property {Error} [cause] - Original error
+ */
+/**
+ * Reports a problem on the processed file so that reporters, editors and CI can point at it.
+ * Errors are marked fatal but not thrown (as `file.fail()` would), so the remaining blocks still render.
+ * Falls back to the console when the transformer runs without a file.
+ * @param {import('vfile').VFile | undefined} file - The file being processed
+ * @param {string} reason - Human readable description
+ * @param {ReportOptions} options - Message details
+ * @returns {void}
+ */
+export function report(
+  file: import("vfile").VFile | undefined,
+  reason: string,
+  options: ReportOptions,
+): void;
+/**
+ * Maps an offset in a code block's content to the markdown file
+ * @param {{ value: string, position?: import('unist').Position }} node - The code node
+ * @param {number} offset - Offset in the node value
+ * @returns {import('unist').Point | undefined} Place in the markdown file
+ */
+export function offsetPlace(
+  node: {
+    value: string;
+    position?: import("unist").Position;
+  },
+  offset: number,
+): import("unist").Point | undefined;
+export type ReportOptions = {
+  /**
+   * - Where in the markdown file the problem is
+   */
+  place?: import("unist").Position | import("unist").Point;
+  /**
+   * - Plugin name, e.g. "remark-lilypond"
+   */
+  source: string;
+  /**
+   * - Category of the problem, e.g. "compile-error"
+   */
+  ruleId: string;
+  /**
+   * - True for errors, false for warnings
+   */
+  fatal?: boolean;
+  /**
+   * - Original error
+   */
+  cause?: Error;
+};
@@ -0,0 +1,32 @@
+/**
+ * Parses a code fence meta string such as `compact=false caption="Intro riff" midi`.
+ * Bare keys are flags set to true; unquoted values are converted to booleans or numbers when possible.
+ * @param {string | null | undefined} meta - The `meta` field of an mdast code node
+ * @returns {Record<string, string | number | boolean>} Parsed key/value pairs
+ */
+export function parseMeta(
+  meta: string | null | undefined,
+): Record<string, string | number | boolean>;
+/**
+ * Parses a meta string and validates it against the options a plugin accepts per block
+ * @param {string | null | undefined} meta - The `meta` field of an mdast code node
+ * @param {Record<string, MetaOptionType>} schema - Accepted option names and their types
+ * @param {string} blockName - Block language used in warnings (e.g. "lilypond")
+ * @returns {BlockOptionsResult} Valid options and warnings for the rest
+ */
+export function parseBlockOptions(
+  meta: string | null | undefined,
+  schema: Record<string, MetaOptionType>,
+  blockName: string,
+): BlockOptionsResult;
+export type MetaOptionType = "string" | "number" | "boolean";
+export type BlockOptionsResult = {
+  /**
+   * - Options that passed validation
+   */
+  options: Record<string, string | number | boolean>;
+  /**
+   * - Human readable problems with the meta string
+   */
+  warnings: string[];
+};
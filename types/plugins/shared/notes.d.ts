@@ -0,0 +1,18 @@
+/**
+ * Converts a note name to its pitch class
+ * @param {string} note - Note name such as "A", "F#", "Bb" or "E♭"
+ * @returns {number | null} Pitch class, 0 for C, or null if it is not a note name
+ */
+export function pitchClass(note: string): number | null;
+/**
+ * Splits a tuning string into one note name per string
+ * @param {string} tuning - Tuning such as "DADGAD" or "Eb Ab Db Gb Bb Eb"
+ * @returns {string[]} Note names from the lowest string
+ */
+export function parseTuning(tuning: string): string[];
+/**
+ * Checks that a tuning string only contains note names
+ * @param {string} tuning - Tuning string as written
+ * @returns {boolean} True if every character belongs to a note name or a separator
+ */
+export function isValidTuning(tuning: string): boolean;
@@ -0,0 +1,21 @@
+/**
+ * Creates the id namespaces of the diagrams of one document. A namespace is
+ * the prefix followed by a hash of the diagram's source, so it does not depend
+ * on the order blocks are processed in; a source repeated in the document gets
+ * a numbered namespace for each copy after the first.
+ * @param {string} prefix - Plugin prefix, e.g. "lilypond"
+ * @returns {(content: string) => string} Returns the namespace of a diagram from its source
+ */
+export function createIdNamespacer(prefix: string): (content: string) => string;
+/**
+ * Renames the ids of the SVG elements in some markup to `<namespace>-id<n>`,
+ * numbered in order of appearance, and updates the `url(#id)` and `href="#id"`
+ * references to them. References are resolved within their own SVG, so pages
+ * or charts reusing an id keep pointing at their own element. Renaming rather
+ * than prefixing also drops ids generated from counters, making the output
+ * the same on every run.
+ * @param {string} markup - Markup containing one or more `<svg>` elements
+ * @param {string} namespace - Namespace of the block, from createIdNamespacer()
+ * @returns {string} The markup with namespaced ids
+ */
+export function namespaceSvgIds(markup: string, namespace: string): string;